@@ -0,0 +1,164 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const { rateLimit } = require('express-rate-limit');
+const swaggerUi = require('swagger-ui-express');
+require('dotenv').config();
+
+const { setDatabase } = require('./config/database');
+const { setOpenAI } = require('./config/openai');
+const errorHandler = require('./middlewares/errorHandler');
+const swaggerDocument = require('../swagger.json');
+
+// Resumable upload (tus) headers browsers have to be allowed to send and read
+const TUS_REQUEST_HEADERS = ['Tus-Resumable', 'Upload-Length', 'Upload-Offset', 'Upload-Metadata', 'Upload-Checksum'];
+const TUS_RESPONSE_HEADERS = [
+  'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size', 'Tus-Checksum-Algorithm',
+  'Upload-Offset', 'Upload-Length', 'Upload-Expires'
+];
+
+// Routers mounted under /api, in mount order
+const apiRoutes = [
+  ['/auth', './routes/auth'],
+  ['/users', './routes/users'],
+  ['/workspaces', './routes/workspaces'],
+  ['/clients', './routes/clients'],
+  ['/content', './routes/content'],
+  ['/series', './routes/series'],
+  ['/campaigns', './routes/campaigns'],
+  ['/files/uploads', './routes/uploads'],
+  ['/files/folders', './routes/folders'],
+  ['/files/collections', './routes/collections'],
+  ['/files', './routes/files'],
+  ['/share', './routes/share'],
+  ['/ai', './routes/ai'],
+  ['/hashtags', './routes/hashtags'],
+  ['/trends', './routes/trends'],
+  ['/inspiration', './routes/inspiration'],
+  ['/analytics', './routes/analytics'],
+  ['/social', './routes/social'],
+  ['/notifications', './routes/notifications'],
+  ['/permissions', './routes/permissions'],
+  ['/test', './routes/test']
+];
+
+/**
+ * Build the Express application without starting a listener.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.db] - Database client to use instead of Supabase,
+ *   either a single client or `{ supabase, supabaseAdmin }`
+ * @param {Object} [options.openai] - OpenAI client to use instead of the SDK default
+ * @param {Object|false} [options.rateLimit] - express-rate-limit options, or false to disable
+ * @param {string|string[]} [options.corsOrigin] - Allowed CORS origin(s)
+ * @returns {import('express').Express}
+ */
+function createApp(options = {}) {
+  const {
+    db,
+    openai,
+    rateLimit: rateLimitOptions = {},
+    corsOrigin = process.env.CORS_ORIGIN || '*'
+  } = options;
+
+  if (db) {
+    setDatabase(db);
+  }
+
+  if (openai) {
+    setOpenAI(openai);
+  }
+
+  const app = express();
+
+  app.set('trust proxy', 1);
+
+  // Security and transport middleware
+  app.use(helmet());
+  app.use(compression());
+  app.use(cors({
+    origin: corsOrigin,
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Workspace-Id', 'X-Share-Password', 'X-Explain-Permissions', ...TUS_REQUEST_HEADERS],
+    exposedHeaders: ['Location', ...TUS_RESPONSE_HEADERS],
+    // For the OAuth connect flow's browser nonce cookie (routes/social)
+    credentials: true
+  }));
+
+  // Body parsing
+  app.use(express.json({ limit: '1mb' }));
+  app.use(express.urlencoded({ extended: true }));
+
+  // Rate limiting for API routes
+  if (rateLimitOptions !== false) {
+    app.use('/api', rateLimit({
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+      limit: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+      standardHeaders: 'draft-7',
+      legacyHeaders: false,
+      // A large file is sent in many chunks; only starting an upload counts
+      skip: (req) => req.path.startsWith('/files/uploads/') && ['HEAD', 'PATCH'].includes(req.method),
+      message: {
+        error: 'Too many requests',
+        message: 'Rate limit exceeded. Please try again later.'
+      },
+      ...rateLimitOptions
+    }));
+  }
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      message: 'ContentFlow AI Backend is running!',
+      uptime: process.uptime(),
+      environment: process.env.NODE_ENV || 'development'
+    });
+  });
+
+  // Basic API test endpoint
+  app.get('/api/test', (req, res) => {
+    res.json({
+      ok: true,
+      message: 'API is working!',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // API documentation
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
+
+  // API routes
+  apiRoutes.forEach(([path, modulePath]) => {
+    app.use(`/api${path}`, require(modulePath));
+  });
+
+  // Root endpoint - welcome message
+  app.get('/', (req, res) => {
+    res.json({
+      status: 'OK',
+      message: 'ContentFlow AI Backend is running!',
+      endpoints: ['/health', '/api-docs', ...apiRoutes.map(([path]) => `/api${path}`)]
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Route not found',
+      message: `The requested endpoint ${req.originalUrl} does not exist.`,
+      availableEndpoints: ['/health', '/api-docs', ...apiRoutes.map(([path]) => `/api${path}`)]
+    });
+  });
+
+  // Error handler
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = {
+  createApp
+};
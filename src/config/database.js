@@ -1,8 +1,82 @@
-// Re-export from supabaseClient for backward compatibility
-const { supabase, supabaseAdmin, testConnection } = require('./supabaseClient');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Database access point for routes and middlewares.
+//
+// Modules destructure `supabase` / `supabaseAdmin` at require time, so the
+// exported objects are stable handles that forward to whichever client is
+// active. The driver is chosen by DATA_DRIVER: 'supabase' (default) uses
+// supabaseClient.js, 'memory' uses the in-memory stand-in in src/data.
+// createApp() can also swap in another client with setDatabase().
+let activeClients = null;
+
+function loadMemoryClients() {
+  const { createMemoryClient } = require('../data/memoryClient');
+
+  // Optional JSON file of initial rows keyed by table name
+  const seed = process.env.MEMORY_SEED_FILE
+    ? JSON.parse(fs.readFileSync(path.resolve(process.env.MEMORY_SEED_FILE), 'utf8'))
+    : {};
+
+  const client = createMemoryClient({ seed });
+  logger.warn('Using in-memory data layer (DATA_DRIVER=memory). Data is lost on restart.');
+
+  return { supabase: client, supabaseAdmin: client, testConnection: async () => true };
+}
+
+function getClients() {
+  if (!activeClients) {
+    const driver = process.env.DATA_DRIVER || 'supabase';
+
+    if (driver === 'memory') {
+      activeClients = loadMemoryClients();
+    } else if (driver === 'supabase') {
+      // Loaded lazily so other drivers never require Supabase credentials
+      const { supabase, supabaseAdmin, testConnection } = require('./supabaseClient');
+      activeClients = { supabase, supabaseAdmin, testConnection };
+    } else {
+      throw new Error(`Unknown DATA_DRIVER "${driver}". Expected "supabase" or "memory"`);
+    }
+  }
+
+  return activeClients;
+}
+
+// Replace the active database clients. Accepts a single client used for both
+// roles, or `{ supabase, supabaseAdmin }`.
+function setDatabase(db) {
+  if (!db) {
+    activeClients = null;
+    return;
+  }
+
+  const supabase = db.supabase || db;
+  const supabaseAdmin = db.supabaseAdmin || supabase;
+
+  activeClients = {
+    supabase,
+    supabaseAdmin,
+    testConnection: db.testConnection || (async () => true)
+  };
+}
+
+function createClientHandle(key) {
+  return new Proxy({}, {
+    get(target, prop) {
+      const client = getClients()[key];
+      const value = client[prop];
+      return typeof value === 'function' ? value.bind(client) : value;
+    }
+  });
+}
+
+const supabase = createClientHandle('supabase');
+const supabaseAdmin = createClientHandle('supabaseAdmin');
 
 module.exports = {
   supabase,
   supabaseAdmin,
-  connectSupabase: testConnection
-};
\ No newline at end of file
+  setDatabase,
+  connectSupabase: () => getClients().testConnection()
+};
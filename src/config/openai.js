@@ -0,0 +1,25 @@
+const OpenAI = require('openai');
+
+// The OpenAI SDK throws at construction time when no API key is set, so the
+// client is created on first use instead of when a router is required.
+let openaiClient = null;
+
+function getOpenAI() {
+  if (!openaiClient) {
+    openaiClient = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+
+  return openaiClient;
+}
+
+// Replace the OpenAI client (e.g. with a stub in tests)
+function setOpenAI(client) {
+  openaiClient = client;
+}
+
+module.exports = {
+  getOpenAI,
+  setOpenAI
+};
@@ -0,0 +1,823 @@
+const crypto = require('crypto');
+const defaultSchema = require('./schema');
+
+// In-memory stand-in for the Supabase client.
+//
+// Implements the subset of the PostgREST query builder the routes use
+// (select with embedded relations, filters, ordering, pagination, counts,
+// insert/update/upsert/delete) plus a storage bucket API, so the API can run
+// without a Supabase project. Results use the same `{ data, error, count }`
+// shape and PostgREST error codes as supabase-js.
+
+// PostgREST-style error object
+function dbError(code, message, details = null) {
+  return { code, message, details, hint: null };
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// Split a string on commas that are not nested inside (), {} or quotes
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let inQuotes = false;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (char === '(' || char === '{')) depth++;
+    if (!inQuotes && (char === ')' || char === '}')) depth--;
+
+    if (char === ',' && depth === 0 && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) parts.push(current);
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+// Parse a select string such as `*, creator:users!fkey(id, name), media_files(*)`
+function parseSelect(columns = '*') {
+  const compact = columns.replace(/\s+/g, ' ').trim() || '*';
+
+  return splitTopLevel(compact).map(part => {
+    const embedMatch = part.match(/^(?:([\w]+):)?([\w]+)(?:!([\w]+))?\s*\((.*)\)$/s);
+    if (embedMatch) {
+      const [, alias, table, hint, inner] = embedMatch;
+      return {
+        type: 'embed',
+        alias: alias || table,
+        table,
+        hint: hint && hint !== 'inner' ? hint : null,
+        inner: hint === 'inner',
+        children: parseSelect(inner)
+      };
+    }
+
+    if (part === '*') {
+      return { type: 'all' };
+    }
+
+    const [aliasOrName, maybeName] = part.split(':');
+    const name = (maybeName || aliasOrName).split('::')[0].trim();
+    return { type: 'column', name, alias: maybeName ? aliasOrName.trim() : name.replace(/^.*->>?/, '') };
+  });
+}
+
+// Read a column, supporting JSON paths like `metadata->processing->>status`
+function readPath(row, path) {
+  const segments = path.split(/->>?/);
+  let value = row[segments[0]];
+
+  for (const segment of segments.slice(1)) {
+    if (value === null || value === undefined) return undefined;
+    value = value[segment];
+  }
+
+  return value;
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+
+  if (typeof a === 'string' && typeof b === 'string' && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+    return Date.parse(a) - Date.parse(b);
+  }
+
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+
+  return String(a).localeCompare(String(b));
+}
+
+function looseEquals(a, b) {
+  if (a === null || b === null || a === undefined || b === undefined) {
+    return a === b || (a == null && b == null);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return String(a) === String(b);
+  }
+  return compareValues(a, b) === 0;
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+// Parse a PostgREST literal list like `{a,b}` or `(a,b)`
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .replace(/^[({]|[)}]$/g, '')
+    .split(',')
+    .map(item => item.trim().replace(/^"|"$/g, ''))
+    .filter(item => item !== '');
+}
+
+function coerceLiteral(value) {
+  if (/^".*"$/s.test(value)) return value.slice(1, -1);
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+const operators = {
+  eq: (actual, expected) => looseEquals(actual, expected),
+  neq: (actual, expected) => !looseEquals(actual, expected),
+  gt: (actual, expected) => actual != null && compareValues(actual, expected) > 0,
+  gte: (actual, expected) => actual != null && compareValues(actual, expected) >= 0,
+  lt: (actual, expected) => actual != null && compareValues(actual, expected) < 0,
+  lte: (actual, expected) => actual != null && compareValues(actual, expected) <= 0,
+  like: (actual, pattern) => actual != null && likeToRegExp(pattern).test(String(actual)),
+  ilike: (actual, pattern) => actual != null && likeToRegExp(pattern, 'i').test(String(actual)),
+  is: (actual, expected) => (expected === null ? actual == null : actual === expected),
+  in: (actual, list) => parseList(list).some(item => looseEquals(actual, item)),
+  cs: (actual, expected) => {
+    if (Array.isArray(actual)) {
+      return parseList(expected).every(item => actual.some(value => looseEquals(value, item)));
+    }
+    if (actual && typeof actual === 'object') {
+      const subset = typeof expected === 'string' ? JSON.parse(expected) : expected;
+      return Object.entries(subset).every(([key, value]) => looseEquals(actual[key], value));
+    }
+    return false;
+  },
+  cd: (actual, expected) => Array.isArray(actual) &&
+    actual.every(value => parseList(expected).some(item => looseEquals(value, item))),
+  ov: (actual, expected) => Array.isArray(actual) &&
+    parseList(expected).some(item => actual.some(value => looseEquals(value, item))),
+  fts: (actual, query) => actual != null && String(query).toLowerCase().split(/[\s&|]+/)
+    .filter(Boolean)
+    .every(term => String(actual).toLowerCase().includes(term.replace(/[:*!']/g, '')))
+};
+
+// Plain, phrase and websearch full-text operators, e.g. `wfts(simple)`, all match like fts
+const FTS_OPERATORS = ['fts', 'plfts', 'phfts', 'wfts'];
+
+function buildCondition(column, operator, value) {
+  const name = operator.replace(/\(\w+\)$/, '');
+  const test = operators[FTS_OPERATORS.includes(name) ? 'fts' : name];
+  if (!test) {
+    throw dbError('PGRST100', `Unsupported filter operator: ${operator}`);
+  }
+  return (row) => test(readPath(row, column), value);
+}
+
+// Parse `a.eq.1,b.ilike.%x%,and(c.gt.2,d.is.null)` into a predicate
+function parseOrFilter(expression) {
+  const conditions = splitTopLevel(expression).map(part => {
+    const groupMatch = part.match(/^(and|or)\((.*)\)$/s);
+    if (groupMatch) {
+      const nested = splitTopLevel(groupMatch[2]).map(inner => parseOrFilter(inner));
+      return groupMatch[1] === 'and'
+        ? (row) => nested.every(predicate => predicate(row))
+        : (row) => nested.some(predicate => predicate(row));
+    }
+
+    const [column, ...rest] = part.split('.');
+    let negate = false;
+    if (rest[0] === 'not') {
+      negate = true;
+      rest.shift();
+    }
+    const [operator, ...valueParts] = rest;
+    const condition = buildCondition(column, operator, coerceLiteral(valueParts.join('.')));
+    return negate ? (row) => !condition(row) : condition;
+  });
+
+  return (row) => conditions.some(predicate => predicate(row));
+}
+
+class MemoryQueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.mutationOptions = {};
+    this.columns = null;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.limitCount = null;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+  }
+
+  // Query actions
+
+  select(columns = '*', options = {}) {
+    this.columns = columns;
+    if (options.count) this.countMode = options.count;
+    if (options.head) this.head = true;
+    return this;
+  }
+
+  insert(values, options = {}) {
+    this.action = 'insert';
+    this.payload = values;
+    this.mutationOptions = options;
+    return this;
+  }
+
+  update(values, options = {}) {
+    this.action = 'update';
+    this.payload = values;
+    this.mutationOptions = options;
+    return this;
+  }
+
+  upsert(values, options = {}) {
+    this.action = 'upsert';
+    this.payload = values;
+    this.mutationOptions = options;
+    return this;
+  }
+
+  delete(options = {}) {
+    this.action = 'delete';
+    this.mutationOptions = options;
+    return this;
+  }
+
+  // Filters
+
+  filter(column, operator, value) {
+    if (operator.startsWith('not.')) {
+      return this.not(column, operator.slice(4), value);
+    }
+    this.filters.push(buildCondition(column, operator, value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, pattern) { return this.filter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  contains(column, value) { return this.filter(column, 'cs', value); }
+  containedBy(column, value) { return this.filter(column, 'cd', value); }
+  overlaps(column, value) { return this.filter(column, 'ov', value); }
+  textSearch(column, query, { type, config } = {}) {
+    const prefix = { plain: 'pl', phrase: 'ph', websearch: 'w' }[type] || '';
+    return this.filter(column, `${prefix}fts${config ? `(${config})` : ''}`, query);
+  }
+
+  not(column, operator, value) {
+    const condition = buildCondition(column, operator, value);
+    this.filters.push((row) => !condition(row));
+    return this;
+  }
+
+  match(criteria) {
+    Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseOrFilter(expression));
+    return this;
+  }
+
+  // Modifiers
+
+  order(column, { ascending = true, nullsFirst = false } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = Number(from);
+    this.rangeTo = Number(to);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = Number(count);
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  // Execution
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  async execute() {
+    try {
+      this.store.assertTable(this.table);
+
+      let rows;
+      let count = null;
+
+      switch (this.action) {
+        case 'insert':
+          rows = this.store.insertRows(this.table, this.payload);
+          break;
+        case 'upsert':
+          rows = this.store.upsertRows(this.table, this.payload, this.mutationOptions);
+          break;
+        case 'update':
+          rows = this.store.updateRows(this.table, this.matches.bind(this), this.payload);
+          break;
+        case 'delete':
+          rows = this.store.deleteRows(this.table, this.matches.bind(this));
+          break;
+        default:
+          rows = this.store.rows(this.table).filter(row => this.matches(row));
+      }
+
+      if (this.action === 'select') {
+        rows = this.applyEmbeddedInnerJoins(rows);
+        count = this.countMode ? rows.length : null;
+        rows = this.applyOrdering(rows);
+        rows = this.applyPagination(rows);
+      } else if (this.countMode) {
+        count = rows.length;
+      }
+
+      // Mutations only return rows when .select() was chained
+      if (this.action !== 'select' && this.columns === null) {
+        return { data: null, error: null, count, status: this.action === 'insert' ? 201 : 204 };
+      }
+
+      if (this.head) {
+        return { data: null, error: null, count, status: 200 };
+      }
+
+      const nodes = parseSelect(this.columns || '*');
+      const data = rows.map(row => this.store.project(this.table, row, nodes));
+
+      if (this.singleMode) {
+        if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+          return {
+            data: null,
+            error: dbError(
+              'PGRST116',
+              'JSON object requested, multiple (or no) rows returned',
+              `The result contains ${data.length} rows`
+            ),
+            count,
+            status: 406
+          };
+        }
+        return { data: data[0] || null, error: null, count, status: 200 };
+      }
+
+      return { data, error: null, count, status: 200 };
+    } catch (error) {
+      if (error && error.code) {
+        return { data: null, error, count: null, status: 400 };
+      }
+      throw error;
+    }
+  }
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  applyEmbeddedInnerJoins(rows) {
+    const innerEmbeds = parseSelect(this.columns || '*').filter(node => node.type === 'embed' && node.inner);
+    if (innerEmbeds.length === 0) return rows;
+
+    return rows.filter(row => innerEmbeds.every(node => {
+      const related = this.store.related(this.table, row, node);
+      return Array.isArray(related) ? related.length > 0 : related !== null;
+    }));
+  }
+
+  applyOrdering(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aValue = readPath(a, column);
+        const bValue = readPath(b, column);
+
+        if (aValue == null && bValue == null) continue;
+        if (aValue == null) return nullsFirst ? -1 : 1;
+        if (bValue == null) return nullsFirst ? 1 : -1;
+
+        const result = compareValues(aValue, bValue);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  applyPagination(rows) {
+    let result = rows;
+
+    if (this.rangeFrom !== null) {
+      result = result.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+
+    if (this.limitCount !== null) {
+      result = result.slice(0, this.limitCount);
+    }
+
+    return result;
+  }
+}
+
+class MemoryStore {
+  constructor(schema, seed = {}) {
+    this.schema = schema;
+    this.tables = new Map();
+
+    Object.keys(schema).forEach(table => this.tables.set(table, []));
+    Object.entries(seed).forEach(([table, rows]) => this.insertRows(table, rows));
+  }
+
+  assertTable(table) {
+    if (!this.tables.has(table)) {
+      throw dbError('42P01', `relation "public.${table}" does not exist`);
+    }
+  }
+
+  rows(table) {
+    this.assertTable(table);
+    return this.tables.get(table);
+  }
+
+  definition(table) {
+    return this.schema[table] || {};
+  }
+
+  applyDefaults(table, values) {
+    const { defaults = {} } = this.definition(table);
+    const row = { id: crypto.randomUUID() };
+
+    Object.entries(defaults).forEach(([column, value]) => {
+      row[column] = typeof value === 'function' ? value() : clone(value);
+    });
+
+    Object.entries(values).forEach(([column, value]) => {
+      if (value !== undefined) row[column] = clone(value);
+    });
+
+    return this.applyGenerated(table, row);
+  }
+
+  // Recompute generated columns from the rest of the row
+  applyGenerated(table, row) {
+    const { generated = {} } = this.definition(table);
+
+    Object.entries(generated).forEach(([column, compute]) => {
+      row[column] = compute(row);
+    });
+
+    return row;
+  }
+
+  assertUnique(table, candidate, ignoreId = null) {
+    const { unique = [] } = this.definition(table);
+    const constraints = [['id'], ...unique];
+
+    for (const columns of constraints) {
+      if (columns.some(column => candidate[column] == null)) continue;
+
+      const conflict = this.rows(table).find(row =>
+        row.id !== ignoreId && columns.every(column => looseEquals(row[column], candidate[column]))
+      );
+
+      if (conflict) {
+        throw dbError(
+          '23505',
+          `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+          `Key (${columns.join(', ')}) already exists.`
+        );
+      }
+    }
+  }
+
+  insertRows(table, values) {
+    const list = Array.isArray(values) ? values : [values];
+    const inserted = list.map(value => {
+      const row = this.applyDefaults(table, value);
+      this.assertUnique(table, row);
+      this.rows(table).push(row);
+      return row;
+    });
+    return inserted;
+  }
+
+  upsertRows(table, values, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    const list = Array.isArray(values) ? values : [values];
+    const conflictColumns = onConflict.split(',').map(column => column.trim());
+
+    return list.flatMap(value => {
+      const existing = this.rows(table).find(row =>
+        conflictColumns.every(column => value[column] !== undefined && looseEquals(row[column], value[column]))
+      );
+
+      if (!existing) {
+        return this.insertRows(table, value);
+      }
+
+      if (ignoreDuplicates) {
+        return [];
+      }
+
+      const updated = this.applyGenerated(table, { ...existing, ...clone(value), id: existing.id });
+      this.assertUnique(table, updated, existing.id);
+      Object.assign(existing, updated);
+      return [existing];
+    });
+  }
+
+  updateRows(table, predicate, values) {
+    const targets = this.rows(table).filter(predicate);
+
+    targets.forEach(row => {
+      const updated = { ...row };
+      Object.entries(values).forEach(([column, value]) => {
+        if (value !== undefined) updated[column] = clone(value);
+      });
+      this.applyGenerated(table, updated);
+      this.assertUnique(table, updated, row.id);
+      Object.assign(row, updated);
+    });
+
+    return targets;
+  }
+
+  deleteRows(table, predicate) {
+    const rows = this.rows(table);
+    const removed = rows.filter(predicate);
+    if (removed.length === 0) return removed;
+
+    this.assertNotReferenced(table, removed.map(row => row.id));
+    this.tables.set(table, rows.filter(row => !removed.includes(row)));
+    this.applyDeleteActions(table, removed.map(row => row.id));
+    return removed;
+  }
+
+  // Refuse to delete rows still referenced through a restrict foreign key
+  assertNotReferenced(table, ids) {
+    Object.entries(this.schema).forEach(([childTable, definition]) => {
+      Object.entries(definition.references || {}).forEach(([column, reference]) => {
+        if (reference.table !== table || reference.onDelete) return;
+
+        if (this.rows(childTable).some(row => ids.includes(row[column]))) {
+          throw dbError(
+            '23503',
+            `update or delete on table "${table}" violates foreign key constraint "${childTable}_${column}_fkey" on table "${childTable}"`,
+            `Key is still referenced from table "${childTable}".`
+          );
+        }
+      });
+    });
+  }
+
+  // Apply ON DELETE CASCADE / SET NULL for rows referencing deleted ids
+  applyDeleteActions(table, ids) {
+    Object.entries(this.schema).forEach(([childTable, definition]) => {
+      Object.entries(definition.references || {}).forEach(([column, reference]) => {
+        if (reference.table !== table) return;
+
+        const referencing = (row) => ids.includes(row[column]);
+
+        if (reference.onDelete === 'cascade') {
+          this.deleteRows(childTable, referencing);
+        } else if (reference.onDelete === 'set null') {
+          this.rows(childTable).filter(referencing).forEach(row => {
+            row[column] = null;
+          });
+        }
+      });
+    });
+  }
+
+  // Work out how `table` relates to `target` for an embedded select
+  resolveRelation(table, target, hint) {
+    const parentRefs = Object.entries(this.definition(table).references || {});
+    const childRefs = Object.entries(this.definition(target).references || {});
+
+    let hintColumn = null;
+    let hintTable = null;
+    if (hint) {
+      const constraint = hint.replace(/_fkey$/, '');
+      if (constraint.startsWith(`${table}_`)) {
+        hintTable = table;
+        hintColumn = constraint.slice(table.length + 1);
+      } else if (constraint.startsWith(`${target}_`)) {
+        hintTable = target;
+        hintColumn = constraint.slice(target.length + 1);
+      } else {
+        hintColumn = hint;
+      }
+    }
+
+    // Many-to-one: table.column -> target.id
+    if (hintTable !== target) {
+      const manyToOne = parentRefs.find(([column, reference]) =>
+        reference.table === target && (!hintColumn || column === hintColumn)
+      );
+      if (manyToOne) {
+        return { kind: 'one', column: manyToOne[0] };
+      }
+    }
+
+    // One-to-many: target.column -> table.id
+    if (hintTable !== table) {
+      const oneToMany = childRefs.find(([column, reference]) =>
+        reference.table === table && (!hintColumn || column === hintColumn)
+      );
+      if (oneToMany) {
+        return { kind: 'many', column: oneToMany[0] };
+      }
+    }
+
+    throw dbError(
+      'PGRST200',
+      `Could not find a relationship between '${table}' and '${target}' in the schema cache`
+    );
+  }
+
+  related(table, row, node) {
+    const relation = this.resolveRelation(table, node.table, node.hint);
+
+    if (relation.kind === 'one') {
+      const target = row[relation.column] == null
+        ? null
+        : this.rows(node.table).find(candidate => candidate.id === row[relation.column]);
+      return target || null;
+    }
+
+    return this.rows(node.table).filter(candidate => candidate[relation.column] === row.id);
+  }
+
+  project(table, row, nodes) {
+    const result = {};
+
+    nodes.forEach(node => {
+      if (node.type === 'all') {
+        Object.assign(result, clone(row));
+      } else if (node.type === 'column') {
+        result[node.alias] = clone(readPath(row, node.name));
+      } else {
+        const related = this.related(table, row, node);
+        if (Array.isArray(related)) {
+          result[node.alias] = related.map(child => this.project(node.table, child, node.children));
+        } else {
+          result[node.alias] = related ? this.project(node.table, related, node.children) : null;
+        }
+      }
+    });
+
+    return result;
+  }
+}
+
+// Storage bucket stand-in for `client.storage.from(bucket)`
+function createMemoryStorage(baseUrl) {
+  const buckets = new Map();
+
+  const bucket = (name) => {
+    if (!buckets.has(name)) buckets.set(name, new Map());
+    return buckets.get(name);
+  };
+
+  const toBuffer = async (body) => {
+    if (Buffer.isBuffer(body)) return body;
+    if (typeof body === 'string') return Buffer.from(body);
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return Buffer.from(body.buffer || body);
+    if (body && typeof body.arrayBuffer === 'function') return Buffer.from(await body.arrayBuffer());
+
+    // Node readable streams
+    const chunks = [];
+    for await (const chunk of body) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    from(name) {
+      const objects = bucket(name);
+      const publicUrl = (path) => `${baseUrl}/${name}/${path}`;
+
+      return {
+        async upload(path, body, { contentType = 'application/octet-stream', upsert = false } = {}) {
+          if (objects.has(path) && !upsert) {
+            return { data: null, error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' } };
+          }
+          const buffer = await toBuffer(body);
+          objects.set(path, { buffer, contentType, createdAt: new Date().toISOString() });
+          return { data: { path, fullPath: `${name}/${path}` }, error: null };
+        },
+
+        async download(path) {
+          const object = objects.get(path);
+          if (!object) {
+            return { data: null, error: { statusCode: '404', error: 'not_found', message: 'Object not found' } };
+          }
+          return { data: new Blob([object.buffer], { type: object.contentType }), error: null };
+        },
+
+        async move(fromPath, toPath) {
+          const object = objects.get(fromPath);
+          if (!object) {
+            return { data: null, error: { statusCode: '404', error: 'not_found', message: 'Object not found' } };
+          }
+          if (objects.has(toPath)) {
+            return { data: null, error: { statusCode: '409', error: 'Duplicate', message: 'The resource already exists' } };
+          }
+          objects.delete(fromPath);
+          objects.set(toPath, object);
+          return { data: { message: 'Successfully moved' }, error: null };
+        },
+
+        async remove(paths) {
+          const removed = paths.filter(path => objects.delete(path)).map(path => ({ name: path }));
+          return { data: removed, error: null };
+        },
+
+        async list(prefix = '', { limit = 100, offset = 0 } = {}) {
+          const entries = [...objects.entries()]
+            .filter(([path]) => path.startsWith(prefix ? `${prefix.replace(/\/$/, '')}/` : ''))
+            .slice(offset, offset + limit)
+            .map(([path, object]) => ({
+              name: prefix ? path.slice(prefix.replace(/\/$/, '').length + 1) : path,
+              created_at: object.createdAt,
+              metadata: { size: object.buffer.length, mimetype: object.contentType }
+            }));
+          return { data: entries, error: null };
+        },
+
+        getPublicUrl(path) {
+          return { data: { publicUrl: publicUrl(path) } };
+        },
+
+        async createSignedUrl(path, expiresIn) {
+          if (!objects.has(path)) {
+            return { data: null, error: { statusCode: '404', error: 'not_found', message: 'Object not found' } };
+          }
+          const expires = Math.floor(Date.now() / 1000) + expiresIn;
+          return { data: { signedUrl: `${publicUrl(path)}?expires=${expires}` }, error: null };
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Create an in-memory client with the supabase-js surface used by the API.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Table definitions (defaults to src/data/schema.js)
+ * @param {Object} [options.seed] - Initial rows keyed by table name
+ * @param {string} [options.storageUrl] - Base URL for public storage URLs
+ */
+function createMemoryClient(options = {}) {
+  const {
+    schema = defaultSchema,
+    seed = {},
+    storageUrl = 'memory://storage'
+  } = options;
+
+  const store = new MemoryStore(schema, seed);
+
+  return {
+    from: (table) => new MemoryQueryBuilder(store, table),
+    rpc: async (fn) => ({
+      data: null,
+      error: dbError('42883', `function public.${fn}() does not exist`)
+    }),
+    storage: createMemoryStorage(storageUrl),
+    // Direct access to the rows, for seeding and assertions in tests
+    _store: store
+  };
+}
+
+module.exports = {
+  createMemoryClient
+};
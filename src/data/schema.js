@@ -0,0 +1,331 @@
+// Table definitions used by the in-memory data layer.
+//
+// Mirrors supabase/migrations: column defaults, generated columns, unique
+// constraints and foreign keys (used to resolve embedded selects such as
+// `creator:users!content_items_creator_id_fkey(...)` and ON DELETE behaviour).
+// Every table has a uuid `id` primary key generated on insert.
+
+const now = () => new Date().toISOString();
+const emptyObject = () => ({});
+const emptyArray = () => [];
+
+// Foreign key helper: ON DELETE behaviour is 'cascade', 'set null' or null (restrict)
+const references = (table, onDelete = 'cascade') => ({ table, onDelete });
+
+// media_files.search_vector: the words of public.media_file_search_text()
+const mediaSearchText = ({ original_name, tags, metadata }) => [
+  original_name,
+  ...(tags || []),
+  metadata?.exif?.make,
+  metadata?.exif?.model,
+  metadata?.exif?.lens,
+  metadata?.codec,
+  metadata?.audioCodec,
+  metadata?.format
+].filter(Boolean).join(' ').toLowerCase();
+
+const schema = {
+  users: {
+    defaults: {
+      role: 'creator',
+      status: 'active',
+      timezone: 'UTC',
+      mfa_enabled: false,
+      mfa_recovery_codes: emptyArray,
+      mfa_failed_attempts: 0,
+      created_at: now,
+      updated_at: now
+    },
+    unique: [['email']]
+  },
+
+  workspaces: {
+    defaults: { settings: emptyObject, created_at: now, updated_at: now },
+    references: {
+      owner_id: references('users')
+    }
+  },
+
+  workspace_members: {
+    defaults: { role: 'editor', status: 'active', joined_at: now },
+    unique: [['workspace_id', 'user_id']],
+    references: {
+      workspace_id: references('workspaces'),
+      user_id: references('users'),
+      invited_by: references('users', null)
+    }
+  },
+
+  workspace_invitations: {
+    defaults: { role: 'editor', status: 'pending', created_at: now },
+    unique: [['token_hash']],
+    references: {
+      workspace_id: references('workspaces'),
+      invited_by: references('users', 'set null')
+    }
+  },
+
+  clients: {
+    defaults: { status: 'active', settings: emptyObject, created_at: now, updated_at: now },
+    references: {
+      user_id: references('users', 'set null'),
+      creator_id: references('users'),
+      workspace_id: references('workspaces')
+    }
+  },
+
+  content_items: {
+    defaults: { status: 'draft', ai_generated: false, publish_attempts: 0, approval_round: 0, series_detached: false, overridden_fields: emptyArray, created_at: now, updated_at: now },
+    unique: [['series_id', 'series_occurrence'], ['campaign_id', 'platform']],
+    references: {
+      client_id: references('clients'),
+      creator_id: references('users'),
+      workspace_id: references('workspaces'),
+      social_account_id: references('social_accounts', 'set null'),
+      submitted_by: references('users', 'set null'),
+      series_id: references('content_series', 'set null'),
+      campaign_id: references('content_campaigns', 'set null')
+    }
+  },
+
+  content_series: {
+    defaults: { timezone: 'UTC', ai_fill: emptyObject, horizon_days: 28, status: 'active', exdates: emptyArray, created_at: now, updated_at: now },
+    references: {
+      creator_id: references('users'),
+      workspace_id: references('workspaces'),
+      client_id: references('clients')
+    }
+  },
+
+  content_campaigns: {
+    defaults: { hashtags: emptyArray, media_urls: emptyArray, created_at: now, updated_at: now },
+    references: {
+      creator_id: references('users'),
+      workspace_id: references('workspaces'),
+      client_id: references('clients')
+    }
+  },
+
+  content_comments: {
+    defaults: { type: 'comment', metadata: emptyObject, mentions: emptyArray, created_at: now },
+    references: {
+      content_item_id: references('content_items'),
+      user_id: references('users'),
+      parent_id: references('content_comments'),
+      resolved_by: references('users', 'set null'),
+      deleted_by: references('users', 'set null')
+    }
+  },
+
+  content_comment_history: {
+    defaults: { created_at: now },
+    references: {
+      comment_id: references('content_comments'),
+      actor_id: references('users', 'set null')
+    }
+  },
+
+  content_revisions: {
+    defaults: { changed_fields: emptyArray, created_at: now },
+    unique: [['content_item_id', 'version']],
+    references: {
+      content_item_id: references('content_items'),
+      author_id: references('users', 'set null')
+    }
+  },
+
+  calendar_feeds: {
+    defaults: { created_at: now },
+    unique: [['token_hash']],
+    references: {
+      user_id: references('users'),
+      workspace_id: references('workspaces')
+    }
+  },
+
+  content_approvals: {
+    defaults: { created_at: now },
+    unique: [['content_item_id', 'round', 'stage', 'user_id']],
+    references: {
+      content_item_id: references('content_items'),
+      user_id: references('users'),
+      comment_id: references('content_comments', 'set null')
+    }
+  },
+
+  media_files: {
+    defaults: { tags: emptyArray, metadata: emptyObject, processing_status: 'pending', processing_attempts: 0, created_at: now },
+    generated: { search_vector: mediaSearchText },
+    references: {
+      content_item_id: references('content_items'),
+      uploaded_by: references('users'),
+      client_id: references('clients'),
+      workspace_id: references('workspaces'),
+      storage_object_id: references('storage_objects', null),
+      folder_id: references('media_folders', 'set null')
+    }
+  },
+
+  media_folders: {
+    defaults: { created_at: now, updated_at: now },
+    references: {
+      workspace_id: references('workspaces'),
+      client_id: references('clients'),
+      parent_id: references('media_folders'),
+      created_by: references('users')
+    }
+  },
+
+  media_collections: {
+    defaults: { created_at: now, updated_at: now },
+    references: {
+      workspace_id: references('workspaces'),
+      client_id: references('clients'),
+      created_by: references('users')
+    }
+  },
+
+  media_collection_items: {
+    defaults: { created_at: now },
+    unique: [['collection_id', 'media_file_id']],
+    references: {
+      collection_id: references('media_collections'),
+      media_file_id: references('media_files'),
+      added_by: references('users', 'set null')
+    }
+  },
+
+  share_links: {
+    defaults: { view_count: 0, failed_password_attempts: 0, created_at: now },
+    unique: [['token_hash']],
+    references: {
+      media_file_id: references('media_files'),
+      content_item_id: references('content_items'),
+      workspace_id: references('workspaces'),
+      created_by: references('users'),
+      revoked_by: references('users', 'set null')
+    }
+  },
+
+  share_link_views: {
+    defaults: { viewed_at: now },
+    references: {
+      share_link_id: references('share_links')
+    }
+  },
+
+  storage_objects: {
+    defaults: { created_at: now, last_used_at: now },
+    unique: [['sha256'], ['storage_path']]
+  },
+
+  file_uploads: {
+    defaults: { tags: emptyArray, upload_offset: 0, parts: emptyArray, status: 'uploading', created_at: now, updated_at: now },
+    references: {
+      user_id: references('users'),
+      workspace_id: references('workspaces'),
+      client_id: references('clients', 'set null'),
+      content_item_id: references('content_items', 'set null'),
+      folder_id: references('media_folders', 'set null'),
+      media_file_id: references('media_files', 'set null')
+    }
+  },
+
+  hashtag_packs: {
+    defaults: { usage_count: 0, created_at: now, updated_at: now },
+    references: {
+      user_id: references('users'),
+      workspace_id: references('workspaces')
+    }
+  },
+
+  hashtag_research: {
+    defaults: { created_at: now },
+    references: {
+      user_id: references('users'),
+      workspace_id: references('workspaces')
+    }
+  },
+
+  ai_generations: {
+    defaults: { created_at: now },
+    references: {
+      user_id: references('users'),
+      content_item_id: references('content_items', 'set null')
+    }
+  },
+
+  trending_data: {
+    defaults: { region: 'global', metadata: emptyObject, created_at: now, updated_at: now }
+  },
+
+  trending_hashtags: {
+    defaults: { updated_at: now }
+  },
+
+  trending_content: {
+    defaults: { updated_at: now }
+  },
+
+  social_accounts: {
+    defaults: { account_data: emptyObject, status: 'active', token_refresh_attempts: 0, created_at: now, updated_at: now },
+    unique: [['user_id', 'platform', 'account_id']],
+    references: {
+      user_id: references('users'),
+      client_id: references('clients')
+    }
+  },
+
+  oauth_states: {
+    defaults: { created_at: now },
+    references: {
+      user_id: references('users'),
+      client_id: references('clients')
+    }
+  },
+
+  analytics_data: {
+    defaults: { created_at: now },
+    unique: [['social_account_id', 'metric_type', 'date_range_start', 'date_range_end']],
+    references: {
+      social_account_id: references('social_accounts')
+    }
+  },
+
+  auth_sessions: {
+    defaults: { last_used_at: now, created_at: now },
+    references: {
+      user_id: references('users')
+    }
+  },
+
+  refresh_tokens: {
+    defaults: { created_at: now },
+    unique: [['token_hash']],
+    references: {
+      session_id: references('auth_sessions'),
+      replaced_by: references('refresh_tokens', 'set null')
+    }
+  },
+
+  token_denylist: {
+    defaults: { created_at: now }
+  },
+
+  auth_tokens: {
+    defaults: { created_at: now },
+    unique: [['token_hash']],
+    references: {
+      user_id: references('users')
+    }
+  },
+
+  notifications: {
+    defaults: { data: emptyObject, read: false, created_at: now },
+    references: {
+      user_id: references('users')
+    }
+  }
+};
+
+module.exports = schema;
@@ -1,7 +1,18 @@
 const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/database');
+const { isAccessTokenDenied } = require('../services/sessions');
+const { getLinkedClientIds } = require('../services/clients');
+const {
+  POLICY_ERRORS,
+  RESOURCES,
+  resourceTypeOf,
+  evaluate,
+  loadResource
+} = require('../services/policy');
 const logger = require('../utils/logger');
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // Verify JWT token and extract user info
 const authenticateToken = async (req, res, next) => {
   try {
@@ -17,6 +28,15 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session; reject tokens from before sessions
+    // existed and tokens whose session or jti has been revoked
+    if (!decoded.sid || await isAccessTokenDenied({ jti: decoded.jti, sid: decoded.sid })) {
+      return res.status(401).json({
+        error: 'Token revoked',
+        message: 'This session has been signed out. Please log in again'
+      });
+    }
     
     // Get user from database
     const { data: user, error } = await supabaseAdmin
@@ -33,14 +53,29 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // Check if user is active
-    if (user.status !== 'active') {
+    if (user.status !== 'active' && user.status !== 'unverified') {
       return res.status(403).json({ 
         error: 'Account inactive',
         message: 'Your account has been deactivated'
       });
     }
 
+    // Unverified accounts can read and manage their own auth, but not change anything else
+    if (user.status === 'unverified' && !allowedBeforeVerification(req)) {
+      return res.status(403).json({
+        error: 'Email not verified',
+        message: 'Please verify your email address to continue'
+      });
+    }
+
     req.user = user;
+    req.auth = { sessionId: decoded.sid, jti: decoded.jti, expiresAt: decoded.exp };
+
+    // Client logins see the data of the client records they're linked to
+    if (user.role === 'client') {
+      req.clientIds = await getLinkedClientIds(user.id);
+    }
+
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -66,6 +101,11 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Requests an account may make before its email address is verified
+const allowedBeforeVerification = (req) => {
+  return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.baseUrl === '/api/auth';
+};
+
 // Check if user has required role
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -90,79 +130,26 @@ const requireRole = (roles) => {
   };
 };
 
-// Check if user can access specific workspace/client
+// Check if user can access the workspace and/or client named in the route params
 const requireWorkspaceAccess = async (req, res, next) => {
   try {
-    const { workspaceId, clientId } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
-
-    // Admins have access to everything
-    if (userRole === 'admin') {
-      return next();
-    }
+    const checks = [['workspace:read', req.params.workspaceId], ['client:read', req.params.clientId]];
 
-    // Check workspace access
-    if (workspaceId) {
-      const { data: workspace, error } = await supabaseAdmin
-        .from('workspaces')
-        .select('*, workspace_members(*)')
-        .eq('id', workspaceId)
-        .single();
-
-      if (error || !workspace) {
-        return res.status(404).json({ 
-          error: 'Workspace not found',
-          message: 'The requested workspace does not exist'
-        });
+    for (const [action, id] of checks) {
+      if (!id) {
+        continue;
       }
 
-      // Check if user is workspace owner or member
-      const isOwner = workspace.owner_id === userId;
-      const isMember = workspace.workspace_members.some(member => 
-        member.user_id === userId && member.status === 'active'
-      );
-
-      if (!isOwner && !isMember) {
-        return res.status(403).json({ 
-          error: 'Access denied',
-          message: 'You do not have access to this workspace'
-        });
-      }
-    }
+      const resource = await loadResource(resourceTypeOf(action), id);
 
-    // Check client access
-    if (clientId) {
-      const { data: client, error } = await supabaseAdmin
-        .from('clients')
-        .select('*, workspace:workspaces(*)')
-        .eq('id', clientId)
-        .single();
-
-      if (error || !client) {
-        return res.status(404).json({ 
-          error: 'Client not found',
-          message: 'The requested client does not exist'
-        });
+      if (!resource) {
+        return sendNotFound(res, resourceTypeOf(action));
       }
 
-      // For client role, they can only access their own data
-      if (userRole === 'client' && client.user_id !== userId) {
-        return res.status(403).json({ 
-          error: 'Access denied',
-          message: 'You can only access your own client data'
-        });
-      }
+      const decision = await checkPermission(req, action, resource);
 
-      // For other roles, check workspace access
-      if (userRole !== 'client') {
-        const workspaceOwnerId = client.workspace?.owner_id;
-        if (workspaceOwnerId !== userId) {
-          return res.status(403).json({ 
-            error: 'Access denied',
-            message: 'You do not have access to this client'
-          });
-        }
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
       }
     }
 
@@ -176,8 +163,132 @@ const requireWorkspaceAccess = async (req, res, next) => {
   }
 };
 
+// Scope the request to the workspace named by the X-Workspace-Id header or
+// ?workspaceId=. Sets req.workspace ({ id, name, settings, role }); requests
+// without either stay scoped to the user's own items.
+const resolveWorkspace = async (req, res, next) => {
+  const workspaceId = req.get('X-Workspace-Id') || req.query.workspaceId;
+
+  if (!workspaceId) {
+    return next();
+  }
+
+  if (!UUID_PATTERN.test(workspaceId)) {
+    return res.status(400).json({
+      error: 'Invalid workspace',
+      message: 'Workspace ID must be a valid UUID'
+    });
+  }
+
+  try {
+    const workspace = await loadResource('workspace', workspaceId);
+
+    if (!workspace) {
+      return sendNotFound(res, 'workspace');
+    }
+
+    const decision = await checkPermission(req, 'workspace:read', workspace);
+
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    req.workspace = { id: workspace.id, name: workspace.name, settings: workspace.settings || {}, role: decision.workspaceRole };
+    next();
+  } catch (error) {
+    logger.error('Workspace resolution error:', error);
+    res.status(500).json({
+      error: 'Access check failed',
+      message: 'Internal server error during access verification'
+    });
+  }
+};
+
+// Allow the request only if the permission policy (services/policy) lets the
+// user perform `action` on the resource. By default the resource is loaded by
+// req.params.id; pass `getResource(req)` to supply it instead, e.g.
+// workspaceScope for creates. The resource is left on req.resource and the
+// decision on req.permission.
+const authorize = (action, getResource) => {
+  return async (req, res, next) => {
+    try {
+      const type = resourceTypeOf(action);
+      const resource = getResource ? await getResource(req) : await loadResource(type, req.params.id);
+
+      if (!resource) {
+        return sendNotFound(res, type);
+      }
+
+      const decision = await checkPermission(req, action, resource);
+
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
+
+      req.resource = resource;
+      req.permission = decision;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Resource for creates: the workspace resolveWorkspace selected, if any
+const workspaceScope = (req) => ({ workspace_id: req.workspace?.id || null });
+
+// Resource for actions that aren't about a particular row
+const withoutResource = () => ({});
+
+// Ask the policy whether the current user may perform `action` on `resource`,
+// for checks that depend on the request body
+const checkPermission = (req, action, resource, attributes) => {
+  return evaluate({ ...req.user, clientIds: req.clientIds || [] }, action, resource, attributes);
+};
+
+// Respond to a denied decision. Resources the user can't see at all get a
+// 404 so their existence isn't revealed.
+const sendPermissionDenied = (req, res, decision) => {
+  const { action, resource, reason } = decision;
+
+  logger.info(`Permission denied: ${action} on ${resource.type} ${resource.id || '-'} for user ${req.user.id} (${reason})`);
+
+  let body;
+  if (decision.status === 404) {
+    body = notFoundBody(resource.type);
+  } else if (decision.code === POLICY_ERRORS.MFA_REQUIRED) {
+    body = { error: 'Two-factor authentication required', code: decision.code, message: reason };
+  } else if (decision.code === POLICY_ERRORS.CONTENT_LOCKED) {
+    body = { error: 'Content locked', code: decision.code, message: reason };
+  } else {
+    body = { error: 'Access denied', code: decision.code, message: reason };
+  }
+
+  // Explain mode: `X-Explain-Permissions: true` adds the rules that were
+  // checked. Admins can always use it; everyone can when POLICY_EXPLAIN=true
+  if (req.get('X-Explain-Permissions') === 'true' &&
+      (req.user.role === 'admin' || process.env.POLICY_EXPLAIN === 'true')) {
+    body.explanation = { action, resource, reason, trace: decision.trace };
+  }
+
+  return res.status(decision.status).json(body);
+};
+
+const sendNotFound = (res, type) => res.status(404).json(notFoundBody(type));
+
+const notFoundBody = (type) => {
+  const { label, noun } = RESOURCES[type];
+  return { error: `${label} not found`, message: `The requested ${noun} does not exist` };
+};
+
 module.exports = {
   authenticateToken,
   requireRole,
-  requireWorkspaceAccess
+  requireWorkspaceAccess,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  withoutResource,
+  checkPermission,
+  sendPermissionDenied
 };
\ No newline at end of file
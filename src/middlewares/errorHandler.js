@@ -89,6 +89,7 @@ const errorHandler = (err, req, res, next) => {
   if (err.status) {
     error.status = err.status;
     error.message = err.message;
+    error.code = typeof err.code === 'string' ? err.code : undefined;
   }
 
   // Don't leak error details in production
@@ -98,6 +99,10 @@ const errorHandler = (err, req, res, next) => {
     path: req.path
   };
 
+  if (error.code) {
+    response.code = error.code;
+  }
+
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
     response.details = err.details;
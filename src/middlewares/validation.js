@@ -1,4 +1,4 @@
-const { body, param, query, validationResult } = require('express-validator');
+const { body, header, param, query, validationResult } = require('express-validator');
 
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
@@ -35,10 +35,11 @@ const validateUserRegistration = [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Last name must be between 2 and 50 characters'),
+  // Admins are made by other admins and client logins through portal access
   body('role')
     .optional()
-    .isIn(['admin', 'agency', 'creator', 'client'])
-    .withMessage('Role must be one of: admin, agency, creator, client'),
+    .isIn(['agency', 'creator'])
+    .withMessage('Role must be one of: agency, creator'),
   handleValidationErrors
 ];
 
@@ -53,7 +54,174 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  handleValidationErrors
+];
+
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors
+];
+
+const validateAccountSetup = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Setup token is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  handleValidationErrors
+];
+
+const validateMfaCode = [
+  body('code')
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Code must be the 6-digit code from your authenticator app'),
+  handleValidationErrors
+];
+
+const validateMfaLogin = [
+  body('mfaToken')
+    .isString()
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\s*\d{3}\s?\d{3}\s*$/)
+    .withMessage('Provide the 6-digit code from your authenticator app or a recovery code'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Recovery code is invalid'),
+  handleValidationErrors
+];
+
+// Workspace validation rules
+const validateWorkspace = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Workspace name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  handleValidationErrors
+];
+
+const validateWorkspaceInvitation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('role')
+    .optional()
+    .isIn(['manager', 'editor', 'viewer'])
+    .withMessage('Role must be one of: manager, editor, viewer'),
+  handleValidationErrors
+];
+
+const validateInvitationToken = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  handleValidationErrors
+];
+
+// Client validation rules; `isUpdate` makes every field optional
+const clientRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Client name must be between 1 and 100 characters'),
+  body('email')
+    .optional({ nullable: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body(['brand', 'industry'])
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Brand and industry must not exceed 100 characters'),
+  body(['targetAudience', 'brandVoice'])
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Target audience and brand voice must not exceed 500 characters'),
+  body('brandColors')
+    .optional({ nullable: true })
+    .isArray({ max: 10 })
+    .withMessage('Brand colors must be an array with at most 10 items'),
+  body('brandColors.*')
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Each brand color must be a hex color such as #1A2B3C'),
+  body(['logoUrl', 'websiteUrl'])
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Logo and website URLs must be valid http(s) URLs'),
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object'),
+  handleValidationErrors
+];
+
+const validateClient = clientRules(false);
+const validateClientUpdate = clientRules(true);
+
+const validatePortalAccess = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body(['firstName', 'lastName'])
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Names must be between 1 and 50 characters'),
+  handleValidationErrors
+];
+
 // Content validation rules
+const validatePermissionExplain = [
+  body('action')
+    .isString()
+    .matches(/^[a-z_]+:[a-z_]+$/)
+    .withMessage('Action must look like resource:verb, e.g. content:update'),
+  body(['resourceId', 'userId', 'workspaceId'])
+    .optional()
+    .isUUID()
+    .withMessage('IDs must be valid UUIDs'),
+  handleValidationErrors
+];
+
 const validateContentCreation = [
   body('title')
     .trim()
@@ -76,8 +244,626 @@ const validateContentCreation = [
     .withMessage('Scheduled date must be a valid ISO 8601 date'),
   body('status')
     .optional()
-    .isIn(['draft', 'review', 'approved', 'scheduled', 'published'])
-    .withMessage('Status must be one of: draft, review, approved, scheduled, published'),
+    .isIn(['draft', 'approved', 'scheduled'])
+    .withMessage('Status must be one of: draft, approved, scheduled'),
+  handleValidationErrors
+];
+
+const validateContentComment = [
+  body('type')
+    .optional()
+    .isIn(['comment', 'revision', 'approval', 'rejection'])
+    .withMessage('Type must be one of: comment, revision, approval, rejection'),
+  body('comment')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must not exceed 2000 characters'),
+  body('parentId')
+    .optional()
+    .isUUID()
+    .withMessage('Parent ID must be a valid UUID'),
+  body('anchor.field')
+    .if(body('anchor').exists())
+    .isIn(['title', 'description', 'caption', 'script', 'hashtags'])
+    .withMessage('Anchor field must be one of: title, description, caption, script, hashtags'),
+  body(['anchor.startSeconds', 'anchor.endSeconds'])
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Anchor times must be a number of seconds'),
+  handleValidationErrors
+];
+
+const validateCommentEdit = [
+  body('comment')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+  handleValidationErrors
+];
+
+// Optional note attached to a workflow transition
+const validateWorkflowComment = [
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Comment must be between 1 and 2000 characters'),
+  handleValidationErrors
+];
+
+const validateRejection = [
+  body('comment')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Say what needs to change (up to 2000 characters)'),
+  handleValidationErrors
+];
+
+// Why a content item was changed, saved with its revision
+const validateRevisionReason = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+  handleValidationErrors
+];
+
+const validateContentVersion = [
+  param('id')
+    .isUUID()
+    .withMessage('ID must be a valid UUID'),
+  param('version')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Version must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateVersionDiff = [
+  query(['from', 'to'])
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Versions must be positive integers'),
+  handleValidationErrors
+];
+
+// Longest range one calendar request can cover
+const MAX_CALENDAR_DAYS = 92;
+
+const validateCalendarRange = [
+  query(['from', 'to'])
+    .isISO8601()
+    .withMessage('From and to must be valid ISO 8601 dates'),
+  query('to')
+    .custom((to, { req }) => {
+      const days = (new Date(to) - new Date(req.query.from)) / (24 * 60 * 60 * 1000);
+      return days > 0 && days <= MAX_CALENDAR_DAYS;
+    })
+    .withMessage(`To must be after from, and at most ${MAX_CALENDAR_DAYS} days later`),
+  query('timezone')
+    .optional()
+    .custom(timeZone => {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    })
+    .withMessage('Timezone must be an IANA time zone, e.g. Europe/London'),
+  handleValidationErrors
+];
+
+const validateReschedule = [
+  param('id')
+    .isUUID()
+    .withMessage('ID must be a valid UUID'),
+  body('scheduledDate')
+    .isISO8601()
+    .withMessage('Scheduled date must be a valid ISO 8601 date'),
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('Force must be a boolean')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// Platform rule check of an item (`contentId`) or of copy not saved yet;
+// fields given alongside `contentId` replace the item's
+const validatePlatformCheck = [
+  body('contentId')
+    .optional()
+    .isUUID()
+    .withMessage('Content ID must be a valid UUID'),
+  body('platform')
+    .if(body('contentId').not().exists())
+    .isIn(['tiktok', 'instagram', 'youtube', 'linkedin', 'twitter'])
+    .withMessage('Platform must be one of: tiktok, instagram, youtube, linkedin, twitter'),
+  body('contentType')
+    .if(body('contentId').not().exists())
+    .isIn(['video', 'image', 'carousel', 'story', 'post'])
+    .withMessage('Content type must be one of: video, image, carousel, story, post'),
+  body(['title', 'description', 'caption'])
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Title, description and caption must be text'),
+  body('hashtags')
+    .optional()
+    .isArray()
+    .withMessage('Hashtags must be an array'),
+  body('mediaUrls')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Media URLs must be an array of at most 50'),
+  body('mediaFileIds')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Media file IDs must be an array of at most 50'),
+  body('mediaFileIds.*')
+    .isUUID()
+    .withMessage('Media file IDs must be valid UUIDs'),
+  body('media')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Media must be an array of at most 50'),
+  body('media.*.kind')
+    .isIn(['image', 'video', 'document'])
+    .withMessage('Media kind must be one of: image, video, document'),
+  body(['media.*.bytes', 'media.*.width', 'media.*.height'])
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Media size, width and height must be positive whole numbers'),
+  body('media.*.duration')
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Media duration must be a number of seconds'),
+  handleValidationErrors
+];
+
+const validateCalendarFeedToken = [
+  query('token')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Feed token is required'),
+  handleValidationErrors
+];
+
+const validateShareLink = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  body('password')
+    .optional()
+    .isString()
+    .isLength({ min: 6, max: 100 })
+    .withMessage('Password must be between 6 and 100 characters'),
+  handleValidationErrors
+];
+
+const validateShareToken = [
+  param('token')
+    .isString()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Share token is required'),
+  handleValidationErrors
+];
+
+const validateApprovalStages = [
+  body('stages')
+    .isArray({ max: 10 })
+    .withMessage('Stages must be an array of at most 10 stages'),
+  body('stages.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Stage names must be between 1 and 50 characters'),
+  body('stages.*.approverRole')
+    .optional({ nullable: true })
+    .isIn(['owner', 'manager', 'editor', 'viewer', 'client'])
+    .withMessage('Approver role must be one of: owner, manager, editor, viewer, client'),
+  body('stages.*.approverIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Approver IDs must be an array'),
+  body('stages.*.approverIds.*')
+    .isUUID()
+    .withMessage('Approver IDs must be valid UUIDs'),
+  body('stages.*.requiredApprovals')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Required approvals must be between 1 and 10'),
+  handleValidationErrors
+];
+
+// Content series validation rules; `isUpdate` makes every field optional and
+// merges template fields into the existing template
+const seriesRules = (isUpdate) => {
+  const required = (chain) => isUpdate ? chain.optional() : chain;
+
+  return [
+    required(body('name'))
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Series name must be between 1 and 100 characters'),
+    required(body('recurrence'))
+      .isString()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Recurrence must be a rule such as FREQ=WEEKLY;BYDAY=TU'),
+    required(body('startsAt'))
+      .isISO8601()
+      .withMessage('Start must be a valid ISO 8601 date'),
+    body('timezone')
+      .optional()
+      .custom(timeZone => {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+      })
+      .withMessage('Timezone must be an IANA time zone, e.g. Europe/London'),
+    body('clientId')
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Client ID must be a valid UUID'),
+    body('horizonDays')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .toInt()
+      .withMessage('Horizon must be between 1 and 90 days'),
+    body('status')
+      .optional()
+      .isIn(['active', 'paused'])
+      .withMessage('Status must be active or paused'),
+    required(body('template'))
+      .isObject()
+      .withMessage('Template must be an object'),
+    required(body('template.title'))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Template title must be between 1 and 200 characters'),
+    body('template.description')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Template description must not exceed 1000 characters'),
+    required(body('template.platform'))
+      .isIn(['tiktok', 'instagram', 'youtube', 'linkedin', 'twitter'])
+      .withMessage('Platform must be one of: tiktok, instagram, youtube, linkedin, twitter'),
+    required(body('template.contentType'))
+      .isIn(['video', 'image', 'carousel', 'story', 'post'])
+      .withMessage('Content type must be one of: video, image, carousel, story, post'),
+    body(['template.script', 'template.caption'])
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Template script and caption must be text'),
+    body('template.hashtags')
+      .optional({ nullable: true })
+      .isArray({ max: 30 })
+      .withMessage('Template hashtags must be an array of at most 30'),
+    body('aiFill')
+      .optional()
+      .isObject()
+      .custom(aiFill => Object.keys(aiFill).every(field => ['caption', 'script', 'hashtags'].includes(field)))
+      .withMessage('AI fill can only set caption, script and hashtags'),
+    body('aiFill.*.prompt')
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage('AI fill prompts must be between 10 and 1000 characters'),
+    body('aiFill.*.tone')
+      .optional()
+      .isIn(['professional', 'casual', 'funny', 'inspirational', 'educational'])
+      .withMessage('Tone must be one of: professional, casual, funny, inspirational, educational'),
+    body('aiFill.*.niche')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Niche must not exceed 100 characters'),
+    handleValidationErrors
+  ];
+};
+
+const validateContentSeries = seriesRules(false);
+const validateContentSeriesUpdate = seriesRules(true);
+
+// Shared campaign fields, on the campaign (`prefix` '') or a variant ('variants.*.')
+const campaignFieldRules = (prefix, isOptional) => {
+  const required = (chain) => isOptional ? chain.optional() : chain;
+
+  return [
+    required(body(`${prefix}title`))
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body(`${prefix}description`)
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must not exceed 1000 characters'),
+    required(body(`${prefix}contentType`))
+      .isIn(['video', 'image', 'carousel', 'story', 'post'])
+      .withMessage('Content type must be one of: video, image, carousel, story, post'),
+    body([`${prefix}script`, `${prefix}caption`])
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('Script and caption must be text'),
+    body(`${prefix}hashtags`)
+      .optional()
+      .isArray()
+      .withMessage('Hashtags must be an array'),
+    body(`${prefix}mediaUrls`)
+      .optional()
+      .isArray({ max: 35 })
+      .withMessage('Media URLs must be an array of at most 35'),
+    body(`${prefix}mediaUrls.*`)
+      .isURL()
+      .withMessage('Media URLs must be valid URLs')
+  ];
+};
+
+const variantRules = (prefix) => [
+  body(`${prefix}platform`)
+    .isIn(['tiktok', 'instagram', 'youtube', 'linkedin', 'twitter'])
+    .withMessage('Platform must be one of: tiktok, instagram, youtube, linkedin, twitter'),
+  body(`${prefix}scheduledDate`)
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Scheduled date must be a valid ISO 8601 date'),
+  ...campaignFieldRules(prefix, true)
+];
+
+const validateCampaign = [
+  ...campaignFieldRules('', false),
+  body('clientId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Client ID must be a valid UUID'),
+  body('variants')
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Variants must be an array of 1-5 platforms')
+    .custom(variants => new Set(variants.map(variant => variant && variant.platform)).size === variants.length)
+    .withMessage('Each platform can only have one variant'),
+  ...variantRules('variants.*.'),
+  handleValidationErrors
+];
+
+const validateCampaignUpdate = [
+  ...campaignFieldRules('', true),
+  handleValidationErrors
+];
+
+const validateCampaignVariant = [
+  ...variantRules(''),
+  handleValidationErrors
+];
+
+const validateOverrideReset = [
+  body('fields')
+    .optional()
+    .isArray({ min: 1 })
+    .custom(fields => fields.every(field => ['title', 'description', 'contentType', 'script', 'caption', 'hashtags', 'mediaUrls'].includes(field)))
+    .withMessage('Fields must be shared fields: title, description, contentType, script, caption, hashtags, mediaUrls'),
+  handleValidationErrors
+];
+
+// Resumable upload creation: the tus Upload-Length header, and the
+// Upload-Metadata entries, which the route reads into the body
+const validateUploadCreation = [
+  header('upload-length')
+    .isInt({ min: 1 })
+    .withMessage('Upload-Length must be the file size in bytes'),
+  body('filename')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Upload-Metadata must include a filename of at most 255 characters'),
+  body('filetype')
+    .trim()
+    .notEmpty()
+    .withMessage('Upload-Metadata must include the filetype'),
+  body(['contentItemId', 'clientId', 'folderId'])
+    .optional()
+    .isUUID()
+    .withMessage('Content item, client and folder IDs must be valid UUIDs'),
+  body('tags')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Tags must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+// Storage garbage collection options
+const validateGarbageCollection = [
+  body('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dryRun must be true or false'),
+  body('graceHours')
+    .optional()
+    .isInt({ min: 1, max: 24 * 30 })
+    .withMessage('graceHours must be between 1 and 720')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Most files one bulk request can change
+const MAX_BULK_FILES = 100;
+
+const PROCESSING_STATUSES = ['pending', 'processing', 'ready', 'failed', 'skipped'];
+
+// Comma-separated list, e.g. `?tags=summer,beach`
+const toList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Asset library search: GET /api/files
+const validateFileSearch = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('type')
+    .optional()
+    .isIn(['image', 'video', 'document'])
+    .withMessage('Type must be image, video or document'),
+  query('processingStatus')
+    .optional()
+    .isIn(PROCESSING_STATUSES)
+    .withMessage(`Processing status must be one of: ${PROCESSING_STATUSES.join(', ')}`),
+  query(['clientId', 'contentItemId', 'folderId', 'collectionId'])
+    .optional()
+    .isUUID()
+    .withMessage('Client, content item, folder and collection IDs must be valid UUIDs'),
+  query(['includeSubfolders', 'unfiled'])
+    .optional()
+    .isBoolean()
+    .withMessage('includeSubfolders and unfiled must be true or false')
+    .toBoolean(),
+  query('unfiled')
+    .custom((unfiled, { req }) => !(unfiled && req.query.folderId))
+    .withMessage('Filter by folderId or unfiled, not both'),
+  query('tags')
+    .optional()
+    .customSanitizer(toList),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search must be at most 200 characters'),
+  query(['minWidth', 'maxWidth', 'minHeight', 'maxHeight'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Dimensions must be whole numbers of pixels')
+    .toInt(),
+  query(['minDuration', 'maxDuration'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Durations must be a number of seconds')
+    .toFloat(),
+  query(['uploadedAfter', 'uploadedBefore'])
+    .optional()
+    .isISO8601()
+    .withMessage('uploadedAfter and uploadedBefore must be valid ISO 8601 dates'),
+  query('sort')
+    .optional()
+    .isIn(['created_at', 'original_name', 'file_size'])
+    .withMessage('Sort must be created_at, original_name or file_size'),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  handleValidationErrors
+];
+
+const folderNameRule = () => body('name')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Name must be between 1 and 100 characters')
+  .not()
+  .contains('/')
+  .withMessage('Name cannot contain /');
+
+const validateFolder = [
+  folderNameRule(),
+  body(['parentId', 'clientId'])
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Parent and client IDs must be valid UUIDs'),
+  handleValidationErrors
+];
+
+// Rename (`name`) and/or move (`parentId`, null for the top level) a folder
+const validateFolderUpdate = [
+  folderNameRule().optional(),
+  body('parentId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Parent ID must be a valid UUID'),
+  body()
+    .custom(payload => payload.name !== undefined || payload.parentId !== undefined)
+    .withMessage('Provide a new name or parentId'),
+  handleValidationErrors
+];
+
+// `fileIds` of a bulk request: 1-100 file IDs
+const fileIdsRules = (optional = false) => {
+  const rule = body('fileIds');
+  return [
+    (optional ? rule.optional() : rule)
+      .isArray({ min: 1, max: MAX_BULK_FILES })
+      .withMessage(`fileIds must be an array of 1-${MAX_BULK_FILES} file IDs`),
+    body('fileIds.*')
+      .isUUID()
+      .withMessage('File IDs must be valid UUIDs')
+  ];
+};
+
+const validateCollection = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters'),
+  body('clientId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Client ID must be a valid UUID'),
+  ...fileIdsRules(true),
+  handleValidationErrors
+];
+
+const validateCollectionUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters'),
+  handleValidationErrors
+];
+
+const validateCollectionFiles = [
+  ...fileIdsRules(),
+  handleValidationErrors
+];
+
+// Bulk move: `folderId` null moves the files out of their folders
+const validateBulkMove = [
+  ...fileIdsRules(),
+  body('folderId')
+    .exists()
+    .withMessage('folderId is required: a folder ID, or null to move the files out of their folders'),
+  body('folderId')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Folder ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+const validateBulkTag = [
+  ...fileIdsRules(),
+  body(['add', 'remove'])
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('add and remove must be arrays of at most 50 tags')
+    .custom(tags => tags.every(tag => typeof tag === 'string' && tag.trim().length > 0 && tag.length <= 50))
+    .withMessage('Tags must be non-empty strings of at most 50 characters')
+    .customSanitizer(tags => tags.map(tag => tag.trim())),
+  body()
+    .custom(payload => (payload.add || []).length + (payload.remove || []).length > 0)
+    .withMessage('Provide tags to add or remove'),
+  handleValidationErrors
+];
+
+const validateBulkDelete = [
+  ...fileIdsRules(),
   handleValidationErrors
 ];
 
@@ -135,6 +921,14 @@ const validateObjectId = [
   handleValidationErrors
 ];
 
+// UUID route parameters by name, e.g. validateUuidParams('id', 'userId')
+const validateUuidParams = (...names) => [
+  ...names.map(name => param(name)
+    .isUUID()
+    .withMessage(`${name} must be a valid UUID`)),
+  handleValidationErrors
+];
+
 const validatePagination = [
   query('page')
     .optional()
@@ -151,9 +945,54 @@ module.exports = {
   handleValidationErrors,
   validateUserRegistration,
   validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateAccountSetup,
+  validateEmailVerification,
+  validateMfaCode,
+  validateMfaLogin,
+  validateWorkspace,
+  validateWorkspaceInvitation,
+  validateInvitationToken,
+  validateClient,
+  validateClientUpdate,
+  validatePortalAccess,
+  validatePermissionExplain,
   validateContentCreation,
+  validateContentComment,
+  validateCommentEdit,
+  validateWorkflowComment,
+  validateRejection,
+  validateApprovalStages,
+  validateRevisionReason,
+  validateContentVersion,
+  validateVersionDiff,
+  validateCalendarRange,
+  validateReschedule,
+  validateCalendarFeedToken,
+  validateShareLink,
+  validateShareToken,
+  validatePlatformCheck,
+  validateContentSeries,
+  validateContentSeriesUpdate,
+  validateCampaign,
+  validateCampaignUpdate,
+  validateCampaignVariant,
+  validateOverrideReset,
+  validateUploadCreation,
+  validateGarbageCollection,
+  validateFileSearch,
+  validateFolder,
+  validateFolderUpdate,
+  validateCollection,
+  validateCollectionUpdate,
+  validateCollectionFiles,
+  validateBulkMove,
+  validateBulkTag,
+  validateBulkDelete,
   validateAIGeneration,
   validateHashtagPack,
   validateObjectId,
+  validateUuidParams,
   validatePagination
 };
\ No newline at end of file
@@ -1,17 +1,12 @@
 const express = require('express');
-const OpenAI = require('openai');
 const { authenticateToken } = require('../middlewares/auth');
 const { validateAIGeneration } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
+const { generateContent } = require('../services/aiGeneration');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * @swagger
  * /api/ai/generate:
@@ -51,86 +46,7 @@ router.post('/generate', authenticateToken, validateAIGeneration, async (req, re
     const { prompt, type, platform, tone, niche } = req.body;
     const userId = req.user.id;
 
-    // Build system prompt based on type
-    const systemPrompts = {
-      hook: `You are an expert social media content creator specializing in creating viral hooks. Generate compelling, scroll-stopping hooks that grab attention in the first 3 seconds. Focus on curiosity, controversy, or strong emotional triggers.`,
-      
-      script: `You are a professional scriptwriter for social media content. Create engaging scripts with clear structure: Hook (0-3s), Value/Story (4-45s), and Call-to-Action (46-60s). Include timing markers and visual cues.`,
-      
-      caption: `You are a social media caption expert. Write engaging captions that drive engagement, include relevant emojis, and end with strong calls-to-action. Optimize for the specific platform's best practices.`,
-      
-      hashtags: `You are a hashtag research specialist. Generate strategic hashtag combinations that balance reach and relevance. Include a mix of trending, niche, and branded hashtags with estimated reach potential.`,
-      
-      ideas: `You are a creative content strategist. Generate diverse, actionable content ideas that align with current trends and audience interests. Include content format suggestions and engagement strategies.`
-    };
-
-    // Build user prompt with context
-    let contextualPrompt = prompt;
-    
-    if (platform) {
-      contextualPrompt += ` for ${platform}`;
-    }
-    
-    if (niche) {
-      contextualPrompt += ` in the ${niche} niche`;
-    }
-    
-    if (tone) {
-      contextualPrompt += ` with a ${tone} tone`;
-    }
-
-    // Add platform-specific guidelines
-    const platformGuidelines = {
-      tiktok: 'Optimize for TikTok: vertical format, trending sounds, quick cuts, authentic feel.',
-      instagram: 'Optimize for Instagram: visual storytelling, hashtag strategy, Stories/Reels format.',
-      youtube: 'Optimize for YouTube: strong thumbnails, SEO titles, engaging intros, clear value.',
-      linkedin: 'Optimize for LinkedIn: professional tone, industry insights, thought leadership.',
-      twitter: 'Optimize for Twitter: concise messaging, trending topics, thread potential.'
-    };
-
-    if (platform && platformGuidelines[platform]) {
-      contextualPrompt += ` ${platformGuidelines[platform]}`;
-    }
-
-    // Generate content using OpenAI
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompts[type]
-        },
-        {
-          role: 'user',
-          content: contextualPrompt
-        }
-      ],
-      max_tokens: type === 'script' ? 1000 : 500,
-      temperature: 0.8
-    });
-
-    const generatedContent = completion.choices[0].message.content;
-
-    // Save generation to database for analytics
-    const { error: saveError } = await supabaseAdmin
-      .from('ai_generations')
-      .insert({
-        user_id: userId,
-        prompt: contextualPrompt,
-        type,
-        platform,
-        tone,
-        niche,
-        generated_content: generatedContent,
-        tokens_used: completion.usage.total_tokens,
-        created_at: new Date().toISOString()
-      });
-
-    if (saveError) {
-      logger.error('Failed to save AI generation:', saveError);
-    }
-
-    logger.info(`AI content generated for user ${userId}: ${type}`);
+    const { content: generatedContent, tokensUsed } = await generateContent(userId, { prompt, type, platform, tone, niche });
 
     res.json({
       success: true,
@@ -140,7 +56,7 @@ router.post('/generate', authenticateToken, validateAIGeneration, async (req, re
         platform,
         tone,
         niche,
-        tokensUsed: completion.usage.total_tokens,
+        tokensUsed,
         generatedAt: new Date().toISOString()
       }
     });
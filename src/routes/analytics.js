@@ -2,16 +2,12 @@ const express = require('express');
 const { authenticateToken, requireWorkspaceAccess } = require('../middlewares/auth');
 const { validateObjectId } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
-const OpenAI = require('openai');
+const { getOpenAI } = require('../config/openai');
+const { syncContentMetrics } = require('../services/analyticsSync');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * @swagger
  * /api/analytics/overview:
@@ -257,7 +253,7 @@ router.get('/content', authenticateToken, async (req, res, next) => {
       .gte('published_date', startDate.toISOString());
 
     if (userRole === 'client') {
-      contentQuery = contentQuery.eq('client_id', userId);
+      contentQuery = contentQuery.in('client_id', req.clientIds);
     } else {
       contentQuery = contentQuery.eq('creator_id', userId);
     }
@@ -272,7 +268,7 @@ router.get('/content', authenticateToken, async (req, res, next) => {
       throw error;
     }
 
-    // Generate mock performance data for content
+    // Use synced platform metrics where available, otherwise mock performance data
     const contentPerformance = contentItems.map(item => ({
       id: item.id,
       title: item.title,
@@ -280,15 +276,19 @@ router.get('/content', authenticateToken, async (req, res, next) => {
       contentType: item.content_type,
       publishedDate: item.published_date,
       client: item.client,
-      performance: {
-        views: Math.floor(Math.random() * 500000) + 10000,
-        likes: Math.floor(Math.random() * 25000) + 500,
-        comments: Math.floor(Math.random() * 1000) + 50,
-        shares: Math.floor(Math.random() * 5000) + 100,
-        saves: Math.floor(Math.random() * 3000) + 150,
-        engagement_rate: (Math.random() * 20 + 5).toFixed(1) + '%',
-        reach: Math.floor(Math.random() * 300000) + 8000
-      }
+      platformPostUrl: item.platform_post_url || null,
+      metricsSyncedAt: item.performance_data?.synced_at || null,
+      performance: item.performance_data?.metrics
+        ? formatSyncedMetrics(item.performance_data.metrics)
+        : {
+          views: Math.floor(Math.random() * 500000) + 10000,
+          likes: Math.floor(Math.random() * 25000) + 500,
+          comments: Math.floor(Math.random() * 1000) + 50,
+          shares: Math.floor(Math.random() * 5000) + 100,
+          saves: Math.floor(Math.random() * 3000) + 150,
+          engagement_rate: (Math.random() * 20 + 5).toFixed(1) + '%',
+          reach: Math.floor(Math.random() * 300000) + 8000
+        }
     }));
 
     // Sort by requested metric
@@ -360,7 +360,7 @@ Please provide:
 
 Format as JSON with sections: highlights, improvements, content_strategy, posting_optimization, platform_tips`;
 
-    const completion = await openai.chat.completions.create({
+    const completion = await getOpenAI().chat.completions.create({
       model: 'gpt-4',
       messages: [
         {
@@ -510,6 +510,43 @@ router.post('/export', authenticateToken, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/analytics/sync:
+ *   post:
+ *     summary: Sync post metrics from connected platforms
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: integer
+ *                 default: 30
+ */
+router.post('/sync', authenticateToken, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const days = Math.min(parseInt(req.body.days) || 30, 365);
+
+    const summary = await syncContentMetrics({ userId, days });
+
+    logger.info(`Metrics synced for user ${userId}: ${summary.synced} synced, ${summary.failed} failed`);
+
+    res.json({
+      success: true,
+      message: 'Metrics synced successfully',
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Helper function to get analytics overview
 async function getAnalyticsOverview(userId, period, clientId = null) {
   // This would typically fetch real data from social media APIs
@@ -616,4 +653,21 @@ function processAnalyticsData(analyticsData, socialAccounts, period) {
   return generateMockAnalytics(socialAccounts, period);
 }
 
+// Helper function to shape synced platform metrics like the mock performance data
+function formatSyncedMetrics(metrics) {
+  const interactions = (metrics.likes || 0) + (metrics.comments || 0) +
+    (metrics.shares || 0) + (metrics.saves || 0);
+  const views = metrics.views || 0;
+
+  return {
+    views,
+    likes: metrics.likes || 0,
+    comments: metrics.comments || 0,
+    shares: metrics.shares || 0,
+    saves: metrics.saves || 0,
+    engagement_rate: views > 0 ? (interactions / views * 100).toFixed(1) + '%' : '0.0%',
+    reach: metrics.reach || views
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,41 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { supabaseAdmin } = require('../config/database');
-const { validateUserRegistration, validateUserLogin } = require('../middlewares/validation');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateAccountSetup,
+  validateEmailVerification,
+  validateMfaCode,
+  validateMfaLogin,
+  validateObjectId
+} = require('../middlewares/validation');
 const { authenticateToken } = require('../middlewares/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  SessionError
+} = require('../services/sessions');
+const { issueAuthToken, consumeAuthToken, AuthTokenError, AUTH_TOKEN_ERRORS } = require('../services/authTokens');
+const {
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  disableMfa,
+  regenerateRecoveryCodes,
+  createChallenge,
+  verifyChallenge,
+  consumeChallenge,
+  getWorkspacesRequiringMfa,
+  MfaError,
+  MFA_ERRORS
+} = require('../services/mfa');
+const { sendEmail } = require('./notifications');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -38,7 +70,7 @@ const router = express.Router();
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [admin, agency, creator, client]
+ *                 enum: [agency, creator]
  *                 default: creator
  */
 router.post('/register', validateUserRegistration, async (req, res, next) => {
@@ -72,7 +104,7 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
         first_name: firstName,
         last_name: lastName,
         role,
-        status: 'active',
+        status: 'unverified',
         created_at: new Date().toISOString()
       })
       .select('id, email, first_name, last_name, role, status, created_at')
@@ -82,12 +114,15 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
       throw error;
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session (short-lived access token + rotating refresh token)
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    // Verification mail failures must not fail registration; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailError) {
+      logger.error('Verification email failed:', emailError);
+    }
 
     logger.info(`New user registered: ${email}`);
 
@@ -100,9 +135,12 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
         lastName: user.last_name,
         role: user.role,
         status: user.status,
+        emailVerified: false,
         createdAt: user.created_at
       },
-      token
+      token,
+      refreshToken,
+      expiresIn
     });
   } catch (error) {
     next(error);
@@ -114,6 +152,7 @@ router.post('/register', validateUserRegistration, async (req, res, next) => {
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: When two-factor authentication is enabled, the response has `mfaRequired` and a short-lived `mfaToken` instead of a session; finish with /api/auth/login/mfa.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -149,8 +188,8 @@ router.post('/login', validateUserLogin, async (req, res, next) => {
       });
     }
 
-    // Check if user is active
-    if (user.status !== 'active') {
+    // Check if user is active (unverified accounts may sign in with limited access)
+    if (user.status !== 'active' && user.status !== 'unverified') {
       return res.status(403).json({
         error: 'Account inactive',
         message: 'Your account has been deactivated. Please contact support.'
@@ -166,34 +205,89 @@ router.post('/login', validateUserLogin, async (req, res, next) => {
       });
     }
 
-    // Update last login
-    await supabaseAdmin
-      .from('users')
-      .update({ last_login: new Date().toISOString() })
-      .eq('id', user.id);
+    // Accounts with two-factor authentication get a challenge instead of a session
+    if (user.mfa_enabled) {
+      const { mfaToken, expiresIn } = createChallenge(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+      logger.info(`Password accepted, awaiting second factor: ${email}`);
 
-    logger.info(`User logged in: ${email}`);
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken,
+        expiresIn
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        status: user.status,
-        lastLogin: user.last_login
-      },
-      token
-    });
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login/mfa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchanges the mfaToken returned by /api/auth/login plus a TOTP code or an unused recovery code for a session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ */
+router.post('/login/mfa', validateMfaLogin, async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    let result;
+    let user;
+    try {
+      const challenge = await verifyChallenge(mfaToken);
+
+      const { data, error } = await supabaseAdmin
+        .from('users')
+        .select('*')
+        .eq('id', challenge.userId)
+        .single();
+
+      if (error || !data || !data.mfa_enabled) {
+        throw new MfaError(MFA_ERRORS.CHALLENGE_INVALID, 'The login challenge is invalid', 401);
+      }
+
+      if (data.status !== 'active' && data.status !== 'unverified') {
+        return res.status(403).json({
+          error: 'Account inactive',
+          message: 'Your account has been deactivated. Please contact support.'
+        });
+      }
+
+      user = data;
+      result = await verifySecondFactor(user, { code, recoveryCode });
+      await consumeChallenge(challenge);
+    } catch (mfaError) {
+      if (mfaError instanceof MfaError) {
+        return sendMfaError(res, mfaError);
+      }
+      throw mfaError;
+    }
+
+    await completeLogin(req, res, user, result.usedRecoveryCode
+      ? { remainingRecoveryCodes: result.remainingRecoveryCodes }
+      : {});
   } catch (error) {
     next(error);
   }
@@ -220,6 +314,8 @@ router.get('/me', authenticateToken, async (req, res, next) => {
         lastName: user.last_name,
         role: user.role,
         status: user.status,
+        emailVerified: Boolean(user.email_verified_at),
+        mfaEnabled: Boolean(user.mfa_enabled),
         createdAt: user.created_at,
         lastLogin: user.last_login
       }
@@ -233,25 +329,51 @@ router.get('/me', authenticateToken, async (req, res, next) => {
  * @swagger
  * /api/auth/refresh:
  *   post:
- *     summary: Refresh JWT token
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated on every call. Presenting an already used refresh token signs out the whole session.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  */
-router.post('/refresh', authenticateToken, async (req, res, next) => {
+router.post('/refresh', async (req, res, next) => {
   try {
-    const user = req.user;
+    const { refreshToken } = req.body;
 
-    // Generate new JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        error: 'Missing refresh token',
+        message: 'refreshToken is required'
+      });
+    }
+
+    let session;
+    try {
+      session = await rotateRefreshToken(refreshToken);
+    } catch (sessionError) {
+      if (sessionError instanceof SessionError) {
+        return res.status(401).json({
+          error: 'Invalid refresh token',
+          code: sessionError.code,
+          message: sessionError.message
+        });
+      }
+      throw sessionError;
+    }
 
     res.json({
       message: 'Token refreshed successfully',
-      token
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
     });
   } catch (error) {
     next(error);
@@ -263,15 +385,15 @@ router.post('/refresh', authenticateToken, async (req, res, next) => {
  * /api/auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current session, including its refresh token and access token.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  */
 router.post('/logout', authenticateToken, async (req, res, next) => {
   try {
-    // In a more complex setup, you might want to blacklist the token
-    // For now, we'll just return success as the client should discard the token
-    
+    await revokeSession(req.auth.sessionId, 'logout');
+
     logger.info(`User logged out: ${req.user.email}`);
 
     res.json({
@@ -282,4 +404,673 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === req.auth.sessionId
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session (sign out a device)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/sessions/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { data: session } = await supabaseAdmin
+      .from('auth_sessions')
+      .select('id, user_id, revoked_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'The requested session does not exist or has already been revoked'
+      });
+    }
+
+    await revokeSession(id, 'revoked_by_user');
+
+    logger.info(`Session ${id} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always responds with success so the endpoint can't be used to discover registered emails.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ */
+router.post('/forgot-password', validateForgotPassword, async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const { data: user } = await supabaseAdmin
+      .from('users')
+      .select('id, email, first_name, status')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (user && ['active', 'unverified'].includes(user.status)) {
+      try {
+        await sendPasswordResetEmail(user);
+        logger.info(`Password reset requested for user ${user.id}`);
+      } catch (emailError) {
+        logger.error('Password reset email failed:', emailError);
+      }
+    }
+
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: Signs out every existing session of the account.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ */
+router.post('/reset-password', validatePasswordReset, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    let userId;
+    try {
+      userId = await consumeAuthToken(token, 'password_reset');
+    } catch (tokenError) {
+      if (tokenError instanceof AuthTokenError) {
+        return res.status(400).json({
+          error: 'Invalid reset token',
+          code: tokenError.code,
+          message: tokenError.message
+        });
+      }
+      throw tokenError;
+    }
+
+    const { data: user, error: fetchError } = await supabaseAdmin
+      .from('users')
+      .select('id, status, email_verified_at')
+      .eq('id', userId)
+      .single();
+
+    if (fetchError || !user) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        code: AUTH_TOKEN_ERRORS.INVALID,
+        message: 'This link is invalid'
+      });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const updateData = {
+      password_hash: await bcrypt.hash(password, saltRounds),
+      updated_at: new Date().toISOString()
+    };
+
+    // Following an emailed link proves the address belongs to the user
+    if (user.status === 'unverified') {
+      updateData.status = 'active';
+      updateData.email_verified_at = new Date().toISOString();
+    }
+
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update(updateData)
+      .eq('id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    await revokeUserSessions(userId, 'password_reset');
+
+    logger.info(`Password reset for user ${userId}`);
+
+    res.json({
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/setup-account:
+ *   post:
+ *     summary: Choose a password for an invited client portal account
+ *     description: Activates the account created by POST /api/clients/{id}/portal-access.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ */
+router.post('/setup-account', validateAccountSetup, async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    let userId;
+    try {
+      userId = await consumeAuthToken(token, 'account_setup');
+    } catch (tokenError) {
+      if (tokenError instanceof AuthTokenError) {
+        return res.status(400).json({
+          error: 'Invalid setup token',
+          code: tokenError.code,
+          message: tokenError.message
+        });
+      }
+      throw tokenError;
+    }
+
+    const { data: user, error: fetchError } = await supabaseAdmin
+      .from('users')
+      .select('id, status')
+      .eq('id', userId)
+      .single();
+
+    // Portal access may have been withdrawn since the link was sent
+    if (fetchError || !user || !['active', 'unverified'].includes(user.status)) {
+      return res.status(400).json({
+        error: 'Invalid setup token',
+        code: AUTH_TOKEN_ERRORS.INVALID,
+        message: 'This link is invalid'
+      });
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const now = new Date().toISOString();
+
+    // Following the emailed link proves the address belongs to the user
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({
+        password_hash: await bcrypt.hash(password, saltRounds),
+        status: 'active',
+        email_verified_at: now,
+        updated_at: now
+      })
+      .eq('id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    await revokeUserSessions(userId, 'account_setup');
+
+    logger.info(`Account setup completed for user ${userId}`);
+
+    res.json({
+      message: 'Your account is ready. Please log in with your new password'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ */
+router.post('/verify-email', validateEmailVerification, async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    let userId;
+    try {
+      userId = await consumeAuthToken(token, 'email_verification');
+    } catch (tokenError) {
+      if (tokenError instanceof AuthTokenError) {
+        return res.status(400).json({
+          error: 'Invalid verification token',
+          code: tokenError.code,
+          message: tokenError.message
+        });
+      }
+      throw tokenError;
+    }
+
+    const { data: user, error: fetchError } = await supabaseAdmin
+      .from('users')
+      .select('id, status')
+      .eq('id', userId)
+      .single();
+
+    if (fetchError || !user) {
+      return res.status(400).json({
+        error: 'Invalid verification token',
+        code: AUTH_TOKEN_ERRORS.INVALID,
+        message: 'This link is invalid'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('users')
+      .update({
+        status: user.status === 'unverified' ? 'active' : user.status,
+        email_verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Email verified for user ${userId}`);
+
+    res.json({
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'This email address has already been verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new TOTP secret and an otpauth:// URI to show as a QR code. Two-factor authentication is not active until confirmed with /api/auth/mfa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/mfa/setup', authenticateToken, async (req, res, next) => {
+  try {
+    let enrolment;
+    try {
+      enrolment = await startEnrolment(req.user);
+    } catch (mfaError) {
+      if (mfaError instanceof MfaError) {
+        return sendMfaError(res, mfaError);
+      }
+      throw mfaError;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        secret: enrolment.secret,
+        otpauthUrl: enrolment.otpauthUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: Activates two-factor authentication and returns recovery codes. They are shown only once. Other sessions are signed out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ */
+router.post('/mfa/enable', authenticateToken, validateMfaCode, async (req, res, next) => {
+  try {
+    let recoveryCodes;
+    try {
+      recoveryCodes = await confirmEnrolment(req.user, req.body.code);
+    } catch (mfaError) {
+      if (mfaError instanceof MfaError) {
+        return sendMfaError(res, mfaError);
+      }
+      throw mfaError;
+    }
+
+    await revokeUserSessions(req.user.id, 'mfa_enabled', { exceptSessionId: req.auth.sessionId });
+
+    logger.info(`Two-factor authentication enabled for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Requires the password and a current code or recovery code. Not allowed while a workspace the user belongs to requires two-factor authentication.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ */
+router.post('/mfa/disable', authenticateToken, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = req.user;
+
+    if (!password || !(await bcrypt.compare(String(password), user.password_hash))) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Password is incorrect'
+      });
+    }
+
+    const requiredBy = await getWorkspacesRequiringMfa(user.id);
+    if (requiredBy.length > 0) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        code: MFA_ERRORS.REQUIRED,
+        message: `Two-factor authentication is required by: ${requiredBy.map(workspace => workspace.name).join(', ')}`
+      });
+    }
+
+    try {
+      await verifySecondFactor(user, { code, recoveryCode });
+    } catch (mfaError) {
+      if (mfaError instanceof MfaError) {
+        return sendMfaError(res, mfaError);
+      }
+      throw mfaError;
+    }
+
+    await disableMfa(user.id);
+
+    logger.info(`Two-factor authentication disabled for user ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     description: Invalidates every existing recovery code and returns a new set.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ */
+router.post('/mfa/recovery-codes', authenticateToken, validateMfaCode, async (req, res, next) => {
+  try {
+    try {
+      await verifySecondFactor(req.user, { code: req.body.code });
+    } catch (mfaError) {
+      if (mfaError instanceof MfaError) {
+        return sendMfaError(res, mfaError);
+      }
+      throw mfaError;
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    logger.info(`Recovery codes regenerated for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to email a verification link
+async function sendVerificationEmail(user) {
+  const token = await issueAuthToken(user.id, 'email_verification');
+
+  await sendEmail({
+    to: user.email,
+    subject: 'ContentFlow AI: Verify your email address',
+    title: `Welcome, ${user.first_name}!`,
+    message: 'Confirm your email address to start creating, scheduling and publishing content.',
+    actionUrl: `${process.env.FRONTEND_URL}/verify-email?token=${token}`,
+    actionLabel: 'Verify Email',
+    footer: 'You received this email because an account was created with this address on ContentFlow AI.'
+  });
+}
+
+// Helper function to email a password reset link
+async function sendPasswordResetEmail(user) {
+  const token = await issueAuthToken(user.id, 'password_reset');
+
+  await sendEmail({
+    to: user.email,
+    subject: 'ContentFlow AI: Reset your password',
+    title: 'Reset your password',
+    message: 'Someone asked to reset the password for your account. If it was you, use the button below. The link expires soon and works once; if you did not ask for it, you can ignore this email.',
+    actionUrl: `${process.env.FRONTEND_URL}/reset-password?token=${token}`,
+    actionLabel: 'Reset Password',
+    footer: 'You received this email because a password reset was requested for your ContentFlow AI account.'
+  });
+}
+
+// Helper function to start a session once every login factor has been checked
+async function completeLogin(req, res, user, extra = {}) {
+  await supabaseAdmin
+    .from('users')
+    .update({ last_login: new Date().toISOString() })
+    .eq('id', user.id);
+
+  // Start a session (short-lived access token + rotating refresh token)
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  // Members of workspaces that require 2FA must enrol before using them
+  const mfaSetupRequired = !user.mfa_enabled && (await getWorkspacesRequiringMfa(user.id)).length > 0;
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      status: user.status,
+      emailVerified: Boolean(user.email_verified_at),
+      mfaEnabled: Boolean(user.mfa_enabled),
+      lastLogin: user.last_login
+    },
+    mfaSetupRequired,
+    ...extra,
+    token,
+    refreshToken,
+    expiresIn
+  });
+}
+
+// Helper function to send an MfaError as a JSON response
+function sendMfaError(res, error) {
+  return res.status(error.status).json({
+    error: 'Two-factor authentication failed',
+    code: error.code,
+    message: error.message
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,577 @@
+const express = require('express');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const {
+  validateCampaign,
+  validateCampaignUpdate,
+  validateCampaignVariant,
+  validateOverrideReset,
+  validateObjectId,
+  validateUuidParams,
+  validatePagination
+} = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const {
+  SHARED_FIELDS,
+  SHARED_FIELD_KEYS,
+  CAMPAIGN_ERRORS,
+  pickSharedFields,
+  buildVariant,
+  findVariants,
+  checkVariants,
+  createVariants,
+  planPropagation,
+  applyPropagation
+} = require('../services/contentCampaigns');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   get:
+ *     summary: List campaign posts with their platform variants
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's campaign posts instead of your own
+ */
+router.get('/', authenticateToken, resolveWorkspace, validatePagination, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('content_campaigns')
+      .select(`
+        *,
+        client:clients(id, name, brand),
+        variants:content_items(id, platform, status, scheduled_date)
+      `)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    let countQuery = supabaseAdmin
+      .from('content_campaigns')
+      .select('*', { count: 'exact', head: true });
+
+    query = scopeCampaignQuery(query, req);
+    countQuery = scopeCampaignQuery(countQuery, req);
+
+    const { data: campaigns, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const { count } = await countQuery;
+
+    res.json({
+      success: true,
+      data: campaigns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns:
+ *   post:
+ *     summary: Create a campaign post with a variant per platform
+ *     description: >
+ *       Each variant is a draft content item with its own schedule. Variants
+ *       start with the campaign's shared copy; shared fields a variant sets
+ *       itself are overrides, which campaign edits leave alone. Fails with
+ *       400 and `code: platform_limits` when a variant breaks its platform's
+ *       caption, hashtag or media limits.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - contentType
+ *               - variants
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               contentType:
+ *                 type: string
+ *                 enum: [video, image, carousel, story, post]
+ *               script:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               hashtags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               mediaUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               clientId:
+ *                 type: string
+ *                 format: uuid
+ *               variants:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 5
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - platform
+ *                   properties:
+ *                     platform:
+ *                       type: string
+ *                       enum: [tiktok, instagram, youtube, linkedin, twitter]
+ *                     scheduledDate:
+ *                       type: string
+ *                       format: date-time
+ *                     caption:
+ *                       type: string
+ *                       description: Any shared field can be set to override it
+ *                     hashtags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Create the campaign post in this workspace (requires the editor role)
+ */
+router.post('/', authenticateToken, resolveWorkspace, authorize('campaign:create', workspaceScope), validateCampaign, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { clientId, variants } = req.body;
+    const shared = {
+      hashtags: [],
+      media_urls: [],
+      ...pickSharedFields(req.body)
+    };
+
+    if (clientId && !await checkClient(req, res, clientId, req.workspace?.id || null)) {
+      return;
+    }
+
+    const planned = variants.map(variant => buildVariant(shared, variant));
+    const problems = await checkVariants(planned);
+
+    if (problems.length > 0) {
+      return sendPlatformLimits(res, problems);
+    }
+
+    const { data: campaign, error } = await supabaseAdmin
+      .from('content_campaigns')
+      .insert({
+        ...shared,
+        client_id: clientId || null,
+        creator_id: userId,
+        workspace_id: req.workspace?.id || null,
+        created_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const items = await createVariants(campaign, planned, req.user);
+
+    logger.info(`Campaign post created: ${campaign.id} by user ${userId} (${items.map(item => item.platform).join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign post created successfully',
+      data: { ...campaign, variants: items }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign post with its variants
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, authorize('campaign:read'), async (req, res, next) => {
+  try {
+    const variants = await findVariants(req.resource.id);
+
+    res.json({
+      success: true,
+      data: { ...req.resource, variants }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   put:
+ *     summary: Update a campaign post's shared copy
+ *     description: >
+ *       Changed fields are copied to the variants that haven't overridden
+ *       them. Variants in review, approved, scheduled or published are left
+ *       as they are and listed in `skipped`. Nothing is saved when an updated
+ *       variant would break its platform's limits (400, `code: platform_limits`).
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.put('/:id', authenticateToken, validateObjectId, authorize('campaign:update'), validateCampaignUpdate, async (req, res, next) => {
+  try {
+    const before = req.resource;
+    const changes = Object.fromEntries(
+      Object.entries(pickSharedFields(req.body))
+        .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(before[field]))
+    );
+
+    const variants = await findVariants(before.id);
+    const { updates, skipped } = planPropagation(variants, changes);
+    const problems = await checkVariants(updates.map(({ variant, changes: inherited }) => ({ ...variant, ...inherited })));
+
+    if (problems.length > 0) {
+      return sendPlatformLimits(res, problems);
+    }
+
+    const { data: campaign, error } = await supabaseAdmin
+      .from('content_campaigns')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', before.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const updated = await applyPropagation(campaign, updates, req.user);
+
+    logger.info(`Campaign post updated: ${campaign.id} by user ${req.user.id} (${updated.length} variant(s) updated, ${skipped.length} skipped)`);
+
+    res.json({
+      success: true,
+      message: 'Campaign post updated successfully',
+      data: {
+        ...campaign,
+        variants: await findVariants(campaign.id),
+        updated: updated.map(item => item.id),
+        skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   delete:
+ *     summary: Delete a campaign post
+ *     description: Its variants are kept as separate content items
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, authorize('campaign:delete'), async (req, res, next) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('content_campaigns')
+      .delete()
+      .eq('id', req.resource.id);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Campaign post deleted: ${req.resource.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Campaign post deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/variants:
+ *   post:
+ *     summary: Add a platform variant to a campaign post
+ *     description: Takes the same fields as an entry of `variants` when creating a campaign post
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/variants', authenticateToken, validateObjectId, authorize('campaign:update'), validateCampaignVariant, async (req, res, next) => {
+  try {
+    const campaign = req.resource;
+    const existing = await findVariants(campaign.id);
+
+    if (existing.some(variant => variant.platform === req.body.platform)) {
+      return res.status(409).json({
+        error: 'Variant exists',
+        code: CAMPAIGN_ERRORS.DUPLICATE_PLATFORM,
+        message: `This campaign post already has a ${req.body.platform} variant`
+      });
+    }
+
+    const planned = buildVariant(campaign, req.body);
+    const problems = await checkVariants([planned]);
+
+    if (problems.length > 0) {
+      return sendPlatformLimits(res, problems);
+    }
+
+    const [item] = await createVariants(campaign, [planned], req.user);
+
+    logger.info(`Campaign post ${campaign.id}: ${item.platform} variant ${item.id} added by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/variants/{variantId}/reset:
+ *   post:
+ *     summary: Drop a variant's overrides
+ *     description: >
+ *       The variant takes the campaign's current value of the given shared
+ *       fields (all of them by default) and follows campaign edits to them
+ *       again. Only drafts and rejected variants can be reset.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [title, description, contentType, script, caption, hashtags, mediaUrls]
+ */
+router.post('/:id/variants/:variantId/reset', authenticateToken, validateUuidParams('id', 'variantId'), authorize('campaign:update'), validateOverrideReset, async (req, res, next) => {
+  try {
+    const campaign = req.resource;
+    const variant = (await findVariants(campaign.id)).find(item => item.id === req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        error: 'Variant not found',
+        message: 'The campaign post has no such variant'
+      });
+    }
+
+    const decision = await checkPermission(req, 'content:update', variant);
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const fields = req.body.fields ? req.body.fields.map(key => SHARED_FIELD_KEYS[key]) : SHARED_FIELDS;
+    const remaining = (variant.overridden_fields || []).filter(field => !fields.includes(field));
+    const dropped = (variant.overridden_fields || []).filter(field => fields.includes(field));
+
+    // The variant takes the campaign's values as if they had just been edited
+    const { updates, skipped } = planPropagation(
+      [{ ...variant, overridden_fields: remaining }],
+      Object.fromEntries(dropped.map(field => [field, campaign[field]]))
+    );
+
+    if (skipped.length > 0) {
+      return res.status(409).json({
+        error: 'Variant locked',
+        message: `The variant is ${variant.status}; only drafts and rejected variants can be reset`
+      });
+    }
+
+    const problems = await checkVariants(updates.map(({ variant: item, changes }) => ({ ...item, ...changes })));
+
+    if (problems.length > 0) {
+      return sendPlatformLimits(res, problems);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('content_items')
+      .update({ overridden_fields: remaining })
+      .eq('id', variant.id);
+
+    if (error) {
+      throw error;
+    }
+
+    await applyPropagation(campaign, updates, req.user);
+
+    const item = (await findVariants(campaign.id)).find(row => row.id === variant.id);
+
+    res.json({
+      success: true,
+      message: dropped.length > 0 ? `${dropped.length} override(s) dropped` : 'The variant had no overrides to drop',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to limit a campaign query to the request's workspace, or to
+// the user's own campaign posts when no workspace is selected
+function scopeCampaignQuery(query, req) {
+  return req.workspace
+    ? query.eq('workspace_id', req.workspace.id)
+    : query.eq('creator_id', req.user.id);
+}
+
+// Helper function to report variants that break their platform's limits
+function sendPlatformLimits(res, problems) {
+  return res.status(400).json({
+    error: 'Platform limits exceeded',
+    code: CAMPAIGN_ERRORS.PLATFORM_LIMITS,
+    message: `${problems.map(problem => problem.platform).join(', ')} variant(s) break the platform's limits`,
+    variants: problems
+  });
+}
+
+// Helper function to check that the campaign post can be for a client; sends
+// the error response and returns false when it can't
+async function checkClient(req, res, clientId, workspaceId) {
+  const { data: client, error } = await supabaseAdmin
+    .from('clients')
+    .select('*')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!client) {
+    res.status(404).json({
+      error: 'Client not found',
+      message: 'The specified client does not exist'
+    });
+    return false;
+  }
+
+  const decision = await checkPermission(req, 'client:read', client);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return false;
+  }
+
+  // Workspace campaign posts can only be for the workspace's own clients
+  if (workspaceId && client.workspace_id !== workspaceId) {
+    res.status(400).json({
+      error: 'Invalid client',
+      message: 'The client does not belong to this workspace'
+    });
+    return false;
+  }
+
+  if (client.status === 'archived') {
+    res.status(400).json({
+      error: 'Client archived',
+      message: 'Content cannot be added to an archived client'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = router;
@@ -0,0 +1,735 @@
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope
+} = require('../middlewares/auth');
+const {
+  validateClient,
+  validateClientUpdate,
+  validatePortalAccess,
+  validateObjectId,
+  validatePagination
+} = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const { issueAuthToken } = require('../services/authTokens');
+const { revokeUserSessions } = require('../services/sessions');
+const { CONTENT_STATUSES } = require('../services/contentWorkflow');
+const { sendEmail } = require('./notifications');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Request body fields and the clients columns they map to
+const CLIENT_FIELDS = {
+  name: 'name',
+  brand: 'brand',
+  email: 'email',
+  industry: 'industry',
+  targetAudience: 'target_audience',
+  brandVoice: 'brand_voice',
+  brandColors: 'brand_colors',
+  logoUrl: 'logo_url',
+  websiteUrl: 'website_url'
+};
+
+/**
+ * @swagger
+ * /api/clients:
+ *   get:
+ *     summary: List clients
+ *     description: >
+ *       Returns the workspace's clients when X-Workspace-Id is sent, otherwise the
+ *       clients you created. Client logins see the client records they're linked to.
+ *       Archived clients are left out unless includeArchived=true or status=archived.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, paused, archived]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Match against name, brand and email
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/', authenticateToken, resolveWorkspace, validatePagination, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, search, includeArchived } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('clients')
+      .select('*')
+      .order('name', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    let countQuery = supabaseAdmin
+      .from('clients')
+      .select('*', { count: 'exact', head: true });
+
+    query = applyClientFilters(scopeClientQuery(query, req), { status, search, includeArchived });
+    countQuery = applyClientFilters(scopeClientQuery(countQuery, req), { status, search, includeArchived });
+
+    const { data: clients, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const { count } = await countQuery;
+
+    res.json({
+      success: true,
+      data: clients,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients:
+ *   post:
+ *     summary: Create a client
+ *     description: Creates a workspace client when X-Workspace-Id is sent (manager role or higher), otherwise a personal one.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               industry:
+ *                 type: string
+ *               targetAudience:
+ *                 type: string
+ *               brandVoice:
+ *                 type: string
+ *               brandColors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: '#1A2B3C'
+ *               logoUrl:
+ *                 type: string
+ *                 format: uri
+ *               websiteUrl:
+ *                 type: string
+ *                 format: uri
+ *               settings:
+ *                 type: object
+ */
+router.post('/', authenticateToken, resolveWorkspace, authorize('client:create', workspaceScope), validateClient, async (req, res, next) => {
+  try {
+    const now = new Date().toISOString();
+
+    const { data: client, error } = await supabaseAdmin
+      .from('clients')
+      .insert({
+        ...buildClientFields(req.body),
+        settings: req.body.settings || {},
+        creator_id: req.user.id,
+        workspace_id: req.workspace?.id || null,
+        created_at: now,
+        updated_at: now
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Client created: ${client.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Client created successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   get:
+ *     summary: Get a client by ID
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, authorize('client:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: req.resource
+  });
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}:
+ *   put:
+ *     summary: Update a client's details and brand settings
+ *     description: Only the fields sent are changed; `settings` is merged into the existing settings.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.put('/:id', authenticateToken, validateObjectId, authorize('client:update'), validateClientUpdate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const updateData = {
+      ...buildClientFields(req.body),
+      updated_at: new Date().toISOString()
+    };
+
+    if (req.body.settings) {
+      updateData.settings = { ...(req.resource.settings || {}), ...req.body.settings };
+    }
+
+    const { data: client, error } = await supabaseAdmin
+      .from('clients')
+      .update(updateData)
+      .eq('id', id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Client updated: ${id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Client updated successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}/archive:
+ *   post:
+ *     summary: Archive a client
+ *     description: Archived clients keep their content but are hidden from lists and can't get new content.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/archive', authenticateToken, validateObjectId, authorize('client:update'), async (req, res, next) => {
+  try {
+    await setArchived(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}/restore:
+ *   post:
+ *     summary: Restore an archived client
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/restore', authenticateToken, validateObjectId, authorize('client:update'), async (req, res, next) => {
+  try {
+    await setArchived(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}/dashboard:
+ *   get:
+ *     summary: Client dashboard summary
+ *     description: Content counts by status, connected social accounts and the next scheduled posts.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: upcomingLimit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ */
+router.get('/:id/dashboard', authenticateToken, validateObjectId, authorize('client:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const upcomingLimit = Math.min(Math.max(parseInt(req.query.upcomingLimit) || 10, 1), 50);
+
+    const client = req.resource;
+
+    const [contentResult, accountsResult, upcomingResult] = await Promise.all([
+      supabaseAdmin
+        .from('content_items')
+        .select('status')
+        .eq('client_id', id),
+      supabaseAdmin
+        .from('social_accounts')
+        .select('id, platform, username, display_name, status, token_expires_at, last_sync, created_at')
+        .eq('client_id', id)
+        .order('created_at', { ascending: true }),
+      supabaseAdmin
+        .from('content_items')
+        .select('id, title, platform, content_type, status, scheduled_date')
+        .eq('client_id', id)
+        .eq('status', 'scheduled')
+        .gte('scheduled_date', new Date().toISOString())
+        .order('scheduled_date', { ascending: true })
+        .limit(upcomingLimit)
+    ]);
+
+    const queryError = contentResult.error || accountsResult.error || upcomingResult.error;
+    if (queryError) {
+      throw queryError;
+    }
+
+    const contentByStatus = Object.fromEntries(CONTENT_STATUSES.map(status => [status, 0]));
+    contentResult.data.forEach(item => {
+      contentByStatus[item.status] = (contentByStatus[item.status] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        client: {
+          id: client.id,
+          name: client.name,
+          brand: client.brand,
+          status: client.status,
+          logoUrl: client.logo_url
+        },
+        content: {
+          total: contentResult.data.length,
+          byStatus: contentByStatus
+        },
+        socialAccounts: accountsResult.data,
+        upcoming: upcomingResult.data
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}/portal-access:
+ *   post:
+ *     summary: Give the client a portal login
+ *     description: >
+ *       Links a client-role user to the client. A new account is created when no user
+ *       has the email address yet, and an email lets them choose a password. Client
+ *       logins can view the client's content, files and dashboard.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ */
+router.post('/:id/portal-access', authenticateToken, validateObjectId, authorize('client:update'), validatePortalAccess, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { email, firstName, lastName } = req.body;
+
+    const client = req.resource;
+
+    if (client.status === 'archived') {
+      return res.status(400).json({
+        error: 'Client archived',
+        message: 'Restore the client before giving it portal access'
+      });
+    }
+
+    const { data: existingUser } = await supabaseAdmin
+      .from('users')
+      .select('id, email, first_name, role, status, email_verified_at')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (existingUser && existingUser.role !== 'client') {
+      return res.status(409).json({
+        error: 'Email in use',
+        message: 'This email address belongs to an account that is not a client login'
+      });
+    }
+
+    let portalUser = existingUser;
+    let created = false;
+
+    if (!portalUser) {
+      // The account can't be logged into until the user picks a password from the setup email
+      const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+      const { data: newUser, error: userError } = await supabaseAdmin
+        .from('users')
+        .insert({
+          email,
+          password_hash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds),
+          first_name: firstName || client.name,
+          last_name: lastName || '',
+          role: 'client',
+          status: 'unverified',
+          created_at: new Date().toISOString()
+        })
+        .select('id, email, first_name, role, status, email_verified_at')
+        .single();
+
+      if (userError) {
+        throw userError;
+      }
+
+      portalUser = newUser;
+      created = true;
+    } else if (portalUser.status === 'inactive') {
+      // Former portal users regain access; those who never set a password still need to
+      const status = portalUser.email_verified_at ? 'active' : 'unverified';
+      const { error: reactivateError } = await supabaseAdmin
+        .from('users')
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq('id', portalUser.id);
+
+      if (reactivateError) {
+        throw reactivateError;
+      }
+
+      portalUser = { ...portalUser, status };
+    }
+
+    const previousUserId = client.user_id;
+
+    const { error: linkError } = await supabaseAdmin
+      .from('clients')
+      .update({ user_id: portalUser.id, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (linkError) {
+      throw linkError;
+    }
+
+    if (previousUserId && previousUserId !== portalUser.id) {
+      await deactivateIfUnlinked(previousUserId);
+    }
+
+    let emailSent = true;
+    try {
+      await sendPortalAccessEmail({ user: portalUser, client, needsSetup: portalUser.status === 'unverified' });
+    } catch (emailError) {
+      emailSent = false;
+      logger.error('Portal access email failed:', emailError);
+    }
+
+    logger.info(`Client ${id}: portal access granted to user ${portalUser.id} by ${req.user.id}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: emailSent ? 'Portal access granted' : 'Portal access granted, but the email could not be sent',
+      data: {
+        userId: portalUser.id,
+        email: portalUser.email,
+        created
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/clients/{id}/portal-access:
+ *   delete:
+ *     summary: Remove the client's portal login
+ *     description: Unlinks the client-role user. Users with no other linked clients are deactivated and signed out.
+ *     tags: [Clients]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id/portal-access', authenticateToken, validateObjectId, authorize('client:update'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const portalUserId = req.resource.user_id;
+
+    if (!portalUserId) {
+      return res.status(404).json({
+        error: 'No portal access',
+        message: 'This client does not have a portal login'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('clients')
+      .update({ user_id: null, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) {
+      throw error;
+    }
+
+    await deactivateIfUnlinked(portalUserId);
+
+    logger.info(`Client ${id}: portal access removed for user ${portalUserId} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Portal access removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to limit a client query to the request's workspace, or to
+// the user's own clients when no workspace is selected
+function scopeClientQuery(query, req) {
+  if (req.user.role === 'client') {
+    return query.in('id', req.clientIds);
+  }
+
+  if (req.workspace) {
+    return query.eq('workspace_id', req.workspace.id);
+  }
+
+  if (req.user.role === 'admin') {
+    return query;
+  }
+
+  return query.eq('creator_id', req.user.id);
+}
+
+// Helper function to apply the list filters to a client query
+function applyClientFilters(query, { status, search, includeArchived }) {
+  if (status) {
+    query = query.eq('status', status);
+  } else if (includeArchived !== 'true') {
+    query = query.neq('status', 'archived');
+  }
+
+  if (search) {
+    query = query.or(`name.ilike.%${search}%,brand.ilike.%${search}%,email.ilike.%${search}%`);
+  }
+
+  return query;
+}
+
+// Helper function to map request body fields to client columns
+function buildClientFields(body) {
+  const fields = {};
+
+  Object.entries(CLIENT_FIELDS).forEach(([field, column]) => {
+    if (body[field] !== undefined) {
+      fields[column] = body[field];
+    }
+  });
+
+  return fields;
+}
+
+// Helper function to archive or restore a client
+async function setArchived(req, res, archived) {
+  const { id } = req.params;
+
+  if ((req.resource.status === 'archived') === archived) {
+    return res.status(400).json({
+      error: archived ? 'Already archived' : 'Not archived',
+      message: archived ? 'This client is already archived' : 'This client is not archived'
+    });
+  }
+
+  const now = new Date().toISOString();
+
+  const { data: client, error } = await supabaseAdmin
+    .from('clients')
+    .update({
+      status: archived ? 'archived' : 'active',
+      archived_at: archived ? now : null,
+      updated_at: now
+    })
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  logger.info(`Client ${archived ? 'archived' : 'restored'}: ${id} by user ${req.user.id}`);
+
+  res.json({
+    success: true,
+    message: `Client ${archived ? 'archived' : 'restored'} successfully`,
+    data: client
+  });
+}
+
+// Helper function to deactivate a client login once it's linked to no clients
+async function deactivateIfUnlinked(userId) {
+  const { count } = await supabaseAdmin
+    .from('clients')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  if (count > 0) {
+    return;
+  }
+
+  await supabaseAdmin
+    .from('users')
+    .update({ status: 'inactive', updated_at: new Date().toISOString() })
+    .eq('id', userId)
+    .eq('role', 'client');
+
+  await revokeUserSessions(userId, 'portal_access_removed');
+}
+
+// Helper function to email a portal user their login or account setup link
+async function sendPortalAccessEmail({ user, client, needsSetup }) {
+  if (needsSetup) {
+    const token = await issueAuthToken(user.id, 'account_setup');
+
+    return sendEmail({
+      to: user.email,
+      subject: `ContentFlow AI: Your ${client.name} client portal`,
+      title: 'Your client portal is ready',
+      message: `You've been given access to the ${client.name} client portal, where you can review content and see what's scheduled. Choose a password to get started.`,
+      actionUrl: `${process.env.FRONTEND_URL}/setup-account?token=${token}`,
+      actionLabel: 'Set Up Account',
+      footer: 'You received this email because someone gave this address access to a ContentFlow AI client portal.'
+    });
+  }
+
+  return sendEmail({
+    to: user.email,
+    subject: `ContentFlow AI: Your ${client.name} client portal`,
+    title: 'Your client portal is ready',
+    message: `You've been given access to the ${client.name} client portal. Log in with your existing account to see it.`,
+    actionUrl: `${process.env.FRONTEND_URL}/login`,
+    actionLabel: 'Log In',
+    footer: 'You received this email because someone gave this address access to a ContentFlow AI client portal.'
+  });
+}
+
+module.exports = router;
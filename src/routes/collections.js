@@ -0,0 +1,506 @@
+const express = require('express');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const {
+  validateCollection,
+  validateCollectionUpdate,
+  validateCollectionFiles,
+  validateObjectId,
+  validatePagination
+} = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const {
+  LIBRARY_ERRORS,
+  AssetLibraryError,
+  addToCollection,
+  removeFromCollection,
+  runBulk
+} = require('../services/assetLibrary');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/files/collections:
+ *   get:
+ *     summary: List collections
+ *     description: >
+ *       Your collections, or the workspace's with X-Workspace-Id, most
+ *       recently changed first. Client logins see the collections shared with
+ *       their client.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's collections instead of your own
+ */
+router.get('/', authenticateToken, resolveWorkspace, validatePagination, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('media_collections')
+      .select(`
+        *,
+        client:clients(id, name, brand),
+        items:media_collection_items(media_file_id)
+      `)
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    let countQuery = supabaseAdmin
+      .from('media_collections')
+      .select('*', { count: 'exact', head: true });
+
+    query = scopeCollectionQuery(query, req);
+    countQuery = scopeCollectionQuery(countQuery, req);
+
+    const { data: collections, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const { count } = await countQuery;
+
+    res.json({
+      success: true,
+      data: collections.map(formatCollection),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/collections:
+ *   post:
+ *     summary: Create a collection
+ *     description: >
+ *       A collection is shared with everyone in its workspace and, when it
+ *       has a clientId, with the client's logins. Files in `fileIds` are added
+ *       one by one; those that can't be are listed in `files.failed`.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               clientId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Share the collection with this client
+ *               fileIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Create the collection in this workspace (requires the editor role)
+ */
+router.post('/', authenticateToken, resolveWorkspace, authorize('collection:create', workspaceScope), validateCollection, async (req, res, next) => {
+  try {
+    const { name, description, clientId, fileIds = [] } = req.body;
+
+    if (clientId && !await checkClient(req, res, clientId, req.workspace?.id || null)) {
+      return;
+    }
+
+    const { data: collection, error } = await supabaseAdmin
+      .from('media_collections')
+      .insert({
+        name,
+        description: description || null,
+        client_id: clientId || null,
+        workspace_id: req.workspace?.id || null,
+        created_by: req.user.id,
+        created_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const files = fileIds.length > 0
+      ? await addFiles(req, collection, fileIds)
+      : { succeeded: [], failed: [] };
+
+    logger.info(`Collection created: ${collection.id} (${collection.name}) by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: { ...collection, fileCount: files.succeeded.length, files }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/collections/{id}:
+ *   get:
+ *     summary: Get a collection
+ *     description: List its files with `GET /api/files?collectionId=`, which takes the usual filters.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, authorize('collection:read'), async (req, res, next) => {
+  try {
+    const { data: collection, error } = await supabaseAdmin
+      .from('media_collections')
+      .select(`
+        *,
+        client:clients(id, name, brand),
+        creator:users!media_collections_created_by_fkey(id, first_name, last_name),
+        items:media_collection_items(media_file_id)
+      `)
+      .eq('id', req.resource.id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: formatCollection(collection)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/collections/{id}:
+ *   put:
+ *     summary: Rename a collection or change its description
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.put('/:id', authenticateToken, validateObjectId, authorize('collection:update'), validateCollectionUpdate, async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const { data: collection, error } = await supabaseAdmin
+      .from('media_collections')
+      .update({ name, description, updated_at: new Date().toISOString() })
+      .eq('id', req.resource.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Collection updated: ${collection.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: collection
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/collections/{id}:
+ *   delete:
+ *     summary: Delete a collection (its files are kept)
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, authorize('collection:delete'), async (req, res, next) => {
+  try {
+    const { error } = await supabaseAdmin
+      .from('media_collections')
+      .delete()
+      .eq('id', req.resource.id);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Collection deleted: ${req.resource.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/collections/{id}/files:
+ *   post:
+ *     summary: Add files to a collection
+ *     description: >
+ *       Files are added one by one; files already in the collection count as
+ *       added. Files that can't be added (not found, not visible to you, or
+ *       from another library) are listed in `failed` with a `code` and
+ *       `message`, and the others are still added.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ */
+router.post('/:id/files', authenticateToken, validateObjectId, authorize('collection:update'), validateCollectionFiles, async (req, res, next) => {
+  try {
+    const { succeeded, failed } = await addFiles(req, req.resource, req.body.fileIds);
+
+    logger.info(`${succeeded.length} file(s) added to collection ${req.resource.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${succeeded.length} of ${succeeded.length + failed.length} file(s) added`,
+      data: { succeeded, failed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/collections/{id}/files:
+ *   delete:
+ *     summary: Remove files from a collection (the files are kept)
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ */
+router.delete('/:id/files', authenticateToken, validateObjectId, authorize('collection:update'), validateCollectionFiles, async (req, res, next) => {
+  try {
+    const removed = await removeFromCollection(req.resource, req.body.fileIds);
+
+    await touchCollection(req.resource.id);
+
+    logger.info(`${removed.length} file(s) removed from collection ${req.resource.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `${removed.length} file(s) removed`,
+      data: { removed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to limit a collection query to the request's workspace,
+// the client login's clients, or the user's personal collections
+function scopeCollectionQuery(query, req) {
+  if (req.workspace) {
+    return query.eq('workspace_id', req.workspace.id);
+  }
+
+  if (req.user.role === 'client') {
+    return query.in('client_id', req.clientIds);
+  }
+
+  return query.is('workspace_id', null).eq('created_by', req.user.id);
+}
+
+// Helper function to replace the embedded items with their count
+function formatCollection({ items, ...collection }) {
+  return { ...collection, fileCount: (items || []).length };
+}
+
+// Helper function to add files the user can see to a collection, file by file
+async function addFiles(req, collection, fileIds) {
+  const results = await runBulk(fileIds, async (file) => {
+    const decision = await checkPermission(req, 'file:read', file);
+
+    if (!decision.allowed) {
+      throw decision.status === 404
+        ? new AssetLibraryError(LIBRARY_ERRORS.NOT_FOUND, 'File not found', 404)
+        : new AssetLibraryError(decision.code, decision.reason, 403);
+    }
+
+    await addToCollection(collection, file, req.user.id);
+  });
+
+  if (results.succeeded.length > 0) {
+    await touchCollection(collection.id);
+  }
+
+  return results;
+}
+
+// Helper function to mark a collection as changed
+async function touchCollection(collectionId) {
+  const { error } = await supabaseAdmin
+    .from('media_collections')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', collectionId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+// Helper function to check that a collection can be shared with a client;
+// sends the error response and returns false when it can't
+async function checkClient(req, res, clientId, workspaceId) {
+  const { data: client, error } = await supabaseAdmin
+    .from('clients')
+    .select('*')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!client) {
+    res.status(404).json({
+      error: 'Client not found',
+      message: 'The specified client does not exist'
+    });
+    return false;
+  }
+
+  const decision = await checkPermission(req, 'client:read', client);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return false;
+  }
+
+  // Workspace collections can only be shared with the workspace's own clients
+  if (workspaceId && client.workspace_id !== workspaceId) {
+    res.status(400).json({
+      error: 'Invalid client',
+      message: 'The client does not belong to this workspace'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = router;
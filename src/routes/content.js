@@ -1,11 +1,90 @@
 const express = require('express');
-const { authenticateToken, requireWorkspaceAccess } = require('../middlewares/auth');
-const { validateContentCreation, validateObjectId, validatePagination } = require('../middlewares/validation');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const {
+  validateContentCreation,
+  validateObjectId,
+  validatePagination,
+  validateWorkflowComment,
+  validateRejection,
+  validateRevisionReason,
+  validateContentVersion,
+  validateVersionDiff,
+  validateContentComment,
+  validateCommentEdit,
+  validateCalendarRange,
+  validateReschedule,
+  validateCalendarFeedToken,
+  validatePlatformCheck,
+  validateShareLink,
+  validateUuidParams
+} = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
+const {
+  WORKFLOW_ERRORS,
+  ContentWorkflowError,
+  assertTransition,
+  getReapprovalChanges,
+  recordStatusChange,
+  submitForApproval,
+  withdrawFromApproval,
+  approveStage,
+  rejectStage,
+  describeApproval
+} = require('../services/contentWorkflow');
+const { diffSnapshots, recordRevision, getRevision, restoreRevision } = require('../services/contentRevisions');
+const {
+  resolveMentions,
+  notifyCommentAudience,
+  buildThreads,
+  recordCommentHistory
+} = require('../services/contentComments');
+const {
+  CALENDAR_ERRORS,
+  CALENDAR_COLUMNS,
+  ContentCalendarError,
+  findCalendarItems,
+  groupByDay,
+  findScheduleConflicts,
+  rescheduleItem,
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  findFeed,
+  feedRange,
+  renderFeed
+} = require('../services/contentCalendar');
+const { skipOccurrence } = require('../services/contentSeries');
+const { overridesAfterEdit } = require('../services/contentCampaigns');
+const { PLATFORM_ERRORS, checkPlatformRules, validateContentItem } = require('../services/platformRules');
+const { createShareLink, listShareLinks, revokeShareLink } = require('../services/shareLinks');
+const { evaluate, loadActor, loadResource } = require('../services/policy');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Columns people may set through PUT /api/content/:id. Everything else is
+// owned by the workflow, series, campaigns or the publisher
+const EDITABLE_FIELDS = [
+  'title',
+  'description',
+  'platform',
+  'content_type',
+  'status',
+  'scheduled_date',
+  'client_id',
+  'script',
+  'caption',
+  'hashtags',
+  'media_urls'
+];
+
 /**
  * @swagger
  * /api/content:
@@ -40,11 +119,15 @@ const router = express.Router();
  *           type: string
  *           enum: [tiktok, instagram, youtube, linkedin, twitter]
  *         description: Filter by platform
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's content instead of your own
  */
-router.get('/', authenticateToken, validatePagination, async (req, res, next) => {
+router.get('/', authenticateToken, resolveWorkspace, validatePagination, async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
     const { page = 1, limit = 20, status, platform, clientId } = req.query;
     
     const offset = (page - 1) * limit;
@@ -60,12 +143,8 @@ router.get('/', authenticateToken, validatePagination, async (req, res, next) =>
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
-    // Apply role-based filtering
-    if (userRole === 'client') {
-      query = query.eq('client_id', userId);
-    } else if (userRole === 'creator' || userRole === 'agency') {
-      query = query.eq('creator_id', userId);
-    }
+    // Apply workspace or role-based filtering
+    query = scopeContentQuery(query, req);
 
     // Apply filters
     if (status) {
@@ -91,11 +170,7 @@ router.get('/', authenticateToken, validatePagination, async (req, res, next) =>
       .from('content_items')
       .select('*', { count: 'exact', head: true });
 
-    if (userRole === 'client') {
-      countQuery = countQuery.eq('client_id', userId);
-    } else if (userRole === 'creator' || userRole === 'agency') {
-      countQuery = countQuery.eq('creator_id', userId);
-    }
+    countQuery = scopeContentQuery(countQuery, req);
 
     if (status) countQuery = countQuery.eq('status', status);
     if (platform) countQuery = countQuery.eq('platform', platform);
@@ -118,6 +193,401 @@ router.get('/', authenticateToken, validatePagination, async (req, res, next) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/content/calendar:
+ *   get:
+ *     summary: Content calendar
+ *     description: >
+ *       Items scheduled or published between `from` and `to`, grouped by day
+ *       and then by platform. Published items are placed at their publication
+ *       date, others at their scheduled date.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Exclusive; at most 92 days after from
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: Europe/London
+ *         description: Time zone the days are in (defaults to your profile's)
+ *       - in: query
+ *         name: platform
+ *         schema:
+ *           type: string
+ *           enum: [tiktok, instagram, youtube, linkedin, twitter]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: clientId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Show the workspace's calendar instead of your own
+ */
+router.get('/calendar', authenticateToken, resolveWorkspace, validateCalendarRange, async (req, res, next) => {
+  try {
+    const { from, to, platform, status, clientId } = req.query;
+    const timezone = req.query.timezone || req.user.timezone || 'UTC';
+
+    let query = supabaseAdmin
+      .from('content_items')
+      .select(CALENDAR_COLUMNS);
+
+    query = scopeContentQuery(query, req);
+
+    if (platform) query = query.eq('platform', platform);
+    if (status) query = query.eq('status', status);
+    if (clientId) query = query.eq('client_id', clientId);
+
+    const items = await findCalendarItems(query, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        timezone,
+        total: items.length,
+        days: groupByDay(items, timezone)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/calendar.ics:
+ *   get:
+ *     summary: iCalendar feed
+ *     description: >
+ *       The private feed URL returned by POST /api/content/calendar/feeds, for
+ *       subscribing from a calendar app. Needs no other authentication. Covers
+ *       the last 30 days and the next 180, with what the feed's owner can
+ *       currently see.
+ *     tags: [Content]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         content:
+ *           text/calendar: {}
+ */
+router.get('/calendar.ics', validateCalendarFeedToken, async (req, res, next) => {
+  try {
+    const feed = await findFeed(req.query.token);
+    const actor = await loadActor(feed.user_id);
+
+    if (!actor || actor.status !== 'active') {
+      throw new ContentCalendarError(CALENDAR_ERRORS.FEED_NOT_FOUND, 'Calendar feed not found', 404);
+    }
+
+    // The feed shows what its owner could see if they were signed in
+    const scope = { user: actor, clientIds: actor.clientIds, workspace: null };
+
+    if (feed.workspace_id) {
+      const workspace = await loadResource('workspace', feed.workspace_id);
+      const decision = workspace && await evaluate(actor, 'workspace:read', workspace);
+
+      if (!decision || !decision.allowed) {
+        throw new ContentCalendarError(CALENDAR_ERRORS.FEED_NOT_FOUND, 'Calendar feed not found', 404);
+      }
+
+      scope.workspace = workspace;
+    }
+
+    const query = scopeContentQuery(supabaseAdmin.from('content_items').select(CALENDAR_COLUMNS), scope);
+    const { from, to } = feedRange();
+    const items = await findCalendarItems(query, from, to);
+
+    res.set('Cache-Control', 'private, max-age=300');
+    res.type('text/calendar; charset=utf-8');
+    res.send(renderFeed(scope.workspace ? `${scope.workspace.name} content` : 'My content', items));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/calendar/feeds:
+ *   get:
+ *     summary: List your iCalendar feed links
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/calendar/feeds', authenticateToken, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listFeeds(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/calendar/feeds:
+ *   post:
+ *     summary: Create a private iCalendar feed link
+ *     description: >
+ *       Returns the feed URL once; only a hash of its token is kept. Replaces
+ *       your earlier link for the same calendar.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: A feed of the workspace's calendar instead of your own
+ */
+router.post('/calendar/feeds', authenticateToken, resolveWorkspace, async (req, res, next) => {
+  try {
+    const workspaceId = req.workspace ? req.workspace.id : null;
+    const { feed, token } = await createFeed(req.user.id, workspaceId);
+
+    logger.info(`Calendar feed ${feed.id} created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Keep the URL private: anyone with it can see this calendar',
+      data: {
+        ...feed,
+        url: `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${token}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/calendar/feeds/{feedId}:
+ *   delete:
+ *     summary: Revoke an iCalendar feed link
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: feedId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/calendar/feeds/:feedId', authenticateToken, validateUuidParams('feedId'), async (req, res, next) => {
+  try {
+    await revokeFeed(req.user.id, req.params.feedId);
+
+    logger.info(`Calendar feed ${req.params.feedId} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/validate:
+ *   post:
+ *     summary: Check content against a platform's rules
+ *     description: >
+ *       Checks caption length (as the platform counts it, hashtags included),
+ *       hashtags, mentions and media type, count, size, duration and aspect
+ *       ratio for the platform and content type. `errors` would stop the item
+ *       from being scheduled; `warnings` are accepted by the platform but
+ *       probably not intended. Send `contentId` to check a saved item with its
+ *       attached files; other fields replace the item's, to check an edit
+ *       before saving it.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               contentId:
+ *                 type: string
+ *                 format: uuid
+ *               platform:
+ *                 type: string
+ *                 enum: [tiktok, instagram, youtube, linkedin, twitter]
+ *               contentType:
+ *                 type: string
+ *                 enum: [video, image, carousel, story, post]
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               caption:
+ *                 type: string
+ *               hashtags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               mediaUrls:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               mediaFileIds:
+ *                 type: array
+ *                 description: Uploaded files to check as the item's media
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               media:
+ *                 type: array
+ *                 description: Files not uploaded yet
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     kind:
+ *                       type: string
+ *                       enum: [image, video, document]
+ *                     bytes:
+ *                       type: integer
+ *                     width:
+ *                       type: integer
+ *                     height:
+ *                       type: integer
+ *                     duration:
+ *                       type: number
+ *                       description: Seconds
+ */
+router.post('/validate', authenticateToken, validatePlatformCheck, async (req, res, next) => {
+  try {
+    const { contentId, mediaFileIds = [], media = [] } = req.body;
+    let item = {};
+    let files = [];
+
+    if (contentId) {
+      item = await loadResource('content', contentId);
+
+      if (!item) {
+        return res.status(404).json({
+          error: 'Content not found',
+          message: 'The requested content item does not exist'
+        });
+      }
+
+      const decision = await checkPermission(req, 'content:read', item);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from('media_files')
+        .select('*')
+        .eq('content_item_id', contentId);
+
+      if (error) {
+        throw error;
+      }
+
+      files = data;
+    }
+
+    if (mediaFileIds.length > 0) {
+      const { data, error } = await supabaseAdmin
+        .from('media_files')
+        .select('*')
+        .in('id', mediaFileIds);
+
+      if (error) {
+        throw error;
+      }
+
+      for (const file of data) {
+        const decision = await checkPermission(req, 'file:read', file);
+        if (!decision.allowed) {
+          return sendPermissionDenied(req, res, decision);
+        }
+      }
+
+      if (data.length < new Set(mediaFileIds).size) {
+        return res.status(404).json({
+          error: 'File not found',
+          message: 'One or more media files do not exist'
+        });
+      }
+
+      files = [...files, ...data.filter(file => !files.some(attached => attached.id === file.id))];
+    }
+
+    const fields = {
+      platform: req.body.platform,
+      content_type: req.body.contentType,
+      title: req.body.title,
+      description: req.body.description,
+      caption: req.body.caption,
+      hashtags: req.body.hashtags,
+      media_urls: req.body.mediaUrls
+    };
+
+    item = {
+      ...item,
+      ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined))
+    };
+
+    const { errors, warnings } = checkPlatformRules(item.platform, item, { files, media });
+
+    res.json({
+      success: true,
+      data: {
+        platform: item.platform,
+        contentType: item.content_type,
+        valid: errors.length === 0,
+        errors,
+        warnings
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/content:
@@ -161,8 +631,20 @@ router.get('/', authenticateToken, validatePagination, async (req, res, next) =>
  *                 type: array
  *                 items:
  *                   type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, approved, scheduled]
+ *                 default: draft
+ *                 description: approved and scheduled only where the workspace doesn't require approval
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Create the item in this workspace (requires the editor role)
  */
-router.post('/', authenticateToken, validateContentCreation, async (req, res, next) => {
+router.post('/', authenticateToken, resolveWorkspace, authorize('content:create', workspaceScope), validateContentCreation, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const {
@@ -178,27 +660,26 @@ router.post('/', authenticateToken, validateContentCreation, async (req, res, ne
       status = 'draft'
     } = req.body;
 
-    // Validate client access if clientId provided
-    if (clientId) {
-      const { data: client, error: clientError } = await supabaseAdmin
-        .from('clients')
-        .select('id, creator_id')
-        .eq('id', clientId)
-        .single();
+    // New items start as drafts, unless nothing has to approve them first
+    if (status !== 'draft') {
+      await assertTransition({ status: 'draft', workspace_id: req.workspace?.id || null }, status, 'update');
+    }
 
-      if (clientError || !client) {
-        return res.status(404).json({
-          error: 'Client not found',
-          message: 'The specified client does not exist'
-        });
-      }
+    let platformWarnings = [];
 
-      if (client.creator_id !== userId && req.user.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You do not have access to this client'
-        });
+    if (status === 'scheduled') {
+      const { errors, warnings } = checkPlatformRules(platform, { title, description, content_type: contentType, caption, hashtags });
+
+      if (errors.length > 0) {
+        return sendPlatformLimits(res, errors, warnings);
       }
+
+      platformWarnings = warnings;
+    }
+
+    // Validate client access if clientId provided
+    if (clientId && !await checkClient(req, res, clientId, req.workspace?.id || null)) {
+      return;
     }
 
     // Create content item
@@ -212,6 +693,7 @@ router.post('/', authenticateToken, validateContentCreation, async (req, res, ne
         scheduled_date: scheduledDate,
         client_id: clientId,
         creator_id: userId,
+        workspace_id: req.workspace?.id || null,
         script,
         caption,
         hashtags,
@@ -229,12 +711,15 @@ router.post('/', authenticateToken, validateContentCreation, async (req, res, ne
       throw error;
     }
 
+    await recordRevision(contentItem, userId, { reason: 'Created' });
+
     logger.info(`Content item created: ${contentItem.id} by user ${userId}`);
 
     res.status(201).json({
       success: true,
       message: 'Content item created successfully',
-      data: contentItem
+      data: contentItem,
+      warnings: platformWarnings
     });
   } catch (error) {
     next(error);
@@ -257,13 +742,11 @@ router.post('/', authenticateToken, validateContentCreation, async (req, res, ne
  *           type: string
  *           format: uuid
  */
-router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.get('/:id', authenticateToken, validateObjectId, authorize('content:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
-    let query = supabaseAdmin
+    const query = supabaseAdmin
       .from('content_items')
       .select(`
         *,
@@ -272,30 +755,19 @@ router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) =
         media_files(*),
         comments:content_comments(
           *,
-          user:users(id, first_name, last_name)
+          user:users!content_comments_user_id_fkey(id, first_name, last_name)
         )
       `)
       .eq('id', id);
 
-    // Apply role-based filtering
-    if (userRole === 'client') {
-      query = query.eq('client_id', userId);
-    } else if (userRole === 'creator' || userRole === 'agency') {
-      query = query.eq('creator_id', userId);
-    }
-
     const { data: contentItem, error } = await query.single();
 
     if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          error: 'Content not found',
-          message: 'The requested content item does not exist'
-        });
-      }
       throw error;
     }
 
+    contentItem.comments = contentItem.comments.filter(comment => !comment.deleted_at);
+
     res.json({
       success: true,
       data: contentItem
@@ -310,6 +782,17 @@ router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  * /api/content/{id}:
  *   put:
  *     summary: Update content item
+ *     description: >
+ *       Locked while the item is in review. A new status must be one the item
+ *       can move to by update (see GET /api/content/{id}/approval); review,
+ *       approval and rejection go through the workflow endpoints. Changes to
+ *       the copy are saved as a new version. In a workspace that requires
+ *       approval, changing the copy of approved, scheduled or failed content
+ *       moves it back to draft to be submitted again; asking for another
+ *       status in the same request fails with 409 and `code: approval_required`.
+ *       Only title, description, platform, content_type, status,
+ *       scheduled_date, client_id, script, caption, hashtags and media_urls
+ *       can be set; other fields are ignored.
  *     tags: [Content]
  *     security:
  *       - bearerAuth: []
@@ -320,53 +803,71 @@ router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  *         schema:
  *           type: string
  *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the change was made, saved with the new version
  */
-router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.put('/:id', authenticateToken, validateObjectId, authorize('content:update'), validateRevisionReason, async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
-    const updates = req.body;
+    const { reason, ...updates } = req.body;
 
-    // Get existing content item
-    const { data: existingItem, error: fetchError } = await supabaseAdmin
-      .from('content_items')
-      .select('*')
-      .eq('id', id)
-      .single();
+    // Prepare update data from the columns people may edit
+    const updateData = Object.fromEntries(
+      EDITABLE_FIELDS
+        .filter(field => updates[field] !== undefined)
+        .map(field => [field, updates[field]])
+    );
+    updateData.updated_at = new Date().toISOString();
 
-    if (fetchError || !existingItem) {
-      return res.status(404).json({
-        error: 'Content not found',
-        message: 'The requested content item does not exist'
-      });
+    // Moving the item to another client needs the same checks as creating it there
+    if (updateData.client_id && updateData.client_id !== req.resource.client_id &&
+        !await checkClient(req, res, updateData.client_id, req.resource.workspace_id)) {
+      return;
     }
 
-    // Check permissions
-    if (userRole === 'client' && existingItem.client_id !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update your own content'
-      });
+    const previousStatus = req.resource.status;
+
+    // Editing the copy of approved content takes it back through approval
+    const reapproval = await getReapprovalChanges(req.resource, updateData);
+    if (reapproval) {
+      if (updateData.status !== undefined && ![previousStatus, reapproval.status].includes(updateData.status)) {
+        throw new ContentWorkflowError(
+          WORKFLOW_ERRORS.APPROVAL_REQUIRED,
+          'Edited content has to be approved again. Save your changes, then submit it for review'
+        );
+      }
+
+      Object.assign(updateData, reapproval);
     }
 
-    if ((userRole === 'creator' || userRole === 'agency') && existingItem.creator_id !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update content you created'
-      });
+    const statusChanged = updateData.status !== undefined && updateData.status !== previousStatus;
+
+    if (statusChanged) {
+      await assertTransition(req.resource, updateData.status, 'update');
+    } else {
+      delete updateData.status;
     }
 
-    // Prepare update data
-    const updateData = {
-      ...updates,
-      updated_at: new Date().toISOString()
-    };
+    const scheduling = statusChanged && updateData.status === 'scheduled';
+    const platformWarnings = await checkEdit(res, req.resource, updateData, { scheduling });
+    if (!platformWarnings) {
+      return;
+    }
 
-    // Remove fields that shouldn't be updated directly
-    delete updateData.id;
-    delete updateData.creator_id;
-    delete updateData.created_at;
+    // Rescheduling an item starts its publishing attempts from scratch
+    if (scheduling) {
+      updateData.publish_attempts = 0;
+      updateData.next_publish_attempt_at = null;
+      updateData.publish_error = null;
+    }
 
     // Update content item
     const { data: updatedItem, error } = await supabaseAdmin
@@ -384,12 +885,87 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
       throw error;
     }
 
+    await recordRevision(updatedItem, userId, { reason });
+
+    if (statusChanged) {
+      await recordStatusChange(updatedItem, previousStatus, req.user, reapproval ? {
+        comment: `Moved from ${previousStatus} to draft: edited after approval`
+      } : {});
+    }
+
     logger.info(`Content item updated: ${id} by user ${userId}`);
 
     res.json({
       success: true,
-      message: 'Content item updated successfully',
-      data: updatedItem
+      message: reapproval
+        ? 'Content item updated and moved back to draft. Submit it for review to approve the changes'
+        : 'Content item updated successfully',
+      data: updatedItem,
+      warnings: platformWarnings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/schedule:
+ *   patch:
+ *     summary: Reschedule a content item
+ *     description: >
+ *       Moves the item to a new date, e.g. when it's dragged on the calendar,
+ *       keeping its status. Fails with 409 and `code: schedule_conflict` when
+ *       other items for the same client and platform are scheduled within
+ *       CALENDAR_CONFLICT_MINUTES, unless `force` is set. Published items
+ *       can't be moved, and scheduled ones only into the future.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduledDate
+ *             properties:
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date-time
+ *               force:
+ *                 type: boolean
+ *                 description: Reschedule despite conflicts
+ */
+router.patch('/:id/schedule', authenticateToken, validateReschedule, authorize('content:update'), async (req, res, next) => {
+  try {
+    const { scheduledDate, force = false } = req.body;
+    const conflicts = await findScheduleConflicts(req.resource, scheduledDate);
+
+    if (conflicts.length > 0 && !force) {
+      return res.status(409).json({
+        error: 'Schedule conflict',
+        code: CALENDAR_ERRORS.SCHEDULE_CONFLICT,
+        message: `${conflicts.length} other item(s) for the same ${req.resource.client_id ? 'client' : 'calendar'} are scheduled on ${req.resource.platform} around this time. Send force: true to schedule anyway`,
+        conflicts
+      });
+    }
+
+    const item = await rescheduleItem(req.resource, scheduledDate, req.user);
+
+    res.json({
+      success: true,
+      message: 'Content item rescheduled',
+      data: item,
+      conflicts
     });
   } catch (error) {
     next(error);
@@ -412,33 +988,10 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  *           type: string
  *           format: uuid
  */
-router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.delete('/:id', authenticateToken, validateObjectId, authorize('content:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    // Get existing content item
-    const { data: existingItem, error: fetchError } = await supabaseAdmin
-      .from('content_items')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !existingItem) {
-      return res.status(404).json({
-        error: 'Content not found',
-        message: 'The requested content item does not exist'
-      });
-    }
-
-    // Check permissions
-    if (userRole !== 'admin' && existingItem.creator_id !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only delete content you created'
-      });
-    }
 
     // Delete content item (this will cascade to related records)
     const { error } = await supabaseAdmin
@@ -450,6 +1003,9 @@ router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next
       throw error;
     }
 
+    // A series mustn't recreate the item it made for this occurrence
+    await skipOccurrence(req.resource);
+
     logger.info(`Content item deleted: ${id} by user ${userId}`);
 
     res.json({
@@ -461,6 +1017,71 @@ router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next
   }
 });
 
+/**
+ * @swagger
+ * /api/content/{id}/comments:
+ *   get:
+ *     summary: Get a content item's comments as threads
+ *     description: Top-level comments oldest first, with replies nested under `replies`. Deleted comments with replies stay as placeholders.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           enum: [title, description, caption, script, hashtags]
+ *         description: Only threads anchored to this field
+ *       - in: query
+ *         name: unresolved
+ *         schema:
+ *           type: boolean
+ *         description: Only threads whose revision request is still open
+ */
+router.get('/:id/comments', authenticateToken, validateObjectId, authorize('content:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { field, unresolved } = req.query;
+
+    const { data: comments, error } = await supabaseAdmin
+      .from('content_comments')
+      .select(`
+        *,
+        user:users!content_comments_user_id_fkey(id, first_name, last_name)
+      `)
+      .eq('content_item_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    let threads = buildThreads(comments);
+
+    if (field) {
+      threads = threads.filter(thread => thread.anchor_field === field);
+    }
+
+    if (unresolved === 'true') {
+      threads = threads.filter(thread => thread.type === 'revision' && !thread.resolved_at);
+    }
+
+    res.json({
+      success: true,
+      data: threads
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/content/{id}/comments:
@@ -487,16 +1108,34 @@ router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next
  *             properties:
  *               comment:
  *                 type: string
+ *                 description: Mention people with @ and their email, e.g. @jane@example.com
  *               type:
  *                 type: string
- *                 enum: [comment, approval, rejection]
+ *                 enum: [comment, revision, approval, rejection]
  *                 default: comment
+ *                 description: revision asks for a change and can be resolved; approval and rejection act on the item's current approval stage, like /approve and /reject
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: The comment this replies to
+ *               anchor:
+ *                 type: object
+ *                 description: What the comment is about (top-level comments only)
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     enum: [title, description, caption, script, hashtags]
+ *                   startSeconds:
+ *                     type: number
+ *                     description: Start of a time range in a video script
+ *                   endSeconds:
+ *                     type: number
  */
-router.post('/:id/comments', authenticateToken, validateObjectId, async (req, res, next) => {
+router.post('/:id/comments', authenticateToken, validateObjectId, authorize('content:comment'), validateContentComment, async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const { comment, type = 'comment' } = req.body;
+    const { comment, type = 'comment', parentId, anchor } = req.body;
 
     if (!comment || comment.trim().length === 0) {
       return res.status(400).json({
@@ -505,32 +1144,46 @@ router.post('/:id/comments', authenticateToken, validateObjectId, async (req, re
       });
     }
 
-    // Verify content item exists and user has access
-    const { data: contentItem, error: fetchError } = await supabaseAdmin
-      .from('content_items')
-      .select('id, creator_id, client_id')
-      .eq('id', id)
-      .single();
+    // Approving or rejecting takes more than commenting, and goes through the workflow
+    if (type === 'approval' || type === 'rejection') {
+      const decision = await checkStageApprover(req);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
+
+      const result = type === 'approval'
+        ? await approveStage(req.resource, req.user, { comment: comment.trim() })
+        : await rejectStage(req.resource, req.user, { comment: comment.trim() });
 
-    if (fetchError || !contentItem) {
-      return res.status(404).json({
-        error: 'Content not found',
-        message: 'The requested content item does not exist'
+      return res.status(201).json({
+        success: true,
+        message: 'Comment added successfully',
+        data: result.comment
       });
     }
 
-    // Check if user has access to comment
-    const hasAccess = contentItem.creator_id === userId || 
-                     contentItem.client_id === userId || 
-                     req.user.role === 'admin';
+    let parent = null;
+    if (parentId) {
+      parent = await findComment(id, parentId);
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You do not have permission to comment on this content'
+      if (!parent || parent.deleted_at) {
+        return res.status(400).json({
+          error: 'Invalid parent',
+          message: 'The comment you are replying to does not exist on this content item'
+        });
+      }
+    }
+
+    const anchorError = checkAnchor(anchor, parent);
+    if (anchorError) {
+      return res.status(400).json({
+        error: 'Invalid anchor',
+        message: anchorError
       });
     }
 
+    const mentions = await resolveMentions(req.resource, comment);
+
     // Create comment
     const { data: newComment, error } = await supabaseAdmin
       .from('content_comments')
@@ -539,11 +1192,16 @@ router.post('/:id/comments', authenticateToken, validateObjectId, async (req, re
         user_id: userId,
         comment: comment.trim(),
         type,
+        parent_id: parent?.id || null,
+        mentions,
+        anchor_field: anchor?.field || null,
+        anchor_start_seconds: anchor?.startSeconds ?? null,
+        anchor_end_seconds: anchor?.endSeconds ?? null,
         created_at: new Date().toISOString()
       })
       .select(`
         *,
-        user:users(id, first_name, last_name)
+        user:users!content_comments_user_id_fkey(id, first_name, last_name)
       `)
       .single();
 
@@ -551,18 +1209,7 @@ router.post('/:id/comments', authenticateToken, validateObjectId, async (req, re
       throw error;
     }
 
-    // Update content status if this is an approval/rejection
-    if (type === 'approval') {
-      await supabaseAdmin
-        .from('content_items')
-        .update({ status: 'approved' })
-        .eq('id', id);
-    } else if (type === 'rejection') {
-      await supabaseAdmin
-        .from('content_items')
-        .update({ status: 'draft' })
-        .eq('id', id);
-    }
+    await notifyCommentAudience(req.resource, newComment, req.user, { parent });
 
     logger.info(`Comment added to content ${id} by user ${userId}`);
 
@@ -576,4 +1223,1037 @@ router.post('/:id/comments', authenticateToken, validateObjectId, async (req, re
   }
 });
 
+/**
+ * @swagger
+ * /api/content/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit your comment
+ *     description: The previous text is kept in the comment's history. Newly mentioned people are notified.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ */
+router.patch('/:id/comments/:commentId', authenticateToken, validateUuidParams('id', 'commentId'), authorize('content:comment'), validateCommentEdit, async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const text = req.body.comment;
+
+    const existing = await findComment(id, commentId);
+    if (!existing) {
+      return commentNotFound(res);
+    }
+
+    const decision = await checkPermission(req, 'comment:update', commentResource(existing, req.resource));
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const mentions = await resolveMentions(req.resource, text);
+    const now = new Date().toISOString();
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('content_comments')
+      .update({ comment: text, mentions, edited_at: now })
+      .eq('id', commentId)
+      .select(`
+        *,
+        user:users!content_comments_user_id_fkey(id, first_name, last_name)
+      `)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await recordCommentHistory(commentId, 'edited', req.user.id, existing.comment);
+    await notifyCommentAudience(req.resource, updated, req.user, {
+      newMentions: mentions.filter(userId => !(existing.mentions || []).includes(userId))
+    });
+
+    logger.info(`Comment ${commentId} on content ${id} edited by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Authors can delete their own comments and workspace managers can delete any. Replies stay in the thread and the text is kept in the comment's history.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id/comments/:commentId', authenticateToken, validateUuidParams('id', 'commentId'), authorize('content:read'), async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const existing = await findComment(id, commentId);
+    if (!existing) {
+      return commentNotFound(res);
+    }
+
+    const decision = await checkPermission(req, 'comment:delete', commentResource(existing, req.resource));
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('content_comments')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: req.user.id, mentions: [] })
+      .eq('id', commentId);
+
+    if (error) {
+      throw error;
+    }
+
+    await recordCommentHistory(commentId, 'deleted', req.user.id, existing.comment);
+
+    logger.info(`Comment ${commentId} on content ${id} deleted by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/comments/{commentId}/resolve:
+ *   post:
+ *     summary: Mark a revision request as dealt with
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/comments/:commentId/resolve', authenticateToken, validateUuidParams('id', 'commentId'), authorize('content:read'), (req, res, next) => {
+  setResolved(req, res, next, true);
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/comments/{commentId}/unresolve:
+ *   post:
+ *     summary: Reopen a resolved revision request
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/comments/:commentId/unresolve', authenticateToken, validateUuidParams('id', 'commentId'), authorize('content:read'), (req, res, next) => {
+  setResolved(req, res, next, false);
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/comments/{commentId}/history:
+ *   get:
+ *     summary: Get a comment's edit, deletion and resolution history
+ *     description: Available to workspace managers and the content's creator.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/comments/:commentId/history', authenticateToken, validateUuidParams('id', 'commentId'), authorize('content:read'), async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const existing = await findComment(id, commentId);
+    if (!existing) {
+      return commentNotFound(res);
+    }
+
+    const decision = await checkPermission(req, 'comment:audit', commentResource(existing, req.resource));
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { data: history, error } = await supabaseAdmin
+      .from('content_comment_history')
+      .select(`
+        id, action, previous_comment, created_at,
+        actor:users(id, first_name, last_name)
+      `)
+      .eq('comment_id', commentId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        comment: existing,
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/share-links:
+ *   get:
+ *     summary: List a content item's share links
+ *     description: >
+ *       Active, expired and revoked links, newest first, with `view_count`,
+ *       `last_viewed_at` and `unique_visitors`.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/share-links', authenticateToken, validateObjectId, authorize('content:share'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listShareLinks('content', req.resource.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/share-links:
+ *   post:
+ *     summary: Create a share link for a content item
+ *     description: >
+ *       Anyone with the link can preview the item's title, caption, script,
+ *       hashtags and media without logging in until it expires (in 7 days by
+ *       default, at most 30) or is revoked. Returns the link's URL once; only
+ *       a hash of its token is kept.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               password:
+ *                 type: string
+ *                 description: Ask viewers for this password
+ */
+router.post('/:id/share-links', authenticateToken, validateObjectId, authorize('content:share'), validateShareLink, async (req, res, next) => {
+  try {
+    const { expiresAt, password } = req.body;
+    const { link, token } = await createShareLink('content', req.resource, { createdBy: req.user.id, expiresAt, password });
+
+    logger.info(`Share link ${link.id} for content ${req.resource.id} created by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created. Anyone with the URL can preview this content until it expires',
+      data: { ...link, url: `${process.env.FRONTEND_URL}/share/${token}` }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a content item's share link
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id/share-links/:linkId', authenticateToken, validateUuidParams('id', 'linkId'), authorize('content:share'), async (req, res, next) => {
+  try {
+    const link = await revokeShareLink('content', req.resource.id, req.params.linkId, req.user.id);
+
+    logger.info(`Share link ${link.id} for content ${req.resource.id} revoked by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: link
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/approval:
+ *   get:
+ *     summary: Get a content item's approval status
+ *     description: The approval stages of the current round with their approvals, and the statuses the item can be moved to by update.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/approval', authenticateToken, validateObjectId, authorize('content:read'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await describeApproval(req.resource)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/submit:
+ *   post:
+ *     summary: Submit a draft or rejected item for approval
+ *     description: The item enters review at the first of its workspace's approval stages and is locked until approved, rejected or withdrawn. The stage's approvers are notified.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ */
+router.post('/:id/submit', authenticateToken, validateObjectId, authorize('content:submit'), validateWorkflowComment, async (req, res, next) => {
+  try {
+    const item = await submitForApproval(req.resource, req.user, { comment: req.body.comment });
+
+    res.json({
+      success: true,
+      message: 'Content submitted for approval',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw an item from review, back to draft
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ */
+router.post('/:id/withdraw', authenticateToken, validateObjectId, authorize('content:withdraw'), validateWorkflowComment, async (req, res, next) => {
+  try {
+    const item = await withdrawFromApproval(req.resource, req.user, { comment: req.body.comment });
+
+    res.json({
+      success: true,
+      message: 'Content withdrawn from review',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/approve:
+ *   post:
+ *     summary: Approve the item's current approval stage
+ *     description: Once the stage has its required approvals the item moves to the next stage, or becomes approved after the last one.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ */
+router.post('/:id/approve', authenticateToken, validateObjectId, authorize('content:read'), validateWorkflowComment, async (req, res, next) => {
+  try {
+    const decision = await checkStageApprover(req);
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { item } = await approveStage(req.resource, req.user, { comment: req.body.comment });
+
+    res.json({
+      success: true,
+      message: item.status === 'approved' ? 'Content approved' : 'Approval recorded',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/reject:
+ *   post:
+ *     summary: Reject the item at its current approval stage
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - comment
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: What needs to change
+ */
+router.post('/:id/reject', authenticateToken, validateObjectId, authorize('content:read'), validateRejection, async (req, res, next) => {
+  try {
+    const decision = await checkStageApprover(req);
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { item } = await rejectStage(req.resource, req.user, { comment: req.body.comment });
+
+    res.json({
+      success: true,
+      message: 'Content rejected',
+      data: item
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/versions:
+ *   get:
+ *     summary: List a content item's versions, newest first
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ */
+router.get('/:id/versions', authenticateToken, validateObjectId, authorize('content:read'), validatePagination, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const { data: revisions, error } = await supabaseAdmin
+      .from('content_revisions')
+      .select(`
+        id, version, changed_fields, reason, restored_from, created_at,
+        author:users(id, first_name, last_name)
+      `)
+      .eq('content_item_id', id)
+      .order('version', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    const { count } = await supabaseAdmin
+      .from('content_revisions')
+      .select('*', { count: 'exact', head: true })
+      .eq('content_item_id', id);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/versions/diff:
+ *   get:
+ *     summary: Field-level differences between two versions
+ *     description: Defaults to comparing the latest version with the one before it.
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ */
+router.get('/:id/versions/diff', authenticateToken, validateObjectId, authorize('content:read'), validateVersionDiff, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    let { from, to } = req.query;
+
+    if (!to) {
+      const { data: latest, error } = await supabaseAdmin
+        .from('content_revisions')
+        .select('version')
+        .eq('content_item_id', id)
+        .order('version', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        throw error;
+      }
+
+      to = latest[0]?.version || 1;
+    }
+
+    if (!from) {
+      from = Math.max(to - 1, 1);
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([getRevision(id, from), getRevision(id, to)]);
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.version,
+        to: toRevision.version,
+        changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/versions/{version}:
+ *   get:
+ *     summary: Get one version of a content item
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ */
+router.get('/:id/versions/:version', authenticateToken, validateContentVersion, authorize('content:read'), async (req, res, next) => {
+  try {
+    const revision = await getRevision(req.params.id, req.params.version);
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore an earlier version
+ *     description: >
+ *       Copies the version's fields back onto the item and saves the result as
+ *       a new version; no history is lost. The restore follows the rules of
+ *       PUT /api/content/{id}: approved content goes back to draft, series
+ *       items are detached, campaign variants can't change platform, and
+ *       scheduled items must meet their platform's rules (400 with
+ *       `code: platform_limits` otherwise).
+ *     tags: [Content]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ */
+router.post('/:id/versions/:version/restore', authenticateToken, validateContentVersion, authorize('content:update'), validateRevisionReason, async (req, res, next) => {
+  try {
+    const { snapshot } = await getRevision(req.resource.id, req.params.version);
+    const reapproval = await getReapprovalChanges(req.resource, snapshot);
+
+    // The restored copy follows the same rules as an edit; content that stays
+    // scheduled has to meet its platform's rules before it's published
+    const changes = { ...snapshot, ...reapproval };
+    const scheduled = (changes.status || req.resource.status) === 'scheduled';
+    const platformWarnings = await checkEdit(res, req.resource, changes, { scheduling: scheduled });
+    if (!platformWarnings) {
+      return;
+    }
+
+    const { item, revision } = await restoreRevision(req.resource, req.params.version, req.user.id, {
+      reason: req.body.reason,
+      changes
+    });
+
+    if (reapproval) {
+      await recordStatusChange(item, req.resource.status, req.user, {
+        comment: `Moved from ${req.resource.status} to draft: earlier version restored after approval`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Version ${req.params.version} restored as version ${revision.version}`,
+      data: item,
+      warnings: platformWarnings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to resolve or reopen a revision request
+async function setResolved(req, res, next, resolved) {
+  try {
+    const { id, commentId } = req.params;
+
+    const existing = await findComment(id, commentId);
+    if (!existing) {
+      return commentNotFound(res);
+    }
+
+    const decision = await checkPermission(req, 'comment:resolve', commentResource(existing, req.resource));
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    if (Boolean(existing.resolved_at) === resolved) {
+      return res.status(409).json({
+        error: resolved ? 'Already resolved' : 'Not resolved',
+        message: resolved ? 'This revision request is already resolved' : 'This revision request is still open'
+      });
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('content_comments')
+      .update(resolved
+        ? { resolved_at: new Date().toISOString(), resolved_by: req.user.id }
+        : { resolved_at: null, resolved_by: null })
+      .eq('id', commentId)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await recordCommentHistory(commentId, resolved ? 'resolved' : 'unresolved', req.user.id);
+
+    logger.info(`Comment ${commentId} on content ${id} ${resolved ? 'resolved' : 'reopened'} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: resolved ? 'Revision request resolved' : 'Revision request reopened',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Helper function to load a comment on a given content item
+async function findComment(contentItemId, commentId) {
+  const { data: comment, error } = await supabaseAdmin
+    .from('content_comments')
+    .select('*')
+    .eq('id', commentId)
+    .eq('content_item_id', contentItemId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return comment;
+}
+
+// Helper function to describe a comment to the permission policy, which
+// needs to know whose content and workspace it belongs to
+function commentResource(comment, item) {
+  return { ...comment, workspace_id: item.workspace_id, content_creator_id: item.creator_id };
+}
+
+// Helper function to check a comment anchor: a field, and for scripts an
+// optional time range. Returns an error message, or null when valid.
+function checkAnchor(anchor, parent) {
+  if (!anchor) {
+    return null;
+  }
+
+  if (parent) {
+    return 'Replies belong to their thread and can\'t have their own anchor';
+  }
+
+  const { field, startSeconds, endSeconds } = anchor;
+  const hasRange = startSeconds !== undefined || endSeconds !== undefined;
+
+  if (hasRange && field !== 'script') {
+    return 'Time ranges can only be given for the script';
+  }
+
+  if (endSeconds !== undefined && (startSeconds === undefined || endSeconds < startSeconds)) {
+    return 'endSeconds needs a startSeconds at or before it';
+  }
+
+  return null;
+}
+
+function commentNotFound(res) {
+  return res.status(404).json({
+    error: 'Comment not found',
+    message: 'The requested comment does not exist'
+  });
+}
+
+// Helper function to check that the user approves the item's current stage
+function checkStageApprover(req) {
+  const item = req.resource;
+  const stage = item.status === 'review' ? item.approval_stages[item.approval_stage] : undefined;
+
+  return checkPermission(req, 'content:approve', item, { stage });
+}
+
+// Helper function to apply the rules every edit of an item follows, whether
+// made by hand or by restoring a version. Adds the columns the edit also
+// changes to `updateData`; sends the error response and returns null when the
+// edit isn't allowed, otherwise returns the platform warnings
+async function checkEdit(res, item, updateData, { scheduling }) {
+  // Series edits no longer change an item that has been edited by hand
+  if (item.series_id) {
+    updateData.series_detached = true;
+  }
+
+  // A campaign variant keeps its own copy of the shared fields edited here
+  if (item.campaign_id) {
+    if (updateData.platform !== undefined && updateData.platform !== item.platform) {
+      res.status(400).json({
+        error: 'Platform change not allowed',
+        message: 'A campaign variant is for one platform; add a variant for the other platform instead'
+      });
+      return null;
+    }
+
+    updateData.overridden_fields = overridesAfterEdit(item, updateData);
+  }
+
+  // Check the platform's rules before scheduling, and on every edit of a
+  // campaign variant (whose media may still be to come)
+  if (scheduling || item.campaign_id) {
+    const { errors, warnings } = await validateContentItem({ ...item, ...updateData }, { requireMedia: scheduling });
+
+    if (errors.length > 0) {
+      sendPlatformLimits(res, errors, warnings);
+      return null;
+    }
+
+    return warnings;
+  }
+
+  return [];
+}
+
+// Helper function to report an item that breaks its platform's rules
+function sendPlatformLimits(res, errors, warnings) {
+  return res.status(400).json({
+    error: 'Platform limits exceeded',
+    code: PLATFORM_ERRORS.LIMITS_EXCEEDED,
+    message: errors.map(issue => issue.message).join('; '),
+    errors,
+    warnings
+  });
+}
+
+// Helper function to check that content can be for a client; sends the
+// error response and returns false when it can't
+async function checkClient(req, res, clientId, workspaceId) {
+  const { data: client, error } = await supabaseAdmin
+    .from('clients')
+    .select('*')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!client) {
+    res.status(404).json({
+      error: 'Client not found',
+      message: 'The specified client does not exist'
+    });
+    return false;
+  }
+
+  const decision = await checkPermission(req, 'client:read', client);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return false;
+  }
+
+  // Workspace content can only be for the workspace's own clients
+  if (workspaceId && client.workspace_id !== workspaceId) {
+    res.status(400).json({
+      error: 'Invalid client',
+      message: 'The client does not belong to this workspace'
+    });
+    return false;
+  }
+
+  if (client.status === 'archived') {
+    res.status(400).json({
+      error: 'Client archived',
+      message: 'Content cannot be added to an archived client'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Helper function to limit a content query to the request's workspace, or
+// to the user's own content when no workspace is selected
+function scopeContentQuery(query, req) {
+  if (req.workspace) {
+    return query.eq('workspace_id', req.workspace.id);
+  }
+
+  if (req.user.role === 'client') {
+    return query.in('client_id', req.clientIds);
+  }
+
+  if (req.user.role === 'creator' || req.user.role === 'agency') {
+    return query.eq('creator_id', req.user.id);
+  }
+
+  return query;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,41 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticateToken } = require('../middlewares/auth');
-const { validateObjectId } = require('../middlewares/validation');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  withoutResource,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const {
+  validateGarbageCollection,
+  validateFileSearch,
+  validateBulkMove,
+  validateBulkTag,
+  validateBulkDelete,
+  validateShareLink,
+  validateObjectId,
+  validateUuidParams
+} = require('../middlewares/validation');
 const { supabase, supabaseAdmin } = require('../config/database');
+const { ALLOWED_MIME_TYPES, getFileType } = require('../utils/mediaTypes');
+const { PROCESSING_ERRORS, requeueMediaFile } = require('../services/mediaProcessing');
+const { storeContent, deleteMediaFile, collectGarbage } = require('../services/mediaStorage');
+const {
+  LIBRARY_ERRORS,
+  AssetLibraryError,
+  findFolder,
+  folderTreeIds,
+  assertFileFits,
+  moveFile,
+  retagFile,
+  collectionFileIds,
+  runBulk,
+  applyFileFilters
+} = require('../services/assetLibrary');
+const { createShareLink, listShareLinks, revokeShareLink } = require('../services/shareLinks');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -16,21 +49,7 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     // Allow images, videos, and documents
-    const allowedTypes = [
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/webp',
-      'video/mp4',
-      'video/quicktime',
-      'video/x-msvideo',
-      'application/pdf',
-      'text/plain',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error(`File type ${file.mimetype} not allowed`), false);
@@ -69,11 +88,23 @@ const upload = multer({
  *               tags:
  *                 type: string
  *                 description: Comma-separated tags
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Put the files in this folder; a client's folder sets clientId
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Upload into this workspace (requires the editor role)
  */
-router.post('/upload', authenticateToken, upload.array('files', 5), async (req, res, next) => {
+router.post('/upload', authenticateToken, resolveWorkspace, authorize('file:create', workspaceScope), upload.array('files', 5), async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { contentItemId, clientId, tags } = req.body;
+    const { contentItemId, tags, folderId } = req.body;
+    let { clientId } = req.body;
     const files = req.files;
 
     if (!files || files.length === 0) {
@@ -83,11 +114,22 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
       });
     }
 
+    // Files uploaded into a client's folder are that client's
+    if (folderId) {
+      const folder = await findReadableFolder(req, res, folderId);
+      if (!folder) {
+        return;
+      }
+
+      clientId = clientId || folder.client_id;
+      assertFileFits({ workspace_id: req.workspace?.id || null, uploaded_by: userId, client_id: clientId || null }, folder);
+    }
+
     // Validate content item access if provided
     if (contentItemId) {
       const { data: contentItem, error: contentError } = await supabaseAdmin
         .from('content_items')
-        .select('id, creator_id, client_id')
+        .select('*')
         .eq('id', contentItemId)
         .single();
 
@@ -98,10 +140,16 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
         });
       }
 
-      if (contentItem.creator_id !== userId && req.user.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You do not have access to this content item'
+      // Attaching a file changes the content item
+      const decision = await checkPermission(req, 'content:update', contentItem);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
+
+      if (req.workspace && contentItem.workspace_id !== req.workspace.id) {
+        return res.status(400).json({
+          error: 'Invalid content item',
+          message: 'The content item does not belong to this workspace'
         });
       }
     }
@@ -110,7 +158,7 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
     if (clientId) {
       const { data: client, error: clientError } = await supabaseAdmin
         .from('clients')
-        .select('id, creator_id')
+        .select('*')
         .eq('id', clientId)
         .single();
 
@@ -121,10 +169,15 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
         });
       }
 
-      if (client.creator_id !== userId && req.user.role !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You do not have access to this client'
+      const decision = await checkPermission(req, 'client:read', client);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
+
+      if (req.workspace && client.workspace_id !== req.workspace.id) {
+        return res.status(400).json({
+          error: 'Invalid client',
+          message: 'The client does not belong to this workspace'
         });
       }
     }
@@ -140,27 +193,14 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
         const randomString = Math.random().toString(36).substring(2, 15);
         const fileExtension = file.originalname.split('.').pop();
         const filename = `${timestamp}_${randomString}.${fileExtension}`;
-        
-        // Determine storage path
-        const storagePath = `uploads/${userId}/${filename}`;
 
-        // Upload to Supabase Storage
-        const { data: uploadData, error: uploadError } = await supabase.storage
-          .from('media-files')
-          .upload(storagePath, file.buffer, {
-            contentType: file.mimetype,
-            upsert: false
-          });
-
-        if (uploadError) {
-          logger.error('File upload error:', uploadError);
-          continue; // Skip this file and continue with others
-        }
+        // Store the content, or reuse it if the same file was uploaded before
+        const object = await storeContent(file.buffer, file.mimetype);
 
         // Get public URL
         const { data: urlData } = supabase.storage
           .from('media-files')
-          .getPublicUrl(storagePath);
+          .getPublicUrl(object.storage_path);
 
         // Save file metadata to database
         const { data: fileRecord, error: dbError } = await supabaseAdmin
@@ -171,15 +211,19 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
             file_type: getFileType(file.mimetype),
             file_size: file.size,
             mime_type: file.mimetype,
-            storage_path: storagePath,
+            storage_path: object.storage_path,
+            storage_object_id: object.id,
             public_url: urlData.publicUrl,
             content_item_id: contentItemId || null,
             uploaded_by: userId,
             client_id: clientId || null,
+            workspace_id: req.workspace?.id || null,
+            folder_id: folderId || null,
             tags: tagArray,
             metadata: {
               upload_timestamp: new Date().toISOString(),
-              user_agent: req.get('User-Agent')
+              user_agent: req.get('User-Agent'),
+              sha256: object.sha256
             },
             created_at: new Date().toISOString()
           })
@@ -187,9 +231,8 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
           .single();
 
         if (dbError) {
+          // The stored object is left for garbage collection if nothing uses it
           logger.error('Database save error:', dbError);
-          // Try to clean up uploaded file
-          await supabase.storage.from('media-files').remove([storagePath]);
           continue;
         }
 
@@ -239,7 +282,10 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
  * @swagger
  * /api/files:
  *   get:
- *     summary: Get user's files
+ *     summary: Search the asset library
+ *     description: >
+ *       Lists your files, or the workspace's with X-Workspace-Id, newest
+ *       first. Dimension and duration filters only match processed files.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -258,12 +304,51 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
  *           maximum: 100
  *         description: Items per page
  *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Words to find in the file name, tags and extracted metadata
+ *           (camera, lens, codecs, format); also matches part of the file name
+ *       - in: query
  *         name: type
  *         schema:
  *           type: string
  *           enum: [image, video, document]
  *         description: Filter by file type
  *       - in: query
+ *         name: mimeType
+ *         schema:
+ *           type: string
+ *         description: Filter by MIME type, e.g. video/mp4
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the files must all have
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Files in this folder
+ *       - in: query
+ *         name: includeSubfolders
+ *         schema:
+ *           type: boolean
+ *         description: With folderId, also files in its subfolders
+ *       - in: query
+ *         name: unfiled
+ *         schema:
+ *           type: boolean
+ *         description: Only files in no folder
+ *       - in: query
+ *         name: collectionId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Files in this collection
+ *       - in: query
  *         name: clientId
  *         schema:
  *           type: string
@@ -276,59 +361,126 @@ router.post('/upload', authenticateToken, upload.array('files', 5), async (req,
  *           format: uuid
  *         description: Filter by content item
  *       - in: query
- *         name: search
+ *         name: processingStatus
+ *         schema:
+ *           type: string
+ *           enum: [pending, processing, ready, failed, skipped]
+ *       - in: query
+ *         name: minWidth
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxWidth
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minHeight
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: maxHeight
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minDuration
+ *         schema:
+ *           type: number
+ *         description: Seconds
+ *       - in: query
+ *         name: maxDuration
+ *         schema:
+ *           type: number
+ *         description: Seconds
+ *       - in: query
+ *         name: uploadedAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: uploadedBefore
  *         schema:
  *           type: string
- *         description: Search in filename and tags
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, original_name, file_size]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Defaults to asc for original_name and desc otherwise
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's files instead of your own
  */
-router.get('/', authenticateToken, async (req, res, next) => {
+router.get('/', authenticateToken, resolveWorkspace, validateFileSearch, async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-    const { 
-      page = 1, 
-      limit = 20, 
-      type, 
-      clientId, 
-      contentItemId, 
-      search 
+    const {
+      page = 1,
+      limit = 20,
+      folderId,
+      includeSubfolders,
+      collectionId,
+      sort = 'created_at',
+      order
     } = req.query;
-    
+
     const offset = (page - 1) * limit;
+    const filters = { ...req.query };
+
+    if (folderId) {
+      const folder = await findReadableFolder(req, res, folderId);
+      if (!folder) {
+        return;
+      }
+      filters.folderIds = includeSubfolders ? await folderTreeIds(folder.id) : [folder.id];
+    }
+
+    if (collectionId) {
+      const { data: collection, error: collectionError } = await supabaseAdmin
+        .from('media_collections')
+        .select('*')
+        .eq('id', collectionId)
+        .maybeSingle();
+
+      if (collectionError) {
+        throw collectionError;
+      }
+
+      if (!collection) {
+        return res.status(404).json({
+          error: 'Collection not found',
+          message: 'The specified collection does not exist'
+        });
+      }
+
+      const decision = await checkPermission(req, 'collection:read', collection);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
+
+      filters.fileIds = await collectionFileIds(collection.id);
+    }
 
     let query = supabaseAdmin
       .from('media_files')
       .select(`
         *,
         content_item:content_items(id, title),
-        client:clients(id, name, brand)
+        client:clients(id, name, brand),
+        folder:media_folders(id, name)
       `)
-      .order('created_at', { ascending: false })
+      .order(sort, { ascending: order ? order === 'asc' : sort === 'original_name' })
       .range(offset, offset + limit - 1);
 
-    // Apply role-based filtering
-    if (userRole === 'client') {
-      query = query.eq('client_id', userId);
-    } else {
-      query = query.eq('uploaded_by', userId);
-    }
-
-    // Apply filters
-    if (type) {
-      query = query.eq('file_type', type);
-    }
-    
-    if (clientId) {
-      query = query.eq('client_id', clientId);
-    }
-    
-    if (contentItemId) {
-      query = query.eq('content_item_id', contentItemId);
-    }
-
-    if (search) {
-      query = query.or(`original_name.ilike.%${search}%,tags.cs.{${search}}`);
-    }
+    // Apply workspace or role-based filtering
+    query = applyFileFilters(scopeFileQuery(query, req), filters);
 
     const { data: files, error } = await query;
 
@@ -341,18 +493,7 @@ router.get('/', authenticateToken, async (req, res, next) => {
       .from('media_files')
       .select('*', { count: 'exact', head: true });
 
-    if (userRole === 'client') {
-      countQuery = countQuery.eq('client_id', userId);
-    } else {
-      countQuery = countQuery.eq('uploaded_by', userId);
-    }
-
-    if (type) countQuery = countQuery.eq('file_type', type);
-    if (clientId) countQuery = countQuery.eq('client_id', clientId);
-    if (contentItemId) countQuery = countQuery.eq('content_item_id', contentItemId);
-    if (search) {
-      countQuery = countQuery.or(`original_name.ilike.%${search}%,tags.cs.{${search}}`);
-    }
+    countQuery = applyFileFilters(scopeFileQuery(countQuery, req), filters);
 
     const { count } = await countQuery;
 
@@ -371,11 +512,87 @@ router.get('/', authenticateToken, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/files/stats:
+ *   get:
+ *     summary: Get file storage statistics
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Statistics for the workspace's files
+ */
+router.get('/stats', authenticateToken, resolveWorkspace, async (req, res, next) => {
+  try {
+    let query = supabaseAdmin
+      .from('media_files')
+      .select('file_type, file_size');
+
+    if (req.workspace || req.user.role !== 'admin') {
+      query = scopeFileQuery(query, req);
+    }
+
+    const { data: files, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    // Calculate statistics
+    const stats = {
+      totalFiles: files.length,
+      totalSize: files.reduce((sum, file) => sum + file.file_size, 0),
+      byType: {},
+      averageSize: 0
+    };
+
+    // Group by file type
+    files.forEach(file => {
+      if (!stats.byType[file.file_type]) {
+        stats.byType[file.file_type] = { count: 0, size: 0 };
+      }
+      stats.byType[file.file_type].count++;
+      stats.byType[file.file_type].size += file.file_size;
+    });
+
+    // Calculate average size
+    if (stats.totalFiles > 0) {
+      stats.averageSize = Math.round(stats.totalSize / stats.totalFiles);
+    }
+
+    // Format sizes for readability
+    stats.totalSizeFormatted = formatFileSize(stats.totalSize);
+    stats.averageSizeFormatted = formatFileSize(stats.averageSize);
+
+    Object.keys(stats.byType).forEach(type => {
+      stats.byType[type].sizeFormatted = formatFileSize(stats.byType[type].size);
+    });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/files/{id}:
  *   get:
  *     summary: Get file by ID
+ *     description: >
+ *       Includes the file's processing_status (pending, processing, ready,
+ *       failed or skipped) and, once processed, its dimensions, duration,
+ *       codecs, EXIF, thumbnail, poster frame, renditions and compressed copy
+ *       in metadata.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -387,38 +604,24 @@ router.get('/', authenticateToken, async (req, res, next) => {
  *           type: string
  *           format: uuid
  */
-router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.get('/:id', authenticateToken, validateObjectId, authorize('file:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
 
-    let query = supabaseAdmin
+    const query = supabaseAdmin
       .from('media_files')
       .select(`
         *,
         content_item:content_items(id, title),
         client:clients(id, name, brand),
+        folder:media_folders(id, name),
         uploader:users!media_files_uploaded_by_fkey(id, first_name, last_name)
       `)
       .eq('id', id);
 
-    // Apply role-based filtering
-    if (userRole === 'client') {
-      query = query.eq('client_id', userId);
-    } else if (userRole !== 'admin') {
-      query = query.eq('uploaded_by', userId);
-    }
-
     const { data: file, error } = await query.single();
 
     if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          error: 'File not found',
-          message: 'The requested file does not exist'
-        });
-      }
       throw error;
     }
 
@@ -463,35 +666,17 @@ router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  *               clientId:
  *                 type: string
  *                 format: uuid
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: Move the file into this folder, or out of its folder with null
  */
-router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.put('/:id', authenticateToken, validateObjectId, authorize('file:update'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
-    const { tags, contentItemId, clientId } = req.body;
-
-    // Get existing file
-    const { data: existingFile, error: fetchError } = await supabaseAdmin
-      .from('media_files')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !existingFile) {
-      return res.status(404).json({
-        error: 'File not found',
-        message: 'The requested file does not exist'
-      });
-    }
-
-    // Check permissions
-    if (userRole !== 'admin' && existingFile.uploaded_by !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update files you uploaded'
-      });
-    }
+    const { tags, contentItemId, clientId, folderId } = req.body;
 
     // Prepare update data
     const updateData = {
@@ -510,6 +695,20 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
       updateData.client_id = clientId;
     }
 
+    if (folderId !== undefined) {
+      updateData.folder_id = folderId || null;
+    }
+
+    // A client's folder only holds that client's files
+    const targetFolderId = updateData.folder_id !== undefined ? updateData.folder_id : req.resource.folder_id;
+    if (targetFolderId && (folderId !== undefined || clientId !== undefined)) {
+      const folder = await findReadableFolder(req, res, targetFolderId);
+      if (!folder) {
+        return;
+      }
+      assertFileFits({ ...req.resource, ...updateData }, folder);
+    }
+
     // Update file
     const { data: updatedFile, error } = await supabaseAdmin
       .from('media_files')
@@ -518,7 +717,8 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
       .select(`
         *,
         content_item:content_items(id, title),
-        client:clients(id, name, brand)
+        client:clients(id, name, brand),
+        folder:media_folders(id, name)
       `)
       .single();
 
@@ -540,9 +740,9 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
 
 /**
  * @swagger
- * /api/files/{id}:
- *   delete:
- *     summary: Delete file
+ * /api/files/{id}/reprocess:
+ *   post:
+ *     summary: Process a file again (metadata, thumbnails and renditions)
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -553,60 +753,119 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  *         schema:
  *           type: string
  *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Queued for processing
+ *       409:
+ *         description: The file is being processed right now
  */
-router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.post('/:id/reprocess', authenticateToken, validateObjectId, authorize('file:update'), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const userRole = req.user.role;
+    const existingFile = req.resource;
 
-    // Get existing file
-    const { data: existingFile, error: fetchError } = await supabaseAdmin
-      .from('media_files')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !existingFile) {
-      return res.status(404).json({
-        error: 'File not found',
-        message: 'The requested file does not exist'
+    if (!['image', 'video'].includes(existingFile.file_type)) {
+      return res.status(400).json({
+        error: 'Not processable',
+        code: PROCESSING_ERRORS.NOT_PROCESSABLE,
+        message: 'Only images and videos are processed'
       });
     }
 
-    // Check permissions
-    if (userRole !== 'admin' && existingFile.uploaded_by !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only delete files you uploaded'
+    const file = await requeueMediaFile(existingFile);
+
+    if (!file) {
+      return res.status(409).json({
+        error: 'Processing in progress',
+        code: PROCESSING_ERRORS.IN_PROGRESS,
+        message: 'The file is being processed right now'
       });
     }
 
-    // Delete from storage
-    const { error: storageError } = await supabase.storage
-      .from('media-files')
-      .remove([existingFile.storage_path]);
+    logger.info(`File ${file.id} queued for processing by user ${req.user.id}`);
 
-    if (storageError) {
-      logger.error('Storage deletion error:', storageError);
-      // Continue with database deletion even if storage deletion fails
-    }
+    res.status(202).json({
+      success: true,
+      message: 'File queued for processing',
+      data: file
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Delete from database
-    const { error: dbError } = await supabaseAdmin
-      .from('media_files')
-      .delete()
-      .eq('id', id);
+/**
+ * @swagger
+ * /api/files/{id}/share-links:
+ *   get:
+ *     summary: List a file's share links
+ *     description: >
+ *       Active, expired and revoked links, newest first, with `view_count`,
+ *       `last_viewed_at` and `unique_visitors`.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/share-links', authenticateToken, validateObjectId, authorize('file:share'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: await listShareLinks('file', req.resource.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (dbError) {
-      throw dbError;
-    }
+/**
+ * @swagger
+ * /api/files/{id}/share-links:
+ *   post:
+ *     summary: Create a share link for a file
+ *     description: >
+ *       Anyone with the link can preview the file without logging in until it
+ *       expires (in 7 days by default, at most 30) or is revoked. Returns the
+ *       link's URL once; only a hash of its token is kept.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               password:
+ *                 type: string
+ *                 description: Ask viewers for this password
+ */
+router.post('/:id/share-links', authenticateToken, validateObjectId, authorize('file:share'), validateShareLink, async (req, res, next) => {
+  try {
+    const { expiresAt, password } = req.body;
+    const { link, token } = await createShareLink('file', req.resource, { createdBy: req.user.id, expiresAt, password });
 
-    logger.info(`File deleted: ${id} (${existingFile.original_name}) by user ${userId}`);
+    logger.info(`Share link ${link.id} for file ${req.resource.id} created by user ${req.user.id}`);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'File deleted successfully'
+      message: 'Share link created. Anyone with the URL can preview this file until it expires',
+      data: { ...link, url: `${process.env.FRONTEND_URL}/share/${token}` }
     });
   } catch (error) {
     next(error);
@@ -615,78 +874,326 @@ router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next
 
 /**
  * @swagger
- * /api/files/stats:
- *   get:
- *     summary: Get file storage statistics
+ * /api/files/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a file's share link
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
  */
-router.get('/stats', authenticateToken, async (req, res, next) => {
+router.delete('/:id/share-links/:linkId', authenticateToken, validateUuidParams('id', 'linkId'), authorize('file:share'), async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
+    const link = await revokeShareLink('file', req.resource.id, req.params.linkId, req.user.id);
 
-    let query = supabaseAdmin
-      .from('media_files')
-      .select('file_type, file_size');
+    logger.info(`Share link ${link.id} for file ${req.resource.id} revoked by user ${req.user.id}`);
 
-    if (userRole === 'client') {
-      query = query.eq('client_id', userId);
-    } else if (userRole !== 'admin') {
-      query = query.eq('uploaded_by', userId);
-    }
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: link
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    const { data: files, error } = await query;
+/**
+ * @swagger
+ * /api/files/bulk/move:
+ *   post:
+ *     summary: Move files into a folder, or out of their folders
+ *     description: >
+ *       Each file is handled on its own: files that can't be moved are listed
+ *       in `failed` with a `code` and `message`, and the others are still
+ *       moved.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *               - folderId
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               folderId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ */
+router.post('/bulk/move', authenticateToken, validateBulkMove, async (req, res, next) => {
+  try {
+    const { fileIds, folderId } = req.body;
+    let folder = null;
 
-    if (error) {
-      throw error;
+    if (folderId) {
+      folder = await findReadableFolder(req, res, folderId);
+      if (!folder) {
+        return;
+      }
     }
 
-    // Calculate statistics
-    const stats = {
-      totalFiles: files.length,
-      totalSize: files.reduce((sum, file) => sum + file.file_size, 0),
-      byType: {},
-      averageSize: 0
-    };
+    const results = await runBulk(fileIds, async (file) => {
+      await assertAllowed(req, 'file:update', file);
+      await moveFile(file, folder);
+    });
 
-    // Group by file type
-    files.forEach(file => {
-      if (!stats.byType[file.file_type]) {
-        stats.byType[file.file_type] = { count: 0, size: 0 };
-      }
-      stats.byType[file.file_type].count++;
-      stats.byType[file.file_type].size += file.file_size;
+    logger.info(`${results.succeeded.length} file(s) moved to ${folder ? `folder ${folder.id}` : 'no folder'} by user ${req.user.id}`);
+
+    sendBulkResults(res, results, 'moved');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/bulk/tag:
+ *   post:
+ *     summary: Add and remove tags on several files
+ *     description: Tags are compared ignoring case. Failures are reported per file as for bulk moves.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               add:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               remove:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ */
+router.post('/bulk/tag', authenticateToken, validateBulkTag, async (req, res, next) => {
+  try {
+    const { fileIds, add = [], remove = [] } = req.body;
+
+    const results = await runBulk(fileIds, async (file) => {
+      await assertAllowed(req, 'file:update', file);
+      await retagFile(file, { add, remove });
     });
 
-    // Calculate average size
-    if (stats.totalFiles > 0) {
-      stats.averageSize = Math.round(stats.totalSize / stats.totalFiles);
-    }
+    logger.info(`${results.succeeded.length} file(s) retagged by user ${req.user.id}`);
 
-    // Format sizes for readability
-    stats.totalSizeFormatted = formatFileSize(stats.totalSize);
-    stats.averageSizeFormatted = formatFileSize(stats.averageSize);
+    sendBulkResults(res, results, 'updated');
+  } catch (error) {
+    next(error);
+  }
+});
 
-    Object.keys(stats.byType).forEach(type => {
-      stats.byType[type].sizeFormatted = formatFileSize(stats.byType[type].size);
+/**
+ * @swagger
+ * /api/files/bulk/delete:
+ *   post:
+ *     summary: Delete several files
+ *     description: Failures are reported per file as for bulk moves.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fileIds
+ *             properties:
+ *               fileIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ */
+router.post('/bulk/delete', authenticateToken, validateBulkDelete, async (req, res, next) => {
+  try {
+    const results = await runBulk(req.body.fileIds, async (file) => {
+      await assertAllowed(req, 'file:delete', file);
+      await deleteMediaFile(file);
     });
 
+    logger.info(`${results.succeeded.length} file(s) deleted by user ${req.user.id}`);
+
+    sendBulkResults(res, results, 'deleted');
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/{id}:
+ *   delete:
+ *     summary: Delete file
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, authorize('file:delete'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const existingFile = req.resource;
+
+    // Removes the stored content too, unless other files share it
+    await deleteMediaFile(existingFile);
+
+    logger.info(`File deleted: ${id} (${existingFile.original_name}) by user ${userId}`);
+
     res.json({
       success: true,
-      data: stats
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/gc:
+ *   post:
+ *     summary: Find (and optionally remove) unused and missing storage (admin only)
+ *     description: >
+ *       Reports stored objects no file uses any more, files in storage nothing
+ *       refers to, and files whose stored content is missing. Unless dryRun is
+ *       false nothing is removed. Files with missing content are only reported.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *               graceHours:
+ *                 type: integer
+ *                 description: Leave storage used more recently than this alone
+ */
+router.post('/gc', authenticateToken, authorize('file:collect_garbage', withoutResource), validateGarbageCollection, async (req, res, next) => {
+  try {
+    const { dryRun = true, graceHours } = req.body;
+
+    const report = await collectGarbage({ dryRun, ...(graceHours !== undefined ? { graceHours } : {}) });
+
+    logger.info(`Storage garbage collection${dryRun ? ' dry run' : ''} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: report
     });
   } catch (error) {
     next(error);
   }
 });
 
-// Helper function to determine file type from MIME type
-function getFileType(mimeType) {
-  if (mimeType.startsWith('image/')) return 'image';
-  if (mimeType.startsWith('video/')) return 'video';
-  return 'document';
+// Helper function to limit a file query to the request's workspace, or to
+// the user's own files when no workspace is selected
+function scopeFileQuery(query, req) {
+  if (req.workspace) {
+    return query.eq('workspace_id', req.workspace.id);
+  }
+
+  if (req.user.role === 'client') {
+    return query.in('client_id', req.clientIds);
+  }
+
+  return query.eq('uploaded_by', req.user.id);
+}
+
+// Helper function to load a folder the user can see; sends the error
+// response and returns null when there isn't one
+async function findReadableFolder(req, res, folderId) {
+  const folder = await findFolder(folderId);
+
+  if (!folder) {
+    res.status(404).json({
+      error: 'Folder not found',
+      message: 'The specified folder does not exist'
+    });
+    return null;
+  }
+
+  const decision = await checkPermission(req, 'folder:read', folder);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return null;
+  }
+
+  return folder;
+}
+
+// Helper function to fail one file of a bulk request when the user may not
+// act on it; files they can't see at all are reported as not found
+async function assertAllowed(req, action, file) {
+  const decision = await checkPermission(req, action, file);
+
+  if (decision.allowed) {
+    return;
+  }
+
+  if (decision.status === 404) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.NOT_FOUND, 'File not found', 404);
+  }
+  throw new AssetLibraryError(decision.code, decision.reason, 403);
+}
+
+// Helper function to report the outcome of a bulk request file by file
+function sendBulkResults(res, { succeeded, failed }, verb) {
+  res.json({
+    success: true,
+    message: `${succeeded.length} of ${succeeded.length + failed.length} file(s) ${verb}`,
+    data: { succeeded, failed }
+  });
 }
 
 // Helper function to format file size
@@ -0,0 +1,385 @@
+const express = require('express');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const { validateFolder, validateFolderUpdate, validateObjectId } = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const {
+  findFolder,
+  folderPath,
+  createFolder,
+  updateFolder,
+  deleteFolder
+} = require('../services/assetLibrary');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/files/folders:
+ *   get:
+ *     summary: List folders
+ *     description: >
+ *       All folders of your library, or the workspace's with X-Workspace-Id,
+ *       as a flat list sorted by name. Build the tree from parent_id (null at
+ *       the top level). Each folder has the number of files directly in it.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's folders instead of your own
+ */
+router.get('/', authenticateToken, resolveWorkspace, async (req, res, next) => {
+  try {
+    let query = supabaseAdmin
+      .from('media_folders')
+      .select('*')
+      .order('name', { ascending: true });
+
+    query = scopeFolderQuery(query, req);
+
+    const { data: folders, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const fileCounts = await countFiles(folders.map(folder => folder.id));
+
+    res.json({
+      success: true,
+      data: folders.map(folder => ({ ...folder, fileCount: fileCounts.get(folder.id) || 0 }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/folders:
+ *   post:
+ *     summary: Create a folder
+ *     description: >
+ *       Names are unique among a folder's siblings, ignoring case (409 and
+ *       `code: duplicate_name`). Folders nest up to 10 levels. Subfolders of
+ *       a client's folder are for the same client.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Create the folder inside this one
+ *               clientId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Make it a folder for this client's files
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Create the folder in this workspace (requires the editor role)
+ */
+router.post('/', authenticateToken, resolveWorkspace, authorize('folder:create', workspaceScope), validateFolder, async (req, res, next) => {
+  try {
+    const { name, parentId, clientId } = req.body;
+    let parent = null;
+
+    if (parentId) {
+      parent = await findReadableFolder(req, res, parentId);
+      if (!parent) {
+        return;
+      }
+    }
+
+    if (clientId && !await checkClient(req, res, clientId, req.workspace?.id || null)) {
+      return;
+    }
+
+    const folder = await createFolder({
+      name,
+      parent,
+      clientId,
+      workspaceId: req.workspace?.id || null,
+      createdBy: req.user.id
+    });
+
+    logger.info(`Folder created: ${folder.id} (${folder.name}) by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created successfully',
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/folders/{id}:
+ *   get:
+ *     summary: Get a folder with its path and subfolders
+ *     description: >
+ *       `path` lists the folder's ancestors and the folder itself from the
+ *       top level down, for breadcrumbs. List its files with
+ *       `GET /api/files?folderId=`.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, authorize('folder:read'), async (req, res, next) => {
+  try {
+    const folder = req.resource;
+
+    const { data: subfolders, error } = await supabaseAdmin
+      .from('media_folders')
+      .select('*')
+      .eq('parent_id', folder.id)
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    const fileCounts = await countFiles([folder.id, ...subfolders.map(subfolder => subfolder.id)]);
+
+    res.json({
+      success: true,
+      data: {
+        ...folder,
+        fileCount: fileCounts.get(folder.id) || 0,
+        path: await folderPath(folder),
+        subfolders: subfolders.map(subfolder => ({ ...subfolder, fileCount: fileCounts.get(subfolder.id) || 0 }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/folders/{id}:
+ *   put:
+ *     summary: Rename a folder or move it
+ *     description: >
+ *       A folder can't be moved into itself or one of its subfolders (400 and
+ *       `code: folder_cycle`), nor into another library.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
+ *                 description: The new parent folder, or null for the top level
+ */
+router.put('/:id', authenticateToken, validateObjectId, authorize('folder:update'), validateFolderUpdate, async (req, res, next) => {
+  try {
+    const { name, parentId } = req.body;
+    let parent;
+
+    if (parentId) {
+      parent = await findReadableFolder(req, res, parentId);
+      if (!parent) {
+        return;
+      }
+    } else if (parentId === null) {
+      parent = null;
+    }
+
+    const folder = await updateFolder(req.resource, { name, parent });
+
+    logger.info(`Folder updated: ${folder.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Folder updated successfully',
+      data: folder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/folders/{id}:
+ *   delete:
+ *     summary: Delete an empty folder
+ *     description: >
+ *       Fails with 409 and `code: folder_not_empty` while the folder has
+ *       files or subfolders; move or delete them first.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, authorize('folder:delete'), async (req, res, next) => {
+  try {
+    await deleteFolder(req.resource);
+
+    logger.info(`Folder deleted: ${req.resource.id} (${req.resource.name}) by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Folder deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to limit a folder query to the request's workspace, the
+// client login's clients, or the user's personal folders
+function scopeFolderQuery(query, req) {
+  if (req.workspace) {
+    return query.eq('workspace_id', req.workspace.id);
+  }
+
+  if (req.user.role === 'client') {
+    return query.in('client_id', req.clientIds);
+  }
+
+  return query.is('workspace_id', null).eq('created_by', req.user.id);
+}
+
+// Helper function to count the files directly in each folder
+async function countFiles(folderIds) {
+  const counts = new Map();
+
+  if (folderIds.length === 0) {
+    return counts;
+  }
+
+  const { data: files, error } = await supabaseAdmin
+    .from('media_files')
+    .select('folder_id')
+    .in('folder_id', folderIds);
+
+  if (error) {
+    throw error;
+  }
+
+  files.forEach(file => counts.set(file.folder_id, (counts.get(file.folder_id) || 0) + 1));
+  return counts;
+}
+
+// Helper function to load a folder the user can see; sends the error
+// response and returns null when there isn't one
+async function findReadableFolder(req, res, folderId) {
+  const folder = await findFolder(folderId);
+
+  if (!folder) {
+    res.status(404).json({
+      error: 'Folder not found',
+      message: 'The specified folder does not exist'
+    });
+    return null;
+  }
+
+  const decision = await checkPermission(req, 'folder:read', folder);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return null;
+  }
+
+  return folder;
+}
+
+// Helper function to check that a folder can be for a client; sends the
+// error response and returns false when it can't
+async function checkClient(req, res, clientId, workspaceId) {
+  const { data: client, error } = await supabaseAdmin
+    .from('clients')
+    .select('*')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!client) {
+    res.status(404).json({
+      error: 'Client not found',
+      message: 'The specified client does not exist'
+    });
+    return false;
+  }
+
+  const decision = await checkPermission(req, 'client:read', client);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return false;
+  }
+
+  // Workspace folders can only be for the workspace's own clients
+  if (workspaceId && client.workspace_id !== workspaceId) {
+    res.status(400).json({
+      error: 'Invalid client',
+      message: 'The client does not belong to this workspace'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = router;
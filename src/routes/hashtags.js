@@ -1,17 +1,12 @@
 const express = require('express');
-const { authenticateToken } = require('../middlewares/auth');
+const { authenticateToken, resolveWorkspace, authorize, workspaceScope } = require('../middlewares/auth');
 const { validateHashtagPack, validateObjectId } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
-const OpenAI = require('openai');
+const { getOpenAI } = require('../config/openai');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * @swagger
  * /api/hashtags/research:
@@ -45,7 +40,7 @@ const openai = new OpenAI({
  *                 maximum: 50
  *                 default: 30
  */
-router.post('/research', authenticateToken, async (req, res, next) => {
+router.post('/research', authenticateToken, resolveWorkspace, async (req, res, next) => {
   try {
     const { topic, platform = 'instagram', goal = 'reach', count = 30 } = req.body;
     const userId = req.user.id;
@@ -80,7 +75,7 @@ router.post('/research', authenticateToken, async (req, res, next) => {
     ${platform === 'linkedin' ? 'LinkedIn: Professional, industry-specific hashtags' : ''}
     ${platform === 'twitter' ? 'Twitter: Trending topics and conversation starters' : ''}`;
 
-    const completion = await openai.chat.completions.create({
+    const completion = await getOpenAI().chat.completions.create({
       model: 'gpt-4',
       messages: [
         {
@@ -109,6 +104,7 @@ router.post('/research', authenticateToken, async (req, res, next) => {
       .from('hashtag_research')
       .insert({
         user_id: userId,
+        workspace_id: req.workspace?.id || null,
         topic,
         platform,
         goal,
@@ -147,30 +143,39 @@ router.post('/research', authenticateToken, async (req, res, next) => {
  *     tags: [Hashtags]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's packs instead of your own
  */
-router.get('/packs', authenticateToken, async (req, res, next) => {
+router.get('/packs', authenticateToken, resolveWorkspace, async (req, res, next) => {
   try {
-    const userId = req.user.id;
     const { page = 1, limit = 20 } = req.query;
     
     const offset = (page - 1) * limit;
 
-    const { data: packs, error } = await supabaseAdmin
+    const query = supabaseAdmin
       .from('hashtag_packs')
       .select('*')
-      .eq('user_id', userId)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
+    const { data: packs, error } = await scopePackQuery(query, req);
+
     if (error) {
       throw error;
     }
 
     // Get total count
-    const { count } = await supabaseAdmin
-      .from('hashtag_packs')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count } = await scopePackQuery(
+      supabaseAdmin
+        .from('hashtag_packs')
+        .select('*', { count: 'exact', head: true }),
+      req
+    );
 
     res.json({
       success: true,
@@ -216,8 +221,15 @@ router.get('/packs', authenticateToken, async (req, res, next) => {
  *               platform:
  *                 type: string
  *                 enum: [tiktok, instagram, youtube, linkedin, twitter]
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Create the pack in this workspace (requires the editor role)
  */
-router.post('/packs', authenticateToken, validateHashtagPack, async (req, res, next) => {
+router.post('/packs', authenticateToken, resolveWorkspace, authorize('hashtag_pack:create', workspaceScope), validateHashtagPack, async (req, res, next) => {
   try {
     const userId = req.user.id;
     const { name, hashtags, purpose, platform } = req.body;
@@ -233,6 +245,7 @@ router.post('/packs', authenticateToken, validateHashtagPack, async (req, res, n
       .from('hashtag_packs')
       .insert({
         user_id: userId,
+        workspace_id: req.workspace?.id || null,
         name: name.trim(),
         hashtags: cleanHashtags,
         purpose: purpose?.trim(),
@@ -274,35 +287,11 @@ router.post('/packs', authenticateToken, validateHashtagPack, async (req, res, n
  *           type: string
  *           format: uuid
  */
-router.get('/packs/:id', authenticateToken, validateObjectId, async (req, res, next) => {
-  try {
-    const { id } = req.params;
-    const userId = req.user.id;
-
-    const { data: pack, error } = await supabaseAdmin
-      .from('hashtag_packs')
-      .select('*')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          error: 'Pack not found',
-          message: 'The requested hashtag pack does not exist'
-        });
-      }
-      throw error;
-    }
-
-    res.json({
-      success: true,
-      data: pack
-    });
-  } catch (error) {
-    next(error);
-  }
+router.get('/packs/:id', authenticateToken, validateObjectId, authorize('hashtag_pack:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: req.resource
+  });
 });
 
 /**
@@ -321,27 +310,12 @@ router.get('/packs/:id', authenticateToken, validateObjectId, async (req, res, n
  *           type: string
  *           format: uuid
  */
-router.put('/packs/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.put('/packs/:id', authenticateToken, validateObjectId, authorize('hashtag_pack:update'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
     const { name, hashtags, purpose, platform } = req.body;
 
-    // Verify pack exists and belongs to user
-    const { data: existingPack, error: fetchError } = await supabaseAdmin
-      .from('hashtag_packs')
-      .select('id')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
-
-    if (fetchError || !existingPack) {
-      return res.status(404).json({
-        error: 'Pack not found',
-        message: 'The requested hashtag pack does not exist'
-      });
-    }
-
     // Prepare update data
     const updateData = {
       updated_at: new Date().toISOString()
@@ -399,26 +373,11 @@ router.put('/packs/:id', authenticateToken, validateObjectId, async (req, res, n
  *           type: string
  *           format: uuid
  */
-router.delete('/packs/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.delete('/packs/:id', authenticateToken, validateObjectId, authorize('hashtag_pack:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Verify pack exists and belongs to user
-    const { data: existingPack, error: fetchError } = await supabaseAdmin
-      .from('hashtag_packs')
-      .select('id')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
-
-    if (fetchError || !existingPack) {
-      return res.status(404).json({
-        error: 'Pack not found',
-        message: 'The requested hashtag pack does not exist'
-      });
-    }
-
     // Delete pack
     const { error } = await supabaseAdmin
       .from('hashtag_packs')
@@ -508,6 +467,14 @@ router.post('/analytics', authenticateToken, async (req, res, next) => {
   }
 });
 
+// Helper function to limit a pack query to the request's workspace, or to
+// the user's own packs when no workspace is selected
+function scopePackQuery(query, req) {
+  return req.workspace
+    ? query.eq('workspace_id', req.workspace.id)
+    : query.eq('user_id', req.user.id);
+}
+
 // Helper function to generate fallback hashtags when AI fails
 function generateFallbackHashtags(topic, platform, count) {
   const baseHashtags = [
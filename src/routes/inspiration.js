@@ -2,16 +2,11 @@ const express = require('express');
 const { authenticateToken } = require('../middlewares/auth');
 const { validateObjectId, validatePagination } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
-const OpenAI = require('openai');
+const { getOpenAI } = require('../config/openai');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * @swagger
  * /api/inspiration:
@@ -249,7 +244,7 @@ Please provide:
 
 Format as JSON with sections: viral_factors, adaptation_strategy, script_suggestions, optimization_tips, challenges`;
 
-    const completion = await openai.chat.completions.create({
+    const completion = await getOpenAI().chat.completions.create({
       model: 'gpt-4',
       messages: [
         {
@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticateToken } = require('../middlewares/auth');
+const { authenticateToken, authorize, withoutResource } = require('../middlewares/auth');
 const { validateObjectId, validatePagination } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
 const sgMail = require('@sendgrid/mail');
@@ -243,7 +243,7 @@ router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next
  * @swagger
  * /api/notifications/send:
  *   post:
- *     summary: Send notification (internal use)
+ *     summary: Send notification (internal use, admin only)
  *     tags: [Notifications]
  *     security:
  *       - bearerAuth: []
@@ -274,7 +274,7 @@ router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next
  *                 type: boolean
  *                 default: false
  */
-router.post('/send', authenticateToken, async (req, res, next) => {
+router.post('/send', authenticateToken, authorize('notification:send', withoutResource), async (req, res, next) => {
   try {
     const { userId, type, title, message, data = {}, sendEmail = false } = req.body;
     const senderId = req.user.id;
@@ -390,14 +390,35 @@ router.get('/types', authenticateToken, async (req, res, next) => {
 
 // Helper function to send email notifications
 async function sendEmailNotification(user, notification) {
+  await sendEmail({
+    to: user.email,
+    subject: `ContentFlow AI: ${notification.title}`,
+    title: notification.title,
+    message: notification.message,
+    actionUrl: `${process.env.FRONTEND_URL}/dashboard`,
+    actionLabel: 'View in Dashboard'
+  });
+}
+
+// Helper function to send a ContentFlow-branded email through SendGrid
+// (also used for account emails such as verification and password reset)
+async function sendEmail({
+  to,
+  subject,
+  title,
+  message,
+  actionUrl,
+  actionLabel,
+  footer = 'You received this email because you have notifications enabled in your ContentFlow AI account.'
+}) {
   if (!process.env.SENDGRID_API_KEY || !process.env.FROM_EMAIL) {
     throw new Error('Email service not configured');
   }
 
   const emailContent = {
-    to: user.email,
+    to,
     from: process.env.FROM_EMAIL,
-    subject: `ContentFlow AI: ${notification.title}`,
+    subject,
     html: `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
@@ -405,24 +426,24 @@ async function sendEmailNotification(user, notification) {
         </div>
         
         <div style="padding: 30px; background: #f8f9fa;">
-          <h2 style="color: #333; margin-bottom: 20px;">${notification.title}</h2>
-          <p style="color: #666; line-height: 1.6; margin-bottom: 30px;">${notification.message}</p>
+          <h2 style="color: #333; margin-bottom: 20px;">${title}</h2>
+          <p style="color: #666; line-height: 1.6; margin-bottom: 30px;">${message}</p>
           
           <div style="text-align: center;">
-            <a href="${process.env.FRONTEND_URL}/dashboard" 
+            <a href="${actionUrl}" 
                style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
                       color: white; 
                       padding: 12px 30px; 
                       text-decoration: none; 
                       border-radius: 6px; 
                       display: inline-block;">
-              View in Dashboard
+              ${actionLabel}
             </a>
           </div>
         </div>
         
         <div style="padding: 20px; text-align: center; color: #999; font-size: 12px;">
-          <p>You received this email because you have notifications enabled in your ContentFlow AI account.</p>
+          <p>${footer}</p>
           <p>© ${new Date().getFullYear()} ContentFlow AI. All rights reserved.</p>
         </div>
       </div>
@@ -461,4 +482,5 @@ async function createNotification(userId, type, title, message, data = {}) {
 
 // Export helper function for use in other modules
 module.exports = router;
-module.exports.createNotification = createNotification;
\ No newline at end of file
+module.exports.createNotification = createNotification;
+module.exports.sendEmail = sendEmail;
\ No newline at end of file
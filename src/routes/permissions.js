@@ -0,0 +1,136 @@
+const express = require('express');
+const { authenticateToken } = require('../middlewares/auth');
+const { validatePermissionExplain } = require('../middlewares/validation');
+const {
+  RESOURCES,
+  resourceTypeOf,
+  isKnownAction,
+  evaluate,
+  loadResource,
+  loadActor,
+  describePolicies
+} = require('../services/policy');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/permissions/actions:
+ *   get:
+ *     summary: List the permission policy's actions and their rules
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/actions', authenticateToken, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: describePolicies()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/permissions/explain:
+ *   post:
+ *     summary: Explain whether a user may perform an action, rule by rule
+ *     description: >
+ *       Available to admins, and to every user for their own permissions when
+ *       POLICY_EXPLAIN=true. Only admins can explain another user's permissions.
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 example: content:update
+ *               resourceId:
+ *                 type: string
+ *                 format: uuid
+ *               workspaceId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: For create actions, the workspace the item would be created in
+ *               userId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Explain for this user instead of yourself (admin only)
+ */
+router.post('/explain', authenticateToken, validatePermissionExplain, async (req, res, next) => {
+  try {
+    const { action, resourceId, workspaceId, userId = req.user.id } = req.body;
+    const isAdmin = req.user.role === 'admin';
+
+    if (!isAdmin && (userId !== req.user.id || process.env.POLICY_EXPLAIN !== 'true')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: userId !== req.user.id
+          ? 'Only administrators can explain another user\'s permissions'
+          : 'Permission explanations are not enabled'
+      });
+    }
+
+    if (!isKnownAction(action)) {
+      return res.status(400).json({
+        error: 'Unknown action',
+        message: `${action} is not a permission action. See GET /api/permissions/actions`
+      });
+    }
+
+    const actor = await loadActor(userId);
+
+    if (!actor) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+
+    const resource = await getExplainedResource(action, resourceId, workspaceId);
+
+    if (!resource) {
+      return res.status(404).json({
+        error: 'Resource not found',
+        message: `No ${resourceTypeOf(action)} exists with this ID`
+      });
+    }
+
+    const decision = await evaluate(actor, action, resource);
+
+    res.json({
+      success: true,
+      data: {
+        userId: actor.id,
+        ...decision
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to find the resource an explain request is about: the row
+// named by resourceId, or the workspace scope a create would happen in
+async function getExplainedResource(action, resourceId, workspaceId) {
+  const type = resourceTypeOf(action);
+
+  if (resourceId && RESOURCES[type]) {
+    return loadResource(type, resourceId);
+  }
+
+  return { workspace_id: workspaceId || null };
+}
+
+module.exports = router;
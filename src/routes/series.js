@@ -0,0 +1,507 @@
+const express = require('express');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const {
+  validateContentSeries,
+  validateContentSeriesUpdate,
+  validateObjectId,
+  validatePagination
+} = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const {
+  parseRecurrence,
+  upcomingOccurrences,
+  materializeSeries,
+  applySeriesChanges,
+  deleteSeries
+} = require('../services/contentSeries');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/series:
+ *   get:
+ *     summary: List recurring content series
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused]
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: List the workspace's series instead of your own
+ */
+router.get('/', authenticateToken, resolveWorkspace, validatePagination, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let query = supabaseAdmin
+      .from('content_series')
+      .select(`
+        *,
+        client:clients(id, name, brand)
+      `)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    let countQuery = supabaseAdmin
+      .from('content_series')
+      .select('*', { count: 'exact', head: true });
+
+    query = scopeSeriesQuery(query, req);
+    countQuery = scopeSeriesQuery(countQuery, req);
+
+    if (status) {
+      query = query.eq('status', status);
+      countQuery = countQuery.eq('status', status);
+    }
+
+    const { data: seriesList, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const { count } = await countQuery;
+
+    res.json({
+      success: true,
+      data: seriesList.map(series => ({
+        ...series,
+        next_occurrence: upcomingOccurrences(series, { count: 1 })[0] || null
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/series:
+ *   post:
+ *     summary: Create a recurring content series
+ *     description: >
+ *       Creates draft content items for the occurrences within the next
+ *       `horizonDays`, and more as time goes on. `{{date}}` and `{{number}}` in
+ *       the template and AI prompts are replaced by each occurrence's date and
+ *       position in the series.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - recurrence
+ *               - startsAt
+ *               - template
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Tip Tuesday
+ *               recurrence:
+ *                 type: string
+ *                 example: FREQ=WEEKLY;BYDAY=TU
+ *                 description: FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT or UNTIL
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: The first occurrence; later ones are at the same local time
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/London
+ *                 description: Defaults to your profile's time zone
+ *               clientId:
+ *                 type: string
+ *                 format: uuid
+ *               horizonDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 90
+ *                 default: 28
+ *               template:
+ *                 type: object
+ *                 required:
+ *                   - title
+ *                   - platform
+ *                   - contentType
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                     example: "Tip Tuesday #{{number}}"
+ *                   description:
+ *                     type: string
+ *                   platform:
+ *                     type: string
+ *                     enum: [tiktok, instagram, youtube, linkedin, twitter]
+ *                   contentType:
+ *                     type: string
+ *                     enum: [video, image, carousel, story, post]
+ *                   script:
+ *                     type: string
+ *                   caption:
+ *                     type: string
+ *                   hashtags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               aiFill:
+ *                 type: object
+ *                 description: >
+ *                   Fields (caption, script, hashtags) to generate for each
+ *                   occurrence with the /api/ai/generate prompt of the same type
+ *                 example:
+ *                   caption:
+ *                     prompt: Write a caption for a quick social media marketing tip
+ *                     tone: educational
+ *     parameters:
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Create the series in this workspace (requires the editor role)
+ */
+router.post('/', authenticateToken, resolveWorkspace, authorize('series:create', workspaceScope), validateContentSeries, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const {
+      name,
+      recurrence,
+      startsAt,
+      timezone = req.user.timezone || 'UTC',
+      clientId,
+      horizonDays,
+      status,
+      template,
+      aiFill = {}
+    } = req.body;
+
+    parseRecurrence(recurrence);
+
+    if (clientId && !await checkClient(req, res, clientId, req.workspace?.id || null)) {
+      return;
+    }
+
+    const { data: series, error } = await supabaseAdmin
+      .from('content_series')
+      .insert({
+        name,
+        recurrence: recurrence.trim().replace(/^RRULE:/i, '').toUpperCase(),
+        starts_at: new Date(startsAt).toISOString(),
+        timezone,
+        client_id: clientId || null,
+        creator_id: userId,
+        workspace_id: req.workspace?.id || null,
+        horizon_days: horizonDays,
+        status,
+        template: pickTemplate(template),
+        ai_fill: aiFill,
+        created_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const created = await materializeSeries(series);
+
+    logger.info(`Content series created: ${series.id} by user ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Content series created successfully',
+      data: {
+        ...series,
+        upcoming: upcomingOccurrences(series),
+        created
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   get:
+ *     summary: Get a content series with its upcoming occurrences and items
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, authorize('series:read'), async (req, res, next) => {
+  try {
+    const { data: items, error } = await supabaseAdmin
+      .from('content_items')
+      .select('id, title, platform, status, scheduled_date, series_occurrence, series_detached, ai_generated')
+      .eq('series_id', req.resource.id)
+      .gte('series_occurrence', new Date().toISOString())
+      .order('series_occurrence', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...req.resource,
+        upcoming: upcomingOccurrences(req.resource),
+        items
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   put:
+ *     summary: Update a content series
+ *     description: >
+ *       Changes apply to future occurrences only. Future drafts the series
+ *       created and nobody has edited are updated, moved or removed to match;
+ *       past items, and items that were edited or have left draft, are kept as
+ *       they are. Template fields are merged into the current template;
+ *       `aiFill` replaces it, and AI fields are only regenerated when their
+ *       prompt changes.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.put('/:id', authenticateToken, validateObjectId, authorize('series:update'), validateContentSeriesUpdate, async (req, res, next) => {
+  try {
+    const before = req.resource;
+    const { name, recurrence, startsAt, timezone, clientId, horizonDays, status, template, aiFill } = req.body;
+    const updateData = { updated_at: new Date().toISOString() };
+
+    if (recurrence !== undefined) {
+      parseRecurrence(recurrence);
+      updateData.recurrence = recurrence.trim().replace(/^RRULE:/i, '').toUpperCase();
+    }
+
+    if (clientId && clientId !== before.client_id && !await checkClient(req, res, clientId, before.workspace_id)) {
+      return;
+    }
+
+    if (name !== undefined) updateData.name = name;
+    if (startsAt !== undefined) updateData.starts_at = new Date(startsAt).toISOString();
+    if (timezone !== undefined) updateData.timezone = timezone;
+    if (clientId !== undefined) updateData.client_id = clientId;
+    if (horizonDays !== undefined) updateData.horizon_days = horizonDays;
+    if (status !== undefined) updateData.status = status;
+    if (template !== undefined) updateData.template = { ...before.template, ...pickTemplate(template) };
+    if (aiFill !== undefined) updateData.ai_fill = aiFill;
+
+    const { data: series, error } = await supabaseAdmin
+      .from('content_series')
+      .update(updateData)
+      .eq('id', before.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const changes = await applySeriesChanges(before, series, req.user);
+
+    logger.info(`Content series updated: ${series.id} by user ${req.user.id}`, changes);
+
+    res.json({
+      success: true,
+      message: 'Content series updated successfully',
+      data: {
+        ...series,
+        upcoming: upcomingOccurrences(series),
+        changes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/series/{id}:
+ *   delete:
+ *     summary: Delete a content series
+ *     description: >
+ *       Removes the series and the future drafts it created that nobody has
+ *       edited. Other items it created are kept.
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, authorize('series:delete'), async (req, res, next) => {
+  try {
+    const removed = await deleteSeries(req.resource);
+
+    logger.info(`Content series deleted: ${req.resource.id} by user ${req.user.id} (${removed} draft(s) removed)`);
+
+    res.json({
+      success: true,
+      message: 'Content series deleted successfully',
+      data: { removedDrafts: removed }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/series/{id}/materialize:
+ *   post:
+ *     summary: Create the series' upcoming drafts now
+ *     description: Normally done when the series is saved and by a background job
+ *     tags: [Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/materialize', authenticateToken, validateObjectId, authorize('series:update'), async (req, res, next) => {
+  try {
+    if (req.resource.status !== 'active') {
+      return res.status(409).json({
+        error: 'Series paused',
+        message: 'Resume the series to create its drafts'
+      });
+    }
+
+    const created = await materializeSeries(req.resource);
+
+    res.json({
+      success: true,
+      message: `${created.length} draft(s) created`,
+      data: created
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to limit a series query to the request's workspace, or to
+// the user's own series when no workspace is selected
+function scopeSeriesQuery(query, req) {
+  return req.workspace
+    ? query.eq('workspace_id', req.workspace.id)
+    : query.eq('creator_id', req.user.id);
+}
+
+// Helper function to keep only the template fields a series uses
+function pickTemplate(template) {
+  const fields = ['title', 'description', 'platform', 'contentType', 'script', 'caption', 'hashtags'];
+  return Object.fromEntries(fields.filter(field => template[field] !== undefined).map(field => [field, template[field]]));
+}
+
+// Helper function to check that the series can be for a client; sends the
+// error response and returns false when it can't
+async function checkClient(req, res, clientId, workspaceId) {
+  const { data: client, error } = await supabaseAdmin
+    .from('clients')
+    .select('*')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!client) {
+    res.status(404).json({
+      error: 'Client not found',
+      message: 'The specified client does not exist'
+    });
+    return false;
+  }
+
+  const decision = await checkPermission(req, 'client:read', client);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return false;
+  }
+
+  // Workspace series can only be for the workspace's own clients
+  if (workspaceId && client.workspace_id !== workspaceId) {
+    res.status(400).json({
+      error: 'Invalid client',
+      message: 'The client does not belong to this workspace'
+    });
+    return false;
+  }
+
+  if (client.status === 'archived') {
+    res.status(400).json({
+      error: 'Client archived',
+      message: 'Content cannot be added to an archived client'
+    });
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = router;
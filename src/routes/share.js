@@ -0,0 +1,52 @@
+const express = require('express');
+const { validateShareToken } = require('../middlewares/validation');
+const { openShareLink, buildPreview } = require('../services/shareLinks');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/share/{token}:
+ *   get:
+ *     summary: Preview a shared file or content item
+ *     description: >
+ *       The preview behind a share link, for people without a login. Needs no
+ *       other authentication. Has the file, or the content item's title,
+ *       caption, script, hashtags and media, with signed media URLs that work
+ *       for an hour or until the link expires. Each successful request counts
+ *       as a view. Expired and revoked links answer 410; links with a password
+ *       answer 401 until it is sent in X-Share-Password, and lock for 15
+ *       minutes after 5 wrong ones.
+ *     tags: [Share]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *         description: The link's password, when it has one
+ */
+router.get('/:token', validateShareToken, async (req, res, next) => {
+  try {
+    const link = await openShareLink(req.params.token, {
+      password: req.get('X-Share-Password'),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.set('Cache-Control', 'private, no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    res.json({
+      success: true,
+      data: await buildPreview(link)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
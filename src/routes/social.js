@@ -1,8 +1,11 @@
 const express = require('express');
-const axios = require('axios');
-const { authenticateToken, requireWorkspaceAccess } = require('../middlewares/auth');
+const { authenticateToken, authorize, checkPermission, sendPermissionDenied } = require('../middlewares/auth');
 const { validateObjectId } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
+const { getAdapter, supportedPlatforms } = require('../services/platforms');
+const { ensureFreshToken, getReconnectUrl } = require('../services/tokenRefresh');
+const { STATE_TTL_MS, createOAuthState, consumeOAuthState, OAuthStateError } = require('../services/oauthState');
+const { encryptAccountTokens, decryptAccountTokens } = require('../utils/tokenCipher');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -12,6 +15,10 @@ const router = express.Router();
  * /api/social/connect/{platform}:
  *   get:
  *     summary: Initiate OAuth connection to social platform
+ *     description: >
+ *       Returns the platform's authorization URL and sets an HttpOnly cookie
+ *       the callback checks, so the flow can only be completed in the browser
+ *       that started it. Call it with credentials (`credentials: 'include'`).
  *     tags: [Social Media]
  *     security:
  *       - bearerAuth: []
@@ -34,10 +41,8 @@ router.get('/connect/:platform', authenticateToken, async (req, res, next) => {
     const { platform } = req.params;
     const { clientId } = req.query;
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     // Validate platform
-    const supportedPlatforms = ['tiktok', 'instagram', 'youtube', 'linkedin', 'twitter', 'facebook'];
     if (!supportedPlatforms.includes(platform)) {
       return res.status(400).json({
         error: 'Unsupported platform',
@@ -45,11 +50,11 @@ router.get('/connect/:platform', authenticateToken, async (req, res, next) => {
       });
     }
 
-    // Validate client access if clientId provided
+    // Connecting an account for a client takes the right to manage the client
     if (clientId) {
       const { data: client, error: clientError } = await supabaseAdmin
         .from('clients')
-        .select('id, creator_id')
+        .select('*')
         .eq('id', clientId)
         .single();
 
@@ -60,16 +65,24 @@ router.get('/connect/:platform', authenticateToken, async (req, res, next) => {
         });
       }
 
-      if (client.creator_id !== userId && userRole !== 'admin') {
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You do not have access to this client'
-        });
+      const decision = await checkPermission(req, 'client:update', client);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
       }
     }
 
-    // Generate OAuth URL based on platform
-    const oauthUrl = generateOAuthUrl(platform, userId, clientId);
+    const adapter = getAdapter(platform);
+
+    if (!adapter.isConfigured()) {
+      return res.status(500).json({
+        error: 'OAuth configuration missing',
+        message: `OAuth credentials not configured for ${platform}`
+      });
+    }
+
+    // Signed, single-use state (plus PKCE challenge where supported)
+    const { state, nonce, codeChallenge } = await createOAuthState({ userId, clientId, adapter });
+    const oauthUrl = adapter.getAuthorizationUrl({ state, codeChallenge });
 
     if (!oauthUrl) {
       return res.status(500).json({
@@ -78,6 +91,12 @@ router.get('/connect/:platform', authenticateToken, async (req, res, next) => {
       });
     }
 
+    // Only this browser can complete the flow: the callback needs the nonce back
+    res.cookie(nonceCookieName(platform), nonce, {
+      ...nonceCookieOptions(req, platform),
+      maxAge: STATE_TTL_MS
+    });
+
     logger.info(`OAuth connection initiated for ${platform} by user ${userId}`);
 
     res.json({
@@ -117,7 +136,14 @@ router.get('/connect/:platform', authenticateToken, async (req, res, next) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: State parameter containing user and client info
+ *         description: Signed state issued by /connect/{platform}
+ *     responses:
+ *       302:
+ *         description: >
+ *           Redirect to the dashboard. Rejected states redirect with
+ *           error=oauth_state_invalid, oauth_state_expired, oauth_state_replayed
+ *           or oauth_state_wrong_browser (the flow was started in another
+ *           browser)
  */
 router.get('/callback/:platform', async (req, res, next) => {
   try {
@@ -128,38 +154,50 @@ router.get('/callback/:platform', async (req, res, next) => {
       return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=oauth_cancelled`);
     }
 
-    if (!code || !state) {
+    if (!code || !state || !supportedPlatforms.includes(platform)) {
       return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=oauth_invalid`);
     }
 
-    // Decode state parameter
+    // Verify and consume the signed state
     let stateData;
     try {
-      stateData = JSON.parse(Buffer.from(state, 'base64').toString());
-    } catch (decodeError) {
-      return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=oauth_invalid_state`);
+      stateData = await consumeOAuthState(state, platform, readCookie(req, nonceCookieName(platform)));
+    } catch (stateError) {
+      if (stateError instanceof OAuthStateError) {
+        logger.warn(`Rejected OAuth callback for ${platform}: ${stateError.message}`);
+        return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=${stateError.code}`);
+      }
+      throw stateError;
     }
 
-    const { userId, clientId } = stateData;
+    res.clearCookie(nonceCookieName(platform), nonceCookieOptions(req, platform));
 
-    // Exchange code for access token
-    const tokenData = await exchangeCodeForToken(platform, code);
+    const { userId, clientId, codeVerifier } = stateData;
 
-    if (!tokenData) {
+    const adapter = getAdapter(platform);
+
+    // Exchange code for access token
+    let tokenData;
+    try {
+      tokenData = await adapter.exchangeCode({ code, codeVerifier });
+    } catch (exchangeError) {
+      logger.error(`Token exchange failed for ${platform}:`, exchangeError.details || exchangeError.message);
       return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=oauth_token_failed`);
     }
 
     // Get user profile from platform
-    const profileData = await getPlatformProfile(platform, tokenData.access_token);
-
-    if (!profileData) {
+    let profileData;
+    try {
+      profileData = await adapter.getProfile(tokenData.access_token);
+    } catch (profileError) {
+      logger.error(`Profile fetch failed for ${platform}:`, profileError.details || profileError.message);
       return res.redirect(`${process.env.FRONTEND_URL}/dashboard?error=oauth_profile_failed`);
     }
 
     // Save social account to database
     const { data: socialAccount, error: saveError } = await supabaseAdmin
       .from('social_accounts')
-      .upsert({
+      .upsert(encryptAccountTokens({
         user_id: userId,
         client_id: clientId || null,
         platform,
@@ -171,12 +209,14 @@ router.get('/callback/:platform', async (req, res, next) => {
         token_expires_at: tokenData.expires_at,
         account_data: profileData,
         status: 'active',
+        token_refresh_attempts: 0,
+        token_refresh_error: null,
         last_sync: new Date().toISOString(),
         updated_at: new Date().toISOString()
-      }, {
+      }), {
         onConflict: 'user_id,platform,account_id'
       })
-      .select()
+      .select('id')
       .single();
 
     if (saveError) {
@@ -214,7 +254,7 @@ router.get('/callback/:platform', async (req, res, next) => {
  *         schema:
  *           type: string
  *           format: uuid
- *         description: Filter by client (agencies only)
+ *         description: Filter by client (agencies only); requires read access to the client
  */
 router.get('/accounts', authenticateToken, async (req, res, next) => {
   try {
@@ -225,7 +265,7 @@ router.get('/accounts', authenticateToken, async (req, res, next) => {
     let query = supabaseAdmin
       .from('social_accounts')
       .select(`
-        *,
+        id, platform, username, display_name, account_data, status, last_sync, created_at,
         client:clients(id, name, brand)
       `)
       .order('created_at', { ascending: false });
@@ -235,6 +275,24 @@ router.get('/accounts', authenticateToken, async (req, res, next) => {
       query = query.eq('user_id', userId);
     } else if (userRole === 'creator' || userRole === 'agency') {
       if (clientId) {
+        const { data: client, error: clientError } = await supabaseAdmin
+          .from('clients')
+          .select('*')
+          .eq('id', clientId)
+          .single();
+
+        if (clientError || !client) {
+          return res.status(404).json({
+            error: 'Client not found',
+            message: 'The specified client does not exist'
+          });
+        }
+
+        const decision = await checkPermission(req, 'client:read', client);
+        if (!decision.allowed) {
+          return sendPermissionDenied(req, res, decision);
+        }
+
         query = query.eq('client_id', clientId);
       } else {
         query = query.eq('user_id', userId);
@@ -294,46 +352,17 @@ router.get('/accounts', authenticateToken, async (req, res, next) => {
  *           type: string
  *           format: uuid
  */
-router.delete('/accounts/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.delete('/accounts/:id', authenticateToken, validateObjectId, authorize('social_account:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const userRole = req.user.role;
-
-    // Get account details
-    const { data: account, error: fetchError } = await supabaseAdmin
-      .from('social_accounts')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !account) {
-      return res.status(404).json({
-        error: 'Account not found',
-        message: 'The requested social media account does not exist'
-      });
-    }
-
-    // Check permissions
-    if (userRole === 'client' && account.user_id !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only disconnect your own accounts'
-      });
-    }
-
-    if ((userRole === 'creator' || userRole === 'agency') && account.user_id !== userId) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only disconnect accounts you manage'
-      });
-    }
+    const account = req.resource;
 
     // Revoke token on platform (if supported)
     try {
-      await revokePlatformToken(account.platform, account.access_token);
+      await getAdapter(account.platform).revokeAccess({ account: decryptAccountTokens(account) });
     } catch (revokeError) {
-      logger.warn(`Failed to revoke token for ${account.platform}:`, revokeError);
+      logger.warn(`Failed to revoke token for ${account.platform}: ${revokeError.message}`);
     }
 
     // Delete account from database
@@ -373,45 +402,45 @@ router.delete('/accounts/:id', authenticateToken, validateObjectId, async (req,
  *           type: string
  *           format: uuid
  */
-router.post('/accounts/:id/sync', authenticateToken, validateObjectId, async (req, res, next) => {
+router.post('/accounts/:id/sync', authenticateToken, validateObjectId, authorize('social_account:sync'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
+    const account = req.resource;
 
-    // Get account details
-    const { data: account, error: fetchError } = await supabaseAdmin
-      .from('social_accounts')
-      .select('*')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !account) {
-      return res.status(404).json({
-        error: 'Account not found',
-        message: 'The requested social media account does not exist'
+    if (account.status === 'error') {
+      return res.status(401).json({
+        error: 'Reconnect required',
+        message: 'Please reconnect your account to sync data',
+        reconnectUrl: getReconnectUrl(account)
       });
     }
 
-    // Check permissions
-    if (account.user_id !== userId && req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only sync accounts you own'
-      });
-    }
+    // Refresh the access token first if it has expired or is about to
+    let syncAccount;
+    try {
+      syncAccount = await ensureFreshToken(decryptAccountTokens(account));
+    } catch (refreshError) {
+      if (refreshError.permanent) {
+        return res.status(401).json({
+          error: 'Reconnect required',
+          message: 'Please reconnect your account to sync data',
+          reconnectUrl: getReconnectUrl(account)
+        });
+      }
 
-    // Check if token is still valid
-    if (account.token_expires_at && new Date(account.token_expires_at) < new Date()) {
-      return res.status(401).json({
-        error: 'Token expired',
-        message: 'Please reconnect your account to sync data'
+      return res.status(503).json({
+        error: 'Token refresh failed',
+        message: 'Unable to refresh access to the platform, please try again later'
       });
     }
 
     // Fetch fresh profile data
-    const profileData = await getPlatformProfile(account.platform, account.access_token);
-
-    if (!profileData) {
+    let profileData;
+    try {
+      profileData = await getAdapter(account.platform).getProfile(syncAccount.access_token);
+    } catch (profileError) {
+      logger.error(`Profile fetch failed for ${account.platform}:`, profileError.details || profileError.message);
       return res.status(500).json({
         error: 'Sync failed',
         message: 'Unable to fetch fresh data from platform'
@@ -453,181 +482,40 @@ router.post('/accounts/:id/sync', authenticateToken, validateObjectId, async (re
   }
 });
 
-// Helper function to generate OAuth URLs
-function generateOAuthUrl(platform, userId, clientId) {
-  const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
-  const redirectUri = `${baseUrl}/api/social/callback/${platform}`;
-  const state = Buffer.from(JSON.stringify({ userId, clientId })).toString('base64');
-
-  switch (platform) {
-    case 'tiktok':
-      if (!process.env.TIKTOK_CLIENT_KEY) return null;
-      return `https://www.tiktok.com/auth/authorize/?client_key=${process.env.TIKTOK_CLIENT_KEY}&response_type=code&scope=user.info.basic,video.list&redirect_uri=${encodeURIComponent(redirectUri)}&state=${state}`;
-    
-    case 'instagram':
-    case 'facebook':
-      if (!process.env.META_APP_ID) return null;
-      const scope = platform === 'instagram' ? 'instagram_basic,instagram_content_publish' : 'pages_show_list,pages_read_engagement';
-      return `https://www.facebook.com/v18.0/dialog/oauth?client_id=${process.env.META_APP_ID}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=${scope}&response_type=code&state=${state}`;
-    
-    case 'youtube':
-      if (!process.env.YOUTUBE_CLIENT_ID) return null;
-      return `https://accounts.google.com/oauth2/auth?client_id=${process.env.YOUTUBE_CLIENT_ID}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=https://www.googleapis.com/auth/youtube.readonly&response_type=code&access_type=offline&state=${state}`;
-    
-    case 'linkedin':
-      if (!process.env.LINKEDIN_CLIENT_ID) return null;
-      return `https://www.linkedin.com/oauth/v2/authorization?response_type=code&client_id=${process.env.LINKEDIN_CLIENT_ID}&redirect_uri=${encodeURIComponent(redirectUri)}&scope=r_liteprofile,r_emailaddress,w_member_social&state=${state}`;
-    
-    case 'twitter':
-      // Twitter OAuth 2.0 would require PKCE implementation
-      return null;
-    
-    default:
-      return null;
-  }
+// Helper function to name the cookie holding a connect flow's browser nonce
+function nonceCookieName(platform) {
+  return `oauth_nonce_${platform}`;
 }
 
-// Helper function to exchange authorization code for access token
-async function exchangeCodeForToken(platform, code) {
-  const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
-  const redirectUri = `${baseUrl}/api/social/callback/${platform}`;
-
-  try {
-    switch (platform) {
-      case 'tiktok':
-        const tiktokResponse = await axios.post('https://open-api.tiktok.com/oauth/access_token/', {
-          client_key: process.env.TIKTOK_CLIENT_KEY,
-          client_secret: process.env.TIKTOK_CLIENT_SECRET,
-          code,
-          grant_type: 'authorization_code',
-          redirect_uri: redirectUri
-        });
-        
-        return {
-          access_token: tiktokResponse.data.data.access_token,
-          refresh_token: tiktokResponse.data.data.refresh_token,
-          expires_at: new Date(Date.now() + tiktokResponse.data.data.expires_in * 1000).toISOString()
-        };
-
-      case 'instagram':
-      case 'facebook':
-        const metaResponse = await axios.post('https://graph.facebook.com/v18.0/oauth/access_token', {
-          client_id: process.env.META_APP_ID,
-          client_secret: process.env.META_APP_SECRET,
-          redirect_uri: redirectUri,
-          code
-        });
-        
-        return {
-          access_token: metaResponse.data.access_token,
-          expires_at: metaResponse.data.expires_in ? 
-            new Date(Date.now() + metaResponse.data.expires_in * 1000).toISOString() : null
-        };
-
-      case 'youtube':
-        const youtubeResponse = await axios.post('https://oauth2.googleapis.com/token', {
-          client_id: process.env.YOUTUBE_CLIENT_ID,
-          client_secret: process.env.YOUTUBE_CLIENT_SECRET,
-          redirect_uri: redirectUri,
-          grant_type: 'authorization_code',
-          code
-        });
-        
-        return {
-          access_token: youtubeResponse.data.access_token,
-          refresh_token: youtubeResponse.data.refresh_token,
-          expires_at: new Date(Date.now() + youtubeResponse.data.expires_in * 1000).toISOString()
-        };
-
-      default:
-        return null;
-    }
-  } catch (error) {
-    logger.error(`Token exchange failed for ${platform}:`, error.response?.data || error.message);
-    return null;
-  }
+// Helper function to build the nonce cookie's options. The callback arrives
+// from the platform's site, so over HTTPS the cookie is SameSite=None to
+// also work when the frontend is on another site than the API.
+function nonceCookieOptions(req, platform) {
+  const secure = req.secure || process.env.NODE_ENV === 'production';
+
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? 'none' : 'lax',
+    path: `${req.baseUrl}/callback/${platform}`
+  };
 }
 
-// Helper function to get platform profile
-async function getPlatformProfile(platform, accessToken) {
-  try {
-    switch (platform) {
-      case 'tiktok':
-        const tiktokResponse = await axios.get('https://open-api.tiktok.com/user/info/', {
-          headers: { Authorization: `Bearer ${accessToken}` }
-        });
-        
-        const tiktokUser = tiktokResponse.data.data.user;
-        return {
-          id: tiktokUser.open_id,
-          username: tiktokUser.username,
-          display_name: tiktokUser.display_name,
-          followers_count: tiktokUser.follower_count,
-          profile_image: tiktokUser.avatar_url,
-          verified: tiktokUser.is_verified
-        };
-
-      case 'instagram':
-        const igResponse = await axios.get('https://graph.instagram.com/me', {
-          params: {
-            fields: 'id,username,account_type,media_count',
-            access_token: accessToken
-          }
-        });
-        
-        return {
-          id: igResponse.data.id,
-          username: igResponse.data.username,
-          display_name: igResponse.data.username,
-          account_type: igResponse.data.account_type,
-          media_count: igResponse.data.media_count
-        };
-
-      case 'youtube':
-        const ytResponse = await axios.get('https://www.googleapis.com/youtube/v3/channels', {
-          params: {
-            part: 'snippet,statistics',
-            mine: true
-          },
-          headers: { Authorization: `Bearer ${accessToken}` }
-        });
-        
-        const channel = ytResponse.data.items[0];
-        return {
-          id: channel.id,
-          username: channel.snippet.customUrl || channel.snippet.title,
-          display_name: channel.snippet.title,
-          followers_count: parseInt(channel.statistics.subscriberCount),
-          profile_image: channel.snippet.thumbnails.default.url,
-          verified: channel.status?.isLinked
-        };
-
-      default:
-        return null;
-    }
-  } catch (error) {
-    logger.error(`Profile fetch failed for ${platform}:`, error.response?.data || error.message);
+// Helper function to read a cookie from the request
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  if (!pair) {
     return null;
   }
-}
 
-// Helper function to revoke platform tokens
-async function revokePlatformToken(platform, accessToken) {
   try {
-    switch (platform) {
-      case 'youtube':
-        await axios.post('https://oauth2.googleapis.com/revoke', {
-          token: accessToken
-        });
-        break;
-      
-      // Other platforms may not support token revocation
-      default:
-        break;
-    }
+    return decodeURIComponent(pair.slice(name.length + 1));
   } catch (error) {
-    logger.error(`Token revocation failed for ${platform}:`, error.message);
-    throw error;
+    return null;
   }
 }
 
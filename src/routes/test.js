@@ -1,5 +1,5 @@
 const express = require('express');
-const { supabase, supabaseAdmin } = require('../config/supabaseClient');
+const { supabase, supabaseAdmin } = require('../config/database');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -0,0 +1,519 @@
+const express = require('express');
+const {
+  authenticateToken,
+  resolveWorkspace,
+  authorize,
+  workspaceScope,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const { validateUploadCreation, validateObjectId } = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const {
+  CHECKSUM_ALGORITHMS,
+  uploadLimits,
+  parseMetadata,
+  createUpload,
+  findUpload,
+  isExpired,
+  appendChunk,
+  cancelUpload
+} = require('../services/resumableUploads');
+const { findFolder, assertFileFits } = require('../services/assetLibrary');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,expiration,checksum,termination';
+const CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Every response describes the protocol (OPTIONS requests are answered by the
+// CORS middleware, so discovery headers go on everything); requests for
+// another protocol version are refused
+router.use((req, res, next) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': String(uploadLimits().maxSize),
+    'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(',')
+  });
+
+  const version = req.get('Tus-Resumable');
+  if (version && version !== TUS_VERSION) {
+    return res.status(412).json({
+      error: 'Unsupported protocol version',
+      message: `Only tus ${TUS_VERSION} is supported`
+    });
+  }
+
+  next();
+});
+
+/**
+ * @swagger
+ * /api/files/uploads:
+ *   post:
+ *     summary: Start a resumable upload (tus creation)
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Upload-Length
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Size of the whole file in bytes
+ *       - in: header
+ *         name: Upload-Metadata
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Comma-separated `key base64value` pairs: filename and filetype
+ *           (required), contentItemId, clientId, folderId and tags
+ *           (comma-separated). A client's folder sets clientId
+ *       - in: header
+ *         name: X-Workspace-Id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Upload into this workspace (requires the editor role)
+ *     responses:
+ *       201:
+ *         description: Upload created; send chunks to the URL in the Location header
+ *       413:
+ *         description: The file is larger than Tus-Max-Size
+ *       415:
+ *         description: The file type is not allowed
+ */
+router.post('/', authenticateToken, resolveWorkspace, authorize('file:create', workspaceScope), readUploadMetadata, validateUploadCreation, async (req, res, next) => {
+  try {
+    const { filename, filetype, contentItemId, tags, folderId } = req.body;
+    let { clientId } = req.body;
+
+    // Files uploaded into a client's folder are that client's
+    if (folderId) {
+      const folder = await findReadableFolder(req, res, folderId);
+      if (!folder) {
+        return;
+      }
+
+      clientId = clientId || folder.client_id;
+      assertFileFits({ workspace_id: req.workspace?.id || null, uploaded_by: req.user.id, client_id: clientId || null }, folder);
+    }
+
+    if (!(await checkAttachments(req, res, { contentItemId, clientId }))) {
+      return;
+    }
+
+    const upload = await createUpload(req.user, {
+      length: parseInt(req.get('Upload-Length')),
+      filename,
+      mimeType: filetype,
+      workspaceId: req.workspace?.id || null,
+      clientId: clientId || null,
+      contentItemId: contentItemId || null,
+      folderId: folderId || null,
+      tags: tags ? tags.split(',').map(tag => tag.trim()).filter(tag => tag) : []
+    });
+
+    res.set({
+      Location: `${req.baseUrl}/${upload.id}`,
+      'Upload-Expires': new Date(upload.expires_at).toUTCString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload created',
+      data: formatUpload(upload)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/uploads:
+ *   get:
+ *     summary: List the current user's unfinished uploads, to resume them
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const { data: uploads, error } = await supabaseAdmin
+      .from('file_uploads')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .neq('status', 'completed')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: uploads.map(formatUpload)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/uploads/{id}:
+ *   head:
+ *     summary: Get how much of an upload has been received, to resume it
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Received bytes in Upload-Offset, file size in Upload-Length
+ *       404:
+ *         description: Upload not found
+ *       410:
+ *         description: Upload expired
+ */
+router.head('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+  try {
+    const upload = await findUpload(req.params.id, req.user.id);
+
+    if (!upload) {
+      return res.status(404).end();
+    }
+
+    if (isExpired(upload)) {
+      return res.status(410).end();
+    }
+
+    res.set({
+      'Upload-Offset': String(upload.upload_offset),
+      'Upload-Length': String(upload.upload_length),
+      'Upload-Expires': new Date(upload.expires_at).toUTCString(),
+      'Cache-Control': 'no-store'
+    });
+    res.status(200).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/uploads/{id}:
+ *   get:
+ *     summary: Get an upload's progress, and its media file once completed
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+  try {
+    const upload = await findUpload(req.params.id, req.user.id);
+
+    if (!upload) {
+      return sendUploadNotFound(res);
+    }
+
+    let mediaFile = null;
+    if (upload.media_file_id) {
+      const { data, error } = await supabaseAdmin
+        .from('media_files')
+        .select('*')
+        .eq('id', upload.media_file_id)
+        .maybeSingle();
+
+      if (error) {
+        throw error;
+      }
+
+      mediaFile = data;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatUpload(upload),
+        mediaFile
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/uploads/{id}:
+ *   patch:
+ *     summary: Send the next chunk of an upload
+ *     description: >
+ *       The chunk is appended at Upload-Offset, which has to match the bytes
+ *       received so far. With Upload-Checksum (`sha256 <base64 digest>`, also
+ *       sha1 or md5) a corrupted chunk is refused with 460 and can be sent
+ *       again. The chunk completing the file creates the media file.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Upload-Checksum
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       204:
+ *         description: Chunk stored; the new offset is in Upload-Offset
+ *       409:
+ *         description: Upload-Offset doesn't match the upload; HEAD it and resume
+ *       410:
+ *         description: Upload expired
+ *       415:
+ *         description: Content-Type is not application/offset+octet-stream
+ *       460:
+ *         description: The chunk doesn't match Upload-Checksum
+ */
+router.patch('/:id', authenticateToken, validateObjectId, express.raw({ type: CHUNK_CONTENT_TYPE, limit: uploadLimits().maxChunkSize }), async (req, res, next) => {
+  try {
+    if (!req.is(CHUNK_CONTENT_TYPE)) {
+      return res.status(415).json({
+        error: 'Unsupported media type',
+        message: `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`
+      });
+    }
+
+    const offset = req.get('Upload-Offset');
+    if (!/^\d+$/.test(offset || '')) {
+      return res.status(400).json({
+        error: 'Invalid offset',
+        message: 'Upload-Offset must be the number of bytes already sent'
+      });
+    }
+
+    const upload = await findUpload(req.params.id, req.user.id);
+
+    if (!upload) {
+      return sendUploadNotFound(res);
+    }
+
+    const updated = await appendChunk(upload, {
+      offset: parseInt(offset),
+      data: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      checksum: req.get('Upload-Checksum')
+    }, { userAgent: req.get('User-Agent') });
+
+    res.set({
+      'Upload-Offset': String(updated.upload_offset),
+      'Upload-Expires': new Date(updated.expires_at).toUTCString()
+    });
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/files/uploads/{id}:
+ *   delete:
+ *     summary: Cancel an unfinished upload (tus termination)
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+  try {
+    const upload = await findUpload(req.params.id, req.user.id);
+
+    if (!upload) {
+      return sendUploadNotFound(res);
+    }
+
+    await cancelUpload(upload);
+
+    logger.info(`Upload ${upload.id} cancelled by user ${req.user.id}`);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to read tus Upload-Metadata into the body, for validation
+function readUploadMetadata(req, res, next) {
+  req.body = parseMetadata(req.get('Upload-Metadata'));
+  next();
+}
+
+// Helper function to check the content item and client a new upload attaches to;
+// sends the error response and returns false when one can't be used
+async function checkAttachments(req, res, { contentItemId, clientId }) {
+  if (contentItemId) {
+    const { data: contentItem, error } = await supabaseAdmin
+      .from('content_items')
+      .select('*')
+      .eq('id', contentItemId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!contentItem) {
+      res.status(404).json({
+        error: 'Content item not found',
+        message: 'The specified content item does not exist'
+      });
+      return false;
+    }
+
+    // Attaching a file changes the content item
+    const decision = await checkPermission(req, 'content:update', contentItem);
+    if (!decision.allowed) {
+      sendPermissionDenied(req, res, decision);
+      return false;
+    }
+
+    if (req.workspace && contentItem.workspace_id !== req.workspace.id) {
+      res.status(400).json({
+        error: 'Invalid content item',
+        message: 'The content item does not belong to this workspace'
+      });
+      return false;
+    }
+  }
+
+  if (clientId) {
+    const { data: client, error } = await supabaseAdmin
+      .from('clients')
+      .select('*')
+      .eq('id', clientId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!client) {
+      res.status(404).json({
+        error: 'Client not found',
+        message: 'The specified client does not exist'
+      });
+      return false;
+    }
+
+    const decision = await checkPermission(req, 'client:read', client);
+    if (!decision.allowed) {
+      sendPermissionDenied(req, res, decision);
+      return false;
+    }
+
+    if (req.workspace && client.workspace_id !== req.workspace.id) {
+      res.status(400).json({
+        error: 'Invalid client',
+        message: 'The client does not belong to this workspace'
+      });
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Helper function to load a folder the user can see; sends the error
+// response and returns null when there isn't one
+async function findReadableFolder(req, res, folderId) {
+  const folder = await findFolder(folderId);
+
+  if (!folder) {
+    res.status(404).json({
+      error: 'Folder not found',
+      message: 'The specified folder does not exist'
+    });
+    return null;
+  }
+
+  const decision = await checkPermission(req, 'folder:read', folder);
+  if (!decision.allowed) {
+    sendPermissionDenied(req, res, decision);
+    return null;
+  }
+
+  return folder;
+}
+
+// Helper function to send 404 for uploads that don't exist or belong to someone else
+function sendUploadNotFound(res) {
+  return res.status(404).json({
+    error: 'Upload not found',
+    message: 'The requested upload does not exist'
+  });
+}
+
+// Helper function to describe an upload's progress
+function formatUpload(upload) {
+  const length = Number(upload.upload_length);
+  const offset = Number(upload.upload_offset);
+
+  return {
+    id: upload.id,
+    filename: upload.filename,
+    mimeType: upload.mime_type,
+    status: isExpired(upload) ? 'expired' : upload.status,
+    uploadLength: length,
+    uploadOffset: offset,
+    progress: Math.floor((offset / length) * 100),
+    mediaFileId: upload.media_file_id,
+    expiresAt: upload.expires_at,
+    createdAt: upload.created_at,
+    updatedAt: upload.updated_at
+  };
+}
+
+module.exports = router;
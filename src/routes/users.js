@@ -1,8 +1,16 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { authenticateToken, requireRole } = require('../middlewares/auth');
+const {
+  authenticateToken,
+  authorize,
+  withoutResource,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
 const { validateObjectId, validatePagination } = require('../middlewares/validation');
 const { supabaseAdmin } = require('../config/database');
+const { issueAuthToken } = require('../services/authTokens');
+const { sendEmail } = require('./notifications');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -39,10 +47,10 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [active, inactive, suspended]
+ *           enum: [active, unverified, inactive, suspended]
  *         description: Filter by status
  */
-router.get('/', authenticateToken, requireRole(['admin']), validatePagination, async (req, res, next) => {
+router.get('/', authenticateToken, authorize('user:list', withoutResource), validatePagination, async (req, res, next) => {
   try {
     const { page = 1, limit = 20, role, status, search } = req.query;
     const offset = (page - 1) * limit;
@@ -100,6 +108,83 @@ router.get('/', authenticateToken, requireRole(['admin']), validatePagination, a
   }
 });
 
+// Registered before /:id so that "stats" isn't read as a user ID
+/**
+ * @swagger
+ * /api/users/stats:
+ *   get:
+ *     summary: Get user statistics (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/stats', authenticateToken, authorize('user:list', withoutResource), async (req, res, next) => {
+  try {
+    // Get user counts by role
+    const { data: roleStats, error: roleError } = await supabaseAdmin
+      .from('users')
+      .select('role')
+      .eq('status', 'active');
+
+    if (roleError) {
+      throw roleError;
+    }
+
+    // Get user counts by status
+    const { data: statusStats, error: statusError } = await supabaseAdmin
+      .from('users')
+      .select('status');
+
+    if (statusError) {
+      throw statusError;
+    }
+
+    // Get recent registrations (last 30 days)
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const { data: recentUsers, error: recentError } = await supabaseAdmin
+      .from('users')
+      .select('created_at')
+      .gte('created_at', thirtyDaysAgo.toISOString());
+
+    if (recentError) {
+      throw recentError;
+    }
+
+    // Process statistics
+    const roleCounts = roleStats.reduce((acc, user) => {
+      acc[user.role] = (acc[user.role] || 0) + 1;
+      return acc;
+    }, {});
+
+    const statusCounts = statusStats.reduce((acc, user) => {
+      acc[user.status] = (acc[user.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    const stats = {
+      totalUsers: statusStats.length,
+      activeUsers: statusCounts.active || 0,
+      inactiveUsers: statusCounts.inactive || 0,
+      suspendedUsers: statusCounts.suspended || 0,
+      roleDistribution: {
+        admin: roleCounts.admin || 0,
+        agency: roleCounts.agency || 0,
+        creator: roleCounts.creator || 0,
+        client: roleCounts.client || 0
+      },
+      recentRegistrations: recentUsers.length,
+      generatedAt: new Date().toISOString()
+    };
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -116,19 +201,9 @@ router.get('/', authenticateToken, requireRole(['admin']), validatePagination, a
  *           type: string
  *           format: uuid
  */
-router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.get('/:id', authenticateToken, validateObjectId, authorize('user:read'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const currentUserId = req.user.id;
-    const currentUserRole = req.user.role;
-
-    // Users can only view their own profile unless they're admin
-    if (id !== currentUserId && currentUserRole !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only view your own profile'
-      });
-    }
 
     const { data: user, error } = await supabaseAdmin
       .from('users')
@@ -160,6 +235,9 @@ router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  * /api/users/{id}:
  *   put:
  *     summary: Update user
+ *     description: >
+ *       Changing the email address marks it unverified and emails a
+ *       verification link to the new address (see POST /api/auth/verify-email).
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -189,55 +267,36 @@ router.get('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  *                 enum: [admin, agency, creator, client]
  *               status:
  *                 type: string
- *                 enum: [active, inactive, suspended]
+ *                 enum: [active, unverified, inactive, suspended]
  *               timezone:
  *                 type: string
  *               avatarUrl:
  *                 type: string
  */
-router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) => {
+router.put('/:id', authenticateToken, validateObjectId, authorize('user:update'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const currentUserId = req.user.id;
-    const currentUserRole = req.user.role;
     const { firstName, lastName, email, role, status, timezone, avatarUrl } = req.body;
+    const existingUser = req.resource;
 
-    // Users can only update their own profile unless they're admin
-    if (id !== currentUserId && currentUserRole !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update your own profile'
-      });
-    }
-
-    // Only admins can change role and status
-    if ((role || status) && currentUserRole !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only administrators can change user roles and status'
-      });
+    // Changing role and status takes more than editing a profile
+    if (role || status) {
+      const decision = await checkPermission(req, 'user:manage', existingUser);
+      if (!decision.allowed) {
+        return sendPermissionDenied(req, res, decision);
+      }
     }
 
-    // Check if user exists
-    const { data: existingUser, error: fetchError } = await supabaseAdmin
-      .from('users')
-      .select('id, email')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !existingUser) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user does not exist'
-      });
-    }
+    const newEmail = email ? email.toLowerCase().trim() : null;
+    const emailChanged = Boolean(newEmail) && newEmail !== existingUser.email;
 
     // Check if email is already taken (if changing email)
-    if (email && email !== existingUser.email) {
+    if (emailChanged) {
       const { data: emailCheck } = await supabaseAdmin
         .from('users')
         .select('id')
-        .eq('email', email)
+        .eq('email', newEmail)
         .neq('id', id)
         .single();
 
@@ -256,28 +315,38 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
 
     if (firstName) updateData.first_name = firstName.trim();
     if (lastName) updateData.last_name = lastName.trim();
-    if (email) updateData.email = email.toLowerCase().trim();
+    // A new address has to be verified again
+    if (emailChanged) {
+      updateData.email = newEmail;
+      updateData.email_verified_at = null;
+    }
     if (timezone) updateData.timezone = timezone;
     if (avatarUrl) updateData.avatar_url = avatarUrl;
     
-    // Admin-only fields
-    if (currentUserRole === 'admin') {
-      if (role) updateData.role = role;
-      if (status) updateData.status = status;
-    }
+    if (role) updateData.role = role;
+    if (status) updateData.status = status;
 
     // Update user
     const { data: updatedUser, error } = await supabaseAdmin
       .from('users')
       .update(updateData)
       .eq('id', id)
-      .select('id, email, first_name, last_name, role, status, avatar_url, timezone, created_at, last_login')
+      .select('id, email, email_verified_at, first_name, last_name, role, status, avatar_url, timezone, created_at, last_login')
       .single();
 
     if (error) {
       throw error;
     }
 
+    // Mail failures must not fail the update; the user can resend the link
+    if (emailChanged) {
+      try {
+        await sendEmailChangeVerification(updatedUser);
+      } catch (emailError) {
+        logger.error('Verification email failed:', emailError);
+      }
+    }
+
     logger.info(`User updated: ${id} by user ${currentUserId}`);
 
     res.json({
@@ -321,21 +390,12 @@ router.put('/:id', authenticateToken, validateObjectId, async (req, res, next) =
  *                 type: string
  *                 minLength: 8
  */
-router.put('/:id/password', authenticateToken, validateObjectId, async (req, res, next) => {
+router.put('/:id/password', authenticateToken, validateObjectId, authorize('user:change_password'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const currentUserId = req.user.id;
-    const currentUserRole = req.user.role;
     const { currentPassword, newPassword } = req.body;
 
-    // Users can only change their own password unless they're admin
-    if (id !== currentUserId && currentUserRole !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only change your own password'
-      });
-    }
-
     // Validate input
     if (!newPassword || newPassword.length < 8) {
       return res.status(400).json({
@@ -344,19 +404,7 @@ router.put('/:id/password', authenticateToken, validateObjectId, async (req, res
       });
     }
 
-    // Get user's current password hash
-    const { data: user, error: fetchError } = await supabaseAdmin
-      .from('users')
-      .select('id, password_hash')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !user) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user does not exist'
-      });
-    }
+    const user = req.resource;
 
     // Verify current password (unless admin is changing someone else's password)
     if (id === currentUserId) {
@@ -420,32 +468,11 @@ router.put('/:id/password', authenticateToken, validateObjectId, async (req, res
  *           type: string
  *           format: uuid
  */
-router.delete('/:id', authenticateToken, requireRole(['admin']), validateObjectId, async (req, res, next) => {
+router.delete('/:id', authenticateToken, validateObjectId, authorize('user:delete'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const currentUserId = req.user.id;
-
-    // Prevent admin from deleting themselves
-    if (id === currentUserId) {
-      return res.status(400).json({
-        error: 'Cannot delete own account',
-        message: 'You cannot delete your own account'
-      });
-    }
-
-    // Check if user exists
-    const { data: existingUser, error: fetchError } = await supabaseAdmin
-      .from('users')
-      .select('id, email, role')
-      .eq('id', id)
-      .single();
-
-    if (fetchError || !existingUser) {
-      return res.status(404).json({
-        error: 'User not found',
-        message: 'The requested user does not exist'
-      });
-    }
+    const existingUser = req.resource;
 
     // Delete user (this will cascade to related records due to foreign key constraints)
     const { error } = await supabaseAdmin
@@ -468,80 +495,19 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), validateObjectI
   }
 });
 
-/**
- * @swagger
- * /api/users/stats:
- *   get:
- *     summary: Get user statistics (admin only)
- *     tags: [Users]
- *     security:
- *       - bearerAuth: []
- */
-router.get('/stats', authenticateToken, requireRole(['admin']), async (req, res, next) => {
-  try {
-    // Get user counts by role
-    const { data: roleStats, error: roleError } = await supabaseAdmin
-      .from('users')
-      .select('role')
-      .eq('status', 'active');
-
-    if (roleError) {
-      throw roleError;
-    }
-
-    // Get user counts by status
-    const { data: statusStats, error: statusError } = await supabaseAdmin
-      .from('users')
-      .select('status');
-
-    if (statusError) {
-      throw statusError;
-    }
-
-    // Get recent registrations (last 30 days)
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const { data: recentUsers, error: recentError } = await supabaseAdmin
-      .from('users')
-      .select('created_at')
-      .gte('created_at', thirtyDaysAgo.toISOString());
-
-    if (recentError) {
-      throw recentError;
-    }
-
-    // Process statistics
-    const roleCounts = roleStats.reduce((acc, user) => {
-      acc[user.role] = (acc[user.role] || 0) + 1;
-      return acc;
-    }, {});
-
-    const statusCounts = statusStats.reduce((acc, user) => {
-      acc[user.status] = (acc[user.status] || 0) + 1;
-      return acc;
-    }, {});
-
-    const stats = {
-      totalUsers: statusStats.length,
-      activeUsers: statusCounts.active || 0,
-      inactiveUsers: statusCounts.inactive || 0,
-      suspendedUsers: statusCounts.suspended || 0,
-      roleDistribution: {
-        admin: roleCounts.admin || 0,
-        agency: roleCounts.agency || 0,
-        creator: roleCounts.creator || 0,
-        client: roleCounts.client || 0
-      },
-      recentRegistrations: recentUsers.length,
-      generatedAt: new Date().toISOString()
-    };
-
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+// Helper function to email a verification link to a changed address
+async function sendEmailChangeVerification(user) {
+  const token = await issueAuthToken(user.id, 'email_verification');
+
+  await sendEmail({
+    to: user.email,
+    subject: 'ContentFlow AI: Verify your new email address',
+    title: 'Verify your new email address',
+    message: 'The email address on your ContentFlow AI account was changed to this one. Confirm it to keep receiving account emails.',
+    actionUrl: `${process.env.FRONTEND_URL}/verify-email?token=${token}`,
+    actionLabel: 'Verify Email',
+    footer: 'You received this email because the address on a ContentFlow AI account was changed to this one.'
+  });
+}
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,1097 @@
+const express = require('express');
+const {
+  authenticateToken,
+  authorize,
+  checkPermission,
+  sendPermissionDenied
+} = require('../middlewares/auth');
+const {
+  validateWorkspace,
+  validateWorkspaceInvitation,
+  validateInvitationToken,
+  validateApprovalStages,
+  validateObjectId,
+  validateUuidParams
+} = require('../middlewares/validation');
+const { supabaseAdmin } = require('../config/database');
+const {
+  listUserWorkspaces,
+  createWorkspace,
+  createInvitation,
+  acceptInvitation,
+  declineInvitation
+} = require('../services/workspaces');
+const { normalizeStage, getWorkspaceStages } = require('../services/contentWorkflow');
+const { createNotification, sendEmail } = require('./notifications');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List the workspaces the current user belongs to
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/', authenticateToken, async (req, res, next) => {
+  try {
+    const workspaces = await listUserWorkspaces(req.user.id);
+
+    res.json({
+      success: true,
+      data: workspaces.map(formatWorkspace)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace
+ *     description: The creator becomes the workspace owner.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.post('/', authenticateToken, validateWorkspace, async (req, res, next) => {
+  try {
+    if (req.user.role === 'client') {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Client accounts cannot create workspaces'
+      });
+    }
+
+    const workspace = await createWorkspace({
+      ownerId: req.user.id,
+      name: req.body.name,
+      description: req.body.description
+    });
+
+    logger.info(`Workspace created: ${workspace.id} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Workspace created successfully',
+      data: formatWorkspace({ ...workspace, role: 'owner' })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/invitations/accept:
+ *   post:
+ *     summary: Accept a workspace invitation
+ *     description: Must be called by the account the invitation was emailed to.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ */
+router.post('/invitations/accept', authenticateToken, validateInvitationToken, async (req, res, next) => {
+  try {
+    const { workspace, role } = await acceptInvitation(req.body.token, req.user);
+
+    logger.info(`User ${req.user.id} joined workspace ${workspace.id} as ${role}`);
+
+    res.json({
+      success: true,
+      message: `You have joined ${workspace.name}`,
+      data: { workspaceId: workspace.id, name: workspace.name, role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/invitations/decline:
+ *   post:
+ *     summary: Decline a workspace invitation
+ *     tags: [Workspaces]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ */
+router.post('/invitations/decline', validateInvitationToken, async (req, res, next) => {
+  try {
+    const workspace = await declineInvitation(req.body.token);
+
+    logger.info(`Invitation to workspace ${workspace.id} declined`);
+
+    res.json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   get:
+ *     summary: Get a workspace
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id', authenticateToken, validateObjectId, authorize('workspace:read'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+    const role = req.permission.workspaceRole;
+
+    const { count } = await supabaseAdmin
+      .from('workspace_members')
+      .select('*', { count: 'exact', head: true })
+      .eq('workspace_id', workspace.id)
+      .eq('status', 'active');
+
+    res.json({
+      success: true,
+      data: {
+        ...formatWorkspace({ ...workspace, role }),
+        memberCount: count
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   put:
+ *     summary: Update a workspace
+ *     description: Requires the manager role or higher.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.put('/:id', authenticateToken, validateObjectId, authorize('workspace:update'), validateWorkspace, async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+    const role = req.permission.workspaceRole;
+    const { name, description } = req.body;
+
+    const updateData = {
+      name,
+      updated_at: new Date().toISOString()
+    };
+
+    if (description !== undefined) {
+      updateData.description = description;
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('workspaces')
+      .update(updateData)
+      .eq('id', workspace.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Workspace updated: ${workspace.id} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Workspace updated successfully',
+      data: formatWorkspace({ ...updated, role })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}:
+ *   delete:
+ *     summary: Delete a workspace
+ *     description: Owner only. Deletes the workspace's content, files and hashtag packs.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id', authenticateToken, validateObjectId, authorize('workspace:delete'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+
+    const { error } = await supabaseAdmin
+      .from('workspaces')
+      .delete()
+      .eq('id', workspace.id);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Workspace deleted: ${workspace.id} (${workspace.name}) by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Workspace deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members:
+ *   get:
+ *     summary: List workspace members
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/members', authenticateToken, validateObjectId, authorize('workspace:read'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+
+    const { data: members, error } = await supabaseAdmin
+      .from('workspace_members')
+      .select('role, joined_at, user:users!workspace_members_user_id_fkey(id, email, first_name, last_name, avatar_url)')
+      .eq('workspace_id', workspace.id)
+      .eq('status', 'active')
+      .order('joined_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: members
+        .filter(member => member.user)
+        .map(member => ({
+          userId: member.user.id,
+          email: member.user.email,
+          firstName: member.user.first_name,
+          lastName: member.user.last_name,
+          avatarUrl: member.user.avatar_url,
+          role: member.role,
+          joinedAt: member.joined_at
+        }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role
+ *     description: Managers can change editors and viewers; only the owner can grant or change the manager role. The owner's role can't be changed.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [manager, editor, viewer]
+ */
+router.patch('/:id/members/:userId', authenticateToken, validateUuidParams('id', 'userId'), authorize('workspace:manage_members'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+    const { role } = req.body;
+
+    if (!['manager', 'editor', 'viewer'].includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'Role must be one of: manager, editor, viewer'
+      });
+    }
+
+    const member = await getActiveMember(workspace.id, req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'This user is not a member of the workspace'
+      });
+    }
+
+    const decision = await checkPermission(req, 'workspace_member:manage', { ...member, workspace_id: workspace.id }, { newRole: role });
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('workspace_members')
+      .update({ role })
+      .eq('id', member.id);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Workspace ${workspace.id}: user ${member.user_id} role changed from ${member.role} to ${role} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { userId: member.user_id, role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the workspace
+ *     description: Managers can remove editors and viewers; the owner can remove anyone but themselves.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id/members/:userId', authenticateToken, validateUuidParams('id', 'userId'), authorize('workspace:manage_members'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({
+        error: 'Cannot remove yourself',
+        message: 'Use POST /api/workspaces/{id}/leave to leave a workspace'
+      });
+    }
+
+    const member = await getActiveMember(workspace.id, req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'This user is not a member of the workspace'
+      });
+    }
+
+    const decision = await checkPermission(req, 'workspace_member:manage', { ...member, workspace_id: workspace.id });
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { error } = await supabaseAdmin
+      .from('workspace_members')
+      .update({ status: 'removed' })
+      .eq('id', member.id);
+
+    if (error) {
+      throw error;
+    }
+
+    await createNotification(
+      member.user_id,
+      'workspace_removed',
+      'Removed from workspace',
+      `You no longer have access to ${workspace.name}`,
+      { workspace_id: workspace.id }
+    );
+
+    logger.info(`Workspace ${workspace.id}: user ${member.user_id} removed by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/leave:
+ *   post:
+ *     summary: Leave a workspace
+ *     description: The owner can't leave; delete the workspace instead.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.post('/:id/leave', authenticateToken, validateObjectId, async (req, res, next) => {
+  try {
+    const member = await getActiveMember(req.params.id, req.user.id);
+
+    if (!member) {
+      return res.status(404).json({
+        error: 'Workspace not found',
+        message: 'You are not a member of this workspace'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        error: 'Owner cannot leave',
+        message: 'The workspace owner cannot leave. Delete the workspace instead'
+      });
+    }
+
+    const { error } = await supabaseAdmin
+      .from('workspace_members')
+      .update({ status: 'left' })
+      .eq('id', member.id);
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`User ${req.user.id} left workspace ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'You have left the workspace'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations:
+ *   get:
+ *     summary: List pending invitations
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/invitations', authenticateToken, validateObjectId, authorize('workspace:manage_members'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+
+    const { data: invitations, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .select('id, email, role, status, expires_at, created_at, invited_by')
+      .eq('workspace_id', workspace.id)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: invitations.map(invitation => ({
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        invitedBy: invitation.invited_by,
+        expiresAt: invitation.expires_at,
+        expired: new Date(invitation.expires_at) < new Date(),
+        createdAt: invitation.created_at
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the workspace by email
+ *     description: Sends an email with accept and decline links. Only the owner can invite managers.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 enum: [manager, editor, viewer]
+ *                 default: editor
+ */
+router.post('/:id/invitations', authenticateToken, validateObjectId, authorize('workspace:manage_members'), validateWorkspaceInvitation, async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+    const { email, role = 'editor' } = req.body;
+
+    // Inviting someone is managing a member with the role on offer
+    const decision = await checkPermission(req, 'workspace_member:manage', { workspace_id: workspace.id, user_id: null, role });
+    if (!decision.allowed) {
+      return sendPermissionDenied(req, res, decision);
+    }
+
+    const { data: invitee } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (invitee && await getActiveMember(workspace.id, invitee.id)) {
+      return res.status(409).json({
+        error: 'Already a member',
+        message: 'This user is already a member of the workspace'
+      });
+    }
+
+    const { invitation, token } = await createInvitation({
+      workspaceId: workspace.id,
+      email,
+      role,
+      invitedBy: req.user.id
+    });
+
+    // The invitation stays valid if the email fails; it can be sent again
+    let emailSent = true;
+    try {
+      await sendInvitationEmail({ email, token, workspace, role, inviter: req.user });
+    } catch (emailError) {
+      emailSent = false;
+      logger.error('Workspace invitation email failed:', emailError);
+    }
+
+    if (invitee) {
+      await createNotification(
+        invitee.id,
+        'workspace_invitation',
+        'Workspace invitation',
+        `${req.user.first_name} invited you to join ${workspace.name} as ${role}`,
+        { workspace_id: workspace.id, invitation_id: invitation.id }
+      );
+    }
+
+    logger.info(`Workspace ${workspace.id}: ${email} invited as ${role} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      data: {
+        id: invitation.id,
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expires_at,
+        emailSent
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.delete('/:id/invitations/:invitationId', authenticateToken, validateUuidParams('id', 'invitationId'), authorize('workspace:manage_members'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+
+    const { data: revoked, error } = await supabaseAdmin
+      .from('workspace_invitations')
+      .update({ status: 'revoked', responded_at: new Date().toISOString() })
+      .eq('id', req.params.invitationId)
+      .eq('workspace_id', workspace.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (revoked.length === 0) {
+      return res.status(404).json({
+        error: 'Invitation not found',
+        message: 'The invitation does not exist or has already been answered'
+      });
+    }
+
+    logger.info(`Workspace ${workspace.id}: invitation ${req.params.invitationId} revoked by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/security:
+ *   get:
+ *     summary: Get workspace security settings
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/security', authenticateToken, validateObjectId, authorize('workspace:manage_security'), async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+
+    // Members still missing a second factor, so admins can follow up before enforcing
+    const { data: members, error } = await supabaseAdmin
+      .from('workspace_members')
+      .select('user_id, user:users!workspace_members_user_id_fkey(id, email, first_name, last_name, mfa_enabled)')
+      .eq('workspace_id', workspace.id)
+      .eq('status', 'active');
+
+    if (error) {
+      throw error;
+    }
+
+    const membersWithoutMfa = members
+      .filter(member => member.user && !member.user.mfa_enabled)
+      .map(member => ({
+        id: member.user.id,
+        email: member.user.email,
+        firstName: member.user.first_name,
+        lastName: member.user.last_name
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        requireMfa: Boolean(workspace.settings?.require_mfa),
+        membersWithoutMfa
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/security:
+ *   put:
+ *     summary: Update workspace security settings
+ *     description: With requireMfa enabled, members without two-factor authentication are refused access to the workspace until they enrol. Requires the manager role or higher.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireMfa
+ *             properties:
+ *               requireMfa:
+ *                 type: boolean
+ */
+router.put('/:id/security', authenticateToken, validateObjectId, authorize('workspace:manage_security'), async (req, res, next) => {
+  try {
+    const { requireMfa } = req.body;
+
+    if (typeof requireMfa !== 'boolean') {
+      return res.status(400).json({
+        error: 'Invalid settings',
+        message: 'requireMfa must be a boolean'
+      });
+    }
+
+    // Don't let admins lock themselves out of the workspace they are configuring
+    if (requireMfa && !req.user.mfa_enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication required',
+        code: 'mfa_required',
+        message: 'Enable two-factor authentication on your own account before requiring it for the workspace'
+      });
+    }
+
+    const workspace = req.resource;
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('workspaces')
+      .update({
+        settings: { ...(workspace.settings || {}), require_mfa: requireMfa },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', workspace.id)
+      .select('id, settings')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Workspace ${workspace.id} two-factor requirement set to ${requireMfa} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        requireMfa: Boolean(updated.settings.require_mfa)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/approval-stages:
+ *   get:
+ *     summary: Get the workspace's content approval stages
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ */
+router.get('/:id/approval-stages', authenticateToken, validateObjectId, authorize('workspace:read'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        stages: getWorkspaceStages(req.resource)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/workspaces/{id}/approval-stages:
+ *   put:
+ *     summary: Set the workspace's content approval stages
+ *     description: >
+ *       Content is approved through the stages in order. With at least one
+ *       stage, the workspace's content must be approved before it can be
+ *       scheduled; an empty list turns approval off. Items already in review
+ *       keep the stages they were submitted with. Requires the manager role or higher.
+ *     tags: [Workspaces]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stages
+ *             properties:
+ *               stages:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Internal review
+ *                     approverRole:
+ *                       type: string
+ *                       enum: [owner, manager, editor, viewer, client]
+ *                       description: Members with this role or higher approve; client means the item's client login. Defaults to manager
+ *                     approverIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         format: uuid
+ *                       description: Only these members approve (overrides approverRole)
+ *                     requiredApprovals:
+ *                       type: integer
+ *                       minimum: 1
+ *                       default: 1
+ */
+router.put('/:id/approval-stages', authenticateToken, validateObjectId, authorize('workspace:update'), validateApprovalStages, async (req, res, next) => {
+  try {
+    const workspace = req.resource;
+    const stages = req.body.stages.map(normalizeStage);
+
+    // Named approvers have to be in the team
+    const approverIds = [...new Set(stages.flatMap(stage => stage.approverIds))];
+    if (approverIds.length > 0) {
+      const { data: members, error: membersError } = await supabaseAdmin
+        .from('workspace_members')
+        .select('user_id')
+        .eq('workspace_id', workspace.id)
+        .eq('status', 'active')
+        .in('user_id', approverIds);
+
+      if (membersError) {
+        throw membersError;
+      }
+
+      if (members.length !== approverIds.length) {
+        return res.status(400).json({
+          error: 'Invalid approvers',
+          message: 'Every named approver must be an active member of the workspace'
+        });
+      }
+    }
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('workspaces')
+      .update({
+        settings: { ...(workspace.settings || {}), approval_stages: stages },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', workspace.id)
+      .select('id, settings')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    logger.info(`Workspace ${workspace.id} approval stages set to ${stages.length} stage(s) by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        stages: getWorkspaceStages(updated)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Helper function to load a user's active membership row
+async function getActiveMember(workspaceId, userId) {
+  const { data: member } = await supabaseAdmin
+    .from('workspace_members')
+    .select('id, user_id, role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  return member;
+}
+
+// Helper function to shape a workspace for API responses
+function formatWorkspace(workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    description: workspace.description,
+    ownerId: workspace.owner_id,
+    role: workspace.role,
+    requireMfa: Boolean(workspace.settings?.require_mfa),
+    createdAt: workspace.created_at,
+    updatedAt: workspace.updated_at
+  };
+}
+
+// Helper function to email a workspace invitation with accept/decline links
+async function sendInvitationEmail({ email, token, workspace, role, inviter }) {
+  const link = `${process.env.FRONTEND_URL}/invitations?token=${token}`;
+
+  await sendEmail({
+    to: email,
+    subject: `ContentFlow AI: Join ${workspace.name}`,
+    title: `You're invited to ${workspace.name}`,
+    message: `${inviter.first_name} ${inviter.last_name} invited you to join ${workspace.name} as ${role === 'editor' ? 'an' : 'a'} ${role}. ` +
+      `If you don't want to join, decline here: ${link}&action=decline`,
+    actionUrl: `${link}&action=accept`,
+    actionLabel: 'Accept Invitation',
+    footer: 'You received this email because someone invited this address to a ContentFlow AI workspace.'
+  });
+}
+
+module.exports = router;
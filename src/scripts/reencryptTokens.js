@@ -0,0 +1,185 @@
+// Re-encrypt social_accounts tokens and users' TOTP secrets with the active
+// TOKEN_ENCRYPTION_KEYS key.
+//
+// Run after adding a new key to the front of TOKEN_ENCRYPTION_KEYS (and once
+// after enabling encryption, to encrypt rows stored in plaintext):
+//
+//   npm run tokens:reencrypt -- [--dry-run]
+//
+// Old keys must stay configured until this has finished.
+
+require('dotenv').config();
+const { supabaseAdmin } = require('../config/database');
+const { decryptToken, encryptToken, needsReencryption } = require('../utils/tokenCipher');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 100;
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count rows that need rewriting without updating them
+ * @returns {Promise<{scanned: number, updated: number, skipped: number, failed: number}>}
+ */
+async function reencryptSocialTokens({ dryRun = false } = {}) {
+  if (!process.env.TOKEN_ENCRYPTION_KEYS) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set to re-encrypt tokens');
+  }
+
+  const summary = { scanned: 0, updated: 0, skipped: 0, failed: 0 };
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: accounts, error } = await supabaseAdmin
+      .from('social_accounts')
+      .select('id, access_token, refresh_token')
+      .order('id', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const account of accounts) {
+      summary.scanned++;
+
+      if (!needsReencryption(account.access_token) && !needsReencryption(account.refresh_token)) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        summary.updated++;
+        continue;
+      }
+
+      try {
+        // Only overwrite the row if a token refresh hasn't replaced it meanwhile
+        const { data: updated, error: updateError } = await supabaseAdmin
+          .from('social_accounts')
+          .update({
+            access_token: encryptToken(decryptToken(account.access_token)),
+            refresh_token: encryptToken(decryptToken(account.refresh_token))
+          })
+          .eq('id', account.id)
+          .eq('access_token', account.access_token)
+          .select('id');
+
+        if (updateError) {
+          throw updateError;
+        }
+
+        if (updated.length > 0) {
+          summary.updated++;
+        } else {
+          summary.skipped++;
+        }
+      } catch (rowError) {
+        summary.failed++;
+        logger.error(`Failed to re-encrypt tokens for social account ${account.id}: ${rowError.message}`);
+      }
+    }
+
+    if (accounts.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Same as reencryptSocialTokens, for users.mfa_secret and users.mfa_pending_secret.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{scanned: number, updated: number, skipped: number, failed: number}>}
+ */
+async function reencryptMfaSecrets({ dryRun = false } = {}) {
+  if (!process.env.TOKEN_ENCRYPTION_KEYS) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS must be set to re-encrypt tokens');
+  }
+
+  const summary = { scanned: 0, updated: 0, skipped: 0, failed: 0 };
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('id, mfa_secret, mfa_pending_secret')
+      .order('id', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const user of users) {
+      if (!user.mfa_secret && !user.mfa_pending_secret) {
+        continue;
+      }
+
+      summary.scanned++;
+
+      if (!needsReencryption(user.mfa_secret) && !needsReencryption(user.mfa_pending_secret)) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (dryRun) {
+        summary.updated++;
+        continue;
+      }
+
+      try {
+        const update = {};
+        if (user.mfa_secret) {
+          update.mfa_secret = encryptToken(decryptToken(user.mfa_secret));
+        }
+        if (user.mfa_pending_secret) {
+          update.mfa_pending_secret = encryptToken(decryptToken(user.mfa_pending_secret));
+        }
+
+        const { error: updateError } = await supabaseAdmin
+          .from('users')
+          .update(update)
+          .eq('id', user.id);
+
+        if (updateError) {
+          throw updateError;
+        }
+
+        summary.updated++;
+      } catch (rowError) {
+        summary.failed++;
+        logger.error(`Failed to re-encrypt two-factor secret for user ${user.id}: ${rowError.message}`);
+      }
+    }
+
+    if (users.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return summary;
+}
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  (async () => {
+    const socialSummary = await reencryptSocialTokens({ dryRun });
+    console.log(`${dryRun ? '[dry run] ' : ''}Social tokens re-encrypted:`, socialSummary);
+
+    const mfaSummary = await reencryptMfaSecrets({ dryRun });
+    console.log(`${dryRun ? '[dry run] ' : ''}Two-factor secrets re-encrypted:`, mfaSummary);
+
+    return socialSummary.failed + mfaSummary.failed;
+  })()
+    .then(failed => {
+      process.exit(failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('Token re-encryption failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { reencryptSocialTokens, reencryptMfaSecrets };
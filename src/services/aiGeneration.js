@@ -0,0 +1,106 @@
+const { supabaseAdmin } = require('../config/database');
+const { getOpenAI } = require('../config/openai');
+const logger = require('../utils/logger');
+
+// System prompt for each generation type
+const SYSTEM_PROMPTS = {
+  hook: `You are an expert social media content creator specializing in creating viral hooks. Generate compelling, scroll-stopping hooks that grab attention in the first 3 seconds. Focus on curiosity, controversy, or strong emotional triggers.`,
+
+  script: `You are a professional scriptwriter for social media content. Create engaging scripts with clear structure: Hook (0-3s), Value/Story (4-45s), and Call-to-Action (46-60s). Include timing markers and visual cues.`,
+
+  caption: `You are a social media caption expert. Write engaging captions that drive engagement, include relevant emojis, and end with strong calls-to-action. Optimize for the specific platform's best practices.`,
+
+  hashtags: `You are a hashtag research specialist. Generate strategic hashtag combinations that balance reach and relevance. Include a mix of trending, niche, and branded hashtags with estimated reach potential.`,
+
+  ideas: `You are a creative content strategist. Generate diverse, actionable content ideas that align with current trends and audience interests. Include content format suggestions and engagement strategies.`
+};
+
+// Platform-specific guidelines added to the user prompt
+const PLATFORM_GUIDELINES = {
+  tiktok: 'Optimize for TikTok: vertical format, trending sounds, quick cuts, authentic feel.',
+  instagram: 'Optimize for Instagram: visual storytelling, hashtag strategy, Stories/Reels format.',
+  youtube: 'Optimize for YouTube: strong thumbnails, SEO titles, engaging intros, clear value.',
+  linkedin: 'Optimize for LinkedIn: professional tone, industry insights, thought leadership.',
+  twitter: 'Optimize for Twitter: concise messaging, trending topics, thread potential.'
+};
+
+/**
+ * Generate content with OpenAI and save the generation to the user's history.
+ *
+ * @param {string} userId
+ * @param {Object} request
+ * @param {string} request.prompt
+ * @param {'hook'|'script'|'caption'|'hashtags'|'ideas'} request.type
+ * @param {string} [request.platform]
+ * @param {string} [request.tone]
+ * @param {string} [request.niche]
+ * @returns {Promise<{ content: string, tokensUsed: number }>}
+ */
+async function generateContent(userId, { prompt, type, platform, tone, niche }) {
+  // Build user prompt with context
+  let contextualPrompt = prompt;
+
+  if (platform) {
+    contextualPrompt += ` for ${platform}`;
+  }
+
+  if (niche) {
+    contextualPrompt += ` in the ${niche} niche`;
+  }
+
+  if (tone) {
+    contextualPrompt += ` with a ${tone} tone`;
+  }
+
+  if (platform && PLATFORM_GUIDELINES[platform]) {
+    contextualPrompt += ` ${PLATFORM_GUIDELINES[platform]}`;
+  }
+
+  const completion = await getOpenAI().chat.completions.create({
+    model: 'gpt-4',
+    messages: [
+      {
+        role: 'system',
+        content: SYSTEM_PROMPTS[type]
+      },
+      {
+        role: 'user',
+        content: contextualPrompt
+      }
+    ],
+    max_tokens: type === 'script' ? 1000 : 500,
+    temperature: 0.8
+  });
+
+  const content = completion.choices[0].message.content;
+
+  // Save generation to database for analytics
+  const { error: saveError } = await supabaseAdmin
+    .from('ai_generations')
+    .insert({
+      user_id: userId,
+      prompt: contextualPrompt,
+      type,
+      platform,
+      tone,
+      niche,
+      generated_content: content,
+      tokens_used: completion.usage.total_tokens,
+      created_at: new Date().toISOString()
+    });
+
+  if (saveError) {
+    logger.error('Failed to save AI generation:', saveError);
+  }
+
+  logger.info(`AI content generated for user ${userId}: ${type}`);
+
+  return {
+    content,
+    tokensUsed: completion.usage.total_tokens
+  };
+}
+
+module.exports = {
+  generateContent
+};
@@ -0,0 +1,131 @@
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const { getAdapter } = require('./platforms');
+const { decryptAccountTokens } = require('../utils/tokenCipher');
+const logger = require('../utils/logger');
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Pull post metrics for published content through the platform adapters and
+ * store them in content_items.performance_data.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only sync content created by this user
+ * @param {number} [options.days] - How far back to look at published_date
+ * @param {number} [options.limit] - Maximum number of items per run
+ * @returns {Promise<{synced: number, failed: number}>}
+ */
+async function syncContentMetrics({ userId, days = 30, limit = 200 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const summary = { synced: 0, failed: 0 };
+
+  let query = supabaseAdmin
+    .from('content_items')
+    .select('id, platform, platform_post_id, social_account_id, performance_data')
+    .eq('status', 'published')
+    .not('platform_post_id', 'is', null)
+    .not('social_account_id', 'is', null)
+    .gte('published_date', since.toISOString())
+    .order('published_date', { ascending: false })
+    .limit(limit);
+
+  if (userId) {
+    query = query.eq('creator_id', userId);
+  }
+
+  const { data: items, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  if (items.length === 0) {
+    return summary;
+  }
+
+  const accountIds = [...new Set(items.map(item => item.social_account_id))];
+  const { data: accounts, error: accountsError } = await supabaseAdmin
+    .from('social_accounts')
+    .select('*')
+    .in('id', accountIds)
+    .eq('status', 'active');
+
+  if (accountsError) {
+    throw accountsError;
+  }
+
+  const accountsById = new Map(accounts.map(account => [account.id, account]));
+
+  for (const item of items) {
+    const account = accountsById.get(item.social_account_id);
+    if (!account) {
+      continue;
+    }
+
+    try {
+      const metrics = await getAdapter(item.platform).getPostMetrics({
+        account: decryptAccountTokens(account),
+        postId: item.platform_post_id
+      });
+
+      await supabaseAdmin
+        .from('content_items')
+        .update({
+          performance_data: {
+            ...(item.performance_data || {}),
+            metrics,
+            synced_at: new Date().toISOString()
+          }
+        })
+        .eq('id', item.id);
+
+      summary.synced++;
+    } catch (syncError) {
+      summary.failed++;
+      logger.warn(`Metrics sync failed for content item ${item.id} on ${item.platform}: ${syncError.message}`);
+    }
+  }
+
+  return summary;
+}
+
+// Start the cron job that refreshes post metrics (hourly by default)
+function startAnalyticsSync({ schedule = process.env.ANALYTICS_SYNC_CRON || '0 * * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const summary = await syncContentMetrics();
+      logger.info('Analytics sync run complete', summary);
+    } catch (error) {
+      logger.error('Analytics sync run failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Analytics sync started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopAnalyticsSync() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  syncContentMetrics,
+  startAnalyticsSync,
+  stopAnalyticsSync
+};
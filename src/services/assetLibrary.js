@@ -0,0 +1,505 @@
+const { supabaseAdmin } = require('../config/database');
+const logger = require('../utils/logger');
+
+/*
+ * Asset library: folders and collections of media files.
+ *
+ * Folders nest, and a file is in at most one of them; collections are
+ * hand-picked sets of files that can overlap. Both belong to a library: a
+ * workspace, or the personal files of whoever created them outside one.
+ * Files only go into folders and collections of their own library. A folder
+ * can be for a client, in which case it only holds that client's files and
+ * its subfolders are for the same client.
+ */
+
+// Deepest a folder can be nested, counting the top level as 1
+const MAX_FOLDER_DEPTH = 10;
+
+// Error codes returned as `code` by the folder, collection and bulk endpoints
+const LIBRARY_ERRORS = {
+  DUPLICATE_NAME: 'duplicate_name',
+  FOLDER_CYCLE: 'folder_cycle',
+  FOLDER_TOO_DEEP: 'folder_too_deep',
+  FOLDER_NOT_EMPTY: 'folder_not_empty',
+  OTHER_LIBRARY: 'other_library',
+  CLIENT_MISMATCH: 'client_mismatch',
+  NOT_FOUND: 'not_found',
+  FAILED: 'operation_failed'
+};
+
+class AssetLibraryError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'AssetLibraryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The library a file, folder or collection belongs to
+const libraryOf = (item) => item.workspace_id
+  ? `workspace:${item.workspace_id}`
+  : `user:${item.uploaded_by || item.created_by}`;
+
+const sameLibrary = (a, b) => libraryOf(a) === libraryOf(b);
+
+async function findFolder(id) {
+  const { data: folder, error } = await supabaseAdmin
+    .from('media_folders')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return folder;
+}
+
+/**
+ * A folder's ancestors and the folder itself, from the top level down.
+ *
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function folderPath(folder) {
+  const path = [{ id: folder.id, name: folder.name }];
+  let parentId = folder.parent_id;
+
+  // The depth limit also stops a loop should the data ever contain one
+  while (parentId && path.length <= MAX_FOLDER_DEPTH) {
+    const parent = await findFolder(parentId);
+    if (!parent) {
+      break;
+    }
+    path.unshift({ id: parent.id, name: parent.name });
+    parentId = parent.parent_id;
+  }
+
+  return path;
+}
+
+/**
+ * IDs of a folder and every folder below it, level by level.
+ *
+ * @returns {Promise<string[][]>} The levels, the folder itself first
+ */
+async function folderLevels(folderId) {
+  const levels = [[folderId]];
+
+  while (levels.length <= MAX_FOLDER_DEPTH) {
+    const { data: children, error } = await supabaseAdmin
+      .from('media_folders')
+      .select('id')
+      .in('parent_id', levels[levels.length - 1]);
+
+    if (error) {
+      throw error;
+    }
+
+    if (children.length === 0) {
+      break;
+    }
+    levels.push(children.map(child => child.id));
+  }
+
+  return levels;
+}
+
+/**
+ * IDs of a folder and all of its subfolders.
+ */
+async function folderTreeIds(folderId) {
+  return (await folderLevels(folderId)).flat();
+}
+
+// Refuse a folder name already used by another folder in the same place
+async function assertUniqueName(folder, name, excludeId = null) {
+  let query = supabaseAdmin
+    .from('media_folders')
+    .select('id, name');
+
+  query = folder.workspace_id
+    ? query.eq('workspace_id', folder.workspace_id)
+    : query.is('workspace_id', null).eq('created_by', folder.created_by);
+
+  query = folder.parent_id ? query.eq('parent_id', folder.parent_id) : query.is('parent_id', null);
+
+  const { data: siblings, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  const taken = siblings.some(sibling => sibling.id !== excludeId && sibling.name.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.DUPLICATE_NAME, `There is already a folder named "${name}" here`, 409);
+  }
+}
+
+// Check that `folder` (saved or not) can go under `parent`
+async function assertPlacement(folder, parent) {
+  if (!sameLibrary(folder, parent)) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.OTHER_LIBRARY, 'The parent folder belongs to another library');
+  }
+
+  if (parent.client_id && folder.client_id !== parent.client_id) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.CLIENT_MISMATCH, 'Folders inside a client\'s folder must be for the same client');
+  }
+
+  const parentPath = await folderPath(parent);
+
+  if (folder.id && parentPath.some(ancestor => ancestor.id === folder.id)) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.FOLDER_CYCLE, 'A folder cannot be moved into itself or one of its subfolders');
+  }
+
+  const height = folder.id ? (await folderLevels(folder.id)).length : 1;
+  if (parentPath.length + height > MAX_FOLDER_DEPTH) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.FOLDER_TOO_DEEP, `Folders can be nested at most ${MAX_FOLDER_DEPTH} levels deep`);
+  }
+}
+
+/**
+ * Create a folder. Subfolders of a client's folder are for the same client.
+ *
+ * @param {Object} details
+ * @param {string} details.name
+ * @param {Object|null} details.parent - The parent folder, null for the top level
+ * @param {string|null} details.clientId
+ * @param {string|null} details.workspaceId
+ * @param {string} details.createdBy
+ * @throws {AssetLibraryError}
+ */
+async function createFolder({ name, parent, clientId, workspaceId, createdBy }) {
+  const folder = {
+    name,
+    parent_id: parent?.id || null,
+    client_id: clientId || parent?.client_id || null,
+    workspace_id: workspaceId,
+    created_by: createdBy
+  };
+
+  if (parent) {
+    await assertPlacement(folder, parent);
+  }
+  await assertUniqueName(folder, name);
+
+  const { data: created, error } = await supabaseAdmin
+    .from('media_folders')
+    .insert({ ...folder, created_at: new Date().toISOString() })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return created;
+}
+
+/**
+ * Rename a folder and/or move it under another one.
+ *
+ * @param {Object} folder
+ * @param {Object} changes
+ * @param {string} [changes.name]
+ * @param {Object|null} [changes.parent] - The new parent; null moves the
+ *   folder to the top level, undefined leaves it where it is
+ * @throws {AssetLibraryError}
+ */
+async function updateFolder(folder, { name, parent }) {
+  const updates = { updated_at: new Date().toISOString() };
+
+  if (parent !== undefined) {
+    if (parent) {
+      await assertPlacement(folder, parent);
+    }
+    updates.parent_id = parent?.id || null;
+  }
+
+  if (name !== undefined) {
+    updates.name = name;
+  }
+
+  if (updates.name !== undefined || updates.parent_id !== undefined) {
+    await assertUniqueName({ ...folder, ...updates }, updates.name ?? folder.name, folder.id);
+  }
+
+  const { data: updated, error } = await supabaseAdmin
+    .from('media_folders')
+    .update(updates)
+    .eq('id', folder.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return updated;
+}
+
+/**
+ * Delete an empty folder.
+ * @throws {AssetLibraryError} When it still has files or subfolders
+ */
+async function deleteFolder(folder) {
+  const [{ count: subfolders, error: folderError }, { count: files, error: fileError }] = await Promise.all([
+    supabaseAdmin.from('media_folders').select('id', { count: 'exact', head: true }).eq('parent_id', folder.id),
+    supabaseAdmin.from('media_files').select('id', { count: 'exact', head: true }).eq('folder_id', folder.id)
+  ]);
+
+  if (folderError || fileError) {
+    throw folderError || fileError;
+  }
+
+  if (subfolders > 0 || files > 0) {
+    throw new AssetLibraryError(
+      LIBRARY_ERRORS.FOLDER_NOT_EMPTY,
+      `The folder still has ${files} file(s) and ${subfolders} subfolder(s). Move or delete them first`,
+      409
+    );
+  }
+
+  const { error } = await supabaseAdmin
+    .from('media_folders')
+    .delete()
+    .eq('id', folder.id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Check that a file can go into a folder.
+ * @throws {AssetLibraryError}
+ */
+function assertFileFits(file, folder) {
+  if (!sameLibrary(file, folder)) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.OTHER_LIBRARY, 'The folder belongs to another library');
+  }
+
+  if (folder.client_id && file.client_id !== folder.client_id) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.CLIENT_MISMATCH, 'The folder only holds files of its client');
+  }
+}
+
+/**
+ * Move a file into a folder, or out of its folder when `folder` is null.
+ * @throws {AssetLibraryError}
+ */
+async function moveFile(file, folder) {
+  if (folder) {
+    assertFileFits(file, folder);
+  }
+
+  const { error } = await supabaseAdmin
+    .from('media_files')
+    .update({ folder_id: folder?.id || null, updated_at: new Date().toISOString() })
+    .eq('id', file.id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Add and remove tags of a file. Tags are compared ignoring case.
+ */
+async function retagFile(file, { add = [], remove = [] }) {
+  const removed = new Set(remove.map(tag => tag.toLowerCase()));
+  const tags = (file.tags || []).filter(tag => !removed.has(tag.toLowerCase()));
+
+  add.forEach(tag => {
+    if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  });
+
+  const { error } = await supabaseAdmin
+    .from('media_files')
+    .update({ tags, updated_at: new Date().toISOString() })
+    .eq('id', file.id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Add a file to a collection; adding a file twice changes nothing.
+ * @throws {AssetLibraryError}
+ */
+async function addToCollection(collection, file, userId) {
+  if (!sameLibrary(file, collection)) {
+    throw new AssetLibraryError(LIBRARY_ERRORS.OTHER_LIBRARY, 'The file belongs to another library');
+  }
+
+  const { error } = await supabaseAdmin
+    .from('media_collection_items')
+    .upsert({
+      collection_id: collection.id,
+      media_file_id: file.id,
+      added_by: userId,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'collection_id,media_file_id', ignoreDuplicates: true });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function removeFromCollection(collection, fileIds) {
+  const { data: removed, error } = await supabaseAdmin
+    .from('media_collection_items')
+    .delete()
+    .eq('collection_id', collection.id)
+    .in('media_file_id', fileIds)
+    .select('media_file_id');
+
+  if (error) {
+    throw error;
+  }
+
+  return removed.map(item => item.media_file_id);
+}
+
+/**
+ * IDs of the files in a collection, most recently added first.
+ */
+async function collectionFileIds(collectionId) {
+  const { data: items, error } = await supabaseAdmin
+    .from('media_collection_items')
+    .select('media_file_id')
+    .eq('collection_id', collectionId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return items.map(item => item.media_file_id);
+}
+
+/**
+ * Run an operation on each of a list of files, carrying on past failures.
+ *
+ * @param {string[]} fileIds
+ * @param {Function} operation - Called with each file row; throws to fail
+ *   that file. An AssetLibraryError's code and message are reported as they
+ *   are; anything else is logged and reported as `operation_failed`
+ * @returns {Promise<{succeeded: string[], failed: Array<{id, code, message}>}>}
+ */
+async function runBulk(fileIds, operation) {
+  const ids = [...new Set(fileIds)];
+
+  const { data: files, error } = await supabaseAdmin
+    .from('media_files')
+    .select('*')
+    .in('id', ids);
+
+  if (error) {
+    throw error;
+  }
+
+  const filesById = new Map(files.map(file => [file.id, file]));
+  const succeeded = [];
+  const failed = [];
+
+  for (const id of ids) {
+    const file = filesById.get(id);
+
+    if (!file) {
+      failed.push({ id, code: LIBRARY_ERRORS.NOT_FOUND, message: 'File not found' });
+      continue;
+    }
+
+    try {
+      await operation(file);
+      succeeded.push(id);
+    } catch (operationError) {
+      if (operationError instanceof AssetLibraryError) {
+        failed.push({ id, code: operationError.code, message: operationError.message });
+      } else {
+        logger.error(`Bulk operation failed for file ${id}:`, operationError);
+        failed.push({ id, code: LIBRARY_ERRORS.FAILED, message: 'The file could not be changed. Try again' });
+      }
+    }
+  }
+
+  return { succeeded, failed };
+}
+
+/**
+ * Apply the library's search filters to a media_files query.
+ *
+ * @param {Object} query - A media_files query (rows or count)
+ * @param {Object} filters
+ * @param {string} [filters.search] - Words to find in the file name, tags
+ *   and extracted metadata; matches part of the file name too
+ * @param {string[]} [filters.folderIds] - Files in any of these folders
+ * @param {boolean} [filters.unfiled] - Files in no folder
+ * @param {string[]} [filters.fileIds] - Only these files (a collection's)
+ * @param {string[]} [filters.tags] - Files with all of these tags
+ */
+function applyFileFilters(query, filters) {
+  const {
+    type, mimeType, clientId, contentItemId, processingStatus,
+    folderIds, unfiled, fileIds, tags, search,
+    minWidth, maxWidth, minHeight, maxHeight, minDuration, maxDuration,
+    uploadedAfter, uploadedBefore
+  } = filters;
+
+  if (type) query = query.eq('file_type', type);
+  if (mimeType) query = query.eq('mime_type', mimeType);
+  if (clientId) query = query.eq('client_id', clientId);
+  if (contentItemId) query = query.eq('content_item_id', contentItemId);
+  if (processingStatus) query = query.eq('processing_status', processingStatus);
+
+  if (folderIds) query = query.in('folder_id', folderIds);
+  if (unfiled) query = query.is('folder_id', null);
+  if (fileIds) query = query.in('id', fileIds);
+  if (tags && tags.length > 0) query = query.contains('tags', tags);
+
+  // Dimensions and duration are set by media processing
+  if (minWidth !== undefined) query = query.gte('metadata->width', minWidth);
+  if (maxWidth !== undefined) query = query.lte('metadata->width', maxWidth);
+  if (minHeight !== undefined) query = query.gte('metadata->height', minHeight);
+  if (maxHeight !== undefined) query = query.lte('metadata->height', maxHeight);
+  if (minDuration !== undefined) query = query.gte('metadata->duration', minDuration);
+  if (maxDuration !== undefined) query = query.lte('metadata->duration', maxDuration);
+
+  if (uploadedAfter) query = query.gte('created_at', uploadedAfter);
+  if (uploadedBefore) query = query.lt('created_at', uploadedBefore);
+
+  if (search) {
+    // Characters with a meaning in PostgREST's or() syntax are dropped
+    const words = search.replace(/[,()"\\%*]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (words) {
+      query = query.or(`original_name.ilike.%${words}%,search_vector.wfts(simple)."${words}"`);
+    }
+  }
+
+  return query;
+}
+
+module.exports = {
+  MAX_FOLDER_DEPTH,
+  LIBRARY_ERRORS,
+  AssetLibraryError,
+  findFolder,
+  folderPath,
+  folderTreeIds,
+  createFolder,
+  updateFolder,
+  deleteFolder,
+  assertFileFits,
+  moveFile,
+  retagFile,
+  addToCollection,
+  removeFromCollection,
+  collectionFileIds,
+  runBulk,
+  applyFileFilters
+};
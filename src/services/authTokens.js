@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+
+// Lifetime of emailed tokens by purpose
+const TOKEN_TTL_MS = {
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+  account_setup: (parseInt(process.env.ACCOUNT_SETUP_TTL_HOURS) || 72) * 60 * 60 * 1000
+};
+
+// Error codes returned as `code` by the verify/reset endpoints
+const AUTH_TOKEN_ERRORS = {
+  INVALID: 'token_invalid',
+  EXPIRED: 'token_expired',
+  USED: 'token_used'
+};
+
+class AuthTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.code = code;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a single-use token for an emailed link. Any earlier unused token for
+ * the same user and purpose stops working.
+ *
+ * @param {string} userId
+ * @param {'email_verification'|'password_reset'|'account_setup'} purpose
+ * @returns {Promise<string>} The token to put in the link (only its hash is stored)
+ */
+async function issueAuthToken(userId, purpose) {
+  const now = new Date();
+
+  await supabaseAdmin
+    .from('auth_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { error } = await supabaseAdmin
+    .from('auth_tokens')
+    .insert({
+      user_id: userId,
+      purpose,
+      token_hash: hashToken(token),
+      expires_at: new Date(now.getTime() + TOKEN_TTL_MS[purpose]).toISOString()
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  return token;
+}
+
+/**
+ * Consume a token issued by issueAuthToken.
+ *
+ * @returns {Promise<string>} ID of the user the token was issued to
+ * @throws {AuthTokenError}
+ */
+async function consumeAuthToken(token, purpose) {
+  const { data: record, error } = await supabaseAdmin
+    .from('auth_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(String(token)))
+    .eq('purpose', purpose)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!record) {
+    throw new AuthTokenError(AUTH_TOKEN_ERRORS.INVALID, 'This link is invalid');
+  }
+
+  if (record.used_at) {
+    throw new AuthTokenError(AUTH_TOKEN_ERRORS.USED, 'This link has already been used');
+  }
+
+  if (new Date(record.expires_at) < new Date()) {
+    throw new AuthTokenError(AUTH_TOKEN_ERRORS.EXPIRED, 'This link has expired');
+  }
+
+  // Only the first request to claim the token succeeds
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('auth_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed || claimed.length === 0) {
+    throw new AuthTokenError(AUTH_TOKEN_ERRORS.USED, 'This link has already been used');
+  }
+
+  return record.user_id;
+}
+
+module.exports = {
+  issueAuthToken,
+  consumeAuthToken,
+  AuthTokenError,
+  AUTH_TOKEN_ERRORS
+};
@@ -0,0 +1,22 @@
+const { supabaseAdmin } = require('../config/database');
+
+/**
+ * IDs of the clients a `client`-role user is linked to (clients.user_id).
+ * @returns {Promise<string[]>}
+ */
+async function getLinkedClientIds(userId) {
+  const { data: clients, error } = await supabaseAdmin
+    .from('clients')
+    .select('id')
+    .eq('user_id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  return clients.map(client => client.id);
+}
+
+module.exports = {
+  getLinkedClientIds
+};
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const { buildCalendar } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+/*
+ * Content calendar.
+ *
+ * An item sits on the calendar at its published_date once published, and at
+ * its scheduled_date until then. Items without either aren't on it.
+ *
+ * Two items conflict when they're on the same platform for the same client
+ * (or, without a client, in the same workspace or personal calendar) and
+ * scheduled closer together than CALENDAR_CONFLICT_MINUTES.
+ */
+
+// Items closer together than this on the same platform and client conflict
+const CONFLICT_WINDOW_MS = (parseInt(process.env.CALENDAR_CONFLICT_MINUTES) || 30) * 60 * 1000;
+
+// Statuses whose scheduled date holds a slot on the calendar
+const SLOT_STATUSES = ['review', 'approved', 'scheduled'];
+
+// Statuses an item can be rescheduled from; review is locked by the policy
+const RESCHEDULABLE_STATUSES = ['draft', 'review', 'approved', 'scheduled', 'rejected', 'failed'];
+
+// How far back and ahead an iCalendar feed reaches
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+// Length of an item's event in calendar apps
+const EVENT_DURATION_MS = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PLATFORM_LABELS = {
+  tiktok: 'TikTok',
+  instagram: 'Instagram',
+  youtube: 'YouTube',
+  linkedin: 'LinkedIn',
+  twitter: 'Twitter/X'
+};
+
+// Error codes returned as `code` by the calendar endpoints
+const CALENDAR_ERRORS = {
+  SCHEDULE_CONFLICT: 'schedule_conflict',
+  SCHEDULE_IN_PAST: 'schedule_in_past',
+  NOT_RESCHEDULABLE: 'not_reschedulable',
+  FEED_NOT_FOUND: 'feed_not_found'
+};
+
+class ContentCalendarError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'ContentCalendarError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Columns the calendar and feed show for each item
+const CALENDAR_COLUMNS = `
+  id, title, description, platform, content_type, status, scheduled_date, published_date,
+  client_id, workspace_id, creator_id, updated_at,
+  client:clients(id, name, brand),
+  creator:users!content_items_creator_id_fkey(id, first_name, last_name)
+`;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function calendarDateOf(item) {
+  return item.status === 'published' && item.published_date ? item.published_date : item.scheduled_date;
+}
+
+// YYYY-MM-DD of `date` in `timeZone`
+function dayOf(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(date));
+}
+
+/**
+ * Load the items on the calendar between two dates, earliest first.
+ *
+ * @param {Object} query - A content_items select, already scoped to what the user can see
+ * @param {Date|string} from - Inclusive
+ * @param {Date|string} to - Exclusive
+ * @returns {Promise<Object[]>} Items with their `calendar_date`
+ */
+async function findCalendarItems(query, from, to) {
+  const start = new Date(from).toISOString();
+  const end = new Date(to).toISOString();
+
+  const { data: items, error } = await query
+    .or(`and(scheduled_date.gte.${start},scheduled_date.lt.${end}),and(published_date.gte.${start},published_date.lt.${end})`);
+
+  if (error) {
+    throw error;
+  }
+
+  // A published item is listed by its publication date, even if it was scheduled within the range
+  return items
+    .map(item => ({ ...item, calendar_date: calendarDateOf(item) }))
+    .filter(item => item.calendar_date >= start && item.calendar_date < end)
+    .sort((a, b) => a.calendar_date.localeCompare(b.calendar_date));
+}
+
+/**
+ * Group calendar items by day in `timeZone`, then by platform.
+ *
+ * @returns {Array<{ date: string, total: number, platforms: Object<string, Object[]> }>}
+ */
+function groupByDay(items, timeZone) {
+  const days = new Map();
+
+  for (const item of items) {
+    const date = dayOf(item.calendar_date, timeZone);
+    if (!days.has(date)) {
+      days.set(date, { date, total: 0, platforms: {} });
+    }
+
+    const day = days.get(date);
+    day.total += 1;
+    (day.platforms[item.platform] = day.platforms[item.platform] || []).push(item);
+  }
+
+  return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Other items that would compete with `item` for a slot at `scheduledDate`.
+ */
+async function findScheduleConflicts(item, scheduledDate) {
+  const at = new Date(scheduledDate).getTime();
+
+  let query = supabaseAdmin
+    .from('content_items')
+    .select('id, title, platform, status, scheduled_date, client_id')
+    .neq('id', item.id)
+    .eq('platform', item.platform)
+    .in('status', SLOT_STATUSES)
+    .gt('scheduled_date', new Date(at - CONFLICT_WINDOW_MS).toISOString())
+    .lt('scheduled_date', new Date(at + CONFLICT_WINDOW_MS).toISOString())
+    .order('scheduled_date', { ascending: true });
+
+  query = item.workspace_id
+    ? query.eq('workspace_id', item.workspace_id)
+    : query.is('workspace_id', null).eq('creator_id', item.creator_id);
+
+  query = item.client_id ? query.eq('client_id', item.client_id) : query.is('client_id', null);
+
+  const { data: conflicts, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return conflicts;
+}
+
+/**
+ * Move an item to a new date. The status is kept; a scheduled item starts
+ * its publishing attempts from scratch.
+ *
+ * @throws {ContentCalendarError}
+ */
+async function rescheduleItem(item, scheduledDate, actor) {
+  if (!RESCHEDULABLE_STATUSES.includes(item.status)) {
+    throw new ContentCalendarError(CALENDAR_ERRORS.NOT_RESCHEDULABLE, `${capitalize(item.status)} content can't be rescheduled`);
+  }
+
+  if (item.status === 'scheduled' && new Date(scheduledDate) <= new Date()) {
+    throw new ContentCalendarError(CALENDAR_ERRORS.SCHEDULE_IN_PAST, 'Scheduled content must be moved to a date in the future', 400);
+  }
+
+  const changes = {
+    scheduled_date: new Date(scheduledDate).toISOString(),
+    updated_at: new Date().toISOString()
+  };
+
+  // A series leaves an item alone once it has been moved by hand
+  if (item.series_id) {
+    changes.series_detached = true;
+  }
+
+  if (item.status === 'scheduled') {
+    changes.publish_attempts = 0;
+    changes.next_publish_attempt_at = null;
+    changes.publish_error = null;
+  }
+
+  // Only while the status is unchanged, so an item published in the meantime stays put
+  const { data: rows, error } = await supabaseAdmin
+    .from('content_items')
+    .update(changes)
+    .eq('id', item.id)
+    .eq('status', item.status)
+    .select(CALENDAR_COLUMNS);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!rows || rows.length === 0) {
+    throw new ContentCalendarError(CALENDAR_ERRORS.NOT_RESCHEDULABLE, 'The content was changed by someone else. Reload it and try again');
+  }
+
+  logger.info(`Content ${item.id} rescheduled from ${item.scheduled_date || 'unscheduled'} to ${changes.scheduled_date} by user ${actor.id}`);
+
+  return rows[0];
+}
+
+/**
+ * Create a private feed link for a user's calendar, replacing any earlier
+ * link for the same scope.
+ *
+ * @param {string} userId
+ * @param {string|null} workspaceId - The workspace to show, or null for the user's own content
+ * @returns {Promise<{ feed: Object, token: string }>} The token for the URL (only its hash is stored)
+ */
+async function createFeed(userId, workspaceId) {
+  let previous = supabaseAdmin
+    .from('calendar_feeds')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  previous = workspaceId ? previous.eq('workspace_id', workspaceId) : previous.is('workspace_id', null);
+
+  const { error: revokeError } = await previous;
+
+  if (revokeError) {
+    throw revokeError;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data: feed, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .insert({
+      user_id: userId,
+      workspace_id: workspaceId,
+      token_hash: hashToken(token)
+    })
+    .select('id, workspace_id, last_accessed_at, created_at')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { feed, token };
+}
+
+/**
+ * A user's active feed links.
+ */
+async function listFeeds(userId) {
+  const { data: feeds, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .select('id, workspace_id, last_accessed_at, created_at, workspace:workspaces(id, name)')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return feeds;
+}
+
+/**
+ * Stop a feed link from working.
+ * @throws {ContentCalendarError}
+ */
+async function revokeFeed(userId, feedId) {
+  const { data: revoked, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', feedId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!revoked || revoked.length === 0) {
+    throw new ContentCalendarError(CALENDAR_ERRORS.FEED_NOT_FOUND, 'Calendar feed not found', 404);
+  }
+}
+
+/**
+ * Find the active feed for a token and note that it was used.
+ * @throws {ContentCalendarError}
+ */
+async function findFeed(token) {
+  const { data: feed, error } = await supabaseAdmin
+    .from('calendar_feeds')
+    .select('*')
+    .eq('token_hash', hashToken(String(token)))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!feed) {
+    throw new ContentCalendarError(CALENDAR_ERRORS.FEED_NOT_FOUND, 'Calendar feed not found', 404);
+  }
+
+  await supabaseAdmin
+    .from('calendar_feeds')
+    .update({ last_accessed_at: new Date().toISOString() })
+    .eq('id', feed.id);
+
+  return feed;
+}
+
+/**
+ * The date range a feed covers, relative to now.
+ */
+function feedRange() {
+  const now = Date.now();
+  return {
+    from: new Date(now - FEED_PAST_DAYS * DAY_MS),
+    to: new Date(now + FEED_FUTURE_DAYS * DAY_MS)
+  };
+}
+
+/**
+ * Render calendar items as an iCalendar feed.
+ */
+function renderFeed(name, items) {
+  return buildCalendar({
+    name,
+    events: items.map(item => {
+      const start = new Date(item.calendar_date);
+      const details = [
+        `Status: ${item.status}`,
+        `Type: ${item.content_type}`,
+        item.client && `Client: ${item.client.name}`,
+        item.description
+      ];
+
+      return {
+        uid: `${item.id}@contentflow`,
+        start,
+        end: new Date(start.getTime() + EVENT_DURATION_MS),
+        summary: `[${PLATFORM_LABELS[item.platform] || item.platform}] ${item.title}`,
+        description: details.filter(Boolean).join('\n'),
+        status: ['scheduled', 'published'].includes(item.status) ? 'CONFIRMED' : 'TENTATIVE',
+        categories: [item.platform, item.status],
+        lastModified: item.updated_at
+      };
+    })
+  });
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  CALENDAR_ERRORS,
+  CALENDAR_COLUMNS,
+  ContentCalendarError,
+  findCalendarItems,
+  groupByDay,
+  findScheduleConflicts,
+  rescheduleItem,
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  findFeed,
+  feedRange,
+  renderFeed
+};
@@ -0,0 +1,249 @@
+const { supabaseAdmin } = require('../config/database');
+const { recordRevision } = require('./contentRevisions');
+const { PLATFORM_ERRORS, checkPlatformRules } = require('./platformRules');
+
+/*
+ * Campaign posts: one idea cross-posted to several platforms.
+ *
+ * The campaign holds the shared copy; each platform gets its own content
+ * item (a variant) with its own schedule. A variant starts with the shared
+ * copy, and any shared field it sets itself is recorded in its
+ * `overridden_fields`. Editing the campaign copies the changed fields to
+ * every variant that hasn't overridden them, as long as the variant is still
+ * a draft or was rejected; variants further along the workflow are left as
+ * they are.
+ */
+
+// Campaign fields copied to variants; they have the same name on content items
+const SHARED_FIELDS = ['title', 'description', 'content_type', 'script', 'caption', 'hashtags', 'media_urls'];
+
+// Request body names of the shared fields
+const SHARED_FIELD_KEYS = {
+  title: 'title',
+  description: 'description',
+  contentType: 'content_type',
+  script: 'script',
+  caption: 'caption',
+  hashtags: 'hashtags',
+  mediaUrls: 'media_urls'
+};
+
+// Variants that take shared edits; later statuses have been (or are being) approved
+const PROPAGATING_STATUSES = ['draft', 'rejected'];
+
+// Error codes returned as `code` by the campaign endpoints
+const CAMPAIGN_ERRORS = {
+  PLATFORM_LIMITS: PLATFORM_ERRORS.LIMITS_EXCEEDED,
+  DUPLICATE_PLATFORM: 'duplicate_platform'
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Pick the shared fields set in a request body, as column names.
+ */
+function pickSharedFields(body) {
+  return Object.fromEntries(
+    Object.entries(SHARED_FIELD_KEYS)
+      .filter(([key]) => body[key] !== undefined)
+      .map(([key, column]) => [column, body[key]])
+  );
+}
+
+/**
+ * The content item columns of a new variant: the campaign's shared copy with
+ * the variant's own values on top.
+ *
+ * @param {Object} campaign
+ * @param {Object} variant - Request body of the variant: platform,
+ *   scheduledDate and any shared fields it overrides
+ */
+function buildVariant(campaign, variant) {
+  const overrides = pickSharedFields(variant);
+
+  return {
+    ...Object.fromEntries(SHARED_FIELDS.map(field => [field, campaign[field]])),
+    ...overrides,
+    platform: variant.platform,
+    scheduled_date: variant.scheduledDate || null,
+    overridden_fields: Object.keys(overrides)
+  };
+}
+
+/**
+ * The campaign's variants, oldest first.
+ */
+async function findVariants(campaignId) {
+  const { data: variants, error } = await supabaseAdmin
+    .from('content_items')
+    .select('*')
+    .eq('campaign_id', campaignId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  return variants;
+}
+
+/**
+ * Check variants against their platforms' limits, counting the media files
+ * already attached to them. Media can be added after the variant is created,
+ * so missing media isn't an error yet.
+ *
+ * @param {Array<Object>} variants - Content item columns, with `id` for saved variants
+ * @returns {Promise<Array<{ platform: string, variantId: string|null, errors: Array<Object> }>>}
+ *   The variants that break a limit
+ */
+async function checkVariants(variants) {
+  const ids = variants.map(variant => variant.id).filter(Boolean);
+  let files = [];
+
+  if (ids.length > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('media_files')
+      .select('*')
+      .in('content_item_id', ids);
+
+    if (error) {
+      throw error;
+    }
+
+    files = data;
+  }
+
+  return variants
+    .map(variant => ({
+      platform: variant.platform,
+      variantId: variant.id || null,
+      errors: checkPlatformRules(variant.platform, variant, {
+        files: files.filter(file => variant.id && file.content_item_id === variant.id),
+        requireMedia: false
+      }).errors
+    }))
+    .filter(result => result.errors.length > 0);
+}
+
+/**
+ * Create a campaign's variants as draft content items.
+ *
+ * @param {Object} campaign
+ * @param {Array<Object>} variants - Built with buildVariant
+ * @param {Object} actor - The user creating them
+ * @returns {Promise<Array<Object>>} The new content items
+ */
+async function createVariants(campaign, variants, actor) {
+  const { data: items, error } = await supabaseAdmin
+    .from('content_items')
+    .insert(variants.map(variant => ({
+      ...variant,
+      campaign_id: campaign.id,
+      client_id: campaign.client_id,
+      creator_id: actor.id,
+      workspace_id: campaign.workspace_id,
+      status: 'draft',
+      created_at: new Date().toISOString()
+    })))
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  for (const item of items) {
+    await recordRevision(item, actor.id, { reason: `Created for campaign "${campaign.title}"` });
+  }
+
+  return items;
+}
+
+/**
+ * Work out what a change to the campaign's shared fields does to each
+ * variant, without saving anything.
+ *
+ * @param {Array<Object>} variants - The campaign's variants
+ * @param {Object} changes - Changed shared fields, as column names
+ * @returns {{ updates: Array<{ variant: Object, changes: Object }>, skipped: Array<Object> }}
+ *   The variants to update with their new values, and the ones left alone because of their status
+ */
+function planPropagation(variants, changes) {
+  const updates = [];
+  const skipped = [];
+
+  for (const variant of variants) {
+    const inherited = Object.fromEntries(
+      Object.entries(changes).filter(([field, value]) =>
+        !(variant.overridden_fields || []).includes(field) && !sameValue(variant[field], value))
+    );
+
+    if (Object.keys(inherited).length === 0) {
+      continue;
+    }
+
+    if (!PROPAGATING_STATUSES.includes(variant.status)) {
+      skipped.push({ id: variant.id, platform: variant.platform, status: variant.status, fields: Object.keys(inherited) });
+      continue;
+    }
+
+    updates.push({ variant, changes: inherited });
+  }
+
+  return { updates, skipped };
+}
+
+/**
+ * Save planned variant updates. A variant whose status changed since it was
+ * loaded is skipped rather than overwritten.
+ *
+ * @returns {Promise<Array<Object>>} The updated content items
+ */
+async function applyPropagation(campaign, updates, actor) {
+  const updated = [];
+
+  for (const { variant, changes } of updates) {
+    const { data: rows, error } = await supabaseAdmin
+      .from('content_items')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', variant.id)
+      .eq('status', variant.status)
+      .select('*');
+
+    if (error) {
+      throw error;
+    }
+
+    if (rows.length > 0) {
+      await recordRevision(rows[0], actor.id, { reason: `Campaign "${campaign.title}" updated` });
+      updated.push(rows[0]);
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * The overrides a direct edit of a variant adds: the shared fields it changes.
+ *
+ * @param {Object} variant - The content item before the edit
+ * @param {Object} updates - The columns being updated
+ * @returns {Array<string>} The variant's overridden fields after the edit
+ */
+function overridesAfterEdit(variant, updates) {
+  const edited = SHARED_FIELDS.filter(field => updates[field] !== undefined && !sameValue(updates[field], variant[field]));
+  return [...new Set([...(variant.overridden_fields || []), ...edited])];
+}
+
+module.exports = {
+  SHARED_FIELDS,
+  SHARED_FIELD_KEYS,
+  CAMPAIGN_ERRORS,
+  pickSharedFields,
+  buildVariant,
+  findVariants,
+  checkVariants,
+  createVariants,
+  planPropagation,
+  applyPropagation,
+  overridesAfterEdit
+};
@@ -0,0 +1,141 @@
+const { supabaseAdmin } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { evaluate, loadActor } = require('./policy');
+
+// Fields a comment can be anchored to
+const ANCHOR_FIELDS = ['title', 'description', 'caption', 'script', 'hashtags'];
+
+// Comment types people write; the others are added by the approval workflow
+const DISCUSSION_TYPES = ['comment', 'revision'];
+
+// @mentions are written as @ followed by the user's email, e.g. @jane@example.com
+const MENTION_PATTERN = /(?:^|[^\w@.])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Users @mentioned in `text` who can see `item`. Mentions of unknown
+ * addresses, or of people without access, are dropped.
+ *
+ * @returns {Promise<string[]>} User IDs
+ */
+async function resolveMentions(item, text) {
+  const emails = [...new Set([...text.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()))];
+
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const { data: users, error } = await supabaseAdmin
+    .from('users')
+    .select('id')
+    .in('email', emails)
+    .eq('status', 'active');
+
+  if (error) {
+    throw error;
+  }
+
+  const mentioned = [];
+  for (const { id } of users) {
+    const actor = await loadActor(id);
+    const decision = await evaluate(actor, 'content:read', item);
+    if (decision.allowed) {
+      mentioned.push(id);
+    }
+  }
+
+  return mentioned;
+}
+
+/**
+ * Tell mentioned users, and the author of the comment being replied to,
+ * about a new or edited comment.
+ *
+ * @param {Object} item - The content item
+ * @param {Object} comment - The comment as saved
+ * @param {Object} actor - Its author
+ * @param {Object} [options]
+ * @param {string[]} [options.newMentions] - Who to notify of a mention; defaults to everyone mentioned
+ * @param {Object} [options.parent] - The comment replied to
+ */
+async function notifyCommentAudience(item, comment, actor, { newMentions = comment.mentions, parent } = {}) {
+  const name = [actor.first_name, actor.last_name].filter(Boolean).join(' ') || 'Someone';
+  const data = { content_item_id: item.id, comment_id: comment.id };
+  const notified = new Set([actor.id]);
+
+  for (const userId of newMentions) {
+    if (notified.has(userId)) {
+      continue;
+    }
+    notified.add(userId);
+    await safelyNotify(userId, 'comment_mention', 'You were mentioned',
+      `${name} mentioned you on "${item.title}": ${excerpt(comment.comment)}`, data);
+  }
+
+  if (parent && !parent.deleted_at && !notified.has(parent.user_id)) {
+    await safelyNotify(parent.user_id, 'comment_reply', 'New reply',
+      `${name} replied to your comment on "${item.title}": ${excerpt(comment.comment)}`, data);
+  }
+}
+
+/**
+ * Arrange an item's comments into threads, oldest first, with replies nested
+ * under `replies`. Deleted comments are kept as placeholders while they have
+ * replies, so the thread still reads in order.
+ */
+function buildThreads(comments) {
+  const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    (parent ? parent.replies : roots).push(node);
+  }
+
+  const prune = (list) => list
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(node => ({ ...node, replies: prune(node.replies) }))
+    .filter(node => !node.deleted_at || node.replies.length > 0)
+    .map(node => node.deleted_at ? { ...node, comment: null, mentions: [], deleted: true } : node);
+
+  return prune(roots);
+}
+
+/**
+ * Add a row to a comment's audit trail.
+ */
+async function recordCommentHistory(commentId, action, actorId, previousComment = null) {
+  const { error } = await supabaseAdmin
+    .from('content_comment_history')
+    .insert({
+      comment_id: commentId,
+      action,
+      actor_id: actorId,
+      previous_comment: previousComment,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    throw error;
+  }
+}
+
+async function safelyNotify(userId, type, title, message, data) {
+  try {
+    await createNotification(userId, type, title, message, data);
+  } catch (error) {
+    // createNotification already logs; a failed notification must not fail the comment
+  }
+}
+
+function excerpt(text, length = 120) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = {
+  ANCHOR_FIELDS,
+  DISCUSSION_TYPES,
+  resolveMentions,
+  notifyCommentAudience,
+  buildThreads,
+  recordCommentHistory
+};
@@ -0,0 +1,194 @@
+const { supabaseAdmin } = require('../config/database');
+const logger = require('../utils/logger');
+
+// The copy a revision snapshots. Status, schedule and workflow columns have
+// their own history (see contentWorkflow) and aren't versioned.
+const VERSIONED_FIELDS = ['title', 'description', 'platform', 'content_type', 'script', 'caption', 'hashtags', 'media_urls'];
+
+// Attempts at taking the next version number before giving up
+const MAX_VERSION_ATTEMPTS = 3;
+
+// Error codes returned as `code` by the revision endpoints
+const REVISION_ERRORS = {
+  NOT_FOUND: 'revision_not_found',
+  NOTHING_TO_RESTORE: 'nothing_to_restore'
+};
+
+class ContentRevisionError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ContentRevisionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function snapshotOf(item) {
+  return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, item[field] ?? null]));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field-level differences between two snapshots. Array fields also list the
+ * entries added and removed.
+ *
+ * @returns {Array<{ field: string, from: *, to: *, added?: Array, removed?: Array }>}
+ */
+function diffSnapshots(from, to) {
+  return VERSIONED_FIELDS
+    .filter(field => !sameValue(from[field], to[field]))
+    .map(field => {
+      const change = { field, from: from[field] ?? null, to: to[field] ?? null };
+
+      if (Array.isArray(change.from) || Array.isArray(change.to)) {
+        const before = change.from || [];
+        const after = change.to || [];
+        change.added = after.filter(entry => !before.includes(entry));
+        change.removed = before.filter(entry => !after.includes(entry));
+      }
+
+      return change;
+    });
+}
+
+async function getLatestRevision(contentItemId) {
+  const { data: revisions, error } = await supabaseAdmin
+    .from('content_revisions')
+    .select('*')
+    .eq('content_item_id', contentItemId)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return revisions[0] || null;
+}
+
+/**
+ * Save the item's current copy as a new revision, unless it matches the
+ * latest one.
+ *
+ * @param {Object} item - The content item after the change
+ * @param {string} authorId
+ * @param {Object} [options]
+ * @param {string} [options.reason]
+ * @param {number} [options.restoredFrom] - The version a restore copied
+ * @returns {Promise<Object|null>} The new revision, or null when nothing changed
+ */
+async function recordRevision(item, authorId, { reason, restoredFrom } = {}) {
+  const snapshot = snapshotOf(item);
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await getLatestRevision(item.id);
+    const changedFields = latest ? diffSnapshots(latest.snapshot, snapshot).map(change => change.field) : [];
+
+    if (latest && changedFields.length === 0) {
+      return null;
+    }
+
+    const { data: revision, error } = await supabaseAdmin
+      .from('content_revisions')
+      .insert({
+        content_item_id: item.id,
+        version: latest ? latest.version + 1 : 1,
+        snapshot,
+        changed_fields: changedFields,
+        author_id: authorId,
+        reason: reason || null,
+        restored_from: restoredFrom || null,
+        created_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    // Someone else saved a version at the same time; number ours after theirs
+    if (error && error.code === '23505' && attempt < MAX_VERSION_ATTEMPTS) {
+      continue;
+    }
+
+    if (error) {
+      throw error;
+    }
+
+    return revision;
+  }
+}
+
+/**
+ * Load one version of an item.
+ *
+ * @throws {ContentRevisionError} When the version doesn't exist
+ */
+async function getRevision(contentItemId, version) {
+  const { data: revision, error } = await supabaseAdmin
+    .from('content_revisions')
+    .select(`
+      *,
+      author:users(id, first_name, last_name)
+    `)
+    .eq('content_item_id', contentItemId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!revision) {
+    throw new ContentRevisionError(REVISION_ERRORS.NOT_FOUND, `Version ${version} of this content item does not exist`, 404);
+  }
+
+  return revision;
+}
+
+/**
+ * Copy an earlier version back onto the item. History is kept: the restored
+ * copy is saved as a new revision that records where it came from.
+ * `changes` are other columns to save with it, e.g. a status the workflow
+ * moves the item to.
+ *
+ * @returns {Promise<{ item: Object, revision: Object }>}
+ */
+async function restoreRevision(item, version, authorId, { reason, changes } = {}) {
+  const source = await getRevision(item.id, version);
+
+  if (diffSnapshots(snapshotOf(item), source.snapshot).length === 0) {
+    throw new ContentRevisionError(REVISION_ERRORS.NOTHING_TO_RESTORE, `The content already matches version ${version}`, 409);
+  }
+
+  const { data: restored, error } = await supabaseAdmin
+    .from('content_items')
+    .update({ ...source.snapshot, ...changes, updated_at: new Date().toISOString() })
+    .eq('id', item.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const revision = await recordRevision(restored, authorId, {
+    reason: reason || `Restored version ${version}`,
+    restoredFrom: version
+  });
+
+  logger.info(`Content ${item.id} restored to version ${version} as version ${revision.version} by user ${authorId}`);
+
+  return { item: restored, revision };
+}
+
+module.exports = {
+  VERSIONED_FIELDS,
+  REVISION_ERRORS,
+  ContentRevisionError,
+  snapshotOf,
+  diffSnapshots,
+  recordRevision,
+  getRevision,
+  restoreRevision
+};
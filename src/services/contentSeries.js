@@ -0,0 +1,477 @@
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const { generateContent } = require('./aiGeneration');
+const { recordRevision, snapshotOf, diffSnapshots } = require('./contentRevisions');
+const { RecurrenceRuleError, parseRule, occurrencesBetween } = require('../utils/rrule');
+const logger = require('../utils/logger');
+
+/*
+ * Recurring content series.
+ *
+ * A series creates a draft content item for each occurrence of its
+ * recurrence rule within the next `horizon_days`, filled in from its template
+ * and, for the fields named in `ai_fill`, by AI generation. New occurrences
+ * are created when the series is saved and by a background job as time moves
+ * on.
+ *
+ * Editing a series changes future occurrences only: drafts nobody has touched
+ * are updated, moved or removed to match. Items that are in the past, have
+ * left draft or were edited by hand (`series_detached`) are left alone.
+ * Deleting a series' item skips that occurrence for good.
+ */
+
+// Template fields and the content item columns they fill
+const TEMPLATE_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  platform: 'platform',
+  contentType: 'content_type',
+  script: 'script',
+  caption: 'caption',
+  hashtags: 'hashtags'
+};
+
+// Hashtags kept from an AI hashtag generation
+const MAX_GENERATED_HASHTAGS = 30;
+
+// Items a series creates in one run, so a daily rule can't flood the calendar (or the AI quota)
+const MAX_ITEMS_PER_RUN = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error codes returned as `code` by the series endpoints
+const SERIES_ERRORS = {
+  INVALID_RECURRENCE: 'invalid_recurrence'
+};
+
+class ContentSeriesError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ContentSeriesError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Parse a series' recurrence rule.
+ * @throws {ContentSeriesError}
+ */
+function parseRecurrence(recurrence) {
+  try {
+    return parseRule(recurrence);
+  } catch (error) {
+    if (error instanceof RecurrenceRuleError) {
+      throw new ContentSeriesError(SERIES_ERRORS.INVALID_RECURRENCE, `Invalid recurrence rule: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Key for comparing occurrence times, whatever format the database returns them in
+function occurrenceKey(date) {
+  return new Date(date).toISOString();
+}
+
+/**
+ * The series' occurrences from `from` to `to`, leaving out skipped ones.
+ */
+function seriesOccurrences(series, from, to, limit) {
+  const skipped = new Set((series.exdates || []).map(occurrenceKey));
+
+  return occurrencesBetween(parseRecurrence(series.recurrence), new Date(series.starts_at), series.timezone, { from, to })
+    .filter(occurrence => !skipped.has(occurrenceKey(occurrence.date)))
+    .slice(0, limit);
+}
+
+/**
+ * The next `count` occurrences after `now`.
+ */
+function upcomingOccurrences(series, { now = new Date(), count = 10 } = {}) {
+  return seriesOccurrences(series, now, new Date(now.getTime() + 5 * 365 * DAY_MS), count)
+    .map(occurrence => ({ date: occurrence.date.toISOString(), number: occurrence.number }));
+}
+
+// Fill {{date}} (the occurrence's day in the series' time zone) and {{number}}
+// (its position in the series)
+function fillPlaceholders(text, series, occurrence) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  const date = new Intl.DateTimeFormat('en-CA', { timeZone: series.timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(occurrence.date);
+
+  return text.replace(/\{\{\s*(date|number)\s*\}\}/g, (match, key) => key === 'date' ? date : String(occurrence.number));
+}
+
+// The content item columns the template gives an occurrence
+function renderTemplate(series, occurrence) {
+  const columns = {};
+
+  for (const [field, column] of Object.entries(TEMPLATE_COLUMNS)) {
+    const value = series.template[field];
+    columns[column] = Array.isArray(value)
+      ? value.map(entry => fillPlaceholders(entry, series, occurrence))
+      : fillPlaceholders(value ?? null, series, occurrence);
+  }
+
+  columns.hashtags = columns.hashtags || [];
+  return columns;
+}
+
+/**
+ * Generate the series' AI fields for an occurrence. A field whose generation
+ * fails keeps its template value.
+ *
+ * @param {string[]} fields - Which of the series' ai_fill fields to generate
+ * @returns {Promise<Object>} Content item columns
+ */
+async function generateFields(series, occurrence, fields) {
+  const generated = {};
+
+  for (const field of fields) {
+    const request = series.ai_fill[field];
+
+    try {
+      const { content } = await generateContent(series.creator_id, {
+        prompt: fillPlaceholders(request.prompt, series, occurrence),
+        type: field,
+        platform: series.template.platform,
+        tone: request.tone,
+        niche: request.niche
+      });
+
+      if (field === 'hashtags') {
+        const hashtags = [...new Set(content.match(/#[\p{L}\p{N}_]+/gu) || [])].slice(0, MAX_GENERATED_HASHTAGS);
+        if (hashtags.length > 0) {
+          generated.hashtags = hashtags;
+        }
+      } else {
+        generated[field] = content.trim();
+      }
+    } catch (error) {
+      logger.error(`AI fill of ${field} failed for series ${series.id}:`, error);
+    }
+  }
+
+  return generated;
+}
+
+async function findSeriesItems(seriesId, build = query => query) {
+  const { data: items, error } = await build(
+    supabaseAdmin
+      .from('content_items')
+      .select('*')
+      .eq('series_id', seriesId)
+  );
+
+  if (error) {
+    throw error;
+  }
+
+  return items;
+}
+
+// Future drafts the series still manages
+function findUntouchedItems(seriesId, now) {
+  return findSeriesItems(seriesId, query => query
+    .eq('status', 'draft')
+    .eq('series_detached', false)
+    .gt('series_occurrence', now.toISOString()));
+}
+
+/**
+ * Create draft items for the series' occurrences within its horizon that
+ * don't have one yet.
+ *
+ * @returns {Promise<Object[]>} The items created
+ */
+async function materializeSeries(series, { now = new Date() } = {}) {
+  if (series.status !== 'active') {
+    return [];
+  }
+
+  const horizon = new Date(now.getTime() + series.horizon_days * DAY_MS);
+  const occurrences = seriesOccurrences(series, now, horizon, MAX_ITEMS_PER_RUN);
+  const existing = new Set(
+    (await findSeriesItems(series.id, query => query.gte('series_occurrence', now.toISOString())))
+      .map(item => occurrenceKey(item.series_occurrence))
+  );
+  const aiFields = Object.keys(series.ai_fill || {});
+  const created = [];
+
+  for (const occurrence of occurrences) {
+    const key = occurrenceKey(occurrence.date);
+    if (existing.has(key)) {
+      continue;
+    }
+
+    const generated = await generateFields(series, occurrence, aiFields);
+
+    const { data: item, error } = await supabaseAdmin
+      .from('content_items')
+      .insert({
+        ...renderTemplate(series, occurrence),
+        ...generated,
+        ai_generated: Object.keys(generated).length > 0,
+        status: 'draft',
+        scheduled_date: key,
+        creator_id: series.creator_id,
+        workspace_id: series.workspace_id,
+        client_id: series.client_id,
+        series_id: series.id,
+        series_occurrence: key,
+        created_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    // Another run created this occurrence first
+    if (error && error.code === '23505') {
+      continue;
+    }
+
+    if (error) {
+      throw error;
+    }
+
+    await recordRevision(item, series.creator_id, { reason: `Created by series "${series.name}"` });
+    created.push(item);
+  }
+
+  // When the run was cut short, the next one carries on from the last item made
+  const materializedUntil = occurrences.length === MAX_ITEMS_PER_RUN
+    ? occurrences[occurrences.length - 1].date
+    : horizon;
+
+  const { error: updateError } = await supabaseAdmin
+    .from('content_series')
+    .update({ materialized_until: materializedUntil.toISOString() })
+    .eq('id', series.id);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (created.length > 0) {
+    logger.info(`Series ${series.id} created ${created.length} draft(s)`);
+  }
+
+  return created;
+}
+
+/**
+ * Bring a series' future drafts in line with its new definition, then create
+ * any new occurrences. AI fields are regenerated only when their prompt changed.
+ *
+ * @param {Object} before - The series as it was
+ * @param {Object} after - The series as saved
+ * @param {Object} actor - Who edited it, credited with the new versions
+ * @returns {Promise<{ updated: number, removed: number, created: number }>}
+ */
+async function applySeriesChanges(before, after, actor, { now = new Date() } = {}) {
+  const horizon = new Date(now.getTime() + after.horizon_days * DAY_MS);
+  const expected = new Map(
+    seriesOccurrences(after, now, horizon, MAX_ITEMS_PER_RUN).map(occurrence => [occurrenceKey(occurrence.date), occurrence])
+  );
+  const promptChanged = (field) => JSON.stringify(before.ai_fill[field] || null) !== JSON.stringify(after.ai_fill[field] || null);
+  const summary = { updated: 0, removed: 0, created: 0 };
+
+  for (const item of await findUntouchedItems(after.id, now)) {
+    const occurrence = expected.get(occurrenceKey(item.series_occurrence));
+
+    if (!occurrence) {
+      const { error } = await supabaseAdmin.from('content_items').delete().eq('id', item.id);
+      if (error) {
+        throw error;
+      }
+      summary.removed += 1;
+      continue;
+    }
+
+    const aiFields = Object.keys(after.ai_fill);
+    const changes = {
+      ...renderTemplate(after, occurrence),
+      ...Object.fromEntries(aiFields.filter(field => !promptChanged(field)).map(field => [field, item[field]])),
+      ...await generateFields(after, occurrence, aiFields.filter(promptChanged))
+    };
+
+    if (diffSnapshots(snapshotOf(item), snapshotOf({ ...item, ...changes })).length === 0) {
+      continue;
+    }
+
+    // Only while nobody has picked the draft up in the meantime
+    const { data: rows, error } = await supabaseAdmin
+      .from('content_items')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', item.id)
+      .eq('status', 'draft')
+      .eq('series_detached', false)
+      .select('*');
+
+    if (error) {
+      throw error;
+    }
+
+    if (rows.length > 0) {
+      await recordRevision(rows[0], actor.id, { reason: `Series "${after.name}" updated` });
+      summary.updated += 1;
+    }
+  }
+
+  summary.created = (await materializeSeries(after, { now })).length;
+  return summary;
+}
+
+/**
+ * Delete a series and the future drafts it manages. Items that were edited,
+ * have left draft or are in the past are kept.
+ *
+ * @returns {Promise<number>} How many drafts were removed
+ */
+async function deleteSeries(series, { now = new Date() } = {}) {
+  const untouched = await findUntouchedItems(series.id, now);
+
+  if (untouched.length > 0) {
+    const { error } = await supabaseAdmin
+      .from('content_items')
+      .delete()
+      .in('id', untouched.map(item => item.id));
+
+    if (error) {
+      throw error;
+    }
+  }
+
+  const { error } = await supabaseAdmin
+    .from('content_series')
+    .delete()
+    .eq('id', series.id);
+
+  if (error) {
+    throw error;
+  }
+
+  return untouched.length;
+}
+
+/**
+ * Stop a series from recreating a deleted item's occurrence.
+ */
+async function skipOccurrence(item) {
+  if (!item.series_id || !item.series_occurrence) {
+    return;
+  }
+
+  const { data: series, error } = await supabaseAdmin
+    .from('content_series')
+    .select('id, exdates')
+    .eq('id', item.series_id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const key = occurrenceKey(item.series_occurrence);
+  if (!series || (series.exdates || []).map(occurrenceKey).includes(key)) {
+    return;
+  }
+
+  const { error: updateError } = await supabaseAdmin
+    .from('content_series')
+    .update({ exdates: [...(series.exdates || []), key] })
+    .eq('id', series.id);
+
+  if (updateError) {
+    throw updateError;
+  }
+}
+
+/**
+ * Create the upcoming drafts of every active series.
+ *
+ * @returns {Promise<{ series: number, created: number, failed: number }>}
+ */
+async function materializeActiveSeries({ now = new Date() } = {}) {
+  const { data: seriesList, error } = await supabaseAdmin
+    .from('content_series')
+    .select('*')
+    .eq('status', 'active');
+
+  if (error) {
+    throw error;
+  }
+
+  const summary = { series: seriesList.length, created: 0, failed: 0 };
+
+  for (const series of seriesList) {
+    try {
+      summary.created += (await materializeSeries(series, { now })).length;
+    } catch (seriesError) {
+      summary.failed += 1;
+      logger.error(`Failed to create drafts for series ${series.id}:`, seriesError);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Start the cron job that creates series drafts as their occurrences come
+ * within range.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.schedule] - Cron expression (defaults to SERIES_CRON or hourly)
+ */
+function startSeriesMaterializer({ schedule = process.env.SERIES_CRON || '15 * * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const summary = await materializeActiveSeries();
+      if (summary.created || summary.failed) {
+        logger.info('Series run complete', summary);
+      }
+    } catch (error) {
+      logger.error('Series run failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Series materializer started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopSeriesMaterializer() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  SERIES_ERRORS,
+  ContentSeriesError,
+  parseRecurrence,
+  upcomingOccurrences,
+  materializeSeries,
+  applySeriesChanges,
+  deleteSeries,
+  skipOccurrence,
+  materializeActiveSeries,
+  startSeriesMaterializer,
+  stopSeriesMaterializer
+};
@@ -0,0 +1,548 @@
+const { supabaseAdmin } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { hasWorkspaceRole } = require('./workspaces');
+const { snapshotOf, diffSnapshots } = require('./contentRevisions');
+const logger = require('../utils/logger');
+
+/*
+ * Content approval workflow.
+ *
+ * Content moves between statuses only along TRANSITIONS. Each transition
+ * names how it happens: `update` through PUT /api/content/:id, `submit`,
+ * `withdraw`, `approve` and `reject` through the workflow endpoints, and
+ * `publish` through the scheduler. Every transition except `publish` (which
+ * notifies on its own) adds a comment to the item and notifies the people
+ * concerned.
+ *
+ * Submitting sends an item through its workspace's approval stages in order
+ * (workspaces.settings.approval_stages, copied onto the item at submission).
+ * Each stage needs `requiredApprovals` approvals from its approvers; one
+ * rejection sends the item back. Items are locked while in review, and
+ * editing the copy of approved content in a workspace that requires approval
+ * sends it back to draft, to be submitted again.
+ */
+
+const CONTENT_STATUSES = ['draft', 'review', 'approved', 'scheduled', 'published', 'rejected', 'failed'];
+
+const TRANSITIONS = [
+  { from: 'draft', to: 'review', via: 'submit' },
+  { from: 'rejected', to: 'review', via: 'submit' },
+  { from: 'review', to: 'draft', via: 'withdraw' },
+  { from: 'review', to: 'approved', via: 'approve' },
+  { from: 'review', to: 'rejected', via: 'reject' },
+  { from: 'draft', to: 'approved', via: 'update', requiresNoApproval: true },
+  { from: 'draft', to: 'scheduled', via: 'update', requiresNoApproval: true },
+  { from: 'rejected', to: 'draft', via: 'update' },
+  { from: 'approved', to: 'draft', via: 'update' },
+  { from: 'approved', to: 'scheduled', via: 'update' },
+  { from: 'scheduled', to: 'approved', via: 'update' },
+  { from: 'scheduled', to: 'draft', via: 'update' },
+  { from: 'failed', to: 'scheduled', via: 'update' },
+  { from: 'failed', to: 'draft', via: 'update' },
+  { from: 'scheduled', to: 'published', via: 'publish' },
+  { from: 'scheduled', to: 'failed', via: 'publish' }
+];
+
+// Statuses reached through approval in a workspace that requires it
+const APPROVED_STATUSES = ['approved', 'scheduled', 'failed'];
+
+// Who approves a configured stage that doesn't name its approvers
+const DEFAULT_APPROVER_ROLE = 'manager';
+
+// Used for submissions outside a workspace, or in one without stages. With no
+// approver role, the item's client can approve, as can workspace managers or,
+// for personal content, its creator
+const DEFAULT_STAGES = [{ name: 'Approval', approverRole: null, approverIds: [], requiredApprovals: 1 }];
+
+// Error codes returned as `code` by the workflow
+const WORKFLOW_ERRORS = {
+  INVALID_TRANSITION: 'invalid_transition',
+  APPROVAL_REQUIRED: 'approval_required',
+  ALREADY_APPROVED: 'already_approved'
+};
+
+class ContentWorkflowError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'ContentWorkflowError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Fill in the optional fields of a stage definition
+function normalizeStage(stage) {
+  return {
+    name: stage.name,
+    approverRole: stage.approverRole || DEFAULT_APPROVER_ROLE,
+    approverIds: stage.approverIds || [],
+    requiredApprovals: stage.requiredApprovals || 1
+  };
+}
+
+/**
+ * The approval stages configured for a workspace (empty when it has none).
+ */
+function getWorkspaceStages(workspace) {
+  return (workspace?.settings?.approval_stages || []).map(normalizeStage);
+}
+
+// Stages an item is submitted through, and whether its workspace requires them
+async function getItemStages(item) {
+  if (!item.workspace_id) {
+    return { stages: DEFAULT_STAGES, required: false };
+  }
+
+  const { data: workspace, error } = await supabaseAdmin
+    .from('workspaces')
+    .select('id, settings')
+    .eq('id', item.workspace_id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  const stages = getWorkspaceStages(workspace);
+  return stages.length > 0 ? { stages, required: true } : { stages: DEFAULT_STAGES, required: false };
+}
+
+/**
+ * Check that `item` may move to `to` by way of `via`.
+ *
+ * @throws {ContentWorkflowError} When the transition isn't in TRANSITIONS, or
+ *   skips an approval the item's workspace requires
+ */
+async function assertTransition(item, to, via) {
+  const transition = TRANSITIONS.find(t => t.from === item.status && t.to === to && t.via === via);
+
+  if (!transition) {
+    const other = TRANSITIONS.find(t => t.from === item.status && t.to === to);
+    throw new ContentWorkflowError(
+      WORKFLOW_ERRORS.INVALID_TRANSITION,
+      other
+        ? `Content moves from ${item.status} to ${to} through ${describeVia(other.via)}`
+        : `Content can't move from ${item.status} to ${to}`
+    );
+  }
+
+  if (transition.requiresNoApproval && (await getItemStages(item)).required) {
+    throw new ContentWorkflowError(
+      WORKFLOW_ERRORS.APPROVAL_REQUIRED,
+      'This workspace requires content to be approved first. Submit it for review instead'
+    );
+  }
+
+  return transition;
+}
+
+/**
+ * Statuses an item can be moved to with PUT /api/content/:id.
+ */
+async function getUpdateTargets(item) {
+  const candidates = TRANSITIONS.filter(t => t.from === item.status && t.via === 'update');
+
+  if (candidates.some(t => t.requiresNoApproval) && (await getItemStages(item)).required) {
+    return candidates.filter(t => !t.requiresNoApproval).map(t => t.to);
+  }
+
+  return candidates.map(t => t.to);
+}
+
+/**
+ * The changes that take `item` back to draft when saving `changes` edits the
+ * copy it was approved with, or null when it can keep its status. Only
+ * workspaces that require approval take edited content back.
+ */
+async function getReapprovalChanges(item, changes) {
+  if (!APPROVED_STATUSES.includes(item.status)) {
+    return null;
+  }
+
+  if (diffSnapshots(snapshotOf(item), snapshotOf({ ...item, ...changes })).length === 0) {
+    return null;
+  }
+
+  if (!(await getItemStages(item)).required) {
+    return null;
+  }
+
+  return { status: 'draft', approval_stages: null, approved_at: null };
+}
+
+/**
+ * Record a status change made through PUT /api/content/:id: comment on the
+ * item and tell its creator.
+ */
+async function recordStatusChange(item, from, actor, { comment } = {}) {
+  await addWorkflowComment(item, actor, 'status_change', comment || `Moved from ${from} to ${item.status}`, {
+    from,
+    to: item.status
+  });
+
+  await notify([item.creator_id], actor, 'content_status_changed', 'Content status changed',
+    `"${item.title}" moved from ${from} to ${item.status}.`, item);
+}
+
+/**
+ * Send an item into review at its first approval stage.
+ *
+ * @returns {Promise<Object>} The updated item
+ */
+async function submitForApproval(item, actor, { comment } = {}) {
+  await assertTransition(item, 'review', 'submit');
+
+  const { stages } = await getItemStages(item);
+  const now = new Date().toISOString();
+
+  const updated = await updateItem(item, {
+    status: 'review',
+    approval_stages: stages,
+    approval_stage: 0,
+    approval_round: (item.approval_round || 0) + 1,
+    submitted_by: actor.id,
+    submitted_at: now,
+    approved_at: null,
+    updated_at: now
+  });
+
+  await addWorkflowComment(updated, actor, 'status_change', comment || `Submitted for ${stages[0].name}`, {
+    from: item.status,
+    to: 'review',
+    stage: 0
+  });
+
+  logger.info(`Content ${item.id} submitted for approval (round ${updated.approval_round}) by user ${actor.id}`);
+
+  await notify(await findStageApprovers(updated, stages[0]), actor, 'content_approval_requested',
+    'Approval requested', `"${item.title}" is waiting for your approval (${stages[0].name}).`, updated);
+
+  return updated;
+}
+
+/**
+ * Take an item out of review, back to draft.
+ */
+async function withdrawFromApproval(item, actor, { comment } = {}) {
+  await assertTransition(item, 'draft', 'withdraw');
+
+  const stage = item.approval_stages[item.approval_stage];
+  const updated = await updateItem(item, {
+    status: 'draft',
+    approval_stage: null,
+    updated_at: new Date().toISOString()
+  });
+
+  await addWorkflowComment(updated, actor, 'status_change', comment || 'Withdrawn from review', {
+    from: 'review',
+    to: 'draft',
+    stage: item.approval_stage
+  });
+
+  logger.info(`Content ${item.id} withdrawn from approval by user ${actor.id}`);
+
+  await notify(await findStageApprovers(item, stage), actor, 'content_approval_withdrawn',
+    'Approval request withdrawn', `"${item.title}" no longer needs your approval.`, updated);
+
+  return updated;
+}
+
+/**
+ * Approve the item's current stage. Once the stage has its required
+ * approvals the item moves to the next stage, or to `approved` after the last.
+ * The caller checks that `actor` is one of the stage's approvers.
+ *
+ * @returns {Promise<{ item: Object, comment: Object }>}
+ */
+async function approveStage(item, actor, { comment } = {}) {
+  if (item.status !== 'review') {
+    throw new ContentWorkflowError(WORKFLOW_ERRORS.INVALID_TRANSITION, `Content in ${item.status} isn't waiting for approval`);
+  }
+
+  const stageIndex = item.approval_stage;
+  const stage = item.approval_stages[stageIndex];
+
+  const { data: existing } = await supabaseAdmin
+    .from('content_approvals')
+    .select('id')
+    .eq('content_item_id', item.id)
+    .eq('round', item.approval_round)
+    .eq('stage', stageIndex)
+    .eq('user_id', actor.id)
+    .maybeSingle();
+
+  if (existing) {
+    throw new ContentWorkflowError(WORKFLOW_ERRORS.ALREADY_APPROVED, `You have already approved ${stage.name}`);
+  }
+
+  const approvalComment = await addWorkflowComment(item, actor, 'approval', comment || `Approved ${stage.name}`, {
+    stage: stageIndex
+  });
+
+  const { error } = await supabaseAdmin
+    .from('content_approvals')
+    .insert({
+      content_item_id: item.id,
+      round: item.approval_round,
+      stage: stageIndex,
+      user_id: actor.id,
+      comment_id: approvalComment.id
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  const { count } = await supabaseAdmin
+    .from('content_approvals')
+    .select('*', { count: 'exact', head: true })
+    .eq('content_item_id', item.id)
+    .eq('round', item.approval_round)
+    .eq('stage', stageIndex);
+
+  if (count < stage.requiredApprovals) {
+    logger.info(`Content ${item.id}: ${stage.name} approved by user ${actor.id} (${count}/${stage.requiredApprovals})`);
+    return { item, comment: approvalComment };
+  }
+
+  const nextIndex = stageIndex + 1;
+  const nextStage = item.approval_stages[nextIndex];
+
+  if (nextStage) {
+    const updated = await updateItem(item, { approval_stage: nextIndex, updated_at: new Date().toISOString() });
+
+    await addWorkflowComment(updated, actor, 'status_change', `${stage.name} complete, waiting for ${nextStage.name}`, {
+      from: 'review',
+      to: 'review',
+      stage: nextIndex
+    });
+
+    logger.info(`Content ${item.id} moved to approval stage ${nextStage.name}`);
+
+    await notify(await findStageApprovers(updated, nextStage), actor, 'content_approval_requested',
+      'Approval requested', `"${item.title}" is waiting for your approval (${nextStage.name}).`, updated);
+    await notify([item.creator_id, item.submitted_by], actor, 'content_stage_approved',
+      'Approval stage complete', `"${item.title}" passed ${stage.name} and is waiting for ${nextStage.name}.`, updated);
+
+    return { item: updated, comment: approvalComment };
+  }
+
+  await assertTransition(item, 'approved', 'approve');
+
+  const now = new Date().toISOString();
+  const updated = await updateItem(item, { status: 'approved', approval_stage: null, approved_at: now, updated_at: now });
+
+  logger.info(`Content ${item.id} approved`);
+
+  await notify([item.creator_id, item.submitted_by], actor, 'content_approved',
+    'Content approved', `"${item.title}" has been approved.`, updated);
+
+  return { item: updated, comment: approvalComment };
+}
+
+/**
+ * Reject the item at its current stage, sending it back to its creator.
+ *
+ * @returns {Promise<{ item: Object, comment: Object }>}
+ */
+async function rejectStage(item, actor, { comment }) {
+  await assertTransition(item, 'rejected', 'reject');
+
+  const stageIndex = item.approval_stage;
+  const stage = item.approval_stages[stageIndex];
+
+  const updated = await updateItem(item, { status: 'rejected', approval_stage: null, updated_at: new Date().toISOString() });
+
+  const rejectionComment = await addWorkflowComment(updated, actor, 'rejection', comment, {
+    from: 'review',
+    to: 'rejected',
+    stage: stageIndex
+  });
+
+  logger.info(`Content ${item.id} rejected at ${stage.name} by user ${actor.id}`);
+
+  await notify([item.creator_id, item.submitted_by], actor, 'content_rejected',
+    'Content rejected', `"${item.title}" was rejected at ${stage.name}: ${comment}`, updated);
+
+  return { item: updated, comment: rejectionComment };
+}
+
+/**
+ * Where an item stands in the workflow, for GET /api/content/:id/approval.
+ */
+async function describeApproval(item) {
+  const stages = item.approval_stages || [];
+  let approvals = [];
+
+  if (item.approval_round > 0) {
+    const { data, error } = await supabaseAdmin
+      .from('content_approvals')
+      .select('stage, user_id, created_at, user:users(id, first_name, last_name)')
+      .eq('content_item_id', item.id)
+      .eq('round', item.approval_round)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    approvals = data;
+  }
+
+  return {
+    status: item.status,
+    locked: item.status === 'review',
+    round: item.approval_round || 0,
+    currentStage: item.status === 'review' ? item.approval_stage : null,
+    submittedBy: item.submitted_by || null,
+    submittedAt: item.submitted_at || null,
+    approvedAt: item.approved_at || null,
+    stages: stages.map((stage, index) => {
+      const stageApprovals = approvals.filter(approval => approval.stage === index);
+      return {
+        ...stage,
+        complete: stageApprovals.length >= stage.requiredApprovals,
+        approvals: stageApprovals.map(approval => ({ user: approval.user, approvedAt: approval.created_at }))
+      };
+    }),
+    availableStatuses: await getUpdateTargets(item)
+  };
+}
+
+// Helper to update an item only if its status and stage haven't changed since
+// it was read, so concurrent approvals can't both advance it
+async function updateItem(item, changes) {
+  let query = supabaseAdmin
+    .from('content_items')
+    .update(changes)
+    .eq('id', item.id)
+    .eq('status', item.status);
+
+  query = item.approval_stage === null || item.approval_stage === undefined
+    ? query.is('approval_stage', null)
+    : query.eq('approval_stage', item.approval_stage);
+
+  const { data: rows, error } = await query.select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!rows || rows.length === 0) {
+    throw new ContentWorkflowError(WORKFLOW_ERRORS.INVALID_TRANSITION, 'The content was changed by someone else. Reload it and try again');
+  }
+
+  return rows[0];
+}
+
+async function addWorkflowComment(item, actor, type, text, metadata) {
+  const { data: comment, error } = await supabaseAdmin
+    .from('content_comments')
+    .insert({
+      content_item_id: item.id,
+      user_id: actor.id,
+      comment: text,
+      type,
+      metadata,
+      created_at: new Date().toISOString()
+    })
+    .select(`
+      *,
+      user:users!content_comments_user_id_fkey(id, first_name, last_name)
+    `)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return comment;
+}
+
+// The users who can approve `stage` of `item`
+async function findStageApprovers(item, stage) {
+  if (stage.approverIds.length > 0) {
+    return stage.approverIds;
+  }
+
+  const clientUsers = item.client_id ? await findClientUsers(item.client_id) : [];
+
+  if (stage.approverRole === 'client') {
+    return clientUsers;
+  }
+
+  if (!item.workspace_id) {
+    return [item.creator_id, ...clientUsers];
+  }
+
+  const { data: members, error } = await supabaseAdmin
+    .from('workspace_members')
+    .select('user_id, role')
+    .eq('workspace_id', item.workspace_id)
+    .eq('status', 'active');
+
+  if (error) {
+    throw error;
+  }
+
+  const approverRole = stage.approverRole || DEFAULT_APPROVER_ROLE;
+  const memberIds = members.filter(member => hasWorkspaceRole(member.role, approverRole)).map(member => member.user_id);
+
+  return stage.approverRole ? memberIds : [...memberIds, ...clientUsers];
+}
+
+async function findClientUsers(clientId) {
+  const { data: client } = await supabaseAdmin
+    .from('clients')
+    .select('user_id')
+    .eq('id', clientId)
+    .maybeSingle();
+
+  return client?.user_id ? [client.user_id] : [];
+}
+
+// Notify each of `userIds` once, except the person who made the change
+async function notify(userIds, actor, type, title, message, item) {
+  const recipients = [...new Set(userIds.filter(id => id && id !== actor.id))];
+
+  for (const userId of recipients) {
+    try {
+      await createNotification(userId, type, title, message, {
+        content_item_id: item.id,
+        status: item.status,
+        approval_stage: item.approval_stage
+      });
+    } catch (error) {
+      // createNotification already logs; a failed notification must not fail the transition
+    }
+  }
+}
+
+function describeVia(via) {
+  return {
+    update: 'an update',
+    submit: 'POST /api/content/:id/submit',
+    withdraw: 'POST /api/content/:id/withdraw',
+    approve: 'POST /api/content/:id/approve',
+    reject: 'POST /api/content/:id/reject',
+    publish: 'the publishing scheduler'
+  }[via];
+}
+
+module.exports = {
+  CONTENT_STATUSES,
+  TRANSITIONS,
+  WORKFLOW_ERRORS,
+  ContentWorkflowError,
+  normalizeStage,
+  getWorkspaceStages,
+  assertTransition,
+  getUpdateTargets,
+  getReapprovalChanges,
+  recordStatusChange,
+  submitForApproval,
+  withdrawFromApproval,
+  approveStage,
+  rejectStage,
+  describeApproval
+};
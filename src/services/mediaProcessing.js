@@ -0,0 +1,528 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const { derivedDirectory } = require('./mediaStorage');
+const { readExif } = require('../utils/exif');
+const logger = require('../utils/logger');
+
+/*
+ * Media processing: every new media file is inspected in the background.
+ *
+ * ffprobe reads dimensions, duration and codecs (and EXIF is read from JPEGs
+ * directly); ffmpeg makes a thumbnail, a poster frame for videos, a centre
+ * crop for each platform aspect ratio and a compressed copy. Results are
+ * merged into the file's `metadata`, so platform rules see the real
+ * dimensions and duration, and the derived files are stored next to the
+ * original. Files are picked up by `processing_status`: `pending` files are
+ * claimed, failures are retried MAX_ATTEMPTS times, and documents are
+ * `skipped`.
+ */
+
+const runFile = promisify(execFile);
+
+const STORAGE_BUCKET = 'media-files';
+const MAX_ATTEMPTS = parseInt(process.env.MEDIA_PROCESSING_MAX_ATTEMPTS) || 3;
+const COMMAND_TIMEOUT_MS = (parseInt(process.env.MEDIA_PROCESSING_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+
+// A claim this old was left by a worker that stopped; the file is picked up again
+const STALE_AFTER_MS = 6 * 60 * 60 * 1000;
+
+const THUMBNAIL_SIZE = 320;
+
+// Metadata keys processing writes
+const RESULT_KEYS = [
+  'width', 'height', 'duration', 'codec', 'audioCodec', 'bitrate', 'frameRate', 'format',
+  'exif', 'thumbnail', 'poster', 'renditions', 'compressed'
+];
+
+// Centre crops made for the platforms' feed formats, at most this size
+const RENDITIONS = [
+  { aspect: '9:16', width: 1080, height: 1920 },
+  { aspect: '1:1', width: 1080, height: 1080 },
+  { aspect: '16:9', width: 1920, height: 1080 }
+];
+
+// Longest side of the compressed copy
+const COMPRESSED_MAX_SIDE = { image: 2048, video: 1920 };
+
+// Error codes returned as `code` by the processing endpoints
+const PROCESSING_ERRORS = {
+  IN_PROGRESS: 'processing_in_progress',
+  NOT_PROCESSABLE: 'not_processable'
+};
+
+// ffmpeg filters that turn an image upright, by EXIF orientation
+const ORIENTATION_FILTERS = {
+  2: 'hflip',
+  3: 'hflip,vflip',
+  4: 'vflip',
+  5: 'transpose=0',
+  6: 'transpose=1',
+  7: 'transpose=3',
+  8: 'transpose=2'
+};
+
+let scheduledTask = null;
+let isRunning = false;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * The largest centre crop of a frame with the given aspect ratio, scaled down
+ * to fit the rendition size (never up).
+ *
+ * @returns {{ crop: { width: number, height: number }, width: number, height: number }}
+ */
+function planCrop(width, height, { aspect, width: maxWidth, height: maxHeight }) {
+  const [w, h] = aspect.split(':').map(Number);
+  const fullWidth = width - (width % 2);
+  const fullHeight = height - (height % 2);
+  const crop = fullWidth / fullHeight > w / h
+    ? { width: Math.min(even(fullHeight * w / h), fullWidth), height: fullHeight }
+    : { width: fullWidth, height: Math.min(even(fullWidth * h / w), fullHeight) };
+
+  const scale = Math.min(1, maxWidth / crop.width, maxHeight / crop.height);
+
+  return {
+    crop,
+    width: even(crop.width * scale),
+    height: even(crop.height * scale)
+  };
+}
+
+// Size of a frame scaled down to fit a square box, keeping its aspect ratio
+function fitWithin(width, height, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(width, height));
+  return { width: even(width * scale), height: even(height * scale) };
+}
+
+async function runTool(command, args) {
+  const binary = command === 'ffprobe'
+    ? process.env.FFPROBE_PATH || 'ffprobe'
+    : process.env.FFMPEG_PATH || 'ffmpeg';
+
+  try {
+    return await runFile(binary, args, { timeout: COMMAND_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${command} is not installed (set ${command === 'ffprobe' ? 'FFPROBE_PATH' : 'FFMPEG_PATH'})`);
+    }
+    const detail = (error.stderr || '').trim().split('\n').pop() || error.message;
+    throw new Error(`${command} failed: ${detail}`);
+  }
+}
+
+/**
+ * Read a media file's streams with ffprobe.
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {boolean} [options.rotate] - Report width and height as displayed,
+ *   after the video's rotation (images are turned upright from their EXIF instead)
+ * @returns {Promise<Object>} width, height, duration in seconds, codec,
+ *   audioCodec, bitrate, frameRate and format
+ */
+async function probeMedia(filePath, { rotate = true } = {}) {
+  let output;
+
+  try {
+    ({ stdout: output } = await runTool('ffprobe', [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath
+    ]));
+  } catch (error) {
+    // An unreadable file stays unreadable; retrying won't help
+    error.retryable = /not installed/.test(error.message);
+    throw error;
+  }
+
+  const probe = JSON.parse(output);
+  const streams = probe.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+
+  if (!video) {
+    const error = new Error('The file has no image or video stream');
+    error.retryable = false;
+    throw error;
+  }
+
+  const rotation = Number(
+    (video.side_data_list || []).find(data => data.rotation !== undefined)?.rotation ??
+    video.tags?.rotate ??
+    0
+  );
+  const sideways = rotate && Math.abs(rotation) % 180 === 90;
+  const duration = parseFloat(probe.format?.duration ?? video.duration);
+  const [frames, seconds] = (video.avg_frame_rate || '').split('/').map(Number);
+
+  return {
+    width: sideways ? video.height : video.width,
+    height: sideways ? video.width : video.height,
+    duration: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+    codec: video.codec_name || null,
+    audioCodec: audio?.codec_name || null,
+    bitrate: parseInt(probe.format?.bit_rate) || null,
+    frameRate: frames && seconds ? Math.round((frames / seconds) * 100) / 100 : null,
+    format: probe.format?.format_name || null
+  };
+}
+
+// Images are processed as a single frame
+const isStill = (file) => file.file_type === 'image';
+
+// Input arguments and the filter that turns the source upright
+function sourceInput(file, sourcePath, exif) {
+  if (isStill(file)) {
+    const orient = ORIENTATION_FILTERS[exif?.orientation];
+    return { args: ['-noautorotate', '-i', sourcePath], filters: orient ? [orient] : [] };
+  }
+
+  return { args: ['-i', sourcePath], filters: [] };
+}
+
+// Encoder arguments for derived files
+function outputArgs(file, { quality = 'normal' } = {}) {
+  if (isStill(file)) {
+    return ['-frames:v', '1', '-q:v', quality === 'compressed' ? '5' : '3'];
+  }
+
+  return [
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', quality === 'compressed' ? '28' : '23',
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '128k',
+    '-movflags', '+faststart'
+  ];
+}
+
+async function readFileStart(filePath, bytes) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+async function downloadToDisk(storagePath, destination) {
+  const { data, error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).download(storagePath);
+
+  if (error) {
+    throw new Error(`Downloading ${storagePath} failed: ${error.message}`);
+  }
+
+  await pipeline(Readable.fromWeb(data.stream()), fs.createWriteStream(destination));
+}
+
+// Store a derived file and describe it for `metadata`
+async function storeDerived(file, localPath, name, mimeType, dimensions) {
+  const storagePath = `${derivedDirectory(file)}/${name}`;
+
+  const { error } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, fs.createReadStream(localPath), { contentType: mimeType, upsert: true, duplex: 'half' });
+
+  if (error) {
+    throw new Error(`Storing ${name} failed: ${error.message}`);
+  }
+
+  const { data: urlData } = supabaseAdmin.storage.from(STORAGE_BUCKET).getPublicUrl(storagePath);
+  const { size } = await fs.promises.stat(localPath);
+
+  return {
+    path: storagePath,
+    url: urlData.publicUrl,
+    mimeType,
+    size,
+    ...dimensions
+  };
+}
+
+// Results of another file with the same stored content, when it has been processed
+async function findSharedResult(file) {
+  if (!file.storage_object_id) {
+    return null;
+  }
+
+  const { data: processed, error } = await supabaseAdmin
+    .from('media_files')
+    .select('metadata')
+    .eq('storage_object_id', file.storage_object_id)
+    .eq('processing_status', 'ready')
+    .neq('id', file.id)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  if (processed.length === 0) {
+    return null;
+  }
+
+  return Object.fromEntries(RESULT_KEYS
+    .filter(key => processed[0].metadata[key] !== undefined)
+    .map(key => [key, processed[0].metadata[key]]));
+}
+
+/**
+ * Inspect a media file and make its derived files.
+ *
+ * @param {Object} file - The media_files row
+ * @returns {Promise<Object|null>} The keys to merge into `metadata`, or null
+ *   for files that aren't processed (documents)
+ */
+async function processMediaFile(file) {
+  if (!['image', 'video'].includes(file.file_type)) {
+    return null;
+  }
+
+  // Duplicates share the stored file and its derived files
+  const shared = await findSharedResult(file);
+  if (shared) {
+    return shared;
+  }
+
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+
+  try {
+    const sourcePath = path.join(workDir, `source${path.extname(file.filename) || ''}`);
+    await downloadToDisk(file.storage_path, sourcePath);
+
+    const exif = file.mime_type === 'image/jpeg' ? readExif(await readFileStart(sourcePath, 128 * 1024)) : null;
+    const probe = await probeMedia(sourcePath, { rotate: !isStill(file) });
+
+    // Orientations 5-8 store the image sideways
+    if (exif?.orientation >= 5) {
+      [probe.width, probe.height] = [probe.height, probe.width];
+    }
+
+    const result = isStill(file)
+      ? { width: probe.width, height: probe.height, codec: probe.codec, format: probe.format }
+      : probe;
+
+    if (exif) {
+      result.exif = exif;
+    }
+
+    const input = sourceInput(file, sourcePath, exif);
+    const extension = isStill(file) ? 'jpg' : 'mp4';
+    const mimeType = isStill(file) ? 'image/jpeg' : 'video/mp4';
+    const filterArgs = (filters) => filters.length > 0 ? ['-vf', filters.join(',')] : [];
+
+    // Poster frame: a second in, or a tenth of the way through short clips
+    let frameInput = input;
+    if (!isStill(file)) {
+      const posterPath = path.join(workDir, 'poster.jpg');
+      const at = Math.min(1, (probe.duration || 0) / 10);
+      await runTool('ffmpeg', ['-v', 'error', '-y', '-ss', String(at), ...input.args, '-frames:v', '1', '-q:v', '3', '-map_metadata', '-1', posterPath]);
+      result.poster = await storeDerived(file, posterPath, 'poster.jpg', 'image/jpeg', { width: probe.width, height: probe.height });
+      frameInput = { args: ['-i', posterPath], filters: [] };
+    }
+
+    const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+    const thumbnail = fitWithin(probe.width, probe.height, THUMBNAIL_SIZE);
+    await runTool('ffmpeg', [
+      '-v', 'error', '-y', ...frameInput.args,
+      ...filterArgs([...frameInput.filters, `scale=${thumbnail.width}:${thumbnail.height}`]),
+      '-frames:v', '1', '-q:v', '4', '-map_metadata', '-1', thumbnailPath
+    ]);
+    result.thumbnail = await storeDerived(file, thumbnailPath, 'thumbnail.jpg', 'image/jpeg', thumbnail);
+
+    // Animated GIFs would lose their animation as JPEG renditions
+    if (file.mime_type === 'image/gif') {
+      return result;
+    }
+
+    result.renditions = [];
+    for (const rendition of RENDITIONS) {
+      const plan = planCrop(probe.width, probe.height, rendition);
+      const name = `${rendition.aspect.replace(':', 'x')}.${extension}`;
+      const outputPath = path.join(workDir, name);
+
+      await runTool('ffmpeg', [
+        '-v', 'error', '-y', ...input.args,
+        ...filterArgs([...input.filters, `crop=${plan.crop.width}:${plan.crop.height}`, `scale=${plan.width}:${plan.height}`]),
+        ...outputArgs(file), '-map_metadata', '-1', outputPath
+      ]);
+
+      result.renditions.push({
+        aspect: rendition.aspect,
+        ...(await storeDerived(file, outputPath, name, mimeType, { width: plan.width, height: plan.height }))
+      });
+    }
+
+    const compressed = fitWithin(probe.width, probe.height, COMPRESSED_MAX_SIDE[file.file_type]);
+    const compressedPath = path.join(workDir, `compressed.${extension}`);
+    await runTool('ffmpeg', [
+      '-v', 'error', '-y', ...input.args,
+      ...filterArgs([...input.filters, `scale=${compressed.width}:${compressed.height}`]),
+      ...outputArgs(file, { quality: 'compressed' }), '-map_metadata', '-1', compressedPath
+    ]);
+    result.compressed = await storeDerived(file, compressedPath, `compressed.${extension}`, mimeType, compressed);
+
+    return result;
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Process pending media files, oldest first.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {number} [options.limit] - Maximum number of files per run
+ * @returns {Promise<{processed: number, skipped: number, retrying: number, failed: number}>}
+ */
+async function processPendingFiles({ now = new Date(), limit = 5 } = {}) {
+  const summary = { processed: 0, skipped: 0, retrying: 0, failed: 0 };
+  const staleBefore = new Date(now.getTime() - STALE_AFTER_MS).toISOString();
+
+  const { data: files, error } = await supabaseAdmin
+    .from('media_files')
+    .select('*')
+    .or(`processing_status.eq.pending,and(processing_status.eq.processing,processing_started_at.lt.${staleBefore})`)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  for (const file of files) {
+    const attempt = (file.processing_attempts || 0) + 1;
+
+    // Claim the file so overlapping runs or instances don't process it twice
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('media_files')
+      .update({ processing_status: 'processing', processing_attempts: attempt, processing_started_at: new Date().toISOString() })
+      .eq('id', file.id)
+      .eq('processing_status', file.processing_status)
+      .eq('processing_attempts', file.processing_attempts || 0)
+      .select('id');
+
+    if (claimError || !claimed || claimed.length === 0) {
+      continue;
+    }
+
+    try {
+      const result = await processMediaFile(file);
+
+      await supabaseAdmin
+        .from('media_files')
+        .update({
+          processing_status: result ? 'ready' : 'skipped',
+          processing_error: null,
+          processed_at: new Date().toISOString(),
+          ...(result ? { metadata: { ...file.metadata, ...result } } : {})
+        })
+        .eq('id', file.id);
+
+      summary[result ? 'processed' : 'skipped']++;
+      if (result) {
+        logger.info(`Media file processed: ${file.id} (${file.original_name})`);
+      }
+    } catch (processingError) {
+      const reason = processingError.message || 'Unknown processing error';
+      const giveUp = processingError.retryable === false || attempt >= MAX_ATTEMPTS;
+
+      await supabaseAdmin
+        .from('media_files')
+        .update({
+          processing_status: giveUp ? 'failed' : 'pending',
+          processing_error: reason,
+          ...(giveUp ? { processed_at: new Date().toISOString() } : {})
+        })
+        .eq('id', file.id);
+
+      summary[giveUp ? 'failed' : 'retrying']++;
+      logger[giveUp ? 'error' : 'warn'](`Media file ${file.id} processing attempt ${attempt} failed${giveUp ? ', giving up' : ''}: ${reason}`);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Queue a file to be processed again, e.g. after a failure.
+ *
+ * @returns {Promise<Object|null>} The file, or null when it is being processed right now
+ */
+async function requeueMediaFile(file) {
+  const { data: files, error } = await supabaseAdmin
+    .from('media_files')
+    .update({ processing_status: 'pending', processing_attempts: 0, processing_error: null })
+    .eq('id', file.id)
+    .neq('processing_status', 'processing')
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  return files[0] || null;
+}
+
+/**
+ * Process new media files on a cron schedule.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.schedule] - Cron expression (defaults to MEDIA_PROCESSING_CRON or every minute)
+ */
+function startMediaProcessor({ schedule = process.env.MEDIA_PROCESSING_CRON || '* * * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const summary = await processPendingFiles();
+      if (summary.processed || summary.retrying || summary.failed) {
+        logger.info('Media processing run complete', summary);
+      }
+    } catch (error) {
+      logger.error('Media processing run failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Media processor started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopMediaProcessor() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  RENDITIONS,
+  PROCESSING_ERRORS,
+  planCrop,
+  probeMedia,
+  processMediaFile,
+  processPendingFiles,
+  requeueMediaFile,
+  startMediaProcessor,
+  stopMediaProcessor
+};
@@ -0,0 +1,512 @@
+const crypto = require('crypto');
+const path = require('path');
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const logger = require('../utils/logger');
+
+/*
+ * Content-addressed media storage.
+ *
+ * An uploaded file is stored once per content, recorded by its SHA-256 in
+ * `storage_objects`. The stored path is random (`objects/ab/abcd...`): one
+ * derived from the hash would let anyone who knows a file's hash fetch it
+ * from the public bucket. Uploaders aren't told whether their file was
+ * stored already, since that would tell them someone else has it.
+ * Every media file with the same content points at that object through
+ * `storage_object_id`, so the object's reference count is the number of
+ * media_files rows pointing at it. Deleting the last of them removes the
+ * object.
+ *
+ * Rows can also disappear without the API noticing (a content item's
+ * ON DELETE CASCADE removes its files), and a failed request can leave an
+ * object nothing points at. The garbage collector finds both, along with
+ * rows whose object is missing from storage.
+ */
+
+const STORAGE_BUCKET = 'media-files';
+
+// Objects used this recently may be about to get a reference from an upload
+// in progress, so they're left for the garbage collector
+const RECENT_USE_MS = 10 * 60 * 1000;
+
+const PAGE_SIZE = 1000;
+
+let scheduledTask = null;
+let isRunning = false;
+
+const hashContent = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const newObjectPath = () => {
+  const name = crypto.randomBytes(20).toString('hex');
+  return `objects/${name.slice(0, 2)}/${name}`;
+};
+
+/**
+ * Where a media file's derived files (thumbnails, renditions) are stored.
+ * Files sharing a stored object share them too.
+ */
+function derivedDirectory(file) {
+  return file.storage_object_id
+    ? `derived/${path.posix.basename(file.storage_path)}`
+    : `${path.posix.dirname(file.storage_path)}/derived/${file.id}`;
+}
+
+/**
+ * Storage paths of a file's derived files (thumbnail, poster, renditions,
+ * compressed copy).
+ */
+function derivedPaths(file) {
+  const metadata = file.metadata || {};
+
+  return [metadata.thumbnail, metadata.poster, metadata.compressed, ...(metadata.renditions || [])]
+    .filter(derived => derived && derived.path)
+    .map(derived => derived.path);
+}
+
+/**
+ * The storage object for some content. When it's new, `store(path)` puts the
+ * content at a new path and the object is recorded. Marks the object as just
+ * used, so it isn't collected before the caller references it.
+ */
+async function recordObject({ sha256, size, mimeType }, store) {
+  const now = new Date().toISOString();
+
+  const { data: touched, error } = await supabaseAdmin
+    .from('storage_objects')
+    .update({ last_used_at: now })
+    .eq('sha256', sha256)
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  if (touched.length > 0) {
+    return touched[0];
+  }
+
+  const storagePath = newObjectPath();
+  await store(storagePath);
+
+  const { data: object, error: insertError } = await supabaseAdmin
+    .from('storage_objects')
+    .insert({
+      sha256,
+      storage_path: storagePath,
+      size,
+      mime_type: mimeType,
+      created_at: now,
+      last_used_at: now
+    })
+    .select('*')
+    .single();
+
+  // Another upload of the same content recorded it first; use theirs
+  if (insertError && insertError.code === '23505') {
+    await supabaseAdmin.storage.from(STORAGE_BUCKET).remove([storagePath]);
+    return recordObject({ sha256, size, mimeType }, store);
+  }
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  return object;
+}
+
+/**
+ * Store file content, or reuse the stored object when the same content has
+ * been uploaded before.
+ *
+ * @param {Buffer} data
+ * @param {string} mimeType
+ * @returns {Promise<Object>} The storage_objects row
+ */
+async function storeContent(data, mimeType) {
+  return recordObject({ sha256: hashContent(data), size: data.length, mimeType }, async (storagePath) => {
+    const { error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .upload(storagePath, data, { contentType: mimeType, upsert: false });
+
+    if (error) {
+      throw new Error(`Storing file failed: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Turn a file already in storage (such as an assembled resumable upload) into
+ * a stored object, or drop it when the content is stored already.
+ *
+ * @param {string} storagePath - Where the file is now
+ * @param {Object} content
+ * @param {string} content.sha256
+ * @param {number} content.size
+ * @param {string} content.mimeType
+ * @returns {Promise<Object>} The storage_objects row
+ */
+async function adoptStoredFile(storagePath, { sha256, size, mimeType }) {
+  const bucket = supabaseAdmin.storage.from(STORAGE_BUCKET);
+  let moved = false;
+
+  const object = await recordObject({ sha256, size, mimeType }, async (objectPath) => {
+    const { error } = await bucket.move(storagePath, objectPath);
+
+    if (error) {
+      throw new Error(`Storing file failed: ${error.message}`);
+    }
+
+    moved = true;
+  });
+
+  if (!moved) {
+    await bucket.remove([storagePath]);
+  }
+
+  return object;
+}
+
+/**
+ * Count the media files pointing at each object.
+ *
+ * @param {Array<string>} objectIds
+ * @returns {Promise<Map<string, number>>}
+ */
+async function countReferences(objectIds) {
+  const counts = new Map(objectIds.map(id => [id, 0]));
+
+  for (let i = 0; i < objectIds.length; i += PAGE_SIZE) {
+    const { data: files, error } = await supabaseAdmin
+      .from('media_files')
+      .select('storage_object_id')
+      .in('storage_object_id', objectIds.slice(i, i + PAGE_SIZE));
+
+    if (error) {
+      throw error;
+    }
+
+    files.forEach(file => counts.set(file.storage_object_id, counts.get(file.storage_object_id) + 1));
+  }
+
+  return counts;
+}
+
+/**
+ * Remove an object from storage, with its derived files, if no media file
+ * points at it any more. Objects used very recently are left for the garbage
+ * collector.
+ *
+ * @returns {Promise<boolean>} Whether the object was removed
+ */
+async function releaseObject(objectId, { derived = [] } = {}) {
+  const { data: object, error } = await supabaseAdmin
+    .from('storage_objects')
+    .select('*')
+    .eq('id', objectId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!object || new Date(object.last_used_at) > new Date(Date.now() - RECENT_USE_MS)) {
+    return false;
+  }
+
+  const counts = await countReferences([object.id]);
+  if (counts.get(object.id) > 0) {
+    return false;
+  }
+
+  return removeObject(object, derived);
+}
+
+/**
+ * Delete a media file: its row, and its stored content once no other file
+ * uses it, with the thumbnails and renditions made from it.
+ */
+async function deleteMediaFile(file) {
+  // Files stored before deduplication have storage of their own
+  if (!file.storage_object_id) {
+    const { error: storageError } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .remove([file.storage_path, ...derivedPaths(file)]);
+
+    if (storageError) {
+      logger.error('Storage deletion error:', storageError);
+      // Continue with database deletion even if storage deletion fails
+    }
+  }
+
+  const { error } = await supabaseAdmin
+    .from('media_files')
+    .delete()
+    .eq('id', file.id);
+
+  if (error) {
+    throw error;
+  }
+
+  // Shared content is only removed with the last file using it
+  if (file.storage_object_id) {
+    await releaseObject(file.storage_object_id, { derived: derivedPaths(file) });
+  }
+}
+
+// Delete an unreferenced object's row, then its storage. The row goes first:
+// a media file referencing it in the meantime makes the delete fail (the
+// foreign key restricts it), and an upload reusing it changes last_used_at.
+async function removeObject(object, derived = []) {
+  const { data: deleted, error } = await supabaseAdmin
+    .from('storage_objects')
+    .delete()
+    .eq('id', object.id)
+    .eq('last_used_at', object.last_used_at)
+    .select('id');
+
+  if (error) {
+    if (error.code === '23503') {
+      return false;
+    }
+    throw error;
+  }
+
+  if (deleted.length === 0) {
+    return false;
+  }
+
+  const { error: storageError } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .remove([object.storage_path, ...derived]);
+
+  // What's left in storage is an orphan for the next collection
+  if (storageError) {
+    logger.error(`Failed to remove storage object ${object.storage_path}:`, storageError);
+  }
+
+  return true;
+}
+
+// Every object in the bucket. Storage lists a folder at a time; folders have no metadata.
+async function listBucket(prefix = '') {
+  const objects = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data: entries, error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .list(prefix, { limit: PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+    if (error) {
+      throw new Error(`Listing storage failed: ${error.message}`);
+    }
+
+    for (const entry of entries) {
+      const fullPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+      if (!entry.metadata) {
+        objects.push(...await listBucket(fullPath));
+      } else {
+        objects.push({ path: fullPath, size: entry.metadata.size ?? null, createdAt: entry.created_at || null });
+      }
+    }
+
+    if (entries.length < PAGE_SIZE) {
+      return objects;
+    }
+  }
+}
+
+// All rows of a table, a page at a time
+async function selectAll(table, columns, filter = (query) => query) {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await filter(supabaseAdmin.from(table).select(columns))
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+/**
+ * Find, and unless it's a dry run remove, storage nothing uses:
+ *
+ * - `unreferenced`: stored objects no media file points at any more
+ * - `orphaned`: files in the bucket no row knows about
+ *
+ * and report `missing`: media files whose stored file is gone. Those rows
+ * are never removed automatically; someone has to decide what to do about
+ * them. Only objects unused for `graceHours` are collected, so uploads in
+ * progress are left alone.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report (default true)
+ * @param {number} [options.graceHours] - Defaults to STORAGE_GC_GRACE_HOURS or 24
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @returns {Promise<Object>} The report
+ */
+async function collectGarbage({
+  dryRun = true,
+  graceHours = parseInt(process.env.STORAGE_GC_GRACE_HOURS) || 24,
+  now = new Date()
+} = {}) {
+  const cutoff = new Date(now.getTime() - graceHours * 60 * 60 * 1000);
+
+  const [stored, objects, files, uploads] = await Promise.all([
+    listBucket(),
+    selectAll('storage_objects', '*'),
+    selectAll('media_files', 'id, original_name, storage_path, storage_object_id, metadata, uploaded_by'),
+    selectAll('file_uploads', 'id, parts', (query) => query.neq('status', 'completed'))
+  ]);
+
+  const references = new Map(objects.map(object => [object.id, 0]));
+  files.forEach(file => {
+    if (file.storage_object_id && references.has(file.storage_object_id)) {
+      references.set(file.storage_object_id, references.get(file.storage_object_id) + 1);
+    }
+  });
+
+  const unreferenced = objects.filter(object =>
+    references.get(object.id) === 0 && new Date(object.last_used_at) <= cutoff);
+  const collected = new Set(unreferenced.map(object => object.id));
+
+  // Paths something still uses; derived folders of live objects count as used
+  const inUse = new Set([
+    ...files.flatMap(file => [file.storage_path, ...derivedPaths(file)]),
+    ...objects.filter(object => !collected.has(object.id)).map(object => object.storage_path),
+    ...uploads.flatMap(upload => (upload.parts || []).map(part => part.path))
+  ]);
+  const liveDerived = objects
+    .filter(object => !collected.has(object.id))
+    .map(object => `${derivedDirectory({ storage_object_id: object.id, storage_path: object.storage_path })}/`);
+  const used = (storagePath) => inUse.has(storagePath) || liveDerived.some(prefix => storagePath.startsWith(prefix));
+
+  const collectedPaths = new Set(unreferenced.map(object => object.storage_path));
+  const orphaned = stored.filter(object =>
+    !used(object.path) &&
+    !collectedPaths.has(object.path) &&
+    object.createdAt && new Date(object.createdAt) <= cutoff);
+
+  const existing = new Set(stored.map(object => object.path));
+  const missing = files.filter(file => !existing.has(file.storage_path));
+
+  const report = {
+    dryRun,
+    graceHours,
+    scanned: { storageFiles: stored.length, storageObjects: objects.length, mediaFiles: files.length },
+    deduplicated: {
+      objects: objects.filter(object => references.get(object.id) > 1).length,
+      savedBytes: objects.reduce((sum, object) => sum + Math.max(0, references.get(object.id) - 1) * Number(object.size), 0)
+    },
+    unreferenced: unreferenced.map(object => ({
+      id: object.id,
+      sha256: object.sha256,
+      storagePath: object.storage_path,
+      size: Number(object.size),
+      lastUsedAt: object.last_used_at
+    })),
+    orphaned: orphaned.map(object => ({ storagePath: object.path, size: object.size, createdAt: object.createdAt })),
+    missing: missing.map(file => ({
+      id: file.id,
+      originalName: file.original_name,
+      storagePath: file.storage_path,
+      uploadedBy: file.uploaded_by
+    })),
+    reclaimableBytes: unreferenced.reduce((sum, object) => sum + Number(object.size), 0) +
+      orphaned.reduce((sum, object) => sum + (object.size || 0), 0),
+    removed: { objects: 0, files: 0 }
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  for (const object of unreferenced) {
+    if (await removeObject(object)) {
+      report.removed.objects++;
+    }
+  }
+
+  const orphanPaths = orphaned.map(object => object.path);
+  for (let i = 0; i < orphanPaths.length; i += 100) {
+    const { data: removed, error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .remove(orphanPaths.slice(i, i + 100));
+
+    if (error) {
+      logger.error('Failed to remove orphaned storage files:', error);
+      continue;
+    }
+
+    report.removed.files += removed.length;
+  }
+
+  logger.info(`Storage garbage collection removed ${report.removed.objects} object(s) and ${report.removed.files} orphaned file(s); ${missing.length} file(s) missing from storage`);
+  return report;
+}
+
+/**
+ * Collect storage garbage on a cron schedule. Set STORAGE_GC_DRY_RUN=true to
+ * only log what would be removed.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.schedule] - Cron expression (defaults to STORAGE_GC_CRON or daily at 03:30)
+ */
+function startStorageGc({ schedule = process.env.STORAGE_GC_CRON || '30 3 * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const report = await collectGarbage({ dryRun: process.env.STORAGE_GC_DRY_RUN === 'true' });
+      if (report.dryRun) {
+        logger.info('Storage garbage collection dry run', {
+          unreferenced: report.unreferenced.length,
+          orphaned: report.orphaned.length,
+          missing: report.missing.length,
+          reclaimableBytes: report.reclaimableBytes
+        });
+      }
+    } catch (error) {
+      logger.error('Storage garbage collection failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Storage garbage collector started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopStorageGc() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  hashContent,
+  derivedDirectory,
+  storeContent,
+  adoptStoredFile,
+  deleteMediaFile,
+  collectGarbage,
+  startStorageGc,
+  stopStorageGc
+};
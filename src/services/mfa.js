@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/database');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const { isEncryptionConfigured, isEncrypted, encryptToken, decryptToken } = require('../utils/tokenCipher');
+const { denyAccessTokens, isAccessTokenDenied } = require('./sessions');
+const logger = require('../utils/logger');
+
+const CHALLENGE_TTL = process.env.MFA_CHALLENGE_TTL || '5m';
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MFA_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+
+// Error codes returned as `code` by the MFA endpoints
+const MFA_ERRORS = {
+  NOT_ENABLED: 'mfa_not_enabled',
+  ALREADY_ENABLED: 'mfa_already_enabled',
+  NO_PENDING_ENROLMENT: 'mfa_enrolment_not_started',
+  CODE_INVALID: 'mfa_code_invalid',
+  LOCKED: 'mfa_locked',
+  CHALLENGE_INVALID: 'mfa_challenge_invalid',
+  CHALLENGE_EXPIRED: 'mfa_challenge_expired',
+  REQUIRED: 'mfa_required',
+  UNAVAILABLE: 'mfa_unavailable'
+};
+
+class MfaError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+}
+
+// Ten one-time codes formatted like `a1b2c-3d4e5`
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Start TOTP enrolment. The secret stays pending until confirmEnrolment()
+ * receives a valid code for it. Secrets are only ever stored encrypted, so
+ * enrolment is unavailable until TOKEN_ENCRYPTION_KEYS is set, in every
+ * environment.
+ *
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+async function startEnrolment(user) {
+  if (user.mfa_enabled) {
+    throw new MfaError(MFA_ERRORS.ALREADY_ENABLED, 'Two-factor authentication is already enabled', 409);
+  }
+
+  assertEncryptionConfigured();
+
+  const secret = generateSecret();
+
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({ mfa_pending_secret: encryptToken(secret), updated_at: new Date().toISOString() })
+    .eq('id', user.id);
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    secret,
+    otpauthUrl: buildOtpAuthUrl({ secret, accountName: user.email })
+  };
+}
+
+function assertEncryptionConfigured() {
+  if (!isEncryptionConfigured()) {
+    logger.error('Two-factor setup refused: TOKEN_ENCRYPTION_KEYS is not set, so TOTP secrets cannot be stored encrypted');
+    throw new MfaError(MFA_ERRORS.UNAVAILABLE, 'Two-factor authentication is not available on this server', 503);
+  }
+}
+
+/**
+ * Confirm enrolment with a code from the authenticator app.
+ *
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ */
+async function confirmEnrolment(user, code) {
+  if (user.mfa_enabled) {
+    throw new MfaError(MFA_ERRORS.ALREADY_ENABLED, 'Two-factor authentication is already enabled', 409);
+  }
+
+  assertEncryptionConfigured();
+
+  // Pending secrets saved unencrypted (before a key was configured) aren't used
+  if (!user.mfa_pending_secret || !isEncrypted(user.mfa_pending_secret)) {
+    throw new MfaError(MFA_ERRORS.NO_PENDING_ENROLMENT, 'Start two-factor setup before confirming it');
+  }
+
+  const secret = decryptToken(user.mfa_pending_secret);
+  const step = verifyCode(secret, code);
+
+  if (step === null) {
+    throw new MfaError(MFA_ERRORS.CODE_INVALID, 'The verification code is incorrect');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({
+      mfa_enabled: true,
+      mfa_secret: user.mfa_pending_secret,
+      mfa_pending_secret: null,
+      mfa_enabled_at: new Date().toISOString(),
+      mfa_recovery_codes: recoveryCodes.map(hashRecoveryCode),
+      mfa_last_used_step: step,
+      mfa_failed_attempts: 0,
+      mfa_locked_until: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', user.id);
+
+  if (error) {
+    throw error;
+  }
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with MFA enabled.
+ * Accepted TOTP codes and recovery codes can't be used again, even by
+ * requests running at the same time; repeated failures lock the second
+ * factor for a while.
+ *
+ * @param {Object} user - users row
+ * @param {{ code?: string, recoveryCode?: string }} factor
+ * @returns {Promise<{ usedRecoveryCode: boolean, remainingRecoveryCodes: number }>}
+ * @throws {MfaError}
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.mfa_enabled) {
+    throw new MfaError(MFA_ERRORS.NOT_ENABLED, 'Two-factor authentication is not enabled');
+  }
+
+  if (user.mfa_locked_until && new Date(user.mfa_locked_until) > new Date()) {
+    throw new MfaError(MFA_ERRORS.LOCKED, 'Too many incorrect codes. Try again later', 429);
+  }
+
+  const storedCodes = user.mfa_recovery_codes || [];
+  const update = { mfa_failed_attempts: 0, mfa_locked_until: null };
+  let usedRecoveryCode = false;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (storedCodes.includes(hash)) {
+      update.mfa_recovery_codes = storedCodes.filter(stored => stored !== hash);
+      usedRecoveryCode = true;
+    }
+  } else {
+    const step = verifyCode(decryptToken(user.mfa_secret), code, {
+      afterStep: user.mfa_last_used_step ?? -1
+    });
+    if (step !== null) {
+      update.mfa_last_used_step = step;
+    }
+  }
+
+  let accepted = usedRecoveryCode || update.mfa_last_used_step !== undefined;
+
+  if (accepted) {
+    let query = supabaseAdmin
+      .from('users')
+      .update(update)
+      .eq('id', user.id);
+
+    // The write only applies while the code is still unused, so a code sent
+    // twice at once is accepted once
+    query = usedRecoveryCode
+      ? query.contains('mfa_recovery_codes', storedCodes).containedBy('mfa_recovery_codes', storedCodes)
+      : query.or(`mfa_last_used_step.is.null,mfa_last_used_step.lt.${update.mfa_last_used_step}`);
+
+    const { data: updated, error } = await query.select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    accepted = updated.length > 0;
+  }
+
+  if (!accepted) {
+    await recordFailedAttempt(user);
+
+    throw new MfaError(MFA_ERRORS.CODE_INVALID, recoveryCode
+      ? 'The recovery code is incorrect or has already been used'
+      : 'The verification code is incorrect');
+  }
+
+  const remainingRecoveryCodes = (update.mfa_recovery_codes || storedCodes).length;
+
+  if (usedRecoveryCode) {
+    logger.info(`Recovery code used by user ${user.id} (${remainingRecoveryCodes} left)`);
+  }
+
+  return { usedRecoveryCode, remainingRecoveryCodes };
+}
+
+// Count a failed code towards the lockout. The counter only moves on from the
+// value it was read with, so parallel guesses each count
+async function recordFailedAttempt(user) {
+  let current = user;
+
+  for (;;) {
+    if (current.mfa_locked_until && new Date(current.mfa_locked_until) > new Date()) {
+      return;
+    }
+
+    const previous = current.mfa_failed_attempts || 0;
+    const attempts = previous + 1;
+    const locked = attempts >= MAX_FAILED_ATTEMPTS;
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('users')
+      .update({
+        mfa_failed_attempts: locked ? 0 : attempts,
+        mfa_locked_until: locked ? new Date(Date.now() + LOCKOUT_MS).toISOString() : null
+      })
+      .eq('id', user.id)
+      .eq('mfa_failed_attempts', previous)
+      .select('id');
+
+    if (error) {
+      throw error;
+    }
+
+    if (updated.length > 0) {
+      if (locked) {
+        logger.warn(`Two-factor authentication locked for user ${user.id} after ${attempts} failed attempts`);
+      }
+      return;
+    }
+
+    const { data: reloaded, error: reloadError } = await supabaseAdmin
+      .from('users')
+      .select('mfa_failed_attempts, mfa_locked_until')
+      .eq('id', user.id)
+      .single();
+
+    if (reloadError) {
+      throw reloadError;
+    }
+
+    current = reloaded;
+  }
+}
+
+async function disableMfa(userId) {
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({
+      mfa_enabled: false,
+      mfa_secret: null,
+      mfa_pending_secret: null,
+      mfa_enabled_at: null,
+      mfa_recovery_codes: [],
+      mfa_last_used_step: null,
+      mfa_failed_attempts: 0,
+      mfa_locked_until: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) {
+    throw error;
+  }
+}
+
+// Replace every recovery code; returns the new codes
+async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+
+  const { error } = await supabaseAdmin
+    .from('users')
+    .update({
+      mfa_recovery_codes: recoveryCodes.map(hashRecoveryCode),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) {
+    throw error;
+  }
+
+  return recoveryCodes;
+}
+
+/**
+ * Short-lived token proving the password step of login succeeded. It is not
+ * an access token (it has no session) and works for one /login/mfa call.
+ */
+function createChallenge(user) {
+  const mfaToken = jwt.sign(
+    { userId: user.id, purpose: 'mfa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL, jwtid: crypto.randomUUID() }
+  );
+  const { iat, exp } = jwt.decode(mfaToken);
+
+  return { mfaToken, expiresIn: exp - iat };
+}
+
+/**
+ * Verify a challenge token.
+ * @returns {Promise<{ userId: string, jti: string, exp: number }>}
+ * @throws {MfaError}
+ */
+async function verifyChallenge(mfaToken) {
+  let claims;
+  try {
+    claims = jwt.verify(String(mfaToken), process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new MfaError(MFA_ERRORS.CHALLENGE_EXPIRED, 'The login challenge has expired. Please log in again', 401);
+    }
+    throw new MfaError(MFA_ERRORS.CHALLENGE_INVALID, 'The login challenge is invalid', 401);
+  }
+
+  if (claims.purpose !== 'mfa_challenge' || await isAccessTokenDenied({ jti: claims.jti })) {
+    throw new MfaError(MFA_ERRORS.CHALLENGE_INVALID, 'The login challenge is invalid', 401);
+  }
+
+  return { userId: claims.userId, jti: claims.jti, exp: claims.exp };
+}
+
+// Mark a challenge as used so it can't complete a second login
+async function consumeChallenge({ jti, exp }) {
+  await denyAccessTokens({ jti, expiresAt: new Date(exp * 1000).toISOString() });
+}
+
+/**
+ * Workspaces the user owns or belongs to that require two-factor authentication.
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+async function getWorkspacesRequiringMfa(userId) {
+  const { data: owned, error: ownedError } = await supabaseAdmin
+    .from('workspaces')
+    .select('id, name, settings')
+    .eq('owner_id', userId);
+
+  if (ownedError) {
+    throw ownedError;
+  }
+
+  const { data: memberships, error: membershipError } = await supabaseAdmin
+    .from('workspace_members')
+    .select('workspace:workspaces(id, name, settings)')
+    .eq('user_id', userId)
+    .eq('status', 'active');
+
+  if (membershipError) {
+    throw membershipError;
+  }
+
+  const workspaces = [...owned, ...memberships.map(membership => membership.workspace).filter(Boolean)];
+  const required = new Map();
+
+  for (const workspace of workspaces) {
+    if (workspace.settings?.require_mfa) {
+      required.set(workspace.id, { id: workspace.id, name: workspace.name });
+    }
+  }
+
+  return [...required.values()];
+}
+
+module.exports = {
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  disableMfa,
+  regenerateRecoveryCodes,
+  createChallenge,
+  verifyChallenge,
+  consumeChallenge,
+  getWorkspacesRequiringMfa,
+  MfaError,
+  MFA_ERRORS
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+const logger = require('../utils/logger');
+
+const STATE_TTL_MS = (parseInt(process.env.OAUTH_STATE_TTL_MINUTES) || 10) * 60 * 1000;
+
+// Error codes returned to the frontend as `?error=<code>`
+const OAUTH_STATE_ERRORS = {
+  INVALID: 'oauth_state_invalid',
+  EXPIRED: 'oauth_state_expired',
+  REPLAYED: 'oauth_state_replayed',
+  WRONG_BROWSER: 'oauth_state_wrong_browser'
+};
+
+class OAuthStateError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'OAuthStateError';
+    this.code = code;
+  }
+}
+
+function getSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('OAUTH_STATE_SECRET or JWT_SECRET must be set to sign OAuth state');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('base64url');
+}
+
+/**
+ * Start an OAuth connect flow.
+ *
+ * Stores a single-use state record and returns the signed `state` parameter
+ * for it: `base64url({ sid, platform, exp, nonce }).hmac`. Platforms with
+ * PKCE also get a code verifier, kept server-side, and its challenge.
+ *
+ * The state only works in the browser that started the flow: the caller
+ * hands `nonce` to that browser (in an HttpOnly cookie) and the callback must
+ * present it again. The state only carries the nonce's hash, so a state sent
+ * to someone else can't be completed in their browser.
+ *
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} [params.clientId]
+ * @param {Object} params.adapter - PlatformAdapter for the platform being connected
+ * @returns {Promise<{ state: string, nonce: string, codeChallenge?: string }>}
+ */
+async function createOAuthState({ userId, clientId, adapter }) {
+  const expiresAt = new Date(Date.now() + STATE_TTL_MS);
+  const codeVerifier = adapter.supportsPkce ? crypto.randomBytes(48).toString('base64url') : null;
+
+  const { data: record, error } = await supabaseAdmin
+    .from('oauth_states')
+    .insert({
+      user_id: userId,
+      client_id: clientId || null,
+      platform: adapter.platform,
+      code_verifier: codeVerifier,
+      expires_at: expiresAt.toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  await purgeExpiredStates();
+
+  const nonce = crypto.randomBytes(32).toString('base64url');
+
+  const payload = Buffer.from(JSON.stringify({
+    sid: record.id,
+    platform: adapter.platform,
+    exp: expiresAt.getTime(),
+    nonce: hashNonce(nonce)
+  })).toString('base64url');
+
+  return {
+    state: `${payload}.${sign(payload)}`,
+    nonce,
+    codeChallenge: codeVerifier ? adapter.createCodeChallenge(codeVerifier) : undefined
+  };
+}
+
+/**
+ * Verify and consume the `state` returned to the OAuth callback.
+ *
+ * @param {string} state - Signed state parameter from the callback
+ * @param {string} platform - Platform of the callback route
+ * @param {string} [nonce] - The nonce createOAuthState gave the browser, as it sent it back
+ * @returns {Promise<{ userId: string, clientId: string|null, codeVerifier: string|null }>}
+ * @throws {OAuthStateError} With code oauth_state_invalid, oauth_state_expired,
+ *   oauth_state_replayed or oauth_state_wrong_browser
+ */
+async function consumeOAuthState(state, platform, nonce) {
+  const [payload, signature] = String(state).split('.');
+
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.INVALID, 'OAuth state signature is invalid');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (parseError) {
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.INVALID, 'OAuth state is malformed');
+  }
+
+  if (claims.platform !== platform) {
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.INVALID, 'OAuth state was issued for another platform');
+  }
+
+  if (!claims.exp || claims.exp < Date.now()) {
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.EXPIRED, 'OAuth state has expired');
+  }
+
+  // Checked before the state is used up, so a callback from another browser
+  // can't spend it
+  if (!claims.nonce || !nonce || !safeEqual(hashNonce(String(nonce)), String(claims.nonce))) {
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.WRONG_BROWSER, 'OAuth state was issued to another browser');
+  }
+
+  // Mark the record used; only the first callback with this state gets a row back
+  const { data: consumed, error } = await supabaseAdmin
+    .from('oauth_states')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', claims.sid)
+    .eq('platform', platform)
+    .is('used_at', null)
+    .select('*');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!consumed || consumed.length === 0) {
+    const { data: existing } = await supabaseAdmin
+      .from('oauth_states')
+      .select('id')
+      .eq('id', claims.sid)
+      .maybeSingle();
+
+    if (existing) {
+      logger.warn(`Replayed OAuth state ${claims.sid} for ${platform}`);
+      throw new OAuthStateError(OAUTH_STATE_ERRORS.REPLAYED, 'OAuth state has already been used');
+    }
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.INVALID, 'OAuth state does not exist');
+  }
+
+  const record = consumed[0];
+
+  if (new Date(record.expires_at) < new Date()) {
+    throw new OAuthStateError(OAUTH_STATE_ERRORS.EXPIRED, 'OAuth state has expired');
+  }
+
+  return {
+    userId: record.user_id,
+    clientId: record.client_id,
+    codeVerifier: record.code_verifier
+  };
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Drop states that expired more than a day ago (kept that long so replays
+// report oauth_state_replayed rather than oauth_state_invalid)
+async function purgeExpiredStates() {
+  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const { error } = await supabaseAdmin
+    .from('oauth_states')
+    .delete()
+    .lt('expires_at', cutoff);
+
+  if (error) {
+    logger.warn('Failed to purge expired OAuth states:', error);
+  }
+}
+
+module.exports = {
+  STATE_TTL_MS,
+  createOAuthState,
+  consumeOAuthState,
+  OAuthStateError,
+  OAUTH_STATE_ERRORS
+};
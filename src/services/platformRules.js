@@ -0,0 +1,397 @@
+const { supabaseAdmin } = require('../config/database');
+const { PlatformAdapter } = require('./platforms');
+
+/*
+ * What each platform accepts in a post, per content type. Checked before an
+ * item is scheduled (and on demand through POST /api/content/validate), so
+ * limits are caught while the item is still being written rather than when
+ * the scheduler tries to publish it.
+ *
+ * Each check gives an error, which the platform would reject, or a warning,
+ * which it would accept but probably not as intended (a caption cut off in
+ * the feed, a landscape video on TikTok). Media checks use the size,
+ * dimensions and duration in a file's `metadata` when they are known.
+ */
+
+// Error code returned as `code` when an item breaks its platform's rules
+const PLATFORM_ERRORS = {
+  LIMITS_EXCEEDED: 'platform_limits'
+};
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Per platform:
+//   caption.max / caption.visible - the caption limit as posted (hashtags
+//     included), and how much shows before "more"
+//   weighted - count like Twitter: links are 23 characters, emoji and CJK 2
+//   title - limit on the separate title, when the platform has one
+//   hashtags.max / .recommended, mentions.max
+//   forbidden - characters the platform refuses in titles and captions
+//   image, video, document - limits on each kind of media file
+//   singleVideo - a video has to be the post's only media
+//   contentTypes - the content types the platform takes, with the media
+//     kinds and counts each needs and any media limits of its own
+const PLATFORM_RULES = {
+  tiktok: {
+    name: 'TikTok',
+    caption: { max: 2200 },
+    image: { maxBytes: 20 * MB },
+    video: { maxBytes: 4 * GB, minSeconds: 3, maxSeconds: 600, recommendedAspect: 9 / 16 },
+    contentTypes: {
+      video: { media: { kinds: ['video'], min: 1, max: 1 } },
+      carousel: { media: { kinds: ['image'], min: 1, max: 35 } }
+    }
+  },
+  instagram: {
+    name: 'Instagram',
+    caption: { max: 2200, visible: 125 },
+    hashtags: { max: 30 },
+    mentions: { max: 20 },
+    image: { maxBytes: 8 * MB, minAspect: 4 / 5, maxAspect: 1.91 },
+    video: { maxBytes: 1 * GB, minSeconds: 3, maxSeconds: 900, recommendedAspect: 9 / 16 },
+    contentTypes: {
+      image: { media: { kinds: ['image'], min: 1, max: 1 } },
+      post: { media: { kinds: ['image'], min: 1, max: 1 } },
+      video: { media: { kinds: ['video'], min: 1, max: 1 } },
+      carousel: {
+        media: { kinds: ['image', 'video'], min: 2, max: 10 },
+        video: { maxSeconds: 60 }
+      },
+      story: {
+        media: { kinds: ['image', 'video'], min: 1, max: 1 },
+        image: { minAspect: null, maxAspect: null, recommendedAspect: 9 / 16 },
+        video: { maxBytes: 100 * MB, maxSeconds: 60 }
+      }
+    }
+  },
+  youtube: {
+    name: 'YouTube',
+    caption: { max: 5000 },
+    title: { max: 100 },
+    hashtags: { max: 60, recommended: 15 },
+    forbidden: /[<>]/,
+    video: { maxBytes: 256 * GB, maxSeconds: 12 * 60 * 60 },
+    contentTypes: {
+      video: { media: { kinds: ['video'], min: 1, max: 1 } }
+    }
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    caption: { max: 3000, visible: 210 },
+    hashtags: { recommended: 5 },
+    image: { maxPixels: 36152320 },
+    video: { maxBytes: 500 * MB, minSeconds: 3, maxSeconds: 30 * 60 },
+    document: { maxBytes: 100 * MB },
+    singleVideo: true,
+    contentTypes: {
+      post: { media: { kinds: ['image', 'video'], min: 0, max: 20 } },
+      image: { media: { kinds: ['image'], min: 1, max: 20 } },
+      video: { media: { kinds: ['video'], min: 1, max: 1 } },
+      carousel: { media: { kinds: ['document'], min: 1, max: 1 } }
+    }
+  },
+  twitter: {
+    name: 'Twitter',
+    caption: { max: 280 },
+    weighted: true,
+    hashtags: { recommended: 2 },
+    image: { maxBytes: 5 * MB },
+    video: { maxBytes: 512 * MB, minSeconds: 0.5, maxSeconds: 140 },
+    singleVideo: true,
+    contentTypes: {
+      post: { media: { kinds: ['image', 'video'], min: 0, max: 4 } },
+      image: { media: { kinds: ['image'], min: 1, max: 4 } },
+      video: { media: { kinds: ['video'], min: 1, max: 1 } }
+    }
+  }
+};
+
+// Twitter counts every link as a t.co link of this length
+const TWITTER_URL_LENGTH = 23;
+
+// Code points Twitter counts as one character; everything else counts as two
+const TWITTER_LIGHT_RANGES = [[0, 4351], [8192, 8205], [8208, 8223], [8242, 8247]];
+
+const MEDIA_EXTENSIONS = {
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic'],
+  video: ['mp4', 'mov', 'm4v', 'webm', 'avi']
+};
+
+const URL_PATTERN = /https?:\/\/\S+/gi;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const HASHTAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_]+)/gu;
+const MENTION_PATTERN = /(?:^|\s)@([A-Za-z0-9_.]+)/g;
+
+const graphemes = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Length of a text as a platform counts it. Emoji made of several code
+ * points (flags, skin tones, families) count once; Twitter also counts links
+ * as 23 characters and emoji and CJK characters as two.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.weighted] - Count like Twitter
+ * @returns {number}
+ */
+function countCharacters(text, { weighted = false } = {}) {
+  if (!weighted) {
+    return [...graphemes.segment(text)].length;
+  }
+
+  const links = text.match(URL_PATTERN) || [];
+  let length = links.length * TWITTER_URL_LENGTH;
+
+  for (const { segment } of graphemes.segment(text.replace(URL_PATTERN, ''))) {
+    if (EMOJI_PATTERN.test(segment)) {
+      length += 2;
+      continue;
+    }
+    for (const character of segment) {
+      const codePoint = character.codePointAt(0);
+      length += TWITTER_LIGHT_RANGES.some(([from, to]) => codePoint >= from && codePoint <= to) ? 1 : 2;
+    }
+  }
+
+  return length;
+}
+
+// Media kind of a URL, from its file extension
+function mediaKindOf(url) {
+  const extension = String(url).split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return Object.keys(MEDIA_EXTENSIONS).find(kind => MEDIA_EXTENSIONS[kind].includes(extension)) || 'document';
+}
+
+// Describe a stored media file for checking
+function describeFile(file) {
+  const metadata = file.metadata || {};
+  return {
+    name: file.original_name || file.filename,
+    kind: file.file_type,
+    bytes: file.file_size,
+    width: metadata.width,
+    height: metadata.height,
+    duration: metadata.duration
+  };
+}
+
+// The rules of one platform and content type, with the content type's own
+// media limits on top of the platform's
+function rulesFor(platform, contentType) {
+  const rules = PLATFORM_RULES[platform];
+  const typeRules = rules.contentTypes[contentType];
+
+  if (!typeRules) {
+    return null;
+  }
+
+  return {
+    ...rules,
+    media: typeRules.media,
+    image: { ...rules.image, ...typeRules.image },
+    video: { ...rules.video, ...typeRules.video },
+    document: { ...rules.document, ...typeRules.document }
+  };
+}
+
+const formatBytes = (bytes) => bytes >= GB ? `${bytes / GB} GB` : `${bytes / MB} MB`;
+const formatSeconds = (seconds) => seconds >= 60 && seconds % 60 === 0 ? `${seconds / 60} minutes` : `${seconds} seconds`;
+const formatAspect = (aspect) => aspect.toFixed(2).replace(/\.?0+$/, '');
+
+// Checks on one media file; adds to `issues`
+function checkMediaFile(file, rules, issues) {
+  const limits = rules[file.kind] || {};
+  const label = file.name ? `"${file.name}"` : `This ${file.kind}`;
+  const { name } = rules;
+
+  if (limits.maxBytes && file.bytes > limits.maxBytes) {
+    issues.error('media', 'file_too_large', `${label} is larger than the ${formatBytes(limits.maxBytes)} ${name} allows for ${file.kind} files`, {
+      file: file.name, limit: limits.maxBytes, actual: file.bytes
+    });
+  }
+
+  if (file.kind === 'video' && typeof file.duration === 'number') {
+    if (limits.minSeconds && file.duration < limits.minSeconds) {
+      issues.error('media', 'video_too_short', `${label} is shorter than the ${formatSeconds(limits.minSeconds)} ${name} needs`, {
+        file: file.name, limit: limits.minSeconds, actual: file.duration
+      });
+    }
+    if (limits.maxSeconds && file.duration > limits.maxSeconds) {
+      issues.error('media', 'video_too_long', `${label} is longer than the ${formatSeconds(limits.maxSeconds)} ${name} allows here`, {
+        file: file.name, limit: limits.maxSeconds, actual: file.duration
+      });
+    }
+  }
+
+  if (!file.width || !file.height) {
+    return;
+  }
+
+  const aspect = file.width / file.height;
+
+  if ((limits.minAspect && aspect < limits.minAspect - 0.01) || (limits.maxAspect && aspect > limits.maxAspect + 0.01)) {
+    issues.error('media', 'aspect_ratio_not_supported', `${label} is ${file.width}x${file.height}; ${name} takes aspect ratios from ${formatAspect(limits.minAspect)} to ${formatAspect(limits.maxAspect)}`, {
+      file: file.name, actual: Number(aspect.toFixed(3))
+    });
+  } else if (limits.recommendedAspect && Math.abs(aspect - limits.recommendedAspect) > 0.05) {
+    issues.warning('media', 'aspect_ratio_not_recommended', `${label} is ${file.width}x${file.height}; ${name} shows ${file.kind}s best at 9:16 (vertical)`, {
+      file: file.name, actual: Number(aspect.toFixed(3))
+    });
+  }
+
+  if (limits.maxPixels && file.width * file.height > limits.maxPixels) {
+    issues.error('media', 'image_too_large', `${label} has more than the ${Math.floor(limits.maxPixels / 1e6)} megapixels ${name} allows`, {
+      file: file.name, limit: limits.maxPixels, actual: file.width * file.height
+    });
+  }
+}
+
+/**
+ * Check an item against its platform's rules for its content type.
+ *
+ * @param {string} platform
+ * @param {Object} item - Content item columns: title, description, caption,
+ *   hashtags, content_type and media_urls
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.files] - Media files attached to the item (media_files rows)
+ * @param {Array<Object>} [options.media] - Media not uploaded yet: { kind, bytes, width, height, duration, name }
+ * @param {boolean} [options.requireMedia] - Whether missing media is an error
+ *   (when scheduling) or only a warning (for a draft whose media comes later)
+ * @returns {{ errors: Array<Object>, warnings: Array<Object> }} Each issue has a
+ *   `field`, a machine-readable `code` and a `message`, and for limits the
+ *   `limit` and `actual` values
+ */
+function checkPlatformRules(platform, item, { files = [], media = [], requireMedia = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const issues = {
+    error: (field, code, message, details = {}) => errors.push({ field, code, message, ...details }),
+    warning: (field, code, message, details = {}) => warnings.push({ field, code, message, ...details })
+  };
+
+  if (!PLATFORM_RULES[platform]) {
+    issues.error('platform', 'unsupported_platform', `${platform} is not a supported platform`);
+    return { errors, warnings };
+  }
+
+  const rules = rulesFor(platform, item.content_type);
+  const { name } = PLATFORM_RULES[platform];
+
+  if (!rules) {
+    const supported = Object.keys(PLATFORM_RULES[platform].contentTypes);
+    issues.error('content_type', 'content_type_not_supported', `${name} does not take the ${item.content_type} content type; use ${supported.join(', ')}`);
+    return { errors, warnings };
+  }
+
+  // The caption as the adapters post it
+  const caption = PlatformAdapter.prototype.buildCaption(item) || '';
+  const captionLength = countCharacters(caption, { weighted: rules.weighted });
+
+  if (captionLength > rules.caption.max) {
+    issues.error('caption', 'caption_too_long', `${name} captions can be at most ${rules.caption.max} characters including hashtags; this one is ${captionLength}`, {
+      limit: rules.caption.max, actual: captionLength
+    });
+  } else if (rules.caption.visible && countCharacters(item.caption || '') > rules.caption.visible) {
+    issues.warning('caption', 'caption_truncated', `${name} shows the first ${rules.caption.visible} characters of a caption before "more"; put the hook first`, {
+      limit: rules.caption.visible
+    });
+  }
+
+  if (rules.title) {
+    const titleLength = countCharacters(item.title || '');
+    if (titleLength > rules.title.max) {
+      issues.error('title', 'title_too_long', `${name} titles can be at most ${rules.title.max} characters; this one is ${titleLength}`, {
+        limit: rules.title.max, actual: titleLength
+      });
+    }
+  }
+
+  if (rules.forbidden && [item.title, caption].some(text => text && rules.forbidden.test(text))) {
+    issues.error('caption', 'invalid_characters', `${name} does not allow < or > in titles and descriptions`);
+  }
+
+  const hashtags = new Set([
+    ...(item.hashtags || []).map(tag => tag.replace(/^#/, '').toLowerCase()),
+    ...[...(item.caption || '').matchAll(HASHTAG_PATTERN)].map(match => match[1].toLowerCase())
+  ]);
+
+  if (rules.hashtags?.max && hashtags.size > rules.hashtags.max) {
+    issues.error('hashtags', 'too_many_hashtags', `${name} allows at most ${rules.hashtags.max} hashtags; this item has ${hashtags.size}`, {
+      limit: rules.hashtags.max, actual: hashtags.size
+    });
+  } else if (rules.hashtags?.recommended && hashtags.size > rules.hashtags.recommended) {
+    issues.warning('hashtags', 'many_hashtags', `${name} posts do best with at most ${rules.hashtags.recommended} hashtags; this item has ${hashtags.size}`, {
+      limit: rules.hashtags.recommended, actual: hashtags.size
+    });
+  }
+
+  const mentions = new Set([...(item.caption || '').matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()));
+
+  if (rules.mentions?.max && mentions.size > rules.mentions.max) {
+    issues.error('caption', 'too_many_mentions', `${name} allows at most ${rules.mentions.max} @mentions; this caption has ${mentions.size}`, {
+      limit: rules.mentions.max, actual: mentions.size
+    });
+  }
+
+  const allMedia = [
+    ...files.map(describeFile),
+    ...(item.media_urls || []).map(url => ({ name: url, kind: mediaKindOf(url) })),
+    ...media
+  ];
+
+  const unsupported = [...new Set(allMedia.map(file => file.kind).filter(kind => !rules.media.kinds.includes(kind)))];
+  if (unsupported.length > 0) {
+    issues.error('media', 'media_type_not_supported', `${name} ${item.content_type} posts take ${rules.media.kinds.join(' or ')} media, not ${unsupported.join(' or ')}`);
+  }
+
+  if (allMedia.length < rules.media.min) {
+    issues[requireMedia ? 'error' : 'warning']('media', 'media_required', `${name} ${item.content_type} posts need at least ${rules.media.min} ${rules.media.kinds.join(' or ')} file(s)`, {
+      limit: rules.media.min, actual: allMedia.length
+    });
+  }
+
+  if (allMedia.length > rules.media.max) {
+    issues.error('media', 'too_much_media', `${name} ${item.content_type} posts can have at most ${rules.media.max} media file(s); this item has ${allMedia.length}`, {
+      limit: rules.media.max, actual: allMedia.length
+    });
+  }
+
+  if (rules.singleVideo && allMedia.length > 1 && allMedia.some(file => file.kind === 'video')) {
+    issues.error('media', 'video_not_alone', `A ${name} video has to be posted on its own, without other media`);
+  }
+
+  for (const file of allMedia) {
+    checkMediaFile(file, rules, issues);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Check a saved content item, with the media files attached to it, against
+ * its platform's rules.
+ *
+ * @param {Object} item - A content_items row
+ * @param {Object} [options] - media and requireMedia, as for checkPlatformRules
+ * @returns {Promise<{ errors: Array<Object>, warnings: Array<Object> }>}
+ */
+async function validateContentItem(item, options = {}) {
+  const { data: files, error } = await supabaseAdmin
+    .from('media_files')
+    .select('*')
+    .eq('content_item_id', item.id);
+
+  if (error) {
+    throw error;
+  }
+
+  return checkPlatformRules(item.platform, item, { ...options, files });
+}
+
+module.exports = {
+  PLATFORM_ERRORS,
+  countCharacters,
+  checkPlatformRules,
+  validateContentItem
+};
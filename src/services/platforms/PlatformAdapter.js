@@ -0,0 +1,173 @@
+// Base contract for social platform integrations.
+//
+// Each supported platform extends PlatformAdapter and overrides the steps it
+// supports. Everything that talks to a platform API (OAuth connect, account
+// sync, token refresh, publishing and metrics) goes through an adapter from
+// ./index.js, so tests can swap in the MockAdapter.
+//
+// `account` arguments are social_accounts rows with usable (decrypted)
+// `access_token` / `refresh_token` values.
+
+const crypto = require('crypto');
+
+class PlatformError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.platform]
+   * @param {number} [options.status] - HTTP status returned by the platform
+   * @param {boolean} [options.retryable] - Whether retrying later may succeed
+   * @param {*} [options.details] - Raw platform error payload
+   */
+  constructor(message, { platform, status, retryable = false, details } = {}) {
+    super(message);
+    this.name = 'PlatformError';
+    this.platform = platform;
+    this.status = status;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+class PlatformAdapter {
+  constructor(platform) {
+    this.platform = platform;
+    // Whether the OAuth flow uses a PKCE code verifier
+    this.supportsPkce = false;
+  }
+
+  // Whether the app credentials for this platform are present
+  isConfigured() {
+    return false;
+  }
+
+  // OAuth callback URL registered with the platform
+  getRedirectUri() {
+    const baseUrl = process.env.API_BASE_URL || 'http://localhost:3001';
+    return `${baseUrl}/api/social/callback/${this.platform}`;
+  }
+
+  /**
+   * Build the URL that starts the OAuth flow, or null if not configured.
+   * @param {{ state: string, codeChallenge?: string }} params
+   */
+  getAuthorizationUrl(params) {
+    return null;
+  }
+
+  // PKCE code challenge for a verifier (RFC 7636 S256)
+  createCodeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  }
+
+  /**
+   * Exchange an authorization code for tokens.
+   * @returns {Promise<{ access_token: string, refresh_token?: string, expires_at?: string }>}
+   */
+  async exchangeCode({ code, codeVerifier }) {
+    throw this.notSupported('exchangeCode');
+  }
+
+  /**
+   * Fetch the connected account's profile.
+   * @returns {Promise<{ id: string, username: string, display_name: string }>}
+   */
+  async getProfile(accessToken) {
+    throw this.notSupported('getProfile');
+  }
+
+  /**
+   * Publish a content item.
+   * @param {{ item: Object, account: Object, media: Object[] }} params
+   * @returns {Promise<{ postId: string, url?: string }>}
+   */
+  async publishPost({ item, account, media }) {
+    throw this.notSupported('publishPost');
+  }
+
+  /**
+   * Upload a media_files row to the platform ahead of publishing.
+   * @returns {Promise<{ mediaId: string }>}
+   */
+  async uploadMedia({ account, file, item }) {
+    throw this.notSupported('uploadMedia');
+  }
+
+  /**
+   * Fetch engagement metrics for a published post.
+   * @returns {Promise<Object>} Metric name to numeric value
+   */
+  async getPostMetrics({ account, postId }) {
+    throw this.notSupported('getPostMetrics');
+  }
+
+  /**
+   * Exchange the account's refresh token for a new access token.
+   * @returns {Promise<{ access_token: string, refresh_token?: string, expires_at?: string }>}
+   */
+  async refreshToken({ account }) {
+    throw this.notSupported('refreshToken');
+  }
+
+  // Revoke the app's access to the account on the platform
+  async revokeAccess({ account }) {
+    throw this.notSupported('revokeAccess');
+  }
+
+  // Helpers for subclasses
+
+  notSupported(operation) {
+    return new PlatformError(`${operation} is not supported for ${this.platform}`, {
+      platform: this.platform,
+      retryable: false
+    });
+  }
+
+  // Refreshing is impossible without a stored refresh token; the owner has to reconnect
+  requireRefreshToken(account) {
+    if (!account.refresh_token) {
+      throw new PlatformError(`No ${this.platform} refresh token stored for this account`, {
+        platform: this.platform,
+        retryable: false
+      });
+    }
+  }
+
+  // Convert an axios error into a PlatformError; 429/5xx/network errors are retryable
+  toPlatformError(error, operation) {
+    if (error instanceof PlatformError) {
+      return error;
+    }
+
+    const status = error.response?.status;
+    const details = error.response?.data;
+    const retryable = !status || status === 429 || status >= 500;
+    const reason = details?.error?.message || details?.error_description || details?.message || error.message;
+
+    return new PlatformError(`${this.platform} ${operation} failed: ${reason}`, {
+      platform: this.platform,
+      status,
+      retryable,
+      details
+    });
+  }
+
+  // Caption followed by the item's hashtags
+  buildCaption(item) {
+    const hashtags = (item.hashtags || []).map(tag => (tag.startsWith('#') ? tag : `#${tag}`));
+    return [item.caption || item.description || item.title, hashtags.join(' ')]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  expiresAt(expiresInSeconds) {
+    return expiresInSeconds
+      ? new Date(Date.now() + expiresInSeconds * 1000).toISOString()
+      : null;
+  }
+}
+
+module.exports = {
+  PlatformAdapter,
+  PlatformError
+};
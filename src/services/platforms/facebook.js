@@ -0,0 +1,109 @@
+const axios = require('axios');
+const MetaAdapter = require('./meta');
+
+class FacebookAdapter extends MetaAdapter {
+  constructor() {
+    super('facebook', 'pages_show_list,pages_read_engagement,pages_manage_posts');
+  }
+
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/me`, {
+        params: {
+          fields: 'id,name,picture',
+          access_token: accessToken
+        }
+      });
+
+      return {
+        id: response.data.id,
+        username: response.data.name,
+        display_name: response.data.name,
+        profile_image: response.data.picture?.data?.url
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getProfile');
+    }
+  }
+
+  // Upload an unpublished photo so it can be attached to a feed post
+  async uploadMedia({ account, file }) {
+    try {
+      const response = await axios.post(`${this.graphUrl}/${account.account_id}/photos`, null, {
+        params: {
+          url: file.public_url,
+          published: false,
+          access_token: account.access_token
+        }
+      });
+      return { mediaId: response.data.id };
+    } catch (error) {
+      throw this.toPlatformError(error, 'uploadMedia');
+    }
+  }
+
+  async publishPost({ item, account, media }) {
+    const message = this.buildCaption(item);
+    const video = media.find(file => file.file_type === 'video');
+
+    try {
+      let response;
+
+      if (video) {
+        response = await axios.post(`${this.graphUrl}/${account.account_id}/videos`, null, {
+          params: {
+            file_url: video.public_url,
+            description: message,
+            access_token: account.access_token
+          }
+        });
+      } else {
+        const images = media.filter(file => file.file_type === 'image');
+        const attachedMedia = [];
+        for (const file of images) {
+          const { mediaId } = await this.uploadMedia({ account, file });
+          attachedMedia.push({ media_fbid: mediaId });
+        }
+
+        response = await axios.post(`${this.graphUrl}/${account.account_id}/feed`, {
+          message,
+          attached_media: attachedMedia.length > 0 ? attachedMedia : undefined
+        }, {
+          params: { access_token: account.access_token }
+        });
+      }
+
+      const postId = response.data.post_id || response.data.id;
+      return { postId, url: `https://www.facebook.com/${postId}` };
+    } catch (error) {
+      throw this.toPlatformError(error, 'publishPost');
+    }
+  }
+
+  async getPostMetrics({ account, postId }) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/${postId}/insights`, {
+        params: {
+          metric: 'post_impressions,post_impressions_unique,post_engaged_users,post_clicks',
+          access_token: account.access_token
+        }
+      });
+
+      const names = {
+        post_impressions: 'impressions',
+        post_impressions_unique: 'reach',
+        post_engaged_users: 'engagements',
+        post_clicks: 'clicks'
+      };
+
+      return response.data.data.reduce((metrics, metric) => {
+        metrics[names[metric.name] || metric.name] = metric.values?.[0]?.value || 0;
+        return metrics;
+      }, {});
+    } catch (error) {
+      throw this.toPlatformError(error, 'getPostMetrics');
+    }
+  }
+}
+
+module.exports = FacebookAdapter;
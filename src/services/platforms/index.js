@@ -0,0 +1,57 @@
+const { PlatformAdapter, PlatformError } = require('./PlatformAdapter');
+const MockAdapter = require('./mock');
+
+// Adapter constructors by platform, loaded on first use
+const adapterModules = {
+  tiktok: './tiktok',
+  instagram: './instagram',
+  youtube: './youtube',
+  linkedin: './linkedin',
+  twitter: './twitter',
+  facebook: './facebook'
+};
+
+const supportedPlatforms = Object.keys(adapterModules);
+
+const adapters = new Map();
+
+/**
+ * Get the adapter for a platform.
+ *
+ * PLATFORM_DRIVER=mock makes every platform use the MockAdapter, which is
+ * handy for running the API locally without platform credentials.
+ */
+function getAdapter(platform) {
+  if (!supportedPlatforms.includes(platform)) {
+    throw new PlatformError(`Unsupported platform: ${platform}`, { platform, retryable: false });
+  }
+
+  if (!adapters.has(platform)) {
+    if (process.env.PLATFORM_DRIVER === 'mock') {
+      adapters.set(platform, new MockAdapter(platform));
+    } else {
+      const Adapter = require(adapterModules[platform]);
+      adapters.set(platform, new Adapter());
+    }
+  }
+
+  return adapters.get(platform);
+}
+
+// Override the adapter for a platform (e.g. with a MockAdapter in tests)
+function setAdapter(platform, adapter) {
+  if (adapter) {
+    adapters.set(platform, adapter);
+  } else {
+    adapters.delete(platform);
+  }
+}
+
+module.exports = {
+  getAdapter,
+  setAdapter,
+  supportedPlatforms,
+  PlatformAdapter,
+  PlatformError,
+  MockAdapter
+};
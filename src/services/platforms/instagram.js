@@ -0,0 +1,126 @@
+const axios = require('axios');
+const MetaAdapter = require('./meta');
+const { PlatformError } = require('./PlatformAdapter');
+
+class InstagramAdapter extends MetaAdapter {
+  constructor() {
+    super('instagram', 'instagram_basic,instagram_content_publish,instagram_manage_insights');
+  }
+
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get('https://graph.instagram.com/me', {
+        params: {
+          fields: 'id,username,account_type,media_count',
+          access_token: accessToken
+        }
+      });
+
+      return {
+        id: response.data.id,
+        username: response.data.username,
+        display_name: response.data.username,
+        account_type: response.data.account_type,
+        media_count: response.data.media_count
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getProfile');
+    }
+  }
+
+  // Create a media container; Instagram fetches the file from its public URL
+  async uploadMedia({ account, file, item, caption, isCarouselItem = false }) {
+    if (!file.public_url) {
+      throw new PlatformError('Instagram requires media with a public URL', { platform: this.platform });
+    }
+
+    const params = { access_token: account.access_token };
+
+    if (file.file_type === 'video') {
+      params.media_type = item?.content_type === 'story' ? 'STORIES' : 'REELS';
+      params.video_url = file.public_url;
+    } else {
+      params.image_url = file.public_url;
+      if (item?.content_type === 'story') params.media_type = 'STORIES';
+    }
+
+    if (isCarouselItem) {
+      params.is_carousel_item = true;
+    } else if (caption) {
+      params.caption = caption;
+    }
+
+    try {
+      const response = await axios.post(`${this.graphUrl}/${account.account_id}/media`, null, { params });
+      return { mediaId: response.data.id };
+    } catch (error) {
+      throw this.toPlatformError(error, 'uploadMedia');
+    }
+  }
+
+  async publishPost({ item, account, media }) {
+    const files = media.filter(file => file.file_type === 'image' || file.file_type === 'video');
+    if (files.length === 0) {
+      throw new PlatformError('Instagram posts require at least one image or video', { platform: this.platform });
+    }
+
+    const caption = this.buildCaption(item);
+
+    try {
+      let containerId;
+
+      if (files.length > 1) {
+        const children = [];
+        for (const file of files.slice(0, 10)) {
+          const { mediaId } = await this.uploadMedia({ account, file, item, isCarouselItem: true });
+          children.push(mediaId);
+        }
+
+        const response = await axios.post(`${this.graphUrl}/${account.account_id}/media`, null, {
+          params: {
+            media_type: 'CAROUSEL',
+            children: children.join(','),
+            caption,
+            access_token: account.access_token
+          }
+        });
+        containerId = response.data.id;
+      } else {
+        ({ mediaId: containerId } = await this.uploadMedia({ account, file: files[0], item, caption }));
+      }
+
+      const published = await axios.post(`${this.graphUrl}/${account.account_id}/media_publish`, null, {
+        params: { creation_id: containerId, access_token: account.access_token }
+      });
+
+      const permalink = await axios.get(`${this.graphUrl}/${published.data.id}`, {
+        params: { fields: 'permalink', access_token: account.access_token }
+      }).then(response => response.data.permalink).catch(() => null);
+
+      return { postId: published.data.id, url: permalink };
+    } catch (error) {
+      throw this.toPlatformError(error, 'publishPost');
+    }
+  }
+
+  async getPostMetrics({ account, postId }) {
+    try {
+      const response = await axios.get(`${this.graphUrl}/${postId}/insights`, {
+        params: {
+          metric: 'impressions,reach,likes,comments,saved,shares',
+          access_token: account.access_token
+        }
+      });
+
+      return response.data.data.reduce((metrics, metric) => {
+        const name = metric.name === 'saved' ? 'saves' : metric.name;
+        metrics[name] = metric.values?.[0]?.value || 0;
+        return metrics;
+      }, {});
+    } catch (error) {
+      throw this.toPlatformError(error, 'getPostMetrics');
+    }
+  }
+}
+
+module.exports = InstagramAdapter;
@@ -0,0 +1,182 @@
+const axios = require('axios');
+const { PlatformAdapter } = require('./PlatformAdapter');
+
+const API_URL = 'https://api.linkedin.com/rest';
+const LINKEDIN_VERSION = '202401';
+
+class LinkedInAdapter extends PlatformAdapter {
+  constructor() {
+    super('linkedin');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.LINKEDIN_CLIENT_ID && process.env.LINKEDIN_CLIENT_SECRET);
+  }
+
+  getAuthorizationUrl({ state }) {
+    if (!process.env.LINKEDIN_CLIENT_ID) return null;
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.LINKEDIN_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: 'openid profile email w_member_social',
+      state
+    });
+
+    return `https://www.linkedin.com/oauth/v2/authorization?${params}`;
+  }
+
+  async exchangeCode({ code }) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      redirect_uri: this.getRedirectUri(),
+      code
+    }, 'exchangeCode');
+  }
+
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get('https://api.linkedin.com/v2/userinfo', {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      return {
+        id: response.data.sub,
+        username: response.data.email || response.data.name,
+        display_name: response.data.name,
+        profile_image: response.data.picture
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getProfile');
+    }
+  }
+
+  async uploadMedia({ account, file }) {
+    try {
+      const initialize = await axios.post(`${API_URL}/images?action=initializeUpload`, {
+        initializeUploadRequest: { owner: this.authorUrn(account) }
+      }, {
+        headers: this.headers(account)
+      });
+
+      const { uploadUrl, image } = initialize.data.value;
+      const source = await axios.get(file.public_url, { responseType: 'stream' });
+      await axios.put(uploadUrl, source.data, {
+        headers: { Authorization: `Bearer ${account.access_token}` },
+        maxBodyLength: Infinity
+      });
+
+      return { mediaId: image };
+    } catch (error) {
+      throw this.toPlatformError(error, 'uploadMedia');
+    }
+  }
+
+  async publishPost({ item, account, media }) {
+    try {
+      const images = media.filter(file => file.file_type === 'image');
+      const imageUrns = [];
+      for (const file of images) {
+        const { mediaId } = await this.uploadMedia({ account, file });
+        imageUrns.push(mediaId);
+      }
+
+      const post = {
+        author: this.authorUrn(account),
+        commentary: this.buildCaption(item),
+        visibility: 'PUBLIC',
+        distribution: {
+          feedDistribution: 'MAIN_FEED',
+          targetEntities: [],
+          thirdPartyDistributionChannels: []
+        },
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false
+      };
+
+      if (imageUrns.length === 1) {
+        post.content = { media: { id: imageUrns[0] } };
+      } else if (imageUrns.length > 1) {
+        post.content = { multiImage: { images: imageUrns.map(id => ({ id })) } };
+      }
+
+      const response = await axios.post(`${API_URL}/posts`, post, {
+        headers: this.headers(account)
+      });
+
+      const postId = response.headers['x-restli-id'];
+      return { postId, url: `https://www.linkedin.com/feed/update/${postId}` };
+    } catch (error) {
+      throw this.toPlatformError(error, 'publishPost');
+    }
+  }
+
+  async getPostMetrics({ account, postId }) {
+    try {
+      const response = await axios.get(`${API_URL}/socialActions/${encodeURIComponent(postId)}`, {
+        headers: this.headers(account)
+      });
+
+      return {
+        likes: response.data.likesSummary?.totalLikes || 0,
+        comments: response.data.commentsSummary?.aggregatedTotalComments || 0
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getPostMetrics');
+    }
+  }
+
+  async refreshToken({ account }) {
+    this.requireRefreshToken(account);
+
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: account.refresh_token
+    }, 'refreshToken');
+  }
+
+  async revokeAccess({ account }) {
+    try {
+      await axios.post('https://www.linkedin.com/oauth/v2/revoke', new URLSearchParams({
+        client_id: process.env.LINKEDIN_CLIENT_ID,
+        client_secret: process.env.LINKEDIN_CLIENT_SECRET,
+        token: account.access_token
+      }));
+    } catch (error) {
+      throw this.toPlatformError(error, 'revokeAccess');
+    }
+  }
+
+  async requestToken(params, operation) {
+    try {
+      const response = await axios.post('https://www.linkedin.com/oauth/v2/accessToken', new URLSearchParams({
+        client_id: process.env.LINKEDIN_CLIENT_ID,
+        client_secret: process.env.LINKEDIN_CLIENT_SECRET,
+        ...params
+      }));
+
+      return {
+        access_token: response.data.access_token,
+        refresh_token: response.data.refresh_token,
+        expires_at: this.expiresAt(response.data.expires_in)
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, operation);
+    }
+  }
+
+  authorUrn(account) {
+    return `urn:li:person:${account.account_id}`;
+  }
+
+  headers(account) {
+    return {
+      Authorization: `Bearer ${account.access_token}`,
+      'LinkedIn-Version': LINKEDIN_VERSION,
+      'X-Restli-Protocol-Version': '2.0.0'
+    };
+  }
+}
+
+module.exports = LinkedInAdapter;
@@ -0,0 +1,86 @@
+const axios = require('axios');
+const { PlatformAdapter } = require('./PlatformAdapter');
+
+const GRAPH_URL = 'https://graph.facebook.com/v18.0';
+
+// Shared OAuth and token handling for Instagram and Facebook (Meta Graph API)
+class MetaAdapter extends PlatformAdapter {
+  constructor(platform, scope) {
+    super(platform);
+    this.scope = scope;
+    this.graphUrl = GRAPH_URL;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.META_APP_ID && process.env.META_APP_SECRET);
+  }
+
+  getAuthorizationUrl({ state }) {
+    if (!process.env.META_APP_ID) return null;
+
+    const params = new URLSearchParams({
+      client_id: process.env.META_APP_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: this.scope,
+      response_type: 'code',
+      state
+    });
+
+    return `https://www.facebook.com/v18.0/dialog/oauth?${params}`;
+  }
+
+  async exchangeCode({ code }) {
+    try {
+      const response = await axios.get(`${GRAPH_URL}/oauth/access_token`, {
+        params: {
+          client_id: process.env.META_APP_ID,
+          client_secret: process.env.META_APP_SECRET,
+          redirect_uri: this.getRedirectUri(),
+          code
+        }
+      });
+
+      // Swap the short-lived token for a long-lived one (~60 days)
+      return this.exchangeForLongLivedToken(response.data.access_token);
+    } catch (error) {
+      throw this.toPlatformError(error, 'exchangeCode');
+    }
+  }
+
+  // Long-lived tokens are refreshed by exchanging the current token again
+  async refreshToken({ account }) {
+    try {
+      return await this.exchangeForLongLivedToken(account.access_token);
+    } catch (error) {
+      throw this.toPlatformError(error, 'refreshToken');
+    }
+  }
+
+  async revokeAccess({ account }) {
+    try {
+      await axios.delete(`${GRAPH_URL}/me/permissions`, {
+        params: { access_token: account.access_token }
+      });
+    } catch (error) {
+      throw this.toPlatformError(error, 'revokeAccess');
+    }
+  }
+
+  async exchangeForLongLivedToken(accessToken) {
+    const response = await axios.get(`${GRAPH_URL}/oauth/access_token`, {
+      params: {
+        grant_type: 'fb_exchange_token',
+        client_id: process.env.META_APP_ID,
+        client_secret: process.env.META_APP_SECRET,
+        fb_exchange_token: accessToken
+      }
+    });
+
+    return {
+      access_token: response.data.access_token,
+      expires_at: this.expiresAt(response.data.expires_in)
+    };
+  }
+}
+
+module.exports = MetaAdapter;
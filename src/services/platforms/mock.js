@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { PlatformAdapter, PlatformError } = require('./PlatformAdapter');
+
+// Deterministic adapter for local runs and tests.
+//
+// Never touches the network. IDs and tokens are derived from a per-adapter
+// sequence, every call is recorded in `calls`, and failures can be queued
+// with failNext(). The OAuth URL points straight back at the callback with a
+// fixed code, so the connect flow can be exercised end to end.
+class MockAdapter extends PlatformAdapter {
+  constructor(platform) {
+    super(platform);
+    // Mirror the real adapters so the PKCE path is exercised too
+    this.supportsPkce = ['twitter', 'tiktok'].includes(platform);
+    this.reset();
+  }
+
+  // Clear recorded calls, queued failures and stored metrics
+  reset() {
+    this.sequence = 0;
+    this.calls = [];
+    this.failures = [];
+    this.metrics = new Map();
+    this.profile = null;
+  }
+
+  /**
+   * Make the next call to `operation` throw.
+   * @param {string} operation - Method name, e.g. 'publishPost'
+   * @param {Error|Object} [error] - Error to throw, or PlatformError options
+   */
+  failNext(operation, error = {}) {
+    const failure = error instanceof Error
+      ? error
+      : new PlatformError(error.message || `mock ${operation} failure`, {
+        platform: this.platform,
+        retryable: error.retryable !== undefined ? error.retryable : true,
+        status: error.status
+      });
+    this.failures.push({ operation, error: failure });
+    return this;
+  }
+
+  // Metrics returned by getPostMetrics for a post
+  setMetrics(postId, metrics) {
+    this.metrics.set(postId, metrics);
+    return this;
+  }
+
+  // Profile returned by getProfile
+  setProfile(profile) {
+    this.profile = profile;
+    return this;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getAuthorizationUrl({ state, codeChallenge }) {
+    const params = new URLSearchParams({ code: 'mock_code', state });
+    if (codeChallenge) params.set('code_challenge', codeChallenge);
+    return `${this.getRedirectUri()}?${params}`;
+  }
+
+  async exchangeCode(params) {
+    this.record('exchangeCode', params);
+    return this.issueTokens();
+  }
+
+  async getProfile(accessToken) {
+    this.record('getProfile', { accessToken });
+    return this.profile || {
+      id: `mock_${this.platform}_account`,
+      username: `mock_${this.platform}_user`,
+      display_name: `Mock ${this.platform} user`,
+      followers_count: 1000,
+      verified: false
+    };
+  }
+
+  async uploadMedia(params) {
+    this.record('uploadMedia', params);
+    return { mediaId: `mock_${this.platform}_media_${this.nextId()}` };
+  }
+
+  async publishPost(params) {
+    this.record('publishPost', params);
+    const postId = `mock_${this.platform}_post_${this.nextId()}`;
+    return { postId, url: `https://mock.social/${this.platform}/${postId}` };
+  }
+
+  async getPostMetrics(params) {
+    this.record('getPostMetrics', params);
+    return this.metrics.get(params.postId) || this.defaultMetrics(params.postId);
+  }
+
+  async refreshToken(params) {
+    this.record('refreshToken', params);
+    return this.issueTokens();
+  }
+
+  async revokeAccess(params) {
+    this.record('revokeAccess', params);
+  }
+
+  // Internal helpers
+
+  record(operation, params) {
+    this.calls.push({ operation, params });
+
+    const index = this.failures.findIndex(failure => failure.operation === operation);
+    if (index !== -1) {
+      const [{ error }] = this.failures.splice(index, 1);
+      throw error;
+    }
+  }
+
+  nextId() {
+    this.sequence += 1;
+    return this.sequence;
+  }
+
+  issueTokens() {
+    const id = this.nextId();
+    return {
+      access_token: `mock_${this.platform}_access_${id}`,
+      refresh_token: `mock_${this.platform}_refresh_${id}`,
+      expires_at: this.expiresAt(3600)
+    };
+  }
+
+  // Stable pseudo-metrics derived from the post ID
+  defaultMetrics(postId) {
+    const seed = crypto.createHash('sha256').update(String(postId)).digest();
+    return {
+      views: seed.readUInt16BE(0) * 10,
+      likes: seed.readUInt16BE(2),
+      comments: seed.readUInt8(4),
+      shares: seed.readUInt8(5),
+      saves: seed.readUInt8(6)
+    };
+  }
+}
+
+module.exports = MockAdapter;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { PlatformAdapter, PlatformError } = require('./PlatformAdapter');
+
+const API_URL = 'https://open.tiktokapis.com/v2';
+
+class TikTokAdapter extends PlatformAdapter {
+  constructor() {
+    super('tiktok');
+    this.supportsPkce = true;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.TIKTOK_CLIENT_KEY && process.env.TIKTOK_CLIENT_SECRET);
+  }
+
+  // TikTok expects the S256 challenge hex encoded rather than base64url
+  createCodeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('hex');
+  }
+
+  getAuthorizationUrl({ state, codeChallenge }) {
+    if (!process.env.TIKTOK_CLIENT_KEY) return null;
+
+    const params = new URLSearchParams({
+      client_key: process.env.TIKTOK_CLIENT_KEY,
+      response_type: 'code',
+      scope: 'user.info.basic,video.list,video.publish',
+      redirect_uri: this.getRedirectUri(),
+      state
+    });
+
+    if (codeChallenge) {
+      params.set('code_challenge', codeChallenge);
+      params.set('code_challenge_method', 'S256');
+    }
+
+    return `https://www.tiktok.com/v2/auth/authorize/?${params}`;
+  }
+
+  async exchangeCode({ code, codeVerifier }) {
+    return this.requestToken({
+      code,
+      grant_type: 'authorization_code',
+      redirect_uri: this.getRedirectUri(),
+      ...(codeVerifier && { code_verifier: codeVerifier })
+    }, 'exchangeCode');
+  }
+
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get(`${API_URL}/user/info/`, {
+        params: { fields: 'open_id,username,display_name,avatar_url,follower_count,is_verified' },
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      const user = response.data.data.user;
+      return {
+        id: user.open_id,
+        username: user.username,
+        display_name: user.display_name,
+        followers_count: user.follower_count,
+        profile_image: user.avatar_url,
+        verified: user.is_verified
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getProfile');
+    }
+  }
+
+  // TikTok pulls media from a public URL, so there is nothing to upload ahead of time
+  async uploadMedia({ file }) {
+    if (!file.public_url) {
+      throw new PlatformError('TikTok requires media with a public URL', { platform: this.platform });
+    }
+    return { mediaId: file.public_url };
+  }
+
+  async publishPost({ item, account, media }) {
+    const video = media.find(file => file.file_type === 'video');
+    if (!video) {
+      throw new PlatformError('TikTok posts require a video', { platform: this.platform });
+    }
+
+    try {
+      const { mediaId: videoUrl } = await this.uploadMedia({ account, file: video, item });
+      const response = await axios.post(`${API_URL}/post/publish/video/init/`, {
+        post_info: {
+          title: this.buildCaption(item).slice(0, 2200),
+          privacy_level: 'PUBLIC_TO_EVERYONE'
+        },
+        source_info: {
+          source: 'PULL_FROM_URL',
+          video_url: videoUrl
+        }
+      }, {
+        headers: { Authorization: `Bearer ${account.access_token}` }
+      });
+
+      return { postId: response.data.data.publish_id };
+    } catch (error) {
+      throw this.toPlatformError(error, 'publishPost');
+    }
+  }
+
+  async getPostMetrics({ account, postId }) {
+    try {
+      const response = await axios.post(`${API_URL}/video/query/`, {
+        filters: { video_ids: [postId] }
+      }, {
+        params: { fields: 'id,view_count,like_count,comment_count,share_count' },
+        headers: { Authorization: `Bearer ${account.access_token}` }
+      });
+
+      const video = response.data.data.videos[0] || {};
+      return {
+        views: video.view_count || 0,
+        likes: video.like_count || 0,
+        comments: video.comment_count || 0,
+        shares: video.share_count || 0
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getPostMetrics');
+    }
+  }
+
+  async refreshToken({ account }) {
+    this.requireRefreshToken(account);
+
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: account.refresh_token
+    }, 'refreshToken');
+  }
+
+  async revokeAccess({ account }) {
+    try {
+      await axios.post(`${API_URL}/oauth/revoke/`, new URLSearchParams({
+        client_key: process.env.TIKTOK_CLIENT_KEY,
+        client_secret: process.env.TIKTOK_CLIENT_SECRET,
+        token: account.access_token
+      }));
+    } catch (error) {
+      throw this.toPlatformError(error, 'revokeAccess');
+    }
+  }
+
+  async requestToken(params, operation) {
+    try {
+      const response = await axios.post(`${API_URL}/oauth/token/`, new URLSearchParams({
+        client_key: process.env.TIKTOK_CLIENT_KEY,
+        client_secret: process.env.TIKTOK_CLIENT_SECRET,
+        ...params
+      }));
+
+      return {
+        access_token: response.data.access_token,
+        refresh_token: response.data.refresh_token,
+        expires_at: this.expiresAt(response.data.expires_in)
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, operation);
+    }
+  }
+}
+
+module.exports = TikTokAdapter;
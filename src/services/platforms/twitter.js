@@ -0,0 +1,175 @@
+const axios = require('axios');
+const { PlatformAdapter } = require('./PlatformAdapter');
+
+const API_URL = 'https://api.twitter.com/2';
+
+class TwitterAdapter extends PlatformAdapter {
+  constructor() {
+    super('twitter');
+    this.supportsPkce = true;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.TWITTER_CLIENT_ID);
+  }
+
+  // Twitter OAuth 2.0 requires PKCE, so a code challenge must be supplied
+  getAuthorizationUrl({ state, codeChallenge }) {
+    if (!process.env.TWITTER_CLIENT_ID || !codeChallenge) return null;
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.TWITTER_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: 'tweet.read tweet.write users.read media.write offline.access',
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return `https://twitter.com/i/oauth2/authorize?${params}`;
+  }
+
+  async exchangeCode({ code, codeVerifier }) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      redirect_uri: this.getRedirectUri(),
+      code_verifier: codeVerifier,
+      code
+    }, 'exchangeCode');
+  }
+
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get(`${API_URL}/users/me`, {
+        params: { 'user.fields': 'public_metrics,profile_image_url,verified' },
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      const user = response.data.data;
+      return {
+        id: user.id,
+        username: user.username,
+        display_name: user.name,
+        followers_count: user.public_metrics?.followers_count,
+        profile_image: user.profile_image_url,
+        verified: user.verified
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getProfile');
+    }
+  }
+
+  async uploadMedia({ account, file }) {
+    try {
+      const source = await axios.get(file.public_url, { responseType: 'arraybuffer' });
+      const form = new FormData();
+      form.append('media', new Blob([source.data], { type: file.mime_type }), file.original_name);
+      form.append('media_category', file.file_type === 'video' ? 'tweet_video' : 'tweet_image');
+
+      const response = await axios.post(`${API_URL}/media/upload`, form, {
+        headers: { Authorization: `Bearer ${account.access_token}` },
+        maxBodyLength: Infinity
+      });
+
+      return { mediaId: response.data.data?.id || response.data.media_id_string };
+    } catch (error) {
+      throw this.toPlatformError(error, 'uploadMedia');
+    }
+  }
+
+  async publishPost({ item, account, media }) {
+    try {
+      const mediaIds = [];
+      for (const file of media.slice(0, 4)) {
+        const { mediaId } = await this.uploadMedia({ account, file });
+        mediaIds.push(mediaId);
+      }
+
+      const response = await axios.post(`${API_URL}/tweets`, {
+        text: this.buildCaption(item),
+        media: mediaIds.length > 0 ? { media_ids: mediaIds } : undefined
+      }, {
+        headers: { Authorization: `Bearer ${account.access_token}` }
+      });
+
+      const postId = response.data.data.id;
+      return { postId, url: `https://twitter.com/${account.username}/status/${postId}` };
+    } catch (error) {
+      throw this.toPlatformError(error, 'publishPost');
+    }
+  }
+
+  async getPostMetrics({ account, postId }) {
+    try {
+      const response = await axios.get(`${API_URL}/tweets/${postId}`, {
+        params: { 'tweet.fields': 'public_metrics' },
+        headers: { Authorization: `Bearer ${account.access_token}` }
+      });
+
+      const metrics = response.data.data.public_metrics || {};
+      return {
+        views: metrics.impression_count || 0,
+        likes: metrics.like_count || 0,
+        comments: metrics.reply_count || 0,
+        shares: (metrics.retweet_count || 0) + (metrics.quote_count || 0),
+        saves: metrics.bookmark_count || 0
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getPostMetrics');
+    }
+  }
+
+  async refreshToken({ account }) {
+    this.requireRefreshToken(account);
+
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: account.refresh_token
+    }, 'refreshToken');
+  }
+
+  async revokeAccess({ account }) {
+    try {
+      await axios.post(`${API_URL}/oauth2/revoke`, new URLSearchParams({
+        token: account.access_token,
+        token_type_hint: 'access_token',
+        client_id: process.env.TWITTER_CLIENT_ID
+      }), {
+        auth: this.clientAuth()
+      });
+    } catch (error) {
+      throw this.toPlatformError(error, 'revokeAccess');
+    }
+  }
+
+  async requestToken(params, operation) {
+    try {
+      const response = await axios.post(`${API_URL}/oauth2/token`, new URLSearchParams({
+        client_id: process.env.TWITTER_CLIENT_ID,
+        ...params
+      }), {
+        auth: this.clientAuth()
+      });
+
+      return {
+        access_token: response.data.access_token,
+        refresh_token: response.data.refresh_token,
+        expires_at: this.expiresAt(response.data.expires_in)
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, operation);
+    }
+  }
+
+  // Confidential clients authenticate with HTTP Basic; public clients send only client_id
+  clientAuth() {
+    if (!process.env.TWITTER_CLIENT_SECRET) return undefined;
+    return {
+      username: process.env.TWITTER_CLIENT_ID,
+      password: process.env.TWITTER_CLIENT_SECRET
+    };
+  }
+}
+
+module.exports = TwitterAdapter;
@@ -0,0 +1,180 @@
+const axios = require('axios');
+const { PlatformAdapter, PlatformError } = require('./PlatformAdapter');
+
+const API_URL = 'https://www.googleapis.com/youtube/v3';
+const UPLOAD_URL = 'https://www.googleapis.com/upload/youtube/v3/videos';
+
+class YouTubeAdapter extends PlatformAdapter {
+  constructor() {
+    super('youtube');
+  }
+
+  isConfigured() {
+    return Boolean(process.env.YOUTUBE_CLIENT_ID && process.env.YOUTUBE_CLIENT_SECRET);
+  }
+
+  getAuthorizationUrl({ state }) {
+    if (!process.env.YOUTUBE_CLIENT_ID) return null;
+
+    const params = new URLSearchParams({
+      client_id: process.env.YOUTUBE_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: [
+        'https://www.googleapis.com/auth/youtube.readonly',
+        'https://www.googleapis.com/auth/youtube.upload'
+      ].join(' '),
+      response_type: 'code',
+      access_type: 'offline',
+      prompt: 'consent',
+      state
+    });
+
+    return `https://accounts.google.com/o/oauth2/v2/auth?${params}`;
+  }
+
+  async exchangeCode({ code }) {
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      redirect_uri: this.getRedirectUri(),
+      code
+    }, 'exchangeCode');
+  }
+
+  async getProfile(accessToken) {
+    try {
+      const response = await axios.get(`${API_URL}/channels`, {
+        params: { part: 'snippet,statistics,status', mine: true },
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      const channel = response.data.items[0];
+      return {
+        id: channel.id,
+        username: channel.snippet.customUrl || channel.snippet.title,
+        display_name: channel.snippet.title,
+        followers_count: parseInt(channel.statistics.subscriberCount),
+        profile_image: channel.snippet.thumbnails.default.url,
+        verified: channel.status?.isLinked
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getProfile');
+    }
+  }
+
+  // Resumable upload: create the upload session, then stream the file into it
+  async uploadMedia({ account, file, item }) {
+    if (!file.public_url) {
+      throw new PlatformError('YouTube uploads require media with a public URL', { platform: this.platform });
+    }
+
+    try {
+      const session = await axios.post(UPLOAD_URL, {
+        snippet: {
+          title: (item?.title || file.original_name).slice(0, 100),
+          description: item ? this.buildCaption(item).slice(0, 5000) : '',
+          tags: (item?.hashtags || []).map(tag => tag.replace(/^#/, ''))
+        },
+        status: {
+          privacyStatus: 'public',
+          selfDeclaredMadeForKids: false
+        }
+      }, {
+        params: { uploadType: 'resumable', part: 'snippet,status' },
+        headers: {
+          Authorization: `Bearer ${account.access_token}`,
+          'X-Upload-Content-Type': file.mime_type,
+          'X-Upload-Content-Length': file.file_size
+        }
+      });
+
+      const source = await axios.get(file.public_url, { responseType: 'stream' });
+      const upload = await axios.put(session.headers.location, source.data, {
+        headers: {
+          'Content-Type': file.mime_type,
+          'Content-Length': file.file_size
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      return { mediaId: upload.data.id };
+    } catch (error) {
+      throw this.toPlatformError(error, 'uploadMedia');
+    }
+  }
+
+  // Uploading the video is what publishes it on YouTube
+  async publishPost({ item, account, media }) {
+    const video = media.find(file => file.file_type === 'video');
+    if (!video) {
+      throw new PlatformError('YouTube posts require a video', { platform: this.platform });
+    }
+
+    const { mediaId } = await this.uploadMedia({ account, file: video, item });
+    return {
+      postId: mediaId,
+      url: `https://www.youtube.com/watch?v=${mediaId}`
+    };
+  }
+
+  async getPostMetrics({ account, postId }) {
+    try {
+      const response = await axios.get(`${API_URL}/videos`, {
+        params: { part: 'statistics', id: postId },
+        headers: { Authorization: `Bearer ${account.access_token}` }
+      });
+
+      const statistics = response.data.items[0]?.statistics || {};
+      return {
+        views: parseInt(statistics.viewCount) || 0,
+        likes: parseInt(statistics.likeCount) || 0,
+        comments: parseInt(statistics.commentCount) || 0,
+        favorites: parseInt(statistics.favoriteCount) || 0
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, 'getPostMetrics');
+    }
+  }
+
+  async refreshToken({ account }) {
+    this.requireRefreshToken(account);
+
+    const tokens = await this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: account.refresh_token
+    }, 'refreshToken');
+
+    // Google only returns a new refresh token when it rotates it
+    return { ...tokens, refresh_token: tokens.refresh_token || account.refresh_token };
+  }
+
+  async revokeAccess({ account }) {
+    try {
+      await axios.post('https://oauth2.googleapis.com/revoke', new URLSearchParams({
+        token: account.refresh_token || account.access_token
+      }));
+    } catch (error) {
+      throw this.toPlatformError(error, 'revokeAccess');
+    }
+  }
+
+  async requestToken(params, operation) {
+    try {
+      const response = await axios.post('https://oauth2.googleapis.com/token', new URLSearchParams({
+        client_id: process.env.YOUTUBE_CLIENT_ID,
+        client_secret: process.env.YOUTUBE_CLIENT_SECRET,
+        ...params
+      }));
+
+      return {
+        access_token: response.data.access_token,
+        refresh_token: response.data.refresh_token,
+        expires_at: this.expiresAt(response.data.expires_in)
+      };
+    } catch (error) {
+      throw this.toPlatformError(error, operation);
+    }
+  }
+}
+
+module.exports = YouTubeAdapter;
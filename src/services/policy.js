@@ -0,0 +1,767 @@
+const { supabaseAdmin } = require('../config/database');
+const { getWorkspaceAccess, hasWorkspaceRole, WORKSPACE_ERRORS } = require('./workspaces');
+const { getLinkedClientIds } = require('./clients');
+
+/*
+ * Permission policy.
+ *
+ * Every permission check asks one question: may this actor perform this
+ * action on this resource? Actions are named `<resource type>:<verb>` and map
+ * to an ordered list of rules. The first rule that applies decides; when none
+ * does, the action is denied. Decisions carry a trace of the rules that were
+ * checked, which explain mode returns to help debug a denial.
+ *
+ * List endpoints still filter their queries themselves (see the scope*Query
+ * helpers in the routers); this module decides access to single resources.
+ */
+
+// Error codes returned as `code` when a permission check fails
+const POLICY_ERRORS = {
+  FORBIDDEN: 'permission_denied',
+  MFA_REQUIRED: WORKSPACE_ERRORS.MFA_REQUIRED,
+  CONTENT_LOCKED: 'content_locked'
+};
+
+// Resource types that can be loaded by ID, with the wording of their 404s
+const RESOURCES = {
+  content: { table: 'content_items', label: 'Content', noun: 'content item' },
+  series: { table: 'content_series', label: 'Series', noun: 'content series' },
+  campaign: { table: 'content_campaigns', label: 'Campaign', noun: 'campaign post' },
+  file: { table: 'media_files', label: 'File', noun: 'file' },
+  folder: { table: 'media_folders', label: 'Folder', noun: 'folder' },
+  collection: { table: 'media_collections', label: 'Collection', noun: 'collection' },
+  hashtag_pack: { table: 'hashtag_packs', label: 'Pack', noun: 'hashtag pack' },
+  social_account: { table: 'social_accounts', label: 'Account', noun: 'social media account' },
+  client: { table: 'clients', label: 'Client', noun: 'client' },
+  workspace: { table: 'workspaces', label: 'Workspace', noun: 'workspace' },
+  user: { table: 'users', label: 'User', noun: 'user' }
+};
+
+const allow = (description, applies) => ({ effect: 'allow', description, applies });
+const deny = (description, applies, code = POLICY_ERRORS.FORBIDDEN) => ({ effect: 'deny', description, applies, code });
+
+// The workspace a resource belongs to (a workspace belongs to itself)
+const workspaceIdOf = ({ resource, resourceType }) => resourceType === 'workspace' ? resource.id : resource.workspace_id;
+
+const isAdmin = ({ actor }) => actor.role === 'admin';
+
+const ALLOW_ADMIN = allow('Platform admins can do anything', isAdmin);
+
+const DENY_CLIENT_LOGINS = deny('Client logins can only view, comment on and approve', ({ actor }) => actor.role === 'client');
+
+// Runs before the role rules so that nobody, admins included, gets into a
+// workspace that requires two-factor authentication without it
+const DENY_WITHOUT_WORKSPACE_MFA = deny(
+  'This workspace requires two-factor authentication. Enable it in your account settings to continue',
+  async (ctx) => {
+    if (!workspaceIdOf(ctx) || ctx.actor.mfa_enabled) {
+      return false;
+    }
+    const access = await ctx.workspaceAccess();
+    return Boolean(access?.workspace.settings?.require_mfa);
+  },
+  POLICY_ERRORS.MFA_REQUIRED
+);
+
+const allowLinkedClient = (description) => allow(description, ({ actor, resource }) =>
+  actor.role === 'client' && Boolean(resource.client_id) && actor.clientIds.includes(resource.client_id));
+
+const allowWorkspaceRole = (minimumRole, description = `Workspace members with the ${minimumRole} role or higher`) =>
+  allow(description, async (ctx) => {
+    if (!workspaceIdOf(ctx)) {
+      return false;
+    }
+    const access = await ctx.workspaceAccess();
+    return Boolean(access) && hasWorkspaceRole(access.role, minimumRole);
+  });
+
+// The actor's own item in a workspace, as long as they still hold `minimumRole` there
+const allowOwnWorkspaceItem = (ownerField, minimumRole, description) => allow(description, async (ctx) => {
+  if (!workspaceIdOf(ctx) || ctx.resource[ownerField] !== ctx.actor.id) {
+    return false;
+  }
+  const access = await ctx.workspaceAccess();
+  return Boolean(access) && hasWorkspaceRole(access.role, minimumRole);
+});
+
+// The actor's own item outside any workspace
+const allowOwnPersonalItem = (ownerField, description) => allow(description, ({ actor, resource }) =>
+  !resource.workspace_id && resource[ownerField] === actor.id);
+
+// Content waiting for approval can't be edited, by anyone, until it leaves review
+const DENY_LOCKED_CONTENT = deny('Content is locked while it is waiting for approval. Withdraw it from review to edit it',
+  ({ resource }) => resource.status === 'review', POLICY_ERRORS.CONTENT_LOCKED);
+
+// The approval stage being acted on, passed by the workflow as attributes.stage.
+// A stage names its approvers by user ID, by workspace role or as the client
+const stageOf = ({ attributes }) => attributes.stage || { approverRole: null, approverIds: [] };
+
+const DENY_DELETED_COMMENT = deny('The comment has been deleted', ({ resource }) => Boolean(resource.deleted_at));
+
+const DENY_WORKFLOW_COMMENT = deny('Approvals, rejections and status changes are part of the approval record',
+  ({ resource }) => !['comment', 'revision'].includes(resource.type));
+
+// Creating outside a workspace is open to the content-producing platform roles
+const ALLOW_PERSONAL_CREATE = allow('Creators and agencies can create their own items outside a workspace',
+  ({ actor, resource }) => !resource.workspace_id && ['creator', 'agency'].includes(actor.role));
+
+const POLICIES = {
+  'content:create': {
+    denied: 'You do not have permission to create content here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'content:read': {
+    denied: 'You do not have access to this content',
+    rules: [
+      allowLinkedClient('Client logins can view their client\'s content'),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('creator_id', 'Creators can view content they created')
+    ]
+  },
+  'content:update': {
+    denied: 'You can only update content you created',
+    rules: [
+      DENY_LOCKED_CONTENT,
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('creator_id', 'Creators can update content they created')
+    ]
+  },
+  'content:delete': {
+    denied: 'You can only delete content you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('creator_id', 'editor', 'Workspace editors can delete content they created'),
+      allowOwnPersonalItem('creator_id', 'Creators can delete content they created')
+    ]
+  },
+  'content:comment': {
+    denied: 'You do not have permission to comment on this content',
+    rules: [
+      allowLinkedClient('Client logins can comment on their client\'s content'),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('creator_id', 'Creators can comment on content they created')
+    ]
+  },
+  'content:share': {
+    denied: 'You do not have permission to share this content',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('creator_id', 'Creators can share content they created')
+    ]
+  },
+  'content:submit': {
+    denied: 'You do not have permission to submit this content for approval',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('creator_id', 'Creators can submit content they created')
+    ]
+  },
+  'content:withdraw': {
+    denied: 'You do not have permission to withdraw this content from review',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('creator_id', 'Creators can withdraw content they created')
+    ]
+  },
+  // attributes.stage: the approval stage being approved or rejected
+  'content:approve': {
+    denied: 'You are not an approver for this approval stage',
+    rules: [
+      allow('Client logins can approve their client\'s content at stages without named approvers or a workspace role',
+        (ctx) => {
+          const stage = stageOf(ctx);
+          return stage.approverIds.length === 0 && (!stage.approverRole || stage.approverRole === 'client') &&
+            ctx.actor.role === 'client' && Boolean(ctx.resource.client_id) && ctx.actor.clientIds.includes(ctx.resource.client_id);
+        }),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      allow('The stage\'s named approvers', (ctx) => stageOf(ctx).approverIds.includes(ctx.actor.id)),
+      deny('Only the stage\'s named approvers can approve it', (ctx) => stageOf(ctx).approverIds.length > 0),
+      deny('Only the client can approve this stage', (ctx) => stageOf(ctx).approverRole === 'client'),
+      ALLOW_ADMIN,
+      allow('Workspace members with the stage\'s approver role or higher (manager by default)', async (ctx) => {
+        if (!workspaceIdOf(ctx)) {
+          return false;
+        }
+        const access = await ctx.workspaceAccess();
+        return Boolean(access) && hasWorkspaceRole(access.role, stageOf(ctx).approverRole || 'manager');
+      }),
+      allowOwnPersonalItem('creator_id', 'Creators can approve content they created')
+    ]
+  },
+
+  // Resource: a comment plus its content item's workspace_id and
+  // content_creator_id. Reading and writing comments follows content:read
+  // and content:comment.
+  'comment:update': {
+    denied: 'You can only edit your own comments',
+    rules: [
+      DENY_DELETED_COMMENT,
+      DENY_WORKFLOW_COMMENT,
+      allow('Authors can edit their own comments', ({ actor, resource }) => resource.user_id === actor.id)
+    ]
+  },
+  'comment:delete': {
+    denied: 'You can only delete your own comments',
+    rules: [
+      DENY_DELETED_COMMENT,
+      DENY_WORKFLOW_COMMENT,
+      allow('Authors can delete their own comments', ({ actor, resource }) => resource.user_id === actor.id),
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager', 'Workspace managers moderate comments')
+    ]
+  },
+  'comment:resolve': {
+    denied: 'You do not have permission to resolve this comment',
+    rules: [
+      deny('Only revision requests can be resolved', ({ resource }) => resource.type !== 'revision'),
+      DENY_DELETED_COMMENT,
+      allow('Authors can resolve their own revision requests', ({ actor, resource }) => resource.user_id === actor.id),
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('content_creator_id', 'Creators can resolve comments on their content')
+    ]
+  },
+  'comment:audit': {
+    denied: 'You do not have permission to view this comment\'s history',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnPersonalItem('content_creator_id', 'Creators can view the history of comments on their content')
+    ]
+  },
+
+  'series:create': {
+    denied: 'You do not have permission to create content series here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'series:read': {
+    denied: 'You do not have access to this content series',
+    rules: [
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('creator_id', 'Creators can view series they created')
+    ]
+  },
+  'series:update': {
+    denied: 'You can only update content series you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('creator_id', 'Creators can update series they created')
+    ]
+  },
+  'series:delete': {
+    denied: 'You can only delete content series you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('creator_id', 'editor', 'Workspace editors can delete series they created'),
+      allowOwnPersonalItem('creator_id', 'Creators can delete series they created')
+    ]
+  },
+
+  'campaign:create': {
+    denied: 'You do not have permission to create campaign posts here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'campaign:read': {
+    denied: 'You do not have access to this campaign post',
+    rules: [
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('creator_id', 'Creators can view campaign posts they created')
+    ]
+  },
+  'campaign:update': {
+    denied: 'You can only update campaign posts you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('creator_id', 'Creators can update campaign posts they created')
+    ]
+  },
+  'campaign:delete': {
+    denied: 'You can only delete campaign posts you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('creator_id', 'editor', 'Workspace editors can delete campaign posts they created'),
+      allowOwnPersonalItem('creator_id', 'Creators can delete campaign posts they created')
+    ]
+  },
+
+  'file:create': {
+    denied: 'You do not have permission to upload files here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'file:read': {
+    denied: 'You do not have access to this file',
+    rules: [
+      allowLinkedClient('Client logins can view their client\'s files'),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('uploaded_by', 'Uploaders can view their own files')
+    ]
+  },
+  'file:update': {
+    denied: 'You can only update files you uploaded',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('uploaded_by', 'Uploaders can update their own files')
+    ]
+  },
+  'file:delete': {
+    denied: 'You can only delete files you uploaded',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('uploaded_by', 'editor', 'Workspace editors can delete files they uploaded'),
+      allowOwnPersonalItem('uploaded_by', 'Uploaders can delete their own files')
+    ]
+  },
+  'file:share': {
+    denied: 'You do not have permission to share this file',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('uploaded_by', 'Uploaders can share their own files')
+    ]
+  },
+  'file:collect_garbage': {
+    denied: 'This action requires the admin role',
+    rules: [ALLOW_ADMIN]
+  },
+
+  'folder:create': {
+    denied: 'You do not have permission to create folders here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'folder:read': {
+    denied: 'You do not have access to this folder',
+    rules: [
+      allowLinkedClient('Client logins can view their client\'s folders'),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('created_by', 'Creators can view their own folders')
+    ]
+  },
+  'folder:update': {
+    denied: 'You can only change folders you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('created_by', 'Creators can change their own folders')
+    ]
+  },
+  'folder:delete': {
+    denied: 'You can only delete folders you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('created_by', 'editor', 'Workspace editors can delete folders they created'),
+      allowOwnPersonalItem('created_by', 'Creators can delete their own folders')
+    ]
+  },
+
+  'collection:create': {
+    denied: 'You do not have permission to create collections here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'collection:read': {
+    denied: 'You do not have access to this collection',
+    rules: [
+      allowLinkedClient('Client logins can view collections shared with their client'),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('created_by', 'Creators can view their own collections')
+    ]
+  },
+  // Includes adding and removing files
+  'collection:update': {
+    denied: 'You can only change collections you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('created_by', 'Creators can change their own collections')
+    ]
+  },
+  'collection:delete': {
+    denied: 'You can only delete collections you created',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('created_by', 'editor', 'Workspace editors can delete collections they created'),
+      allowOwnPersonalItem('created_by', 'Creators can delete their own collections')
+    ]
+  },
+
+  'hashtag_pack:create': {
+    denied: 'You do not have permission to create hashtag packs here',
+    rules: [DENY_CLIENT_LOGINS, DENY_WITHOUT_WORKSPACE_MFA, ALLOW_ADMIN, allowWorkspaceRole('editor'), ALLOW_PERSONAL_CREATE]
+  },
+  'hashtag_pack:read': {
+    denied: 'You do not have access to this hashtag pack',
+    rules: [
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('user_id', 'Hashtag packs outside a workspace are private to their creator')
+    ]
+  },
+  'hashtag_pack:update': {
+    denied: 'You can only update hashtag packs you created',
+    rules: [
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('editor'),
+      allowOwnPersonalItem('user_id', 'Creators can update their own hashtag packs')
+    ]
+  },
+  'hashtag_pack:delete': {
+    denied: 'You can only delete hashtag packs you created',
+    rules: [
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnWorkspaceItem('user_id', 'editor', 'Workspace editors can delete hashtag packs they created'),
+      allowOwnPersonalItem('user_id', 'Creators can delete their own hashtag packs')
+    ]
+  },
+
+  'social_account:read': {
+    denied: 'You do not have access to this account',
+    rules: [ALLOW_ADMIN, allow('Users can view accounts they connected', ({ actor, resource }) => resource.user_id === actor.id)]
+  },
+  'social_account:sync': {
+    denied: 'You can only sync accounts you own',
+    rules: [ALLOW_ADMIN, allow('Users can sync accounts they connected', ({ actor, resource }) => resource.user_id === actor.id)]
+  },
+  'social_account:delete': {
+    denied: 'You can only disconnect accounts you manage',
+    rules: [ALLOW_ADMIN, allow('Users can disconnect accounts they connected', ({ actor, resource }) => resource.user_id === actor.id)]
+  },
+
+  'client:create': {
+    denied: 'You do not have permission to create clients here',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      ALLOW_PERSONAL_CREATE
+    ]
+  },
+  'client:read': {
+    denied: 'You do not have access to this client',
+    rules: [
+      allow('Client logins can view the client they are linked to', ({ actor, resource }) =>
+        actor.role === 'client' && actor.clientIds.includes(resource.id)),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('viewer'),
+      allowOwnPersonalItem('creator_id', 'Creators can view clients they created')
+    ]
+  },
+  'client:update': {
+    denied: 'You do not have permission to manage this client',
+    rules: [
+      DENY_CLIENT_LOGINS,
+      DENY_WITHOUT_WORKSPACE_MFA,
+      ALLOW_ADMIN,
+      allowWorkspaceRole('manager'),
+      allowOwnPersonalItem('creator_id', 'Creators can manage clients they created')
+    ]
+  },
+
+  'workspace:read': {
+    denied: 'You are not a member of this workspace',
+    rules: [DENY_WITHOUT_WORKSPACE_MFA, allowWorkspaceRole('viewer', 'Workspace members')]
+  },
+  'workspace:update': {
+    denied: 'This action requires the manager role or higher in this workspace',
+    rules: [DENY_WITHOUT_WORKSPACE_MFA, allowWorkspaceRole('manager')]
+  },
+  'workspace:delete': {
+    denied: 'Only the workspace owner can delete it',
+    rules: [DENY_WITHOUT_WORKSPACE_MFA, allowWorkspaceRole('owner', 'The workspace owner')]
+  },
+  'workspace:manage_members': {
+    denied: 'This action requires the manager role or higher in this workspace',
+    rules: [DENY_WITHOUT_WORKSPACE_MFA, allowWorkspaceRole('manager')]
+  },
+  'workspace:manage_security': {
+    denied: 'This action requires the manager role or higher in this workspace',
+    rules: [DENY_WITHOUT_WORKSPACE_MFA, allowWorkspaceRole('manager')]
+  },
+  // Resource: a membership ({ workspace_id, user_id, role }) or, for invitations,
+  // the role on offer. attributes.newRole is the role being given, if any.
+  'workspace_member:manage': {
+    denied: 'You cannot manage members with this role',
+    rules: [
+      deny('Members cannot change their own membership', ({ actor, resource }) => resource.user_id === actor.id),
+      deny('The workspace owner cannot be changed or removed', ({ resource }) => resource.role === 'owner'),
+      DENY_WITHOUT_WORKSPACE_MFA,
+      allowWorkspaceRole('owner', 'The workspace owner manages everyone else'),
+      allow('Managers manage editors and viewers', async (ctx) => {
+        const access = await ctx.workspaceAccess();
+        const newRole = ctx.attributes.newRole || ctx.resource.role;
+        return Boolean(access) && hasWorkspaceRole(access.role, 'manager') &&
+          !hasWorkspaceRole(ctx.resource.role, 'manager') && !hasWorkspaceRole(newRole, 'manager');
+      })
+    ]
+  },
+
+  'user:list': {
+    denied: 'This action requires the admin role',
+    rules: [ALLOW_ADMIN]
+  },
+  'user:read': {
+    denied: 'You can only view your own profile',
+    rules: [ALLOW_ADMIN, allow('Users can view their own profile', ({ actor, resource }) => resource.id === actor.id)]
+  },
+  'user:update': {
+    denied: 'You can only update your own profile',
+    rules: [ALLOW_ADMIN, allow('Users can update their own profile', ({ actor, resource }) => resource.id === actor.id)]
+  },
+  'user:manage': {
+    denied: 'Only administrators can change user roles and status',
+    rules: [ALLOW_ADMIN]
+  },
+  'user:change_password': {
+    denied: 'You can only change your own password',
+    rules: [ALLOW_ADMIN, allow('Users can change their own password', ({ actor, resource }) => resource.id === actor.id)]
+  },
+  'user:delete': {
+    denied: 'This action requires the admin role',
+    rules: [
+      deny('Users cannot delete their own account', ({ actor, resource }) => resource.id === actor.id),
+      ALLOW_ADMIN
+    ]
+  },
+
+  'notification:send': {
+    denied: 'This action requires the admin role',
+    rules: [ALLOW_ADMIN]
+  }
+};
+
+// The resource type an action applies to, e.g. 'content' for 'content:update'
+function resourceTypeOf(action) {
+  return action.split(':')[0];
+}
+
+/**
+ * Decide whether `actor` may perform `action` on `resource`.
+ *
+ * @param {Object} actor - A users row plus `clientIds`, the clients a client login is linked to
+ * @param {string} action - A key of POLICIES, e.g. 'content:update'
+ * @param {Object} resource - The row acted on, or `{ workspace_id }` for creates
+ * @param {Object} [attributes] - Extra facts about the request a rule may need
+ * @returns {Promise<{ allowed: boolean, action: string, resource: Object, reason: string,
+ *   code?: string, status?: number, workspaceRole: string|null, trace: Object[] }>}
+ *   `reason` is the deciding rule, or the action's denial message when no rule
+ *   applied. `status` is 404 on denials where the actor can't see the resource at all
+ */
+async function evaluate(actor, action, resource, attributes = {}) {
+  const policy = POLICIES[action];
+
+  if (!policy) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+
+  const type = resourceTypeOf(action);
+  const ctx = buildContext(actor, type, resource, attributes);
+  const trace = [];
+  let decision = null;
+
+  for (const rule of policy.rules) {
+    const applies = Boolean(await rule.applies(ctx));
+    trace.push({ rule: rule.description, effect: rule.effect, applies });
+
+    if (applies) {
+      decision = {
+        allowed: rule.effect === 'allow',
+        reason: rule.description,
+        code: rule.effect === 'deny' ? rule.code : undefined
+      };
+      break;
+    }
+  }
+
+  if (!decision) {
+    decision = { allowed: false, reason: policy.denied, code: POLICY_ERRORS.FORBIDDEN };
+  }
+
+  const result = {
+    ...decision,
+    action,
+    resource: { type, id: resource.id || null },
+    workspaceRole: ctx.loadedAccess?.role || null,
+    trace
+  };
+
+  if (!result.allowed) {
+    result.status = await isHidden(actor, action, resource) ? 404 : 403;
+  }
+
+  return result;
+}
+
+// Denials are reported as 404s when the actor can't read the resource either,
+// so the response doesn't reveal that it exists
+async function isHidden(actor, action, resource) {
+  const readAction = `${resourceTypeOf(action)}:read`;
+
+  if (!resource.id || action === readAction || !POLICIES[readAction]) {
+    return false;
+  }
+
+  const readDecision = await evaluate(actor, readAction, resource);
+  return !readDecision.allowed;
+}
+
+function buildContext(actor, resourceType, resource, attributes) {
+  const ctx = {
+    actor: { ...actor, clientIds: actor.clientIds || [] },
+    resourceType,
+    resource,
+    attributes,
+    loadedAccess: undefined,
+    // Workspace membership is looked up at most once per decision
+    async workspaceAccess() {
+      if (ctx.loadedAccess === undefined) {
+        const workspaceId = workspaceIdOf(ctx);
+        ctx.loadedAccess = workspaceId ? await getWorkspaceAccess(workspaceId, ctx.actor) : null;
+      }
+      return ctx.loadedAccess;
+    }
+  };
+
+  return ctx;
+}
+
+/**
+ * Load the row a permission check is about.
+ * @returns {Promise<Object|null>}
+ */
+async function loadResource(type, id) {
+  const definition = RESOURCES[type];
+
+  if (!definition) {
+    throw new Error(`Resource type ${type} can't be loaded by ID`);
+  }
+
+  const { data: resource, error } = await supabaseAdmin
+    .from(definition.table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return resource;
+}
+
+/**
+ * Build the actor for a user ID, for explaining another user's permissions.
+ * @returns {Promise<Object|null>}
+ */
+async function loadActor(userId) {
+  const { data: user, error } = await supabaseAdmin
+    .from('users')
+    .select('id, email, role, status, mfa_enabled')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!user) {
+    return null;
+  }
+
+  return {
+    ...user,
+    clientIds: user.role === 'client' ? await getLinkedClientIds(user.id) : []
+  };
+}
+
+function isKnownAction(action) {
+  return Object.prototype.hasOwnProperty.call(POLICIES, action);
+}
+
+// The policy table in a serialisable form, for documentation and debugging
+function describePolicies() {
+  return Object.entries(POLICIES).map(([action, policy]) => ({
+    action,
+    deniedMessage: policy.denied,
+    rules: policy.rules.map(rule => ({ effect: rule.effect, description: rule.description }))
+  }));
+}
+
+module.exports = {
+  POLICY_ERRORS,
+  RESOURCES,
+  resourceTypeOf,
+  isKnownAction,
+  evaluate,
+  loadResource,
+  loadActor,
+  describePolicies
+};
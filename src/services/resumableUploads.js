@@ -0,0 +1,540 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const { adoptStoredFile } = require('./mediaStorage');
+const { ALLOWED_MIME_TYPES, getFileType } = require('../utils/mediaTypes');
+const logger = require('../utils/logger');
+
+/*
+ * Resumable uploads, following the tus 1.0 protocol (core, creation,
+ * checksum, expiration and termination extensions).
+ *
+ * An upload is created with its total size, then sent in chunks, each
+ * appended at the current offset. Every chunk is stored as its own object in
+ * the storage bucket as soon as it arrives (and its checksum verifies), so a
+ * dropped connection only loses the chunk in flight: the client asks for the
+ * offset and carries on from there. When the last chunk is in, the chunks
+ * are streamed one after another into the final file and the media_files
+ * row is created. Nothing larger than one chunk is held in memory.
+ */
+
+const MB = 1024 * 1024;
+
+const STORAGE_BUCKET = 'media-files';
+
+// An upload still claimed for assembly after this long was left behind by a
+// process that stopped mid-way, and is handed back to its uploader
+const ASSEMBLY_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Checksum algorithms accepted in Upload-Checksum
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+
+// Error codes returned as `code` by the upload endpoints
+const UPLOAD_ERRORS = {
+  UPLOAD_TOO_LARGE: 'upload_too_large',
+  FILE_TYPE_NOT_ALLOWED: 'file_type_not_allowed',
+  OFFSET_MISMATCH: 'offset_mismatch',
+  CHECKSUM_MISMATCH: 'checksum_mismatch',
+  UNSUPPORTED_CHECKSUM: 'unsupported_checksum',
+  CHUNK_OVERFLOW: 'chunk_overflow',
+  UPLOAD_EXPIRED: 'upload_expired',
+  UPLOAD_FINISHED: 'upload_finished'
+};
+
+class ResumableUploadError extends Error {
+  constructor(code, message, status = 409) {
+    super(message);
+    this.name = 'ResumableUploadError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Size limits, from UPLOAD_MAX_SIZE_MB (whole file, default 2048) and
+ * UPLOAD_CHUNK_SIZE_MB (one request, default 16), and how long an unfinished
+ * upload is kept, from UPLOAD_EXPIRY_HOURS (default 24).
+ */
+function uploadLimits() {
+  return {
+    maxSize: (parseInt(process.env.UPLOAD_MAX_SIZE_MB) || 2048) * MB,
+    maxChunkSize: (parseInt(process.env.UPLOAD_CHUNK_SIZE_MB) || 16) * MB,
+    expiryHours: parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24
+  };
+}
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated `key base64value` pairs.
+ *
+ * @returns {Object<string, string>}
+ */
+function parseMetadata(header) {
+  const metadata = {};
+
+  for (const pair of (header || '').split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  return metadata;
+}
+
+// Where a chunk of an upload is stored until the file is assembled
+function partPath(upload, offset) {
+  return `uploads/${upload.user_id}/.parts/${upload.id}/${String(offset).padStart(13, '0')}-${crypto.randomUUID()}`;
+}
+
+/**
+ * Start an upload.
+ *
+ * @param {Object} actor - The uploading user
+ * @param {Object} details
+ * @param {number} details.length - Total size in bytes
+ * @param {string} details.filename
+ * @param {string} details.mimeType
+ * @param {string|null} [details.workspaceId]
+ * @param {string|null} [details.clientId]
+ * @param {string|null} [details.contentItemId]
+ * @param {string|null} [details.folderId]
+ * @param {string[]} [details.tags]
+ * @returns {Promise<Object>} The file_uploads row
+ * @throws {ResumableUploadError}
+ */
+async function createUpload(actor, { length, filename, mimeType, workspaceId = null, clientId = null, contentItemId = null, folderId = null, tags = [] }) {
+  const { maxSize, expiryHours } = uploadLimits();
+
+  if (length > maxSize) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.UPLOAD_TOO_LARGE, `Files can be at most ${maxSize / MB} MB`, 413);
+  }
+
+  if (!ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.FILE_TYPE_NOT_ALLOWED, `File type ${mimeType} not allowed`, 415);
+  }
+
+  const { data: upload, error } = await supabaseAdmin
+    .from('file_uploads')
+    .insert({
+      user_id: actor.id,
+      workspace_id: workspaceId,
+      client_id: clientId,
+      content_item_id: contentItemId,
+      folder_id: folderId,
+      tags,
+      filename,
+      mime_type: mimeType,
+      upload_length: length,
+      expires_at: new Date(Date.now() + expiryHours * 60 * 60 * 1000).toISOString(),
+      created_at: new Date().toISOString()
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  logger.info(`Upload ${upload.id} started by user ${actor.id}: ${filename} (${length} bytes)`);
+  return upload;
+}
+
+/**
+ * A user's upload, or null when it doesn't exist or isn't theirs.
+ */
+async function findUpload(uploadId, userId) {
+  const { data: upload, error } = await supabaseAdmin
+    .from('file_uploads')
+    .select('*')
+    .eq('id', uploadId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return upload;
+}
+
+const isExpired = (upload) => upload.status !== 'completed' && new Date(upload.expires_at) <= new Date();
+
+// Check a chunk against an Upload-Checksum header (`algorithm base64digest`)
+function verifyChecksum(chunk, header) {
+  const [algorithm, expected] = header.trim().split(/\s+/);
+
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.UNSUPPORTED_CHECKSUM, `Checksum algorithm must be one of: ${CHECKSUM_ALGORITHMS.join(', ')}`, 400);
+  }
+
+  const actual = crypto.createHash(algorithm).update(chunk).digest('base64');
+
+  // 460 is tus's "Checksum Mismatch"
+  if (actual !== expected) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.CHECKSUM_MISMATCH, 'The chunk does not match its checksum; send it again', 460);
+  }
+}
+
+/**
+ * Append a chunk at `offset`, which has to be the upload's current offset.
+ * Completes the upload when the chunk is the last one.
+ *
+ * @param {Object} upload - The file_uploads row
+ * @param {Object} chunk
+ * @param {number} chunk.offset - Upload-Offset the client sent
+ * @param {Buffer} chunk.data
+ * @param {string} [chunk.checksum] - Upload-Checksum header
+ * @param {Object} [context]
+ * @param {string} [context.userAgent] - Recorded on the media file
+ * @returns {Promise<Object>} The upload after the chunk
+ * @throws {ResumableUploadError}
+ */
+async function appendChunk(upload, { offset, data, checksum }, { userAgent } = {}) {
+  if (isExpired(upload)) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.UPLOAD_EXPIRED, 'The upload has expired; start it again', 410);
+  }
+
+  if (upload.status !== 'uploading') {
+    throw new ResumableUploadError(UPLOAD_ERRORS.UPLOAD_FINISHED, 'All of the file has been received');
+  }
+
+  if (offset !== Number(upload.upload_offset)) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.OFFSET_MISMATCH, `The upload is at offset ${upload.upload_offset}, not ${offset}; resume from there`);
+  }
+
+  if (offset + data.length > Number(upload.upload_length)) {
+    throw new ResumableUploadError(UPLOAD_ERRORS.CHUNK_OVERFLOW, 'The chunk goes past the end of the file', 400);
+  }
+
+  if (checksum) {
+    verifyChecksum(data, checksum);
+  }
+
+  // An empty chunk at the end retries assembling a file whose last chunk is in
+  if (data.length === 0) {
+    return Number(upload.upload_offset) === Number(upload.upload_length)
+      ? completeUpload(upload, { userAgent })
+      : upload;
+  }
+
+  const path = partPath(upload, offset);
+  const { error: storageError } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .upload(path, data, { contentType: 'application/octet-stream', upsert: false });
+
+  if (storageError) {
+    throw new Error(`Storing upload chunk failed: ${storageError.message}`);
+  }
+
+  const part = {
+    offset,
+    size: data.length,
+    path,
+    sha256: crypto.createHash('sha256').update(data).digest('hex')
+  };
+
+  // Only if no other request appended at this offset in the meantime
+  const { data: rows, error } = await supabaseAdmin
+    .from('file_uploads')
+    .update({
+      upload_offset: offset + data.length,
+      parts: [...upload.parts, part],
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', upload.id)
+    .eq('upload_offset', offset)
+    .eq('status', 'uploading')
+    .select('*');
+
+  if (error || rows.length === 0) {
+    await supabaseAdmin.storage.from(STORAGE_BUCKET).remove([path]);
+    if (error) {
+      throw error;
+    }
+    throw new ResumableUploadError(UPLOAD_ERRORS.OFFSET_MISMATCH, 'Another request wrote to the upload at the same time; check the offset and resume');
+  }
+
+  const updated = rows[0];
+
+  return Number(updated.upload_offset) === Number(updated.upload_length)
+    ? completeUpload(updated, { userAgent })
+    : updated;
+}
+
+// The upload's chunks, read back from storage one at a time
+function readParts(upload, hash) {
+  return Readable.from((async function* () {
+    for (const part of [...upload.parts].sort((a, b) => a.offset - b.offset)) {
+      const { data, error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).download(part.path);
+
+      if (error) {
+        throw new Error(`Reading upload chunk at ${part.offset} failed: ${error.message}`);
+      }
+
+      const chunk = Buffer.from(await data.arrayBuffer());
+      hash.update(chunk);
+      yield chunk;
+    }
+  })());
+}
+
+/**
+ * Assemble a fully received upload into a file and create its media_files row.
+ *
+ * @returns {Promise<Object>} The completed upload, with `media_file_id`
+ */
+async function completeUpload(upload, { userAgent } = {}) {
+  // Claim the upload so a retried last chunk can't assemble it twice
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('file_uploads')
+    .update({ status: 'assembling', updated_at: new Date().toISOString() })
+    .eq('id', upload.id)
+    .eq('status', 'uploading')
+    .select('*');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (claimed.length === 0) {
+    return findUpload(upload.id, upload.user_id);
+  }
+
+  const extension = upload.filename.includes('.') ? upload.filename.split('.').pop() : 'bin';
+  const filename = `${Date.now()}_${crypto.randomBytes(8).toString('hex')}.${extension}`;
+  // Assembled next to the chunks, then moved to its content address once the hash is known
+  const assembledPath = `uploads/${upload.user_id}/.parts/${upload.id}/assembled-${crypto.randomUUID()}`;
+  const hash = crypto.createHash('sha256');
+
+  try {
+    const { error: storageError } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .upload(assembledPath, readParts(upload, hash), {
+        contentType: upload.mime_type,
+        upsert: false,
+        duplex: 'half'
+      });
+
+    if (storageError) {
+      throw new Error(`Storing the assembled file failed: ${storageError.message}`);
+    }
+
+    const sha256 = hash.digest('hex');
+    const object = await adoptStoredFile(assembledPath, {
+      sha256,
+      size: Number(upload.upload_length),
+      mimeType: upload.mime_type
+    });
+
+    const { data: urlData } = supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .getPublicUrl(object.storage_path);
+
+    const { data: file, error: fileError } = await supabaseAdmin
+      .from('media_files')
+      .insert({
+        filename,
+        original_name: upload.filename,
+        file_type: getFileType(upload.mime_type),
+        file_size: Number(upload.upload_length),
+        mime_type: upload.mime_type,
+        storage_path: object.storage_path,
+        storage_object_id: object.id,
+        public_url: urlData.publicUrl,
+        content_item_id: upload.content_item_id,
+        uploaded_by: upload.user_id,
+        client_id: upload.client_id,
+        workspace_id: upload.workspace_id,
+        folder_id: upload.folder_id,
+        tags: upload.tags,
+        metadata: {
+          upload_timestamp: new Date().toISOString(),
+          user_agent: userAgent,
+          upload_id: upload.id,
+          sha256
+        },
+        created_at: new Date().toISOString()
+      })
+      .select('*')
+      .single();
+
+    // The stored object is left for garbage collection if nothing uses it
+    if (fileError) {
+      throw fileError;
+    }
+
+    const { data: completed, error } = await supabaseAdmin
+      .from('file_uploads')
+      .update({
+        status: 'completed',
+        media_file_id: file.id,
+        parts: [],
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', upload.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await removeParts(upload);
+
+    logger.info(`Upload ${upload.id} completed as media file ${file.id}`);
+    return completed;
+  } catch (error) {
+    // Leave the chunks in place so the client can retry with an empty PATCH
+    await releaseClaim(upload);
+
+    throw error;
+  }
+}
+
+// Helper to hand an upload claimed for assembly back to its uploader
+async function releaseClaim(upload) {
+  const { error } = await supabaseAdmin
+    .from('file_uploads')
+    .update({ status: 'uploading', updated_at: new Date().toISOString() })
+    .eq('id', upload.id)
+    .eq('status', 'assembling');
+
+  if (error) {
+    logger.error(`Failed to release the assembly claim on upload ${upload.id}:`, error);
+  }
+}
+
+async function removeParts(upload) {
+  const paths = upload.parts.map(part => part.path);
+
+  if (paths.length > 0) {
+    const { error } = await supabaseAdmin.storage.from(STORAGE_BUCKET).remove(paths);
+    if (error) {
+      logger.error(`Failed to remove chunks of upload ${upload.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Cancel an unfinished upload, removing what was received.
+ *
+ * @throws {ResumableUploadError} When the upload has already been completed
+ */
+async function cancelUpload(upload) {
+  if (upload.status !== 'uploading') {
+    throw new ResumableUploadError(UPLOAD_ERRORS.UPLOAD_FINISHED, 'The upload has been completed; delete the file instead');
+  }
+
+  await removeParts(upload);
+
+  const { error } = await supabaseAdmin
+    .from('file_uploads')
+    .delete()
+    .eq('id', upload.id);
+
+  if (error) {
+    throw error;
+  }
+}
+
+/**
+ * Remove unfinished uploads that have expired, with their chunks. Uploads
+ * stuck in assembly for longer than ASSEMBLY_TIMEOUT_MS are first handed back
+ * to their uploader, so they are retried or, once expired, removed.
+ *
+ * @returns {Promise<number>} How many were removed
+ */
+async function removeExpiredUploads({ now = new Date() } = {}) {
+  const { data: stale, error: staleError } = await supabaseAdmin
+    .from('file_uploads')
+    .select('*')
+    .eq('status', 'assembling')
+    .lte('updated_at', new Date(now.getTime() - ASSEMBLY_TIMEOUT_MS).toISOString())
+    .limit(100);
+
+  if (staleError) {
+    throw staleError;
+  }
+
+  for (const upload of stale) {
+    logger.warn(`Upload ${upload.id} was left assembling since ${upload.updated_at}; releasing it`);
+    await releaseClaim(upload);
+  }
+
+  const { data: uploads, error } = await supabaseAdmin
+    .from('file_uploads')
+    .select('*')
+    .eq('status', 'uploading')
+    .lte('expires_at', now.toISOString())
+    .limit(100);
+
+  if (error) {
+    throw error;
+  }
+
+  for (const upload of uploads) {
+    await cancelUpload(upload);
+  }
+
+  return uploads.length;
+}
+
+/**
+ * Remove expired uploads on a cron schedule.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.schedule] - Cron expression (defaults to UPLOAD_CLEANUP_CRON or hourly)
+ */
+function startUploadCleanup({ schedule = process.env.UPLOAD_CLEANUP_CRON || '45 * * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const removed = await removeExpiredUploads();
+      if (removed > 0) {
+        logger.info(`Removed ${removed} expired upload(s)`);
+      }
+    } catch (error) {
+      logger.error('Upload cleanup failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Upload cleanup started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopUploadCleanup() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  CHECKSUM_ALGORITHMS,
+  UPLOAD_ERRORS,
+  ResumableUploadError,
+  uploadLimits,
+  parseMetadata,
+  createUpload,
+  findUpload,
+  isExpired,
+  appendChunk,
+  cancelUpload,
+  removeExpiredUploads,
+  startUploadCleanup,
+  stopUploadCleanup
+};
@@ -0,0 +1,293 @@
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { getAdapter } = require('./platforms');
+const { ensureFreshToken } = require('./tokenRefresh');
+const { decryptAccountTokens } = require('../utils/tokenCipher');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.PUBLISH_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = parseInt(process.env.PUBLISH_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+let scheduledTask = null;
+let isRunning = false;
+
+/**
+ * Publish every scheduled content item whose scheduled_date has passed.
+ *
+ * Each item is handed to its platform adapter's publishPost(). Failed
+ * attempts are retried with exponential backoff; after MAX_ATTEMPTS (or a
+ * non-retryable error) the item is marked `failed` and its creator is
+ * notified. An item whose outcome can't be saved is logged and counted as
+ * failed, without a notification.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to the current time)
+ * @param {number} [options.limit] - Maximum number of items per run
+ * @returns {Promise<{published: number, retrying: number, failed: number}>}
+ */
+async function publishDueContent({ now = new Date(), limit = 25 } = {}) {
+  const nowIso = now.toISOString();
+  const summary = { published: 0, retrying: 0, failed: 0 };
+
+  const { data: dueItems, error } = await supabaseAdmin
+    .from('content_items')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('scheduled_date', nowIso)
+    .or(`next_publish_attempt_at.is.null,next_publish_attempt_at.lte.${nowIso}`)
+    .order('scheduled_date', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  for (const item of dueItems) {
+    const attempt = (item.publish_attempts || 0) + 1;
+
+    // Claim the item so overlapping runs or instances don't publish it twice
+    const { data: claimed, error: claimError } = await supabaseAdmin
+      .from('content_items')
+      .update({ publish_attempts: attempt, updated_at: new Date().toISOString() })
+      .eq('id', item.id)
+      .eq('status', 'scheduled')
+      .eq('publish_attempts', item.publish_attempts || 0)
+      .select('id');
+
+    if (claimError || !claimed || claimed.length === 0) {
+      continue;
+    }
+
+    try {
+      const result = await publishItem(item);
+
+      const { error: saveError } = await supabaseAdmin
+        .from('content_items')
+        .update({
+          status: 'published',
+          published_date: new Date().toISOString(),
+          social_account_id: result.accountId,
+          platform_post_id: result.postId,
+          platform_post_url: result.url || null,
+          next_publish_attempt_at: null,
+          publish_error: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', item.id);
+
+      // The post went out, but the item still says scheduled: report it, not a success
+      if (saveError) {
+        summary.failed++;
+        logger.error(`Content item ${item.id} was published as ${result.postId} but could not be marked published: ${saveError.message}`);
+        continue;
+      }
+
+      summary.published++;
+      logger.info(`Content item published: ${item.id} to ${item.platform} (post ${result.postId})`);
+
+      await notifyCreator(item, 'content_published', 'Content published',
+        `"${item.title}" was published to ${item.platform}.`, {
+          platform_post_id: result.postId,
+          platform_post_url: result.url || null
+        });
+    } catch (publishError) {
+      const reason = publishError.message || 'Unknown publishing error';
+      const giveUp = publishError.retryable === false || attempt >= MAX_ATTEMPTS;
+
+      if (giveUp) {
+        const { error: saveError } = await supabaseAdmin
+          .from('content_items')
+          .update({
+            status: 'failed',
+            publish_error: reason,
+            next_publish_attempt_at: null,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', item.id);
+
+        summary.failed++;
+
+        if (saveError) {
+          logger.error(`Content item ${item.id} failed to publish (${reason}) and could not be marked failed: ${saveError.message}`);
+          continue;
+        }
+
+        logger.error(`Content item ${item.id} failed to publish after ${attempt} attempt(s): ${reason}`);
+
+        await notifyCreator(item, 'content_publish_failed', 'Publishing failed',
+          `"${item.title}" could not be published to ${item.platform}: ${reason}`, {
+            attempts: attempt,
+            reason
+          });
+      } else {
+        const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt - 1), RETRY_MAX_MS);
+
+        const { error: saveError } = await supabaseAdmin
+          .from('content_items')
+          .update({
+            publish_error: reason,
+            next_publish_attempt_at: new Date(now.getTime() + delay).toISOString(),
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', item.id);
+
+        if (saveError) {
+          summary.failed++;
+          logger.error(`Content item ${item.id} publish attempt ${attempt} failed (${reason}) and its retry could not be saved: ${saveError.message}`);
+          continue;
+        }
+
+        summary.retrying++;
+        logger.warn(`Content item ${item.id} publish attempt ${attempt} failed, retrying in ${Math.round(delay / 1000)}s: ${reason}`);
+      }
+    }
+  }
+
+  return summary;
+}
+
+// Hand a single item to its platform adapter
+async function publishItem(item) {
+  const account = await findPublishingAccount(item);
+
+  if (!account) {
+    const error = new Error(`No connected ${item.platform} account`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const { data: media, error: mediaError } = await supabaseAdmin
+    .from('media_files')
+    .select('*')
+    .eq('content_item_id', item.id)
+    .order('created_at', { ascending: true });
+
+  if (mediaError) {
+    throw mediaError;
+  }
+
+  // A refresh error carries `retryable`, so a permanently failed refresh fails the item
+  const publishingAccount = await ensureFreshToken(account);
+
+  const result = await getAdapter(item.platform).publishPost({ item, account: publishingAccount, media: media || [] });
+
+  if (!result || !result.postId) {
+    throw new Error(`${item.platform} adapter did not return a post ID`);
+  }
+
+  return { ...result, accountId: account.id };
+}
+
+// Pick the account to publish to: the client's account for client content,
+// otherwise the creator's own account
+async function findPublishingAccount(item) {
+  if (item.social_account_id) {
+    const { data: account } = await supabaseAdmin
+      .from('social_accounts')
+      .select('*')
+      .eq('id', item.social_account_id)
+      .in('status', ['active', 'expired'])
+      .maybeSingle();
+
+    if (account && mayPublishTo(item, account)) {
+      return decryptAccountTokens(account);
+    }
+
+    if (account) {
+      logger.warn(`Content ${item.id} is linked to social account ${account.id}, which isn't its creator's or client's; ignoring it`);
+    }
+  }
+
+  let query = supabaseAdmin
+    .from('social_accounts')
+    .select('*')
+    .eq('platform', item.platform)
+    .in('status', ['active', 'expired'])
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  query = item.client_id
+    ? query.eq('client_id', item.client_id)
+    : query.eq('user_id', item.creator_id).is('client_id', null);
+
+  const { data: accounts, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return accounts[0] ? decryptAccountTokens(accounts[0]) : null;
+}
+
+// Whether an item may be published to an account: one of its client's
+// accounts for client content, otherwise one of the creator's own
+function mayPublishTo(item, account) {
+  if (account.platform !== item.platform) {
+    return false;
+  }
+
+  return item.client_id
+    ? account.client_id === item.client_id
+    : account.user_id === item.creator_id && !account.client_id;
+}
+
+async function notifyCreator(item, type, title, message, data = {}) {
+  try {
+    await createNotification(item.creator_id, type, title, message, {
+      content_item_id: item.id,
+      platform: item.platform,
+      ...data
+    });
+  } catch (error) {
+    // createNotification already logs; a failed notification must not fail the run
+  }
+}
+
+/**
+ * Start the cron job that publishes due content.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.schedule] - Cron expression (defaults to PUBLISH_CRON or every minute)
+ */
+function startScheduler({ schedule = process.env.PUBLISH_CRON || '* * * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    // Skip this tick if the previous run is still going
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const summary = await publishDueContent();
+      if (summary.published || summary.retrying || summary.failed) {
+        logger.info('Content scheduler run complete', summary);
+      }
+    } catch (error) {
+      logger.error('Content scheduler run failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Content scheduler started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopScheduler() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  publishDueContent,
+  startScheduler,
+  stopScheduler
+};
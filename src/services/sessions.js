@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/database');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Error codes returned as `code` by the refresh endpoint
+const SESSION_ERRORS = {
+  INVALID: 'refresh_token_invalid',
+  EXPIRED: 'refresh_token_expired',
+  REUSED: 'refresh_token_reused',
+  REVOKED: 'session_revoked'
+};
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+}
+
+// Lifetime of an access token in seconds, for the `expiresIn` response field
+function accessTokenLifetime(accessToken) {
+  const { iat, exp } = jwt.decode(accessToken);
+  return exp - iat;
+}
+
+async function issueRefreshToken(sessionId, expiresAt) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const { data: record, error } = await supabaseAdmin
+    .from('refresh_tokens')
+    .insert({
+      session_id: sessionId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { refreshToken, id: record.id };
+}
+
+/**
+ * Start a session for a signed-in user.
+ *
+ * @param {Object} user - users row
+ * @param {Object} [req] - Express request, used to record the device
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, sessionId: string }>}
+ */
+async function createSession(user, req) {
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+  const { data: session, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .insert({
+      user_id: user.id,
+      user_agent: req?.get('user-agent') || null,
+      ip_address: req?.ip || null,
+      expires_at: expiresAt
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { refreshToken } = await issueRefreshToken(session.id, expiresAt);
+  const token = signAccessToken(user, session.id);
+
+  return { token, refreshToken, expiresIn: accessTokenLifetime(token), sessionId: session.id };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * The presented token is marked used. Presenting a used token again means it
+ * was copied, so the whole session (every token in the chain) is revoked.
+ *
+ * @throws {SessionError}
+ */
+async function rotateRefreshToken(refreshToken) {
+  const { data: record, error } = await supabaseAdmin
+    .from('refresh_tokens')
+    .select('*, session:auth_sessions(*)')
+    .eq('token_hash', hashToken(String(refreshToken)))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!record || !record.session) {
+    throw new SessionError(SESSION_ERRORS.INVALID, 'Refresh token is not valid');
+  }
+
+  const { session } = record;
+
+  if (session.revoked_at) {
+    throw new SessionError(SESSION_ERRORS.REVOKED, 'This session has been signed out');
+  }
+
+  if (record.used_at) {
+    throw await revokeChainOnReuse(session);
+  }
+
+  if (new Date(record.expires_at) < new Date() || new Date(session.expires_at) < new Date()) {
+    throw new SessionError(SESSION_ERRORS.EXPIRED, 'Refresh token has expired');
+  }
+
+  // Claim the token; a concurrent request that already rotated it is reuse too
+  const { data: claimed, error: claimError } = await supabaseAdmin
+    .from('refresh_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', record.id)
+    .is('used_at', null)
+    .select('id');
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed || claimed.length === 0) {
+    throw await revokeChainOnReuse(session);
+  }
+
+  const { data: user, error: userError } = await supabaseAdmin
+    .from('users')
+    .select('id, email, role, status')
+    .eq('id', session.user_id)
+    .single();
+
+  if (userError || !user || !['active', 'unverified'].includes(user.status)) {
+    await revokeSession(session.id, 'account_inactive');
+    throw new SessionError(SESSION_ERRORS.REVOKED, 'This account is no longer active');
+  }
+
+  const next = await issueRefreshToken(session.id, session.expires_at);
+
+  await supabaseAdmin
+    .from('refresh_tokens')
+    .update({ replaced_by: next.id })
+    .eq('id', record.id);
+
+  await supabaseAdmin
+    .from('auth_sessions')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', session.id);
+
+  const token = signAccessToken(user, session.id);
+
+  return { token, refreshToken: next.refreshToken, expiresIn: accessTokenLifetime(token), sessionId: session.id };
+}
+
+async function revokeChainOnReuse(session) {
+  logger.warn(`Refresh token reuse detected for session ${session.id} (user ${session.user_id}); revoking session`);
+  await revokeSession(session.id, 'refresh_token_reuse');
+  return new SessionError(SESSION_ERRORS.REUSED, 'Refresh token was already used; the session has been signed out');
+}
+
+/**
+ * Revoke a session: its refresh tokens stop working and its access tokens
+ * are denylisted until they would have expired anyway.
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  const { error } = await supabaseAdmin
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) {
+    throw error;
+  }
+
+  await denyAccessTokens({ sessionId });
+}
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+async function revokeUserSessions(userId, reason, { exceptSessionId } = {}) {
+  let query = supabaseAdmin
+    .from('auth_sessions')
+    .select('id')
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { data: sessions, error } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  for (const session of sessions) {
+    await revokeSession(session.id, reason);
+  }
+
+  return sessions.length;
+}
+
+// Active sessions of a user, most recently used first
+async function listSessions(userId) {
+  const { data: sessions, error } = await supabaseAdmin
+    .from('auth_sessions')
+    .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  return sessions;
+}
+
+/**
+ * Add a single access token (`jti`) or every access token of a session to
+ * the denylist. Entries only need to outlive the longest access token.
+ */
+async function denyAccessTokens({ jti, sessionId, expiresAt }) {
+  const until = expiresAt || new Date(Date.now() + maxAccessTokenLifetimeMs()).toISOString();
+
+  const { error } = await supabaseAdmin
+    .from('token_denylist')
+    .insert({ jti: jti || null, session_id: sessionId || null, expires_at: until });
+
+  if (error) {
+    throw error;
+  }
+
+  await supabaseAdmin
+    .from('token_denylist')
+    .delete()
+    .lt('expires_at', new Date().toISOString());
+}
+
+// Whether a verified access token's jti or session is on the denylist
+async function isAccessTokenDenied({ jti, sid }) {
+  const filters = [jti && `jti.eq.${jti}`, sid && `session_id.eq.${sid}`].filter(Boolean);
+
+  const { data: entries, error } = await supabaseAdmin
+    .from('token_denylist')
+    .select('id')
+    .or(filters.join(','))
+    .gt('expires_at', new Date().toISOString())
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return entries.length > 0;
+}
+
+function maxAccessTokenLifetimeMs() {
+  const probe = jwt.sign({}, 'probe', { expiresIn: ACCESS_TOKEN_TTL });
+  return accessTokenLifetime(probe) * 1000;
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+  denyAccessTokens,
+  isAccessTokenDenied,
+  SessionError,
+  SESSION_ERRORS
+};
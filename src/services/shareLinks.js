@@ -0,0 +1,458 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabaseAdmin } = require('../config/database');
+const { evaluate, loadActor } = require('./policy');
+const logger = require('../utils/logger');
+
+/*
+ * Share links.
+ *
+ * A share link opens a read-only preview of one media file or one content
+ * item for someone without a login, until it expires or is revoked. The link
+ * holds a random token; only its hash is stored. A link can also need a
+ * password, kept as a bcrypt hash, and too many wrong passwords lock it for a
+ * while.
+ *
+ * The preview only has what a reviewer needs: the file itself, or the
+ * content's title, caption, script, hashtags and media. Media are served
+ * through signed storage URLs that expire with the link. A link stops working
+ * once its creator could no longer share the item themselves.
+ */
+
+const STORAGE_BUCKET = 'media-files';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a link works when no expiry is given, and at most
+const DEFAULT_EXPIRY_MS = 7 * DAY_MS;
+const MAX_EXPIRY_MS = 30 * DAY_MS;
+
+// Signed media URLs in a preview work this long, or until the link expires
+const MEDIA_URL_SECONDS = 60 * 60;
+
+const MAX_PASSWORD_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// What can be shared, and the share_links column pointing at it
+const SHARE_TARGETS = {
+  file: { column: 'media_file_id', action: 'file:share' },
+  content: { column: 'content_item_id', action: 'content:share' }
+};
+
+// Error codes returned as `code` by the share link endpoints
+const SHARE_ERRORS = {
+  NOT_FOUND: 'share_link_not_found',
+  EXPIRED: 'share_link_expired',
+  REVOKED: 'share_link_revoked',
+  LOCKED: 'share_link_locked',
+  PASSWORD_REQUIRED: 'password_required',
+  WRONG_PASSWORD: 'wrong_password',
+  INVALID_EXPIRY: 'invalid_expiry'
+};
+
+class ShareLinkError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = 'ShareLinkError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Columns of the content item a preview shows
+const CONTENT_PREVIEW_COLUMNS = 'title, platform, content_type, caption, script, hashtags, media_urls, scheduled_date';
+
+// Columns of a media file a preview needs
+const FILE_PREVIEW_COLUMNS = 'id, original_name, file_type, mime_type, file_size, storage_path, metadata';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function statusOf(link, now = new Date()) {
+  if (link.revoked_at) {
+    return 'revoked';
+  }
+  return new Date(link.expires_at) <= now ? 'expired' : 'active';
+}
+
+// A link as its creators see it: no hashes, but whether it has a password
+function formatLink({ token_hash, password_hash, failed_password_attempts, locked_until, ...link }, uniqueVisitors = 0) {
+  return {
+    ...link,
+    resource_type: link.media_file_id ? 'file' : 'content',
+    status: statusOf(link),
+    has_password: Boolean(password_hash),
+    unique_visitors: uniqueVisitors
+  };
+}
+
+/**
+ * Create a share link for a file or content item.
+ *
+ * @param {'file'|'content'} type
+ * @param {Object} resource - The media_files or content_items row
+ * @param {Object} options
+ * @param {string} options.createdBy - The sharing user's ID
+ * @param {string} [options.expiresAt] - When the link stops working; in 7 days by default, at most 30
+ * @param {string} [options.password] - Ask viewers for this password
+ * @returns {Promise<{ link: Object, token: string }>} The token for the URL (only its hash is stored)
+ * @throws {ShareLinkError}
+ */
+async function createShareLink(type, resource, { createdBy, expiresAt, password }) {
+  const now = Date.now();
+  const expires = expiresAt ? new Date(expiresAt) : new Date(now + DEFAULT_EXPIRY_MS);
+
+  if (expires.getTime() <= now) {
+    throw new ShareLinkError(SHARE_ERRORS.INVALID_EXPIRY, 'The expiry must be in the future');
+  }
+
+  if (expires.getTime() > now + MAX_EXPIRY_MS) {
+    throw new ShareLinkError(SHARE_ERRORS.INVALID_EXPIRY, 'Share links can expire at most 30 days from now');
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
+  const { data: link, error } = await supabaseAdmin
+    .from('share_links')
+    .insert({
+      [SHARE_TARGETS[type].column]: resource.id,
+      workspace_id: resource.workspace_id || null,
+      created_by: createdBy,
+      token_hash: hashToken(token),
+      password_hash: password ? await bcrypt.hash(password, saltRounds) : null,
+      expires_at: expires.toISOString()
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { link: formatLink(link), token };
+}
+
+/**
+ * The share links of a file or content item, newest first, with how often
+ * and by how many different visitors they were opened.
+ *
+ * @param {'file'|'content'} type
+ * @param {string} resourceId
+ */
+async function listShareLinks(type, resourceId) {
+  const { data: links, error } = await supabaseAdmin
+    .from('share_links')
+    .select('*, creator:users!share_links_created_by_fkey(id, first_name, last_name)')
+    .eq(SHARE_TARGETS[type].column, resourceId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  const visitors = new Map();
+
+  if (links.length > 0) {
+    const { data: views, error: viewsError } = await supabaseAdmin
+      .from('share_link_views')
+      .select('share_link_id, ip_address, user_agent')
+      .in('share_link_id', links.map(link => link.id));
+
+    if (viewsError) {
+      throw viewsError;
+    }
+
+    views.forEach(view => {
+      const seen = visitors.get(view.share_link_id) || new Set();
+      seen.add(`${view.ip_address}|${view.user_agent}`);
+      visitors.set(view.share_link_id, seen);
+    });
+  }
+
+  return links.map(link => formatLink(link, visitors.get(link.id)?.size || 0));
+}
+
+/**
+ * Stop a share link of a file or content item from working.
+ * @throws {ShareLinkError}
+ */
+async function revokeShareLink(type, resourceId, linkId, userId) {
+  const { data: link, error: findError } = await supabaseAdmin
+    .from('share_links')
+    .select('*')
+    .eq('id', linkId)
+    .eq(SHARE_TARGETS[type].column, resourceId)
+    .maybeSingle();
+
+  if (findError) {
+    throw findError;
+  }
+
+  if (!link) {
+    throw new ShareLinkError(SHARE_ERRORS.NOT_FOUND, 'Share link not found', 404);
+  }
+
+  if (link.revoked_at) {
+    return formatLink(link);
+  }
+
+  const { data: revoked, error } = await supabaseAdmin
+    .from('share_links')
+    .update({ revoked_at: new Date().toISOString(), revoked_by: userId })
+    .eq('id', link.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return formatLink(revoked);
+}
+
+/**
+ * Open the share link for a token: check it still works and its password,
+ * then record the view.
+ *
+ * @param {string} token
+ * @param {Object} visitor
+ * @param {string} [visitor.password]
+ * @param {string} [visitor.ip]
+ * @param {string} [visitor.userAgent]
+ * @returns {Promise<Object>} The share_links row
+ * @throws {ShareLinkError}
+ */
+async function openShareLink(token, { password, ip, userAgent }) {
+  const { data: link, error } = await supabaseAdmin
+    .from('share_links')
+    .select('*')
+    .eq('token_hash', hashToken(String(token)))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!link || !await creatorCanShare(link)) {
+    throw new ShareLinkError(SHARE_ERRORS.NOT_FOUND, 'Share link not found', 404);
+  }
+
+  const status = statusOf(link);
+
+  if (status === 'revoked') {
+    throw new ShareLinkError(SHARE_ERRORS.REVOKED, 'This share link has been revoked', 410);
+  }
+
+  if (status === 'expired') {
+    throw new ShareLinkError(SHARE_ERRORS.EXPIRED, 'This share link has expired', 410);
+  }
+
+  if (link.password_hash) {
+    await checkPassword(link, password);
+  }
+
+  const viewedAt = new Date().toISOString();
+
+  const { error: viewError } = await supabaseAdmin
+    .from('share_link_views')
+    .insert({
+      share_link_id: link.id,
+      ip_address: ip || null,
+      user_agent: userAgent ? userAgent.slice(0, 500) : null,
+      viewed_at: viewedAt
+    });
+
+  if (viewError) {
+    throw viewError;
+  }
+
+  const { error: countError } = await supabaseAdmin
+    .from('share_links')
+    .update({ view_count: (link.view_count || 0) + 1, last_viewed_at: viewedAt })
+    .eq('id', link.id);
+
+  if (countError) {
+    throw countError;
+  }
+
+  return link;
+}
+
+// Check a link's password, locking the link after too many wrong ones
+async function checkPassword(link, password) {
+  if (link.locked_until && new Date(link.locked_until) > new Date()) {
+    throw new ShareLinkError(SHARE_ERRORS.LOCKED, 'Too many incorrect passwords. Try again later', 429);
+  }
+
+  if (!password) {
+    throw new ShareLinkError(SHARE_ERRORS.PASSWORD_REQUIRED, 'This share link needs a password', 401);
+  }
+
+  if (await bcrypt.compare(String(password), link.password_hash)) {
+    if (link.failed_password_attempts > 0) {
+      await supabaseAdmin
+        .from('share_links')
+        .update({ failed_password_attempts: 0, locked_until: null })
+        .eq('id', link.id);
+    }
+    return;
+  }
+
+  const attempts = (link.failed_password_attempts || 0) + 1;
+  const locked = attempts >= MAX_PASSWORD_ATTEMPTS;
+
+  await supabaseAdmin
+    .from('share_links')
+    .update({
+      failed_password_attempts: locked ? 0 : attempts,
+      locked_until: locked ? new Date(Date.now() + LOCKOUT_MS).toISOString() : null
+    })
+    .eq('id', link.id);
+
+  if (locked) {
+    logger.warn(`Share link ${link.id} locked after ${MAX_PASSWORD_ATTEMPTS} incorrect passwords`);
+  }
+
+  throw new ShareLinkError(SHARE_ERRORS.WRONG_PASSWORD, 'Incorrect password', 401);
+}
+
+// Whether the link's creator could still share its item
+async function creatorCanShare(link) {
+  const type = link.media_file_id ? 'file' : 'content';
+  const { column, action } = SHARE_TARGETS[type];
+  const actor = await loadActor(link.created_by);
+
+  if (!actor || actor.status !== 'active') {
+    return false;
+  }
+
+  const { data: resource, error } = await supabaseAdmin
+    .from(type === 'file' ? 'media_files' : 'content_items')
+    .select('*')
+    .eq('id', link[column])
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!resource) {
+    return false;
+  }
+
+  const decision = await evaluate(actor, action, resource);
+  return decision.allowed;
+}
+
+/**
+ * The anonymous preview an open share link shows. Only the fields listed
+ * here leave the server: no IDs, owners, clients, comments or workspace data.
+ *
+ * @param {Object} link - A share_links row, from openShareLink
+ */
+async function buildPreview(link) {
+  const urlSeconds = Math.max(60, Math.min(MEDIA_URL_SECONDS, Math.floor((new Date(link.expires_at) - Date.now()) / 1000)));
+
+  if (link.media_file_id) {
+    const { data: file, error } = await supabaseAdmin
+      .from('media_files')
+      .select(FILE_PREVIEW_COLUMNS)
+      .eq('id', link.media_file_id)
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      type: 'file',
+      expiresAt: link.expires_at,
+      file: await previewFile(file, urlSeconds)
+    };
+  }
+
+  const { data: item, error } = await supabaseAdmin
+    .from('content_items')
+    .select(CONTENT_PREVIEW_COLUMNS)
+    .eq('id', link.content_item_id)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { data: files, error: filesError } = await supabaseAdmin
+    .from('media_files')
+    .select(FILE_PREVIEW_COLUMNS)
+    .eq('content_item_id', link.content_item_id)
+    .order('created_at', { ascending: true });
+
+  if (filesError) {
+    throw filesError;
+  }
+
+  return {
+    type: 'content',
+    expiresAt: link.expires_at,
+    content: {
+      title: item.title,
+      platform: item.platform,
+      contentType: item.content_type,
+      caption: item.caption || null,
+      script: item.script || null,
+      hashtags: item.hashtags || [],
+      scheduledDate: item.scheduled_date || null,
+      mediaUrls: item.media_urls || [],
+      media: await Promise.all(files.map(file => previewFile(file, urlSeconds)))
+    }
+  };
+}
+
+// A media file as a preview shows it, with signed URLs of the file and the
+// copies media processing made
+async function previewFile(file, urlSeconds) {
+  const metadata = file.metadata || {};
+
+  return {
+    name: file.original_name,
+    fileType: file.file_type,
+    mimeType: file.mime_type,
+    size: file.file_size,
+    width: metadata.width || null,
+    height: metadata.height || null,
+    duration: metadata.duration || null,
+    url: await signedUrl(file.storage_path, urlSeconds),
+    previewUrl: await signedUrl(metadata.compressed?.path, urlSeconds),
+    thumbnailUrl: await signedUrl(metadata.thumbnail?.path, urlSeconds),
+    posterUrl: await signedUrl(metadata.poster?.path, urlSeconds)
+  };
+}
+
+async function signedUrl(storagePath, seconds) {
+  if (!storagePath) {
+    return null;
+  }
+
+  const { data, error } = await supabaseAdmin.storage
+    .from(STORAGE_BUCKET)
+    .createSignedUrl(storagePath, seconds);
+
+  if (error) {
+    logger.warn(`Signing ${storagePath} for a share link failed: ${error.message}`);
+    return null;
+  }
+
+  return data.signedUrl;
+}
+
+module.exports = {
+  SHARE_ERRORS,
+  ShareLinkError,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+  buildPreview
+};
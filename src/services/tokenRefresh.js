@@ -0,0 +1,247 @@
+const cron = require('node-cron');
+const { supabaseAdmin } = require('../config/database');
+const { createNotification } = require('../routes/notifications');
+const { getAdapter } = require('./platforms');
+const { encryptAccountTokens, decryptAccountTokens } = require('../utils/tokenCipher');
+const logger = require('../utils/logger');
+
+// Refresh tokens this long before they expire; keep it above the cron interval
+const REFRESH_LEAD_MS = (parseInt(process.env.TOKEN_REFRESH_LEAD_MINUTES) || 20) * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.TOKEN_REFRESH_MAX_ATTEMPTS) || 5;
+
+let scheduledTask = null;
+let isRunning = false;
+
+// Refreshes in progress by account ID, so the cron job and an on-demand
+// refresh never spend the same (possibly single-use) refresh token twice
+const inFlight = new Map();
+
+// Whether an account's access token expires within the refresh lead time
+function needsRefresh(account, now = new Date()) {
+  if (!account.token_expires_at) {
+    return false;
+  }
+  return new Date(account.token_expires_at).getTime() - now.getTime() <= REFRESH_LEAD_MS;
+}
+
+function isExpired(account, now = new Date()) {
+  return Boolean(account.token_expires_at) && new Date(account.token_expires_at) <= now;
+}
+
+// Frontend link that restarts the connect flow for an account's platform
+function getReconnectUrl(account) {
+  return `${process.env.FRONTEND_URL}/dashboard?reconnect=${account.platform}&accountId=${account.id}`;
+}
+
+/**
+ * Refresh an account's access token through its platform adapter.
+ *
+ * On success the account is `active` again. A failure that may succeed later
+ * leaves the account `active` while the old token is still valid, or marks it
+ * `expired` once it is not. A permanent failure (rejected refresh token, or
+ * MAX_ATTEMPTS consecutive failures) marks it `error` and notifies the owner
+ * with a reconnect link.
+ *
+ * @param {Object} account - social_accounts row with decrypted tokens
+ * @returns {Promise<Object>} The updated account
+ * @throws {Error} The refresh error, with `permanent` and `account` set
+ */
+function refreshAccountToken(account, { now = new Date() } = {}) {
+  if (!inFlight.has(account.id)) {
+    const refresh = performRefresh(account, now).finally(() => inFlight.delete(account.id));
+    inFlight.set(account.id, refresh);
+  }
+  return inFlight.get(account.id);
+}
+
+async function performRefresh(account, now) {
+  let tokens;
+  try {
+    tokens = await getAdapter(account.platform).refreshToken({ account });
+  } catch (refreshError) {
+    throw await recordFailure(account, refreshError, now);
+  }
+
+  const { data: updatedAccount, error } = await supabaseAdmin
+    .from('social_accounts')
+    .update(encryptAccountTokens({
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token || account.refresh_token,
+      token_expires_at: tokens.expires_at || null,
+      status: 'active',
+      token_refreshed_at: new Date().toISOString(),
+      token_refresh_attempts: 0,
+      token_refresh_error: null,
+      updated_at: new Date().toISOString()
+    }))
+    .eq('id', account.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  logger.info(`Token refreshed for ${account.platform} account ${account.id}`);
+  return decryptAccountTokens(updatedAccount);
+}
+
+async function recordFailure(account, refreshError, now) {
+  const attempts = (account.token_refresh_attempts || 0) + 1;
+  const permanent = refreshError.retryable === false || attempts >= MAX_ATTEMPTS;
+  const reason = refreshError.message || 'Unknown token refresh error';
+
+  let status = account.status;
+  if (permanent) {
+    status = 'error';
+  } else if (isExpired(account, now)) {
+    status = 'expired';
+  }
+
+  const { data: updatedAccount } = await supabaseAdmin
+    .from('social_accounts')
+    .update({
+      status,
+      token_refresh_attempts: attempts,
+      token_refresh_error: reason,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', account.id)
+    .select()
+    .maybeSingle();
+
+  if (permanent) {
+    logger.error(`Token refresh failed permanently for ${account.platform} account ${account.id}: ${reason}`);
+
+    // Only notify on the transition into `error`
+    if (account.status !== 'error') {
+      await notifyReconnect(account, reason);
+    }
+  } else {
+    logger.warn(`Token refresh attempt ${attempts} failed for ${account.platform} account ${account.id}: ${reason}`);
+  }
+
+  refreshError.permanent = permanent;
+  refreshError.retryable = !permanent;
+  refreshError.account = updatedAccount ? decryptAccountTokens(updatedAccount) : { ...account, status };
+  return refreshError;
+}
+
+async function notifyReconnect(account, reason) {
+  const name = account.username ? `@${account.username}` : 'your account';
+
+  try {
+    await createNotification(account.user_id, 'social_account_reconnect',
+      `Reconnect your ${account.platform} account`,
+      `We couldn't renew access to ${name} on ${account.platform}. Reconnect it to keep publishing and syncing.`, {
+        social_account_id: account.id,
+        platform: account.platform,
+        reconnect_url: getReconnectUrl(account),
+        reason
+      });
+  } catch (error) {
+    // createNotification already logs; a failed notification must not fail the refresh
+  }
+}
+
+/**
+ * Return an account with a usable access token, refreshing it first when it
+ * is about to expire. Throws the refresh error only if the current token can
+ * no longer be used.
+ */
+async function ensureFreshToken(account, { now = new Date() } = {}) {
+  if (!needsRefresh(account, now)) {
+    return account;
+  }
+
+  try {
+    return await refreshAccountToken(account, { now });
+  } catch (refreshError) {
+    if (!refreshError.permanent && !isExpired(account, now)) {
+      return account;
+    }
+    throw refreshError;
+  }
+}
+
+/**
+ * Refresh every active or expired account whose token expires within the lead time.
+ *
+ * @returns {Promise<{refreshed: number, retrying: number, failed: number}>}
+ */
+async function refreshExpiringTokens({ now = new Date(), limit = 50 } = {}) {
+  const summary = { refreshed: 0, retrying: 0, failed: 0 };
+
+  const { data: accounts, error } = await supabaseAdmin
+    .from('social_accounts')
+    .select('*')
+    .in('status', ['active', 'expired'])
+    .not('token_expires_at', 'is', null)
+    .lte('token_expires_at', new Date(now.getTime() + REFRESH_LEAD_MS).toISOString())
+    .order('token_expires_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw error;
+  }
+
+  for (const account of accounts) {
+    try {
+      await refreshAccountToken(decryptAccountTokens(account), { now });
+      summary.refreshed++;
+    } catch (refreshError) {
+      if (refreshError.permanent) {
+        summary.failed++;
+      } else {
+        summary.retrying++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+// Start the cron job that refreshes expiring tokens (every 15 minutes by default)
+function startTokenRefresh({ schedule = process.env.TOKEN_REFRESH_CRON || '*/15 * * * *' } = {}) {
+  if (scheduledTask) {
+    return scheduledTask;
+  }
+
+  scheduledTask = cron.schedule(schedule, async () => {
+    if (isRunning) {
+      return;
+    }
+
+    isRunning = true;
+    try {
+      const summary = await refreshExpiringTokens();
+      if (summary.refreshed || summary.retrying || summary.failed) {
+        logger.info('Token refresh run complete', summary);
+      }
+    } catch (error) {
+      logger.error('Token refresh run failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  });
+
+  logger.info(`Token refresh started (${schedule})`);
+  return scheduledTask;
+}
+
+function stopTokenRefresh() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+}
+
+module.exports = {
+  needsRefresh,
+  getReconnectUrl,
+  refreshAccountToken,
+  ensureFreshToken,
+  refreshExpiringTokens,
+  startTokenRefresh,
+  stopTokenRefresh
+};
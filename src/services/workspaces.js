@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/database');
+
+// Workspace roles, most privileged first
+const WORKSPACE_ROLES = ['owner', 'manager', 'editor', 'viewer'];
+
+// Roles an invitation or a role change can grant; ownership is never handed out this way
+const ASSIGNABLE_ROLES = ['manager', 'editor', 'viewer'];
+
+const INVITATION_TTL_MS = (parseInt(process.env.WORKSPACE_INVITATION_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+// Error codes returned as `code` by workspace-scoped endpoints
+const WORKSPACE_ERRORS = {
+  NOT_FOUND: 'workspace_not_found',
+  FORBIDDEN: 'workspace_forbidden',
+  MFA_REQUIRED: 'mfa_required',
+  INVITATION_INVALID: 'invitation_invalid',
+  INVITATION_EXPIRED: 'invitation_expired',
+  INVITATION_USED: 'invitation_used',
+  INVITATION_EMAIL_MISMATCH: 'invitation_email_mismatch'
+};
+
+class WorkspaceError extends Error {
+  constructor(code, message, status = 403) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// True when `role` is at least as privileged as `minimumRole`
+function hasWorkspaceRole(role, minimumRole) {
+  const rank = WORKSPACE_ROLES.indexOf(role);
+  return rank !== -1 && rank <= WORKSPACE_ROLES.indexOf(minimumRole);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Look up a user's role in a workspace. Platform admins act as owners.
+ *
+ * @returns {Promise<{ workspace: Object, role: string }|null>} null when the
+ *   workspace doesn't exist or the user isn't an active member
+ */
+async function getWorkspaceAccess(workspaceId, user) {
+  const { data: workspace, error } = await supabaseAdmin
+    .from('workspaces')
+    .select('*')
+    .eq('id', workspaceId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!workspace) {
+    return null;
+  }
+
+  if (user.role === 'admin' || workspace.owner_id === user.id) {
+    return { workspace, role: 'owner' };
+  }
+
+  const { data: member } = await supabaseAdmin
+    .from('workspace_members')
+    .select('role')
+    .eq('workspace_id', workspaceId)
+    .eq('user_id', user.id)
+    .eq('status', 'active')
+    .maybeSingle();
+
+  return member ? { workspace, role: member.role } : null;
+}
+
+/**
+ * Like getWorkspaceAccess, but throws unless the user has at least
+ * `minimumRole` and meets the workspace's two-factor requirement.
+ *
+ * @throws {WorkspaceError}
+ */
+async function assertWorkspaceRole(workspaceId, user, minimumRole = 'viewer') {
+  const access = await getWorkspaceAccess(workspaceId, user);
+
+  if (!access) {
+    throw new WorkspaceError(WORKSPACE_ERRORS.NOT_FOUND, 'The requested workspace does not exist or you are not a member', 404);
+  }
+
+  if (access.workspace.settings?.require_mfa && !user.mfa_enabled) {
+    throw new WorkspaceError(
+      WORKSPACE_ERRORS.MFA_REQUIRED,
+      'This workspace requires two-factor authentication. Enable it in your account settings to continue'
+    );
+  }
+
+  if (!hasWorkspaceRole(access.role, minimumRole)) {
+    throw new WorkspaceError(
+      WORKSPACE_ERRORS.FORBIDDEN,
+      `This action requires the ${minimumRole} role or higher in this workspace`
+    );
+  }
+
+  return access;
+}
+
+// Workspaces the user is an active member of, with their role in each
+async function listUserWorkspaces(userId) {
+  const { data: memberships, error } = await supabaseAdmin
+    .from('workspace_members')
+    .select('role, joined_at, workspace:workspaces(*)')
+    .eq('user_id', userId)
+    .eq('status', 'active');
+
+  if (error) {
+    throw error;
+  }
+
+  return memberships
+    .filter(membership => membership.workspace)
+    .map(membership => ({ ...membership.workspace, role: membership.role, joined_at: membership.joined_at }));
+}
+
+/**
+ * Create a workspace with the user as its owner.
+ */
+async function createWorkspace({ ownerId, name, description }) {
+  const { data: workspace, error } = await supabaseAdmin
+    .from('workspaces')
+    .insert({
+      name,
+      description,
+      owner_id: ownerId,
+      created_at: new Date().toISOString()
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { error: memberError } = await supabaseAdmin
+    .from('workspace_members')
+    .insert({
+      workspace_id: workspace.id,
+      user_id: ownerId,
+      role: 'owner',
+      status: 'active'
+    });
+
+  if (memberError) {
+    await supabaseAdmin.from('workspaces').delete().eq('id', workspace.id);
+    throw memberError;
+  }
+
+  return workspace;
+}
+
+/**
+ * Invite an email address to a workspace. A newer invitation for the same
+ * address replaces any pending one.
+ *
+ * @returns {Promise<{ invitation: Object, token: string }>} The token goes in
+ *   the emailed links; only its hash is stored
+ */
+async function createInvitation({ workspaceId, email, role, invitedBy }) {
+  const normalizedEmail = email.toLowerCase();
+
+  await supabaseAdmin
+    .from('workspace_invitations')
+    .update({ status: 'revoked', responded_at: new Date().toISOString() })
+    .eq('workspace_id', workspaceId)
+    .eq('email', normalizedEmail)
+    .eq('status', 'pending');
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { data: invitation, error } = await supabaseAdmin
+    .from('workspace_invitations')
+    .insert({
+      workspace_id: workspaceId,
+      email: normalizedEmail,
+      role,
+      token_hash: hashToken(token),
+      invited_by: invitedBy,
+      expires_at: new Date(Date.now() + INVITATION_TTL_MS).toISOString()
+    })
+    .select('id, workspace_id, email, role, status, expires_at, created_at')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return { invitation, token };
+}
+
+/**
+ * Find the pending invitation for a token.
+ * @throws {WorkspaceError}
+ */
+async function findPendingInvitation(token) {
+  const { data: invitation, error } = await supabaseAdmin
+    .from('workspace_invitations')
+    .select('*, workspace:workspaces(id, name)')
+    .eq('token_hash', hashToken(String(token)))
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!invitation || !invitation.workspace || invitation.status === 'revoked') {
+    throw new WorkspaceError(WORKSPACE_ERRORS.INVITATION_INVALID, 'This invitation is invalid', 400);
+  }
+
+  if (invitation.status !== 'pending') {
+    throw new WorkspaceError(WORKSPACE_ERRORS.INVITATION_USED, `This invitation has already been ${invitation.status}`, 400);
+  }
+
+  if (new Date(invitation.expires_at) < new Date()) {
+    throw new WorkspaceError(WORKSPACE_ERRORS.INVITATION_EXPIRED, 'This invitation has expired', 400);
+  }
+
+  return invitation;
+}
+
+// Move a pending invitation to `status`; only the first caller wins
+async function respondToInvitation(invitation, status) {
+  const { data: claimed, error } = await supabaseAdmin
+    .from('workspace_invitations')
+    .update({ status, responded_at: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  if (!claimed || claimed.length === 0) {
+    throw new WorkspaceError(WORKSPACE_ERRORS.INVITATION_USED, 'This invitation has already been answered', 400);
+  }
+}
+
+/**
+ * Accept an invitation as `user`, who must be signed in with the invited address.
+ *
+ * @returns {Promise<{ workspace: Object, role: string }>}
+ * @throws {WorkspaceError}
+ */
+async function acceptInvitation(token, user) {
+  const invitation = await findPendingInvitation(token);
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    throw new WorkspaceError(
+      WORKSPACE_ERRORS.INVITATION_EMAIL_MISMATCH,
+      'This invitation was sent to a different email address'
+    );
+  }
+
+  await respondToInvitation(invitation, 'accepted');
+
+  const { data: existing } = await supabaseAdmin
+    .from('workspace_members')
+    .select('id, role, status')
+    .eq('workspace_id', invitation.workspace_id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  // Existing active members keep their role; former members rejoin with the invited one
+  if (existing && existing.status === 'active') {
+    return { workspace: invitation.workspace, role: existing.role };
+  }
+
+  const membership = {
+    role: invitation.role,
+    status: 'active',
+    invited_by: invitation.invited_by,
+    joined_at: new Date().toISOString()
+  };
+
+  const { error } = existing
+    ? await supabaseAdmin.from('workspace_members').update(membership).eq('id', existing.id)
+    : await supabaseAdmin.from('workspace_members').insert({
+      ...membership,
+      workspace_id: invitation.workspace_id,
+      user_id: user.id
+    });
+
+  if (error) {
+    throw error;
+  }
+
+  return { workspace: invitation.workspace, role: invitation.role };
+}
+
+/**
+ * Decline an invitation. Anyone holding the emailed link can decline it.
+ *
+ * @returns {Promise<Object>} The workspace the invitation was for
+ * @throws {WorkspaceError}
+ */
+async function declineInvitation(token) {
+  const invitation = await findPendingInvitation(token);
+  await respondToInvitation(invitation, 'declined');
+  return invitation.workspace;
+}
+
+module.exports = {
+  WORKSPACE_ROLES,
+  ASSIGNABLE_ROLES,
+  WORKSPACE_ERRORS,
+  WorkspaceError,
+  hasWorkspaceRole,
+  getWorkspaceAccess,
+  assertWorkspaceRole,
+  listUserWorkspaces,
+  createWorkspace,
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation,
+  declineInvitation
+};
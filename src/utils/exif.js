@@ -0,0 +1,174 @@
+/*
+ * Minimal EXIF reader for JPEG files: camera, capture settings, orientation
+ * and GPS position from the APP1 segment. ffprobe doesn't report EXIF, so
+ * images are read here instead.
+ */
+
+// Tags kept, by IFD; value is the key in the result
+const IFD0_TAGS = {
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'modifiedAt'
+};
+
+const EXIF_TAGS = {
+  0x829a: 'exposureTime',
+  0x829d: 'fNumber',
+  0x8827: 'iso',
+  0x9003: 'takenAt',
+  0x920a: 'focalLength',
+  0xa434: 'lens'
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+// Bytes per component of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Find the EXIF APP1 segment of a JPEG; returns the TIFF data inside it
+function findExifSegment(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return null;
+    }
+
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // Start of scan: image data follows, no more metadata
+    if (marker === 0xda) {
+      return null;
+    }
+
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return buffer.subarray(offset + 10, Math.min(offset + 2 + length, buffer.length));
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+function readValue(tiff, entry, littleEndian) {
+  const type = tiff[littleEndian ? 'readUInt16LE' : 'readUInt16BE'](entry + 2);
+  const count = tiff[littleEndian ? 'readUInt32LE' : 'readUInt32BE'](entry + 4);
+  const size = (TYPE_SIZES[type] || 1) * count;
+  const at = size > 4 ? tiff[littleEndian ? 'readUInt32LE' : 'readUInt32BE'](entry + 8) : entry + 8;
+
+  if (at + size > tiff.length) {
+    return null;
+  }
+
+  const uint16 = (i) => tiff[littleEndian ? 'readUInt16LE' : 'readUInt16BE'](i);
+  const uint32 = (i) => tiff[littleEndian ? 'readUInt32LE' : 'readUInt32BE'](i);
+  const int32 = (i) => tiff[littleEndian ? 'readInt32LE' : 'readInt32BE'](i);
+
+  const values = [];
+  for (let i = 0; i < count && type !== 2 && type !== 7; i++) {
+    switch (type) {
+      case 1: values.push(tiff[at + i]); break;
+      case 3: values.push(uint16(at + i * 2)); break;
+      case 4: values.push(uint32(at + i * 4)); break;
+      case 9: values.push(int32(at + i * 4)); break;
+      case 5: values.push(uint32(at + i * 8) / (uint32(at + i * 8 + 4) || 1)); break;
+      case 10: values.push(int32(at + i * 8) / (int32(at + i * 8 + 4) || 1)); break;
+    }
+  }
+
+  if (type === 2) {
+    return tiff.toString('latin1', at, at + size).replace(/\0+$/, '').trim();
+  }
+
+  if (type === 7) {
+    return null;
+  }
+
+  return count === 1 ? values[0] : values;
+}
+
+// Read an IFD's entries into { tag: value }
+function readIfd(tiff, offset, littleEndian) {
+  const entries = {};
+
+  if (offset + 2 > tiff.length) {
+    return entries;
+  }
+
+  const count = tiff[littleEndian ? 'readUInt16LE' : 'readUInt16BE'](offset);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      break;
+    }
+
+    const tag = tiff[littleEndian ? 'readUInt16LE' : 'readUInt16BE'](entry);
+    entries[tag] = readValue(tiff, entry, littleEndian);
+  }
+
+  return entries;
+}
+
+// EXIF dates are "YYYY:MM:DD HH:MM:SS" in the camera's local time
+const formatDate = (value) => typeof value === 'string'
+  ? value.replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T')
+  : null;
+
+function toDegrees([degrees, minutes, seconds], ref) {
+  const value = degrees + minutes / 60 + seconds / 3600;
+  return Math.round((ref === 'S' || ref === 'W' ? -value : value) * 1e6) / 1e6;
+}
+
+/**
+ * Read the EXIF data of a JPEG.
+ *
+ * @param {Buffer} buffer - The start of the file (the EXIF segment comes
+ *   before the image data, so the first 128 KB are enough)
+ * @returns {Object|null} The tags found, or null when there is no EXIF data
+ */
+function readExif(buffer) {
+  const tiff = findExifSegment(buffer);
+
+  if (!tiff || tiff.length < 8) {
+    return null;
+  }
+
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const ifd0 = readIfd(tiff, tiff[littleEndian ? 'readUInt32LE' : 'readUInt32BE'](4), littleEndian);
+  const exifIfd = ifd0[EXIF_IFD_POINTER] ? readIfd(tiff, ifd0[EXIF_IFD_POINTER], littleEndian) : {};
+  const gpsIfd = ifd0[GPS_IFD_POINTER] ? readIfd(tiff, ifd0[GPS_IFD_POINTER], littleEndian) : {};
+
+  const exif = {};
+
+  for (const [tags, ifd] of [[IFD0_TAGS, ifd0], [EXIF_TAGS, exifIfd]]) {
+    for (const [tag, key] of Object.entries(tags)) {
+      const value = ifd[tag];
+      if (value !== undefined && value !== null && value !== '') {
+        exif[key] = key.endsWith('At') ? formatDate(value) : value;
+      }
+    }
+  }
+
+  // GPSLatitude/Ref (2/1) and GPSLongitude/Ref (4/3)
+  if (Array.isArray(gpsIfd[2]) && Array.isArray(gpsIfd[4])) {
+    exif.gps = {
+      latitude: toDegrees(gpsIfd[2], gpsIfd[1]),
+      longitude: toDegrees(gpsIfd[4], gpsIfd[3])
+    };
+  }
+
+  return Object.keys(exif).length > 0 ? exif : null;
+}
+
+module.exports = {
+  readExif
+};
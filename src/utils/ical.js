@@ -0,0 +1,95 @@
+// RFC 5545 iCalendar output: just enough of VCALENDAR/VEVENT for read-only
+// feeds that Google Calendar, Apple Calendar and Outlook can subscribe to.
+
+const PRODUCT_ID = '-//ContentFlow AI//Content Calendar//EN';
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// 20251019T143000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.categories && event.categories.length > 0) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+  }
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Render a calendar as iCalendar text.
+ *
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown as the subscription's name
+ * @param {Array<{ uid: string, start: Date|string, end: Date|string, summary: string,
+ *   description?: string, status?: 'TENTATIVE'|'CONFIRMED'|'CANCELLED',
+ *   categories?: string[], lastModified?: Date|string }>} calendar.events
+ * @returns {string}
+ */
+function buildCalendar({ name, events }) {
+  const stamp = formatDateTime(new Date());
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  formatDateTime
+};
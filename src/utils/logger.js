@@ -1,19 +1,77 @@
 const winston = require('winston');
 
+// Keys whose values never reach the logs, and inline secrets in strings
+const SENSITIVE_KEYS = /^(access_?token|refresh_?token|id_?token|token|code_?verifier|client_?secret|authorization|password|password_?hash|mfa_?(pending_?)?secret|mfa_?token|(mfa_?)?recovery_?codes?)$/i;
+const SENSITIVE_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]'],
+  [/((?:access_token|refresh_token|code_verifier|client_secret)=)[^&\s"']+/gi, '$1[REDACTED]'],
+  [/enc:v1:[\w:-]+/g, '[REDACTED]']
+];
+const MAX_DEPTH = 6;
+
+function scrubString(value) {
+  return SENSITIVE_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return scrubString(value);
+  }
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (depth >= MAX_DEPTH || seen.has(value)) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const copy = value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = item !== null && item !== undefined && SENSITIVE_KEYS.test(key) ? '[REDACTED]' : item;
+  }
+  for (const key of Object.keys(copy)) {
+    if (copy[key] !== '[REDACTED]') {
+      copy[key] = redact(copy[key], depth + 1, seen);
+    }
+  }
+  return copy;
+}
+
+// Strip tokens and credentials from every log entry before any transport sees it
+const redactSecrets = winston.format(info => {
+  for (const key of Object.keys(info)) {
+    if (SENSITIVE_KEYS.test(key)) {
+      info[key] = '[REDACTED]';
+    } else {
+      info[key] = redact(info[key]);
+    }
+  }
+  return info;
+});
+
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'contentflow-api' },
-  transports: [
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' })
-  ]
+  // Tests check responses, not log output
+  silent: process.env.NODE_ENV === 'test'
 });
 
+// Log files everywhere but in tests
+if (process.env.NODE_ENV !== 'test') {
+  logger.add(new winston.transports.File({ filename: 'logs/error.log', level: 'error' }));
+  logger.add(new winston.transports.File({ filename: 'logs/combined.log' }));
+}
+
 // Add console transport for development
 if (process.env.NODE_ENV !== 'production') {
   logger.add(new winston.transports.Console({
@@ -24,4 +82,4 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
-module.exports = logger;
\ No newline at end of file
+module.exports = logger;
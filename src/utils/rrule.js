@@ -0,0 +1,268 @@
+// A subset of RFC 5545 recurrence rules, enough for posting schedules:
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL
+//
+// e.g. FREQ=WEEKLY;BYDAY=TU (every Tuesday), FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+// (Mondays and Thursdays every other week), FREQ=MONTHLY;BYDAY=-1FR (the last
+// Friday of each month). Occurrences keep the start's wall-clock time in the
+// given time zone, across daylight saving changes.
+
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Candidate days examined before giving up on finding more occurrences
+const MAX_ITERATIONS = 20000;
+
+class RecurrenceRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceRuleError';
+  }
+}
+
+function parseInteger(key, value, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max || number === 0) {
+    throw new RecurrenceRuleError(`${key} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new RecurrenceRuleError('UNTIL must be a date (YYYYMMDD) or UTC time (YYYYMMDDTHHMMSSZ)');
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
+
+/**
+ * Parse a recurrence rule, with or without its `RRULE:` prefix.
+ *
+ * @returns {{ freq: string, interval: number, byDay: Array<{ weekday: number, nth: number|null }>,
+ *   byMonthDay: number[], count: number|null, until: Date|null }}
+ * @throws {RecurrenceRuleError}
+ */
+function parseRule(text) {
+  const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+  const source = String(text).trim().replace(/^RRULE:/i, '');
+
+  for (const part of source.split(';').filter(Boolean)) {
+    const [key, value] = part.split('=').map(piece => piece && piece.trim().toUpperCase());
+
+    if (!value) {
+      throw new RecurrenceRuleError(`"${part}" is not a KEY=VALUE rule part`);
+    }
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new RecurrenceRuleError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL':
+        rule.interval = parseInteger('INTERVAL', value, 1, 365);
+        break;
+      case 'BYDAY':
+        rule.byDay = value.split(',').map(entry => {
+          const match = entry.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+          if (!match) {
+            throw new RecurrenceRuleError(`"${entry}" is not a BYDAY value, e.g. TU or -1FR`);
+          }
+          return {
+            weekday: WEEKDAYS.indexOf(match[2]),
+            nth: match[1] ? parseInteger('The BYDAY position', match[1], -5, 5) : null
+          };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = value.split(',').map(entry => parseInteger('BYMONTHDAY', entry, -31, 31));
+        break;
+      case 'COUNT':
+        rule.count = parseInteger('COUNT', value, 1, 1000);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw new RecurrenceRuleError(`${key} is not supported; use FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT or UNTIL`);
+    }
+  }
+
+  if (!rule.freq) {
+    throw new RecurrenceRuleError('FREQ is required');
+  }
+
+  if (rule.count && rule.until) {
+    throw new RecurrenceRuleError('COUNT and UNTIL cannot be combined');
+  }
+
+  if (rule.freq !== 'MONTHLY' && (rule.byMonthDay.length > 0 || rule.byDay.some(day => day.nth !== null))) {
+    throw new RecurrenceRuleError('BYMONTHDAY and numbered BYDAY values (e.g. -1FR) need FREQ=MONTHLY');
+  }
+
+  if (rule.byMonthDay.length > 0 && rule.byDay.length > 0) {
+    throw new RecurrenceRuleError('BYDAY and BYMONTHDAY cannot be combined');
+  }
+
+  return rule;
+}
+
+// Wall-clock date and time of `date` in `timeZone`
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: value('year'),
+    month: value('month') - 1,
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function offsetAt(date, timeZone) {
+  const local = localParts(date, timeZone);
+  const wall = Date.UTC(local.year, local.month, local.day, local.hour, local.minute, local.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time happens in `timeZone`
+function zonedTimeToUtc(wall, timeZone) {
+  const guess = wall - offsetAt(new Date(wall), timeZone);
+  return new Date(wall - offsetAt(new Date(guess), timeZone));
+}
+
+// Days are numbered from 1970-01-01 (a Thursday)
+const dayNumber = (year, month, day) => Math.floor(Date.UTC(year, month, day) / DAY_MS);
+const weekdayOf = (dayNum) => (((dayNum + 3) % 7) + 7) % 7;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The days of one month that match a MONTHLY rule
+function monthDays(rule, year, month, startDay) {
+  const first = dayNumber(year, month, 1);
+  const length = daysInMonth(year, month);
+  const days = [];
+
+  if (rule.byDay.length > 0) {
+    for (const { weekday, nth } of rule.byDay) {
+      const matching = [];
+      for (let day = 0; day < length; day++) {
+        if (weekdayOf(first + day) === weekday) {
+          matching.push(first + day);
+        }
+      }
+      if (nth === null) {
+        days.push(...matching);
+      } else {
+        const pick = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+        if (pick !== undefined) days.push(pick);
+      }
+    }
+  } else {
+    // Months without the day (e.g. the 31st) are skipped, as RFC 5545 does
+    for (const monthDay of rule.byMonthDay.length > 0 ? rule.byMonthDay : [startDay]) {
+      const day = monthDay > 0 ? monthDay : length + monthDay + 1;
+      if (day >= 1 && day <= length) days.push(first + day - 1);
+    }
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// Candidate days from the start's period onwards, in order
+function* candidateDays(rule, start) {
+  const startDay = dayNumber(start.year, start.month, start.day);
+
+  if (rule.freq === 'DAILY') {
+    for (let period = 0; ; period++) {
+      yield startDay + period * rule.interval;
+    }
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = startDay - weekdayOf(startDay);
+    const weekdays = rule.byDay.length > 0
+      ? [...new Set(rule.byDay.map(day => day.weekday))].sort((a, b) => a - b)
+      : [weekdayOf(startDay)];
+    for (let period = 0; ; period++) {
+      for (const weekday of weekdays) {
+        yield weekStart + period * 7 * rule.interval + weekday;
+      }
+    }
+  }
+
+  for (let period = 0; ; period++) {
+    const monthIndex = start.month + period * rule.interval;
+    yield* monthDays(rule, start.year + Math.floor(monthIndex / 12), monthIndex % 12, start.day);
+  }
+}
+
+/**
+ * Occurrences of a rule between two instants. The first occurrence is the
+ * start itself when it matches the rule; COUNT counts from there.
+ *
+ * @param {Object} rule - From parseRule
+ * @param {Date} start - The first occurrence's date and time (DTSTART)
+ * @param {string} timeZone - IANA zone whose wall-clock time occurrences keep
+ * @param {Object} range
+ * @param {Date} range.from - Inclusive
+ * @param {Date} range.to - Inclusive
+ * @param {number} [range.limit] - Stop after this many occurrences in the range
+ * @returns {Array<{ date: Date, number: number }>} Each occurrence with its 1-based position in the series
+ */
+function occurrencesBetween(rule, start, timeZone, { from, to, limit = Infinity }) {
+  const local = localParts(start, timeZone);
+  const timeOfDay = ((local.hour * 60 + local.minute) * 60 + local.second) * 1000;
+  const startDay = dayNumber(local.year, local.month, local.day);
+  const occurrences = [];
+  let number = 0;
+  let iterations = 0;
+
+  for (const day of candidateDays(rule, local)) {
+    if (++iterations > MAX_ITERATIONS || occurrences.length >= limit) {
+      break;
+    }
+
+    if (day < startDay) {
+      continue;
+    }
+
+    const date = zonedTimeToUtc(day * DAY_MS + timeOfDay, timeZone);
+
+    if ((rule.count && number >= rule.count) || (rule.until && date > rule.until) || date > to) {
+      break;
+    }
+
+    number += 1;
+
+    if (date >= from) {
+      occurrences.push({ date, number });
+    }
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  RecurrenceRuleError,
+  parseRule,
+  occurrencesBetween,
+  localParts
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Envelope encryption for OAuth tokens stored in social_accounts.
+//
+// Each value gets its own random data key. The value is encrypted with the
+// data key (AES-256-GCM) and the data key is wrapped with a key-encryption
+// key from TOKEN_ENCRYPTION_KEYS. Stored format:
+//
+//   enc:v1:<key id>:<wrapped data key>:<ciphertext>
+//
+// where both parts are base64url(iv | auth tag | bytes). TOKEN_ENCRYPTION_KEYS
+// is a comma-separated list of `<key id>:<base64 32-byte key>`; the first key
+// encrypts, every listed key can decrypt. To rotate, prepend a new key, run
+// `npm run tokens:reencrypt`, then drop the old key.
+
+const PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+let cachedKeys = null;
+let warnedPlaintext = false;
+
+function loadKeys() {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  if (cachedKeys && cachedKeys.raw === raw) {
+    return cachedKeys;
+  }
+
+  const keys = new Map();
+  let activeKeyId = null;
+
+  for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must be <key id>:<base64 32-byte key>');
+    }
+
+    keys.set(keyId, key);
+    activeKeyId = activeKeyId || keyId;
+  }
+
+  cachedKeys = { raw, keys, activeKeyId };
+  return cachedKeys;
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Key ID a stored value was encrypted with, or null for plaintext
+function getKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+// Whether TOKEN_ENCRYPTION_KEYS has a key to encrypt with
+function isEncryptionConfigured() {
+  return Boolean(loadKeys().activeKeyId);
+}
+
+/**
+ * Encrypt a token with the active key. Without TOKEN_ENCRYPTION_KEYS, tokens
+ * are stored as-is outside production so local setups keep working.
+ */
+function encryptToken(value) {
+  if (value === null || value === undefined || value === '') {
+    return value;
+  }
+
+  const { keys, activeKeyId } = loadKeys();
+
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be set to store social tokens');
+    }
+    if (!warnedPlaintext) {
+      warnedPlaintext = true;
+      logger.warn('TOKEN_ENCRYPTION_KEYS is not set; social tokens are stored unencrypted');
+    }
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(keys.get(activeKeyId), dataKey);
+  const ciphertext = seal(dataKey, Buffer.from(String(value), 'utf8'));
+
+  return `${PREFIX}${activeKeyId}:${wrappedKey}:${ciphertext}`;
+}
+
+// Decrypt a stored token; plaintext values written before encryption pass through
+function decryptToken(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, wrappedKey, ciphertext] = value.slice(PREFIX.length).split(':');
+  const key = loadKeys().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+
+  const dataKey = open(key, wrappedKey);
+  return open(dataKey, ciphertext).toString('utf8');
+}
+
+// Whether a stored value should be rewritten with the active key
+function needsReencryption(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  const { activeKeyId } = loadKeys();
+  return Boolean(activeKeyId) && getKeyId(value) !== activeKeyId;
+}
+
+// Encrypt the token columns of a social_accounts insert/update payload
+function encryptAccountTokens(fields) {
+  const encrypted = { ...fields };
+  for (const column of ['access_token', 'refresh_token']) {
+    if (column in encrypted) {
+      encrypted[column] = encryptToken(encrypted[column]);
+    }
+  }
+  return encrypted;
+}
+
+// Decrypt the token columns of a social_accounts row
+function decryptAccountTokens(account) {
+  if (!account) {
+    return account;
+  }
+  return {
+    ...account,
+    access_token: decryptToken(account.access_token),
+    refresh_token: decryptToken(account.refresh_token)
+  };
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  getKeyId,
+  needsReencryption,
+  encryptAccountTokens,
+  decryptAccountTokens
+};
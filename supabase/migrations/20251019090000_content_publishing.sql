@@ -0,0 +1,27 @@
+/*
+  # Content publishing
+
+  1. Changes to `content_items`
+    - `failed` status for items the scheduler gave up on
+    - `social_account_id` - account the item was published to
+    - `platform_post_id` / `platform_post_url` - identifiers returned by the platform
+    - `publish_attempts` - number of publish attempts so far
+    - `next_publish_attempt_at` - earliest time of the next retry
+    - `publish_error` - last failure reason
+
+  2. Indexes
+    - Due-item lookup for the scheduler
+*/
+
+ALTER TABLE content_items DROP CONSTRAINT IF EXISTS content_items_status_check;
+ALTER TABLE content_items ADD CONSTRAINT content_items_status_check
+  CHECK (status IN ('draft', 'review', 'approved', 'scheduled', 'published', 'rejected', 'failed'));
+
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS social_account_id uuid REFERENCES social_accounts(id) ON DELETE SET NULL;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS platform_post_id text;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS platform_post_url text;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS publish_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS next_publish_attempt_at timestamptz;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS publish_error text;
+
+CREATE INDEX IF NOT EXISTS idx_content_items_due ON content_items(status, scheduled_date);
@@ -0,0 +1,17 @@
+/*
+  # Social account token refresh
+
+  1. Changes to `social_accounts`
+    - `token_refreshed_at` - last successful token refresh
+    - `token_refresh_attempts` - consecutive failed refresh attempts
+    - `token_refresh_error` - last refresh failure reason
+
+  2. Indexes
+    - Expiring-token lookup for the refresh job
+*/
+
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS token_refreshed_at timestamptz;
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS token_refresh_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE social_accounts ADD COLUMN IF NOT EXISTS token_refresh_error text;
+
+CREATE INDEX IF NOT EXISTS idx_social_accounts_token_expiry ON social_accounts(status, token_expires_at);
@@ -0,0 +1,32 @@
+/*
+  # OAuth state records
+
+  1. New Tables
+    - `oauth_states`
+      - `id` (uuid, primary key) - referenced by the signed `state` parameter
+      - `user_id` (uuid, references users) - user who started the connect flow
+      - `client_id` (uuid, references clients) - client the account is connected for
+      - `platform` (text) - platform being connected
+      - `code_verifier` (text) - PKCE verifier for platforms that support it
+      - `expires_at` (timestamptz) - state is rejected after this time
+      - `used_at` (timestamptz) - set when the callback consumes the state
+      - `created_at` (timestamptz)
+
+  2. Security
+    - RLS enabled with no policies; only the service role reads or writes states
+*/
+
+CREATE TABLE IF NOT EXISTS oauth_states (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  client_id uuid REFERENCES clients(id) ON DELETE CASCADE,
+  platform text NOT NULL CHECK (platform IN ('tiktok', 'instagram', 'youtube', 'linkedin', 'twitter', 'facebook')),
+  code_verifier text,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE oauth_states ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at ON oauth_states(expires_at);
@@ -0,0 +1,64 @@
+/*
+  # Auth sessions and refresh tokens
+
+  1. New Tables
+    - `auth_sessions` - one row per signed-in device
+      - `user_id` (uuid, references users)
+      - `user_agent`, `ip_address` (text) - device the session was created from
+      - `last_used_at` (timestamptz) - last refresh
+      - `expires_at` (timestamptz) - absolute session lifetime
+      - `revoked_at` (timestamptz), `revoked_reason` (text)
+    - `refresh_tokens` - rotating refresh tokens; each session is a chain of them
+      - `session_id` (uuid, references auth_sessions)
+      - `token_hash` (text, unique) - SHA-256 of the token, the token itself is never stored
+      - `expires_at` (timestamptz)
+      - `used_at` (timestamptz) - set when rotated; presenting it again revokes the session
+      - `replaced_by` (uuid) - token issued in its place
+    - `token_denylist` - access tokens rejected before their `exp`
+      - `jti` (text) - a single access token
+      - `session_id` (uuid) - every access token of a session
+      - `expires_at` (timestamptz) - entry can be dropped after this time
+
+  2. Security
+    - RLS enabled with no policies; only the service role reads or writes these tables
+*/
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent text,
+  ip_address text,
+  last_used_at timestamptz DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoked_reason text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id uuid NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  token_hash text UNIQUE NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  replaced_by uuid REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS token_denylist (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  jti text,
+  session_id uuid,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  CHECK (jti IS NOT NULL OR session_id IS NOT NULL)
+);
+
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE token_denylist ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_token_denylist_jti ON token_denylist(jti);
+CREATE INDEX IF NOT EXISTS idx_token_denylist_session_id ON token_denylist(session_id);
@@ -0,0 +1,40 @@
+/*
+  # Email verification and password reset
+
+  1. Changes to `users`
+    - `unverified` status for accounts whose email address has not been confirmed
+    - `email_verified_at` (timestamptz) - when the address was confirmed; existing
+      accounts are treated as verified
+
+  2. New Tables
+    - `auth_tokens` - single-use tokens sent by email
+      - `user_id` (uuid, references users)
+      - `purpose` (text) - `email_verification` or `password_reset`
+      - `token_hash` (text, unique) - SHA-256 of the token, the token itself is never stored
+      - `expires_at` (timestamptz)
+      - `used_at` (timestamptz) - set when the token is consumed or superseded
+
+  3. Security
+    - RLS enabled on `auth_tokens` with no policies; only the service role uses it
+*/
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_status_check;
+ALTER TABLE users ADD CONSTRAINT users_status_check
+  CHECK (status IN ('active', 'unverified', 'inactive', 'suspended'));
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at timestamptz;
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL AND status <> 'unverified';
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose text NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+  token_hash text UNIQUE NOT NULL,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_purpose ON auth_tokens(user_id, purpose);
@@ -0,0 +1,25 @@
+/*
+  # TOTP two-factor authentication
+
+  1. Changes to `users`
+    - `mfa_enabled` (boolean) - whether login requires a second factor
+    - `mfa_secret` (text) - encrypted TOTP secret
+    - `mfa_pending_secret` (text) - encrypted secret awaiting confirmation during enrolment
+    - `mfa_enabled_at` (timestamptz)
+    - `mfa_recovery_codes` (jsonb) - SHA-256 hashes of unused recovery codes
+    - `mfa_last_used_step` (bigint) - last accepted TOTP time step, so a code works once
+    - `mfa_failed_attempts` (integer), `mfa_locked_until` (timestamptz) - brute-force lockout
+
+  2. Workspaces
+    - `settings.require_mfa` (boolean) makes two-factor authentication mandatory
+      for members; stored in the existing `settings` column
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled boolean NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_secret text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_pending_secret text;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_enabled_at timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_recovery_codes jsonb NOT NULL DEFAULT '[]';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_last_used_step bigint;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_failed_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS mfa_locked_until timestamptz;
@@ -0,0 +1,76 @@
+/*
+  # Workspace teams and invitations
+
+  1. Changes to `workspace_members`
+    - Roles are now `owner`, `manager`, `editor` and `viewer`; existing `admin`
+      members become managers and `member` becomes editor
+    - Every workspace owner gets an `owner` membership row
+    - `status` gains `removed` and `left`, kept for the team's history
+
+  2. New Tables
+    - `workspace_invitations` - email invitations to join a workspace
+      - `workspace_id` (uuid, references workspaces)
+      - `email` (text) - invited address
+      - `role` (text) - role granted on acceptance (never `owner`)
+      - `token_hash` (text, unique) - SHA-256 of the token in the emailed link
+      - `status` (text) - `pending`, `accepted`, `declined` or `revoked`
+      - `invited_by` (uuid, references users)
+      - `expires_at`, `responded_at` (timestamptz)
+
+  3. Workspace scoping
+    - `workspace_id` on `content_items`, `media_files`, `hashtag_packs` and
+      `hashtag_research`; content is backfilled from its client's workspace
+
+  4. Security
+    - RLS enabled on `workspace_invitations` with no policies; only the service role uses it
+*/
+
+ALTER TABLE workspace_members DROP CONSTRAINT IF EXISTS workspace_members_role_check;
+UPDATE workspace_members SET role = 'manager' WHERE role = 'admin';
+UPDATE workspace_members SET role = 'editor' WHERE role = 'member';
+ALTER TABLE workspace_members ALTER COLUMN role SET DEFAULT 'editor';
+ALTER TABLE workspace_members ADD CONSTRAINT workspace_members_role_check
+  CHECK (role IN ('owner', 'manager', 'editor', 'viewer'));
+
+ALTER TABLE workspace_members DROP CONSTRAINT IF EXISTS workspace_members_status_check;
+ALTER TABLE workspace_members ADD CONSTRAINT workspace_members_status_check
+  CHECK (status IN ('active', 'inactive', 'pending', 'removed', 'left'));
+
+INSERT INTO workspace_members (workspace_id, user_id, role, status, joined_at)
+SELECT id, owner_id, 'owner', 'active', created_at FROM workspaces
+ON CONFLICT (workspace_id, user_id) DO UPDATE SET role = 'owner', status = 'active';
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id uuid NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email text NOT NULL,
+  role text NOT NULL DEFAULT 'editor' CHECK (role IN ('manager', 'editor', 'viewer')),
+  token_hash text UNIQUE NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+  invited_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  responded_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE workspace_invitations ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace ON workspace_invitations(workspace_id, status);
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_email ON workspace_invitations(lower(email));
+
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE hashtag_packs ADD COLUMN IF NOT EXISTS workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE hashtag_research ADD COLUMN IF NOT EXISTS workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE;
+
+UPDATE content_items SET workspace_id = clients.workspace_id
+FROM clients
+WHERE content_items.client_id = clients.id AND content_items.workspace_id IS NULL;
+
+UPDATE media_files SET workspace_id = content_items.workspace_id
+FROM content_items
+WHERE media_files.content_item_id = content_items.id AND media_files.workspace_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_content_items_workspace ON content_items(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_media_files_workspace ON media_files(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_hashtag_packs_workspace ON hashtag_packs(workspace_id);
@@ -0,0 +1,24 @@
+/*
+  # Client management and client portal accounts
+
+  1. Changes to `clients`
+    - `archived` status; archived clients are hidden from lists by default and
+      can't get new content
+    - `archived_at` (timestamptz)
+
+  2. Changes to `auth_tokens`
+    - `account_setup` purpose, used to let a new client portal user choose a password
+*/
+
+ALTER TABLE clients DROP CONSTRAINT IF EXISTS clients_status_check;
+ALTER TABLE clients ADD CONSTRAINT clients_status_check
+  CHECK (status IN ('active', 'inactive', 'paused', 'archived'));
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+
+ALTER TABLE auth_tokens DROP CONSTRAINT IF EXISTS auth_tokens_purpose_check;
+ALTER TABLE auth_tokens ADD CONSTRAINT auth_tokens_purpose_check
+  CHECK (purpose IN ('email_verification', 'password_reset', 'account_setup'));
+
+CREATE INDEX IF NOT EXISTS idx_clients_user ON clients(user_id);
+CREATE INDEX IF NOT EXISTS idx_clients_creator_status ON clients(creator_id, status);
@@ -0,0 +1,54 @@
+/*
+  # Content approval workflow
+
+  1. Changes to `content_items`
+    - `approval_stages` (jsonb) - the stages the item was submitted with, copied
+      from its workspace's settings so later changes don't affect a running review
+    - `approval_stage` (integer) - index of the stage waiting for approval, null
+      outside review
+    - `approval_round` (integer) - incremented on every submission
+    - `submitted_by` (uuid, references users), `submitted_at`, `approved_at` (timestamptz)
+
+  2. Changes to `content_comments`
+    - `status_change` type for the comments the workflow adds on each transition
+    - `metadata` (jsonb) - the transition (`from`, `to`, `stage`)
+
+  3. New Tables
+    - `content_approvals` - approvals given in a review round
+      - `content_item_id` (uuid, references content_items)
+      - `round`, `stage` (integer)
+      - `user_id` (uuid, references users)
+      - `comment_id` (uuid, references content_comments)
+      - one approval per user per stage and round
+
+  4. Security
+    - RLS enabled on `content_approvals` with no policies; only the service role uses it
+*/
+
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS approval_stages jsonb;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS approval_stage integer;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS approval_round integer NOT NULL DEFAULT 0;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS submitted_by uuid REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS submitted_at timestamptz;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS approved_at timestamptz;
+
+ALTER TABLE content_comments DROP CONSTRAINT IF EXISTS content_comments_type_check;
+ALTER TABLE content_comments ADD CONSTRAINT content_comments_type_check
+  CHECK (type IN ('comment', 'approval', 'rejection', 'revision', 'status_change'));
+
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS metadata jsonb DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS content_approvals (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  content_item_id uuid NOT NULL REFERENCES content_items(id) ON DELETE CASCADE,
+  round integer NOT NULL,
+  stage integer NOT NULL,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  comment_id uuid REFERENCES content_comments(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (content_item_id, round, stage, user_id)
+);
+
+ALTER TABLE content_approvals ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_content_approvals_item ON content_approvals(content_item_id, round);
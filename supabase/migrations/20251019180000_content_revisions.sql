@@ -0,0 +1,55 @@
+/*
+  # Content revision history
+
+  1. New Tables
+    - `content_revisions` - a snapshot of a content item's copy after every change
+      - `content_item_id` (uuid, references content_items)
+      - `version` (integer) - 1 for the item as created, then counting up
+      - `snapshot` (jsonb) - title, description, platform, content_type, script,
+        caption, hashtags and media_urls as of this version
+      - `changed_fields` (text[]) - fields that differ from the previous version
+      - `author_id` (uuid, references users)
+      - `reason` (text) - why the change was made
+      - `restored_from` (integer) - the version a restore copied, if any
+
+  2. Backfill
+    - Every existing item gets version 1 from its current copy
+
+  3. Security
+    - RLS enabled with no policies; only the service role uses it
+*/
+
+CREATE TABLE IF NOT EXISTS content_revisions (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  content_item_id uuid NOT NULL REFERENCES content_items(id) ON DELETE CASCADE,
+  version integer NOT NULL,
+  snapshot jsonb NOT NULL,
+  changed_fields text[] NOT NULL DEFAULT '{}',
+  author_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  reason text,
+  restored_from integer,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (content_item_id, version)
+);
+
+ALTER TABLE content_revisions ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO content_revisions (content_item_id, version, snapshot, author_id, reason, created_at)
+SELECT
+  id,
+  1,
+  jsonb_build_object(
+    'title', title,
+    'description', description,
+    'platform', platform,
+    'content_type', content_type,
+    'script', script,
+    'caption', caption,
+    'hashtags', to_jsonb(hashtags),
+    'media_urls', to_jsonb(media_urls)
+  ),
+  creator_id,
+  'Version history started',
+  updated_at
+FROM content_items
+ON CONFLICT (content_item_id, version) DO NOTHING;
@@ -0,0 +1,53 @@
+/*
+  # Threaded content comments
+
+  1. Changes to `content_comments`
+    - `mentions` (uuid[]) - users @mentioned in the comment
+    - `anchor_field` (text) - the field the comment is about: title, description,
+      caption, script or hashtags
+    - `anchor_start_seconds`, `anchor_end_seconds` (numeric) - a time range in a
+      video script
+    - `resolved_at`, `resolved_by` - set when a revision request has been dealt with
+    - `edited_at`, `deleted_at`, `deleted_by` - deleted comments keep their row
+      so replies stay in their thread
+
+  2. New Tables
+    - `content_comment_history` - audit trail of edits, deletions and resolution
+      - `comment_id` (uuid, references content_comments)
+      - `action` (text) - `edited`, `deleted`, `resolved` or `unresolved`
+      - `actor_id` (uuid, references users)
+      - `previous_comment` (text) - the text before an edit or deletion
+
+  3. Security
+    - RLS enabled on `content_comment_history` with no policies; only the service role uses it
+*/
+
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS mentions uuid[] NOT NULL DEFAULT '{}';
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS anchor_field text
+  CHECK (anchor_field IN ('title', 'description', 'caption', 'script', 'hashtags'));
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS anchor_start_seconds numeric;
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS anchor_end_seconds numeric;
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS resolved_at timestamptz;
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS resolved_by uuid REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS edited_at timestamptz;
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE content_comments ADD COLUMN IF NOT EXISTS deleted_by uuid REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE content_comments ADD CONSTRAINT content_comments_anchor_range_check
+  CHECK (anchor_end_seconds IS NULL OR anchor_end_seconds >= anchor_start_seconds);
+
+CREATE INDEX IF NOT EXISTS idx_content_comments_item ON content_comments(content_item_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_content_comments_parent ON content_comments(parent_id);
+
+CREATE TABLE IF NOT EXISTS content_comment_history (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  comment_id uuid NOT NULL REFERENCES content_comments(id) ON DELETE CASCADE,
+  action text NOT NULL CHECK (action IN ('edited', 'deleted', 'resolved', 'unresolved')),
+  actor_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  previous_comment text,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE content_comment_history ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_content_comment_history_comment ON content_comment_history(comment_id, created_at);
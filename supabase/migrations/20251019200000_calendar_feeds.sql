@@ -0,0 +1,33 @@
+/*
+  # Content calendar feeds
+
+  1. New Tables
+    - `calendar_feeds` - private iCalendar feed links, one per user and scope
+      - `user_id` (uuid, references users) - whose access the feed uses
+      - `workspace_id` (uuid, references workspaces) - the workspace whose content
+        the feed shows; null for the user's own content
+      - `token_hash` (text, unique) - SHA-256 of the token in the feed URL
+      - `last_accessed_at` (timestamptz) - when a calendar app last fetched it
+      - `revoked_at` (timestamptz) - set when the link is revoked or replaced
+
+  2. Indexes
+    - `content_items` by `published_date`, for calendar range queries
+
+  3. Security
+    - RLS enabled on `calendar_feeds` with no policies; only the service role uses it
+*/
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  last_accessed_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_content_items_published_date ON content_items(published_date);
@@ -0,0 +1,62 @@
+/*
+  # Recurring content series
+
+  1. New Tables
+    - `content_series` - a recurring post, e.g. a weekly "Tip Tuesday"
+      - `creator_id` (uuid, references users) - owner, and creator of the items it makes
+      - `workspace_id` (uuid, references workspaces), `client_id` (uuid, references clients)
+      - `name` (text)
+      - `recurrence` (text) - RRULE subset: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL,
+        BYDAY, BYMONTHDAY, COUNT, UNTIL
+      - `starts_at` (timestamptz) - the first occurrence; later ones keep its
+        time of day in `timezone`
+      - `timezone` (text) - IANA time zone
+      - `template` (jsonb) - title, description, platform, contentType, script,
+        caption and hashtags of each item; `{{date}}` and `{{number}}` are filled in
+      - `ai_fill` (jsonb) - per field (caption, script, hashtags), an AI prompt
+        whose result replaces the template's value
+      - `horizon_days` (integer) - how far ahead draft items are created
+      - `status` (text) - `active` or `paused`
+      - `exdates` (timestamptz[]) - occurrences to skip, added when an item is deleted
+      - `materialized_until` (timestamptz) - items exist up to here
+
+  2. Changes to `content_items`
+    - `series_id` (uuid, references content_series) - the series that created the item
+    - `series_occurrence` (timestamptz) - the occurrence it was created for
+    - `series_detached` (boolean) - set when the item is edited by hand; series
+      edits then leave it alone
+
+  3. Security
+    - RLS enabled on `content_series` with no policies; only the service role uses it
+*/
+
+CREATE TABLE IF NOT EXISTS content_series (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  creator_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  client_id uuid REFERENCES clients(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  recurrence text NOT NULL,
+  starts_at timestamptz NOT NULL,
+  timezone text NOT NULL DEFAULT 'UTC',
+  template jsonb NOT NULL,
+  ai_fill jsonb NOT NULL DEFAULT '{}',
+  horizon_days integer NOT NULL DEFAULT 28 CHECK (horizon_days BETWEEN 1 AND 90),
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+  exdates timestamptz[] NOT NULL DEFAULT '{}',
+  materialized_until timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE content_series ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_content_series_workspace ON content_series(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_content_series_creator ON content_series(creator_id);
+
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS series_id uuid REFERENCES content_series(id) ON DELETE SET NULL;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS series_occurrence timestamptz;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS series_detached boolean NOT NULL DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_items_series_occurrence
+  ON content_items(series_id, series_occurrence) WHERE series_id IS NOT NULL;
@@ -0,0 +1,46 @@
+/*
+  # Campaign posts with per-platform variants
+
+  1. New Tables
+    - `content_campaigns` - one idea posted to several platforms
+      - `creator_id` (uuid, references users)
+      - `workspace_id` (uuid, references workspaces), `client_id` (uuid, references clients)
+      - `title`, `description`, `content_type`, `script`, `caption`, `hashtags`,
+        `media_urls` - the shared copy the variants start from
+
+  2. Changes to `content_items`
+    - `campaign_id` (uuid, references content_campaigns) - set on the campaign's
+      variants, one per platform
+    - `overridden_fields` (text[]) - shared fields the variant sets itself;
+      campaign edits don't change them
+
+  3. Security
+    - RLS enabled on `content_campaigns` with no policies; only the service role uses it
+*/
+
+CREATE TABLE IF NOT EXISTS content_campaigns (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  creator_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  client_id uuid REFERENCES clients(id) ON DELETE CASCADE,
+  title text NOT NULL,
+  description text,
+  content_type text NOT NULL CHECK (content_type IN ('video', 'image', 'carousel', 'story', 'post')),
+  script text,
+  caption text,
+  hashtags text[] NOT NULL DEFAULT '{}',
+  media_urls text[] NOT NULL DEFAULT '{}',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE content_campaigns ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_content_campaigns_workspace ON content_campaigns(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_content_campaigns_creator ON content_campaigns(creator_id);
+
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS campaign_id uuid REFERENCES content_campaigns(id) ON DELETE SET NULL;
+ALTER TABLE content_items ADD COLUMN IF NOT EXISTS overridden_fields text[] NOT NULL DEFAULT '{}';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_items_campaign_platform
+  ON content_items(campaign_id, platform) WHERE campaign_id IS NOT NULL;
@@ -0,0 +1,46 @@
+/*
+  # Resumable uploads
+
+  1. New Tables
+    - `file_uploads` - a resumable (tus) upload in progress
+      - `user_id` (uuid, references users) - the uploader; only they can continue it
+      - `workspace_id` (uuid, references workspaces), `client_id` (uuid, references clients),
+        `content_item_id` (uuid, references content_items), `tags` (text[]) - copied
+        onto the media file when the upload completes
+      - `filename`, `mime_type` (text)
+      - `upload_length` (bigint) - total size in bytes
+      - `upload_offset` (bigint) - bytes received so far
+      - `parts` (jsonb) - the chunks received, in order: offset, size, storage path
+        and SHA-256
+      - `status` (text) - `uploading`, `assembling` or `completed`
+      - `media_file_id` (uuid, references media_files) - set once the chunks are
+        assembled into a file
+      - `expires_at` (timestamptz) - unfinished uploads are removed after this
+
+  2. Security
+    - RLS enabled on `file_uploads` with no policies; only the service role uses it
+*/
+
+CREATE TABLE IF NOT EXISTS file_uploads (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  client_id uuid REFERENCES clients(id) ON DELETE SET NULL,
+  content_item_id uuid REFERENCES content_items(id) ON DELETE SET NULL,
+  tags text[] NOT NULL DEFAULT '{}',
+  filename text NOT NULL,
+  mime_type text NOT NULL,
+  upload_length bigint NOT NULL CHECK (upload_length > 0),
+  upload_offset bigint NOT NULL DEFAULT 0,
+  parts jsonb NOT NULL DEFAULT '[]',
+  status text NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'assembling', 'completed')),
+  media_file_id uuid REFERENCES media_files(id) ON DELETE SET NULL,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE file_uploads ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_file_uploads_user ON file_uploads(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_file_uploads_expires ON file_uploads(expires_at) WHERE status <> 'completed';
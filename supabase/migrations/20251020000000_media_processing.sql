@@ -0,0 +1,25 @@
+/*
+  # Media processing status
+
+  1. Changes to `media_files`
+    - `processing_status` (text) - `pending` until the background processor has
+      inspected the file, then `ready`, `failed`, or `skipped` for documents;
+      `processing` while it runs. Existing files start as `pending` and are
+      processed too
+    - `processing_attempts` (integer) - attempts so far; failures are retried
+    - `processing_error` (text) - why the last attempt failed
+    - `processing_started_at` (timestamptz) - when the current attempt started
+    - `processed_at` (timestamptz) - when processing finished
+    - Results (dimensions, duration, codecs, EXIF, thumbnail, poster frame,
+      renditions and compressed copy) are merged into `metadata`
+*/
+
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS processing_status text NOT NULL DEFAULT 'pending'
+  CHECK (processing_status IN ('pending', 'processing', 'ready', 'failed', 'skipped'));
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS processing_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS processing_error text;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS processing_started_at timestamptz;
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS processed_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_media_files_processing
+  ON media_files(created_at) WHERE processing_status IN ('pending', 'processing');
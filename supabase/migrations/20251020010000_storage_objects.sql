@@ -0,0 +1,40 @@
+/*
+  # Content-addressed media storage
+
+  1. New Tables
+    - `storage_objects` - a stored file, kept once per content
+      - `sha256` (text, unique) - hash of the content
+      - `storage_path` (text, unique) - `objects/<first two hex digits>/<sha256>`
+        in the `media-files` bucket
+      - `size` (bigint), `mime_type` (text)
+      - `last_used_at` (timestamptz) - last time an upload stored or reused it;
+        recently used objects are never collected
+
+  2. Changes to `media_files`
+    - `storage_object_id` (uuid, references storage_objects) - the stored
+      content, shared by every file with the same SHA-256. The object's
+      reference count is the number of files pointing at it. Deleting an
+      object that is still referenced is refused. Files uploaded before this
+      keep their own storage and have no object
+
+  3. Security
+    - RLS enabled on `storage_objects` with no policies; only the service role uses it
+*/
+
+CREATE TABLE IF NOT EXISTS storage_objects (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sha256 text NOT NULL UNIQUE CHECK (sha256 ~ '^[0-9a-f]{64}$'),
+  storage_path text NOT NULL UNIQUE,
+  size bigint NOT NULL,
+  mime_type text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE storage_objects ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_storage_objects_last_used ON storage_objects(last_used_at);
+
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS storage_object_id uuid REFERENCES storage_objects(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_media_files_storage_object ON media_files(storage_object_id);
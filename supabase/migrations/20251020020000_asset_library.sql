@@ -0,0 +1,123 @@
+/*
+  # Asset library: folders, collections and full-text search of media files
+
+  1. New Tables
+    - `media_folders` - nested folders of media files
+      - `workspace_id` (uuid, references workspaces) - null for personal folders,
+        which belong to `created_by`
+      - `client_id` (uuid, references clients) - a client's folder only holds
+        that client's files; subfolders are for the same client
+      - `parent_id` (uuid, references media_folders) - null at the top level
+      - `name` (text) - unique among its siblings, ignoring case
+    - `media_collections` - hand-picked, shared sets of files; a file can be in
+      any number of them
+      - `workspace_id`, `client_id`, `created_by` as for folders
+      - `name`, `description`
+    - `media_collection_items` - the files of a collection
+      - `collection_id`, `media_file_id` (unique together)
+      - `added_by` (uuid, references users)
+
+  2. Changes to `media_files`
+    - `folder_id` (uuid, references media_folders) - the file's folder, null
+      when unfiled. Folders are only deleted once empty
+    - `tags` defaults to an empty array
+    - `updated_at` (timestamptz) - already set by file updates, now stored
+    - `search_vector` (tsvector, generated) - words of the file name, tags
+      and the metadata found by media processing (camera, lens, codecs and
+      format), for `GET /api/files?search=`
+    - Indexes for the dimension and duration filters
+
+  3. Changes to `file_uploads`
+    - `folder_id` - the folder a resumable upload's file goes into
+
+  4. Security
+    - RLS enabled on the new tables with no policies; only the service role uses them
+*/
+
+CREATE TABLE IF NOT EXISTS media_folders (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  client_id uuid REFERENCES clients(id) ON DELETE CASCADE,
+  parent_id uuid REFERENCES media_folders(id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (length(trim(name)) BETWEEN 1 AND 100),
+  created_by uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (parent_id IS DISTINCT FROM id)
+);
+
+-- Sibling names are unique per library: the workspace, or the owner's personal folders
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_folders_sibling_name ON media_folders (
+  COALESCE(workspace_id, created_by),
+  (workspace_id IS NULL),
+  COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid),
+  lower(name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_folders_workspace ON media_folders(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_media_folders_parent ON media_folders(parent_id);
+
+CREATE TABLE IF NOT EXISTS media_collections (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  client_id uuid REFERENCES clients(id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (length(trim(name)) BETWEEN 1 AND 100),
+  description text,
+  created_by uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_collections_workspace ON media_collections(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_media_collections_creator ON media_collections(created_by);
+
+CREATE TABLE IF NOT EXISTS media_collection_items (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  collection_id uuid NOT NULL REFERENCES media_collections(id) ON DELETE CASCADE,
+  media_file_id uuid NOT NULL REFERENCES media_files(id) ON DELETE CASCADE,
+  added_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (collection_id, media_file_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_collection_items_file ON media_collection_items(media_file_id);
+
+ALTER TABLE media_folders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media_collection_items ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS folder_id uuid REFERENCES media_folders(id) ON DELETE SET NULL;
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS folder_id uuid REFERENCES media_folders(id) ON DELETE SET NULL;
+
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+UPDATE media_files SET tags = '{}' WHERE tags IS NULL;
+ALTER TABLE media_files ALTER COLUMN tags SET DEFAULT '{}';
+
+-- array_to_string isn't immutable, so generated columns can't call it directly
+CREATE OR REPLACE FUNCTION media_file_search_text(original_name text, tags text[], metadata jsonb)
+RETURNS text
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT lower(concat_ws(' ',
+    original_name,
+    array_to_string(tags, ' '),
+    metadata->'exif'->>'make',
+    metadata->'exif'->>'model',
+    metadata->'exif'->>'lens',
+    metadata->>'codec',
+    metadata->>'audioCodec',
+    metadata->>'format'
+  ));
+$$;
+
+ALTER TABLE media_files ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (to_tsvector('simple', media_file_search_text(original_name, tags, metadata))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_media_files_search ON media_files USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_media_files_tags ON media_files USING gin(tags);
+CREATE INDEX IF NOT EXISTS idx_media_files_folder ON media_files(folder_id);
+CREATE INDEX IF NOT EXISTS idx_media_files_width ON media_files((metadata->'width'));
+CREATE INDEX IF NOT EXISTS idx_media_files_height ON media_files((metadata->'height'));
+CREATE INDEX IF NOT EXISTS idx_media_files_duration ON media_files((metadata->'duration'));
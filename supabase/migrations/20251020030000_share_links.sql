@@ -0,0 +1,60 @@
+/*
+  # Share links: expiring previews of files and content for people without a login
+
+  1. New Tables
+    - `share_links` - time-limited links to a preview of one media file or one
+      content item
+      - `media_file_id` (uuid, references media_files) - the shared file, or
+      - `content_item_id` (uuid, references content_items) - the shared content
+        item; exactly one of the two is set
+      - `workspace_id` (uuid, references workspaces) - the shared item's
+        workspace, null for personal items
+      - `token_hash` (text, unique) - SHA-256 of the token in the link
+      - `password_hash` (text) - bcrypt hash of the link's password, null when
+        the link has none
+      - `expires_at` (timestamptz) - when the link stops working
+      - `revoked_at`, `revoked_by` - set when the link is revoked
+      - `view_count`, `last_viewed_at` - how often and when the preview was opened
+      - `failed_password_attempts`, `locked_until` - wrong passwords lock the
+        link for a while
+    - `share_link_views` - one row per opened preview
+      - `ip_address`, `user_agent` - who opened it
+
+  2. Security
+    - RLS enabled on the new tables with no policies; only the service role uses them
+*/
+
+CREATE TABLE IF NOT EXISTS share_links (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  media_file_id uuid REFERENCES media_files(id) ON DELETE CASCADE,
+  content_item_id uuid REFERENCES content_items(id) ON DELETE CASCADE,
+  workspace_id uuid REFERENCES workspaces(id) ON DELETE CASCADE,
+  created_by uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  password_hash text,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  revoked_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  view_count integer NOT NULL DEFAULT 0,
+  last_viewed_at timestamptz,
+  failed_password_attempts integer NOT NULL DEFAULT 0,
+  locked_until timestamptz,
+  created_at timestamptz DEFAULT now(),
+  CHECK ((media_file_id IS NULL) <> (content_item_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_links_file ON share_links(media_file_id);
+CREATE INDEX IF NOT EXISTS idx_share_links_content ON share_links(content_item_id);
+
+CREATE TABLE IF NOT EXISTS share_link_views (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  share_link_id uuid NOT NULL REFERENCES share_links(id) ON DELETE CASCADE,
+  ip_address text,
+  user_agent text,
+  viewed_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_share_link_views_link ON share_link_views(share_link_id, viewed_at DESC);
+
+ALTER TABLE share_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE share_link_views ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,14 @@
+/*
+  # Stop telling uploaders whether their file was stored already
+
+  1. Changes
+    - `media_files.metadata` - drops the `deduplicated` flag. Deduplication is
+      shared by every user, so the flag told an uploader that someone else
+      had uploaded the same file. New objects are stored under random paths
+      instead of `objects/<first two hex digits>/<sha256>`; objects stored
+      before keep their paths
+*/
+
+UPDATE media_files
+SET metadata = metadata - 'deduplicated'
+WHERE metadata ? 'deduplicated';
@@ -0,0 +1,44 @@
+const request = require('supertest');
+const { buildApp } = require('./helpers');
+
+describe('createApp', () => {
+  const { app } = buildApp();
+
+  it('answers the health check', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('OK');
+  });
+
+  it('lists every mounted API router on the root endpoint', async () => {
+    const res = await request(app).get('/');
+
+    expect(res.status).toBe(200);
+    expect(res.body.endpoints).toEqual(expect.arrayContaining(['/api/auth', '/api/content', '/api/files', '/api/share']));
+  });
+
+  it('mounts the routers under /api', async () => {
+    const res = await request(app).get('/api/content');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('lets browsers send the permission explain header', async () => {
+    const res = await request(app)
+      .options('/api/content')
+      .set('Origin', 'http://frontend.test')
+      .set('Access-Control-Request-Method', 'PUT')
+      .set('Access-Control-Request-Headers', 'authorization,x-explain-permissions');
+
+    expect(res.status).toBe(204);
+    expect(res.headers['access-control-allow-headers']).toContain('X-Explain-Permissions');
+  });
+
+  it('returns a JSON 404 for unknown routes', async () => {
+    const res = await request(app).get('/api/does-not-exist');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBeDefined();
+  });
+});
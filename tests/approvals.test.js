@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { buildApp, createUser, createWorkspace, as } = require('./helpers');
+
+describe('content approval', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let editor;
+  let manager;
+  let workspace;
+
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+  const update = (item, body) => request(app).put(`/api/content/${item.id}`).set(as(editor, workspace)).send(body);
+  const workflow = (user, item, step, body = {}) =>
+    request(app).post(`/api/content/${item.id}/${step}`).set(as(user, workspace)).send(body);
+
+  async function createItem() {
+    const res = await request(app)
+      .post('/api/content')
+      .set(as(editor, workspace))
+      .send({ title: 'Launch', platform: 'linkedin', contentType: 'post', caption: 'We are live' });
+    return res.body.data;
+  }
+
+  async function approvedItem() {
+    const item = await createItem();
+    await workflow(editor, item, 'submit');
+    const res = await workflow(manager, item, 'approve');
+    expect(res.body.data.status).toBe('approved');
+    return res.body.data;
+  }
+
+  beforeAll(async () => {
+    const owner = await createUser(context, 'owner@example.com');
+    editor = await createUser(context, 'editor@example.com');
+    manager = await createUser(context, 'manager@example.com');
+    workspace = await createWorkspace(context, owner, [[editor, 'editor'], [manager, 'manager']], {
+      approval_stages: [{ name: 'Review', approverRole: 'manager' }]
+    });
+  });
+
+  it('requires approval before scheduling', async () => {
+    const item = await createItem();
+
+    const res = await update(item, { status: 'scheduled', scheduled_date: tomorrow() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('approval_required');
+  });
+
+  it('locks content while it is in review', async () => {
+    const item = await createItem();
+    expect((await workflow(editor, item, 'submit')).status).toBe(200);
+
+    const res = await update(item, { caption: 'Sneaky edit' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('content_locked');
+    expect((await workflow(editor, item, 'approve')).status).toBe(403);
+  });
+
+  it('schedules approved content', async () => {
+    const item = await approvedItem();
+
+    const res = await update(item, { status: 'scheduled', scheduled_date: tomorrow() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('scheduled');
+  });
+
+  it('moves approved content back to draft when its copy is edited', async () => {
+    const item = await approvedItem();
+
+    const res = await update(item, { caption: 'Edited after approval' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('draft');
+    expect(res.body.data.approved_at).toBeNull();
+    expect((await update(item, { status: 'scheduled', scheduled_date: tomorrow() })).body.code).toBe('approval_required');
+
+    const approval = await request(app).get(`/api/content/${item.id}/approval`).set(as(editor, workspace));
+    expect(approval.body.data.stages).toHaveLength(0);
+  });
+
+  it('does not schedule and edit approved content in one request', async () => {
+    const item = await approvedItem();
+
+    const res = await update(item, { caption: 'Edited after approval', status: 'scheduled', scheduled_date: tomorrow() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('approval_required');
+    const { data: unchanged } = await db.from('content_items').select('*').eq('id', item.id).single();
+    expect(unchanged.status).toBe('approved');
+    expect(unchanged.caption).toBe('We are live');
+  });
+
+  it('moves scheduled content back to draft when its copy is edited', async () => {
+    const item = await approvedItem();
+    await update(item, { status: 'scheduled', scheduled_date: tomorrow() });
+
+    const res = await update(item, { status: 'scheduled', title: 'Relaunch' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('draft');
+  });
+
+  it('keeps the approval for changes outside the copy', async () => {
+    const item = await approvedItem();
+
+    const res = await update(item, { caption: item.caption, scheduled_date: tomorrow() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('approved');
+  });
+
+  it('moves approved content back to draft when an earlier version is restored', async () => {
+    const item = await createItem();
+    await update(item, { caption: 'Second take' });
+    await workflow(editor, item, 'submit');
+    await workflow(manager, item, 'approve');
+
+    const res = await request(app).post(`/api/content/${item.id}/versions/1/restore`).set(as(editor, workspace)).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.caption).toBe('We are live');
+    expect(res.body.data.status).toBe('draft');
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const { buildApp, createUser, createWorkspace, as } = require('./helpers');
+
+describe('content clients', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let editor;
+  let outsider;
+  let workspace;
+  let otherWorkspace;
+  let client;
+  let otherClient;
+  let archivedClient;
+
+  async function addClient(ws, owner, changes = {}) {
+    const { data } = await db
+      .from('clients')
+      .insert({ name: 'Client', workspace_id: ws.id, creator_id: owner.id, ...changes })
+      .select('*')
+      .single();
+    return data;
+  }
+
+  async function createItem(changes = {}) {
+    const res = await request(app)
+      .post('/api/content')
+      .set(as(editor, workspace))
+      .send({ title: 'Post', platform: 'linkedin', contentType: 'post', ...changes });
+    return res;
+  }
+
+  beforeAll(async () => {
+    const owner = await createUser(context, 'owner@example.com');
+    editor = await createUser(context, 'editor@example.com');
+    outsider = await createUser(context, 'outsider@example.com');
+    workspace = await createWorkspace(context, owner, [[editor, 'editor']]);
+    otherWorkspace = await createWorkspace(context, outsider);
+    client = await addClient(workspace, owner);
+    archivedClient = await addClient(workspace, owner, { status: 'archived' });
+    otherClient = await addClient(otherWorkspace, outsider);
+  });
+
+  it('creates content for one of the workspace\'s clients', async () => {
+    const res = await createItem({ clientId: client.id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.client_id).toBe(client.id);
+  });
+
+  it('rejects clients of other workspaces and archived clients on create', async () => {
+    expect((await createItem({ clientId: otherClient.id })).status).toBe(403);
+    expect((await createItem({ clientId: archivedClient.id })).status).toBe(400);
+  });
+
+  it('runs the same client checks when an update moves the item', async () => {
+    const item = (await createItem()).body.data;
+    const update = (clientId) => request(app)
+      .put(`/api/content/${item.id}`)
+      .set(as(editor, workspace))
+      .send({ client_id: clientId });
+
+    expect((await update(otherClient.id)).status).toBe(403);
+    expect((await update(archivedClient.id)).status).toBe(400);
+
+    const { data: unchanged } = await db.from('content_items').select('client_id').eq('id', item.id).single();
+    expect(unchanged.client_id).toBeFalsy();
+
+    const res = await update(client.id);
+    expect(res.status).toBe(200);
+    expect(res.body.data.client_id).toBe(client.id);
+  });
+
+  it('rejects a readable client from another workspace on update', async () => {
+    const { data: personal } = await db
+      .from('content_items')
+      .insert({ title: 'Mine', platform: 'linkedin', content_type: 'post', creator_id: outsider.id, workspace_id: otherWorkspace.id })
+      .select('*')
+      .single();
+    await db.from('workspace_members').insert({ workspace_id: workspace.id, user_id: outsider.id, role: 'viewer' });
+
+    const res = await request(app)
+      .put(`/api/content/${personal.id}`)
+      .set(as(outsider, otherWorkspace))
+      .send({ client_id: client.id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid client');
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+
+describe('in-memory data layer', () => {
+  const context = buildApp();
+  const { app } = context;
+  let user;
+
+  const create = (title, platform = 'linkedin') => request(app)
+    .post('/api/content')
+    .set(as(user))
+    .send({ title, platform, contentType: 'post', caption: title });
+
+  const savedEnv = { ...process.env };
+
+  // Load config/database afresh with the given environment (the driver is
+  // picked on first use, so the environment stays until the test ends)
+  function loadDatabase(env) {
+    Object.assign(process.env, env);
+
+    let database;
+    jest.isolateModules(() => {
+      database = require('../src/config/database');
+    });
+    return database;
+  }
+
+  afterEach(() => {
+    Object.keys(process.env).filter(key => !(key in savedEnv)).forEach(key => delete process.env[key]);
+    Object.assign(process.env, savedEnv);
+  });
+
+  beforeAll(async () => {
+    user = await createUser(context, 'lister@example.com');
+    for (const title of ['One', 'Two', 'Three']) {
+      await create(title);
+    }
+    await create('Tweet', 'twitter');
+  });
+
+  it('serves the content list with filters, pages and joined rows', async () => {
+    const first = await request(app).get('/api/content?platform=linkedin&page=1&limit=2').set(as(user));
+    const second = await request(app).get('/api/content?platform=linkedin&page=2&limit=2').set(as(user));
+
+    expect(first.status).toBe(200);
+    expect(first.body.pagination).toMatchObject({ total: 3, pages: 2 });
+    expect(first.body.data).toHaveLength(2);
+    expect(second.body.data).toHaveLength(1);
+
+    const titles = [...first.body.data, ...second.body.data].map(item => item.title);
+    expect(titles.sort()).toEqual(['One', 'Three', 'Two']);
+    expect(first.body.data[0].creator).toMatchObject({ id: user.id, first_name: 'Test' });
+    expect(first.body.data[0]).not.toHaveProperty('creator.email');
+  });
+
+  it('is selected with DATA_DRIVER and starts from MEMORY_SEED_FILE', async () => {
+    const seedFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'seed-')), 'seed.json');
+    fs.writeFileSync(seedFile, JSON.stringify({ hashtag_packs: [{ name: 'Launch', hashtags: ['launch'] }] }));
+
+    try {
+      const { supabaseAdmin } = loadDatabase({ DATA_DRIVER: 'memory', MEMORY_SEED_FILE: seedFile });
+      const { data, error } = await supabaseAdmin.from('hashtag_packs').select('name, hashtags');
+
+      expect(error).toBeNull();
+      expect(data).toEqual([{ name: 'Launch', hashtags: ['launch'] }]);
+    } finally {
+      fs.rmSync(path.dirname(seedFile), { recursive: true, force: true });
+    }
+  });
+
+  it('refuses an unknown DATA_DRIVER', () => {
+    const { supabaseAdmin } = loadDatabase({ DATA_DRIVER: 'sqlite' });
+
+    expect(() => supabaseAdmin.from('users')).toThrow('Unknown DATA_DRIVER "sqlite"');
+  });
+});
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createMemoryClient } = require('../src/data/memoryClient');
+
+const PASSWORD = 'Passw0rd!';
+
+/**
+ * Build the app on a fresh in-memory database.
+ * @returns {{ app: import('express').Express, db: Object }}
+ */
+function buildApp(options = {}) {
+  const db = createMemoryClient();
+  const app = createApp({ db, rateLimit: false, ...options });
+  return { app, db };
+}
+
+/**
+ * Register a user through the API and activate the account.
+ *
+ * @param {Object} context - From buildApp
+ * @param {string} email
+ * @param {Object} [changes] - Extra users columns, e.g. `{ role: 'admin' }`
+ * @returns {Promise<{ id: string, email: string, token: string, refreshToken: string }>}
+ */
+async function createUser({ app, db }, email, changes = {}) {
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({ email, password: PASSWORD, firstName: 'Test', lastName: 'User' });
+
+  if (res.status !== 201) {
+    throw new Error(`Registering ${email} failed: ${res.status} ${JSON.stringify(res.body)}`);
+  }
+
+  await db.from('users').update({ status: 'active', ...changes }).eq('id', res.body.user.id);
+
+  return { id: res.body.user.id, email, token: res.body.token, refreshToken: res.body.refreshToken };
+}
+
+/**
+ * Create a workspace owned by `owner` with the given members.
+ *
+ * @param {Object} context - From buildApp
+ * @param {Object} owner - From createUser
+ * @param {Array<[Object, string]>} [members] - [user, role] pairs
+ * @param {Object} [settings] - Workspace settings
+ */
+async function createWorkspace({ db }, owner, members = [], settings = {}) {
+  const { data: workspace } = await db
+    .from('workspaces')
+    .insert({ name: 'Test workspace', owner_id: owner.id, settings })
+    .select('*')
+    .single();
+
+  await db.from('workspace_members').insert([
+    { workspace_id: workspace.id, user_id: owner.id, role: 'owner' },
+    ...members.map(([user, role]) => ({ workspace_id: workspace.id, user_id: user.id, role }))
+  ]);
+
+  return workspace;
+}
+
+// Headers for a request as `user`, optionally in a workspace
+function as(user, workspace) {
+  const headers = { Authorization: `Bearer ${user.token}` };
+
+  if (workspace) {
+    headers['X-Workspace-Id'] = workspace.id;
+  }
+
+  return headers;
+}
+
+module.exports = {
+  PASSWORD,
+  buildApp,
+  createUser,
+  createWorkspace,
+  as
+};
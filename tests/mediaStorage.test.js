@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+
+describe('media deduplication', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let alice;
+  let bob;
+
+  const upload = (user, data) => request(app)
+    .post('/api/files/upload')
+    .set(as(user))
+    .attach('files', data, { filename: 'photo.png', contentType: 'image/png' });
+
+  async function resumableUpload(user, data) {
+    const created = await request(app)
+      .post('/api/files/uploads')
+      .set(as(user))
+      .set({
+        'Upload-Length': String(data.length),
+        'Upload-Metadata': `filename ${Buffer.from('photo.png').toString('base64')},filetype ${Buffer.from('image/png').toString('base64')}`
+      });
+
+    await request(app)
+      .patch(created.headers.location)
+      .set(as(user))
+      .set({ 'Upload-Offset': '0', 'Content-Type': 'application/offset+octet-stream' })
+      .send(data);
+
+    const status = await request(app).get(created.headers.location).set(as(user));
+    return status.body.data.mediaFile.id;
+  }
+
+  async function mediaFile(id) {
+    const { data } = await db.from('media_files').select('*').eq('id', id).single();
+    return data;
+  }
+
+  beforeAll(async () => {
+    alice = await createUser(context, 'alice@example.com');
+    bob = await createUser(context, 'bob@example.com');
+  });
+
+  it('stores identical uploads once without telling the uploader', async () => {
+    const data = crypto.randomBytes(2048);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+
+    const first = (await upload(alice, data)).body.data[0];
+    const second = (await upload(bob, data)).body.data[0];
+
+    expect(second.storage_object_id).toBe(first.storage_object_id);
+    expect(second.metadata.sha256).toBe(sha256);
+    expect(first.metadata).not.toHaveProperty('deduplicated');
+    expect(second.metadata).not.toHaveProperty('deduplicated');
+
+    const { data: objects } = await db.from('storage_objects').select('*').eq('sha256', sha256);
+    expect(objects).toHaveLength(1);
+  });
+
+  it('does not store content at a path derived from its hash', async () => {
+    const data = crypto.randomBytes(2048);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+
+    const file = (await upload(alice, data)).body.data[0];
+
+    expect(file.storage_path).not.toContain(sha256);
+    expect(file.public_url).not.toContain(sha256);
+  });
+
+  it('shares stored content between both upload routes', async () => {
+    const data = crypto.randomBytes(3000);
+
+    const uploaded = (await upload(alice, data)).body.data[0];
+    const resumed = await mediaFile(await resumableUpload(bob, data));
+
+    expect(resumed.storage_object_id).toBe(uploaded.storage_object_id);
+    expect(resumed.storage_path).toBe(uploaded.storage_path);
+    expect(resumed.metadata).not.toHaveProperty('deduplicated');
+  });
+
+  it('stores a resumable upload of new content under a random path', async () => {
+    const data = crypto.randomBytes(3000);
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+
+    const file = await mediaFile(await resumableUpload(alice, data));
+
+    expect(file.metadata.sha256).toBe(sha256);
+    expect(file.storage_path).toMatch(/^objects\//);
+    expect(file.storage_path).not.toContain(sha256);
+    const { data: stored } = await db.storage.from('media-files').download(file.storage_path);
+    expect(Buffer.from(await stored.arrayBuffer()).equals(data)).toBe(true);
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const { PASSWORD, buildApp, createUser, createWorkspace, as } = require('./helpers');
+const { generateCode } = require('../src/utils/totp');
+const { verifySecondFactor } = require('../src/services/mfa');
+
+const STEP_MS = 30 * 1000;
+
+// A code for the next time step, which verification accepts for clock drift
+const nextCode = (secret) => generateCode(secret, Math.floor((Date.now() + STEP_MS) / STEP_MS));
+
+describe('two-factor authentication', () => {
+  const context = buildApp();
+  const { app, db } = context;
+
+  const login = (user) => request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+  async function enrol(user) {
+    const setup = await request(app).post('/api/auth/mfa/setup').set(as(user));
+    const { secret } = setup.body.data;
+    const enable = await request(app).post('/api/auth/mfa/enable').set(as(user)).send({ code: generateCode(secret) });
+    return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+  }
+
+  async function userRow(user) {
+    const { data } = await db.from('users').select('*').eq('id', user.id).single();
+    return data;
+  }
+
+  it('stores the TOTP secret encrypted', async () => {
+    const user = await createUser(context, 'encrypted@example.com');
+
+    const res = await request(app).post('/api/auth/mfa/setup').set(as(user));
+
+    expect(res.status).toBe(200);
+    const row = await userRow(user);
+    expect(row.mfa_pending_secret).toMatch(/^enc:v1:/);
+    expect(row.mfa_pending_secret).not.toContain(res.body.data.secret);
+  });
+
+  it('refuses setup when no encryption key is configured', async () => {
+    const user = await createUser(context, 'nokey@example.com');
+    const keys = process.env.TOKEN_ENCRYPTION_KEYS;
+    delete process.env.TOKEN_ENCRYPTION_KEYS;
+
+    try {
+      const res = await request(app).post('/api/auth/mfa/setup').set(as(user));
+
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe('mfa_unavailable');
+      expect((await userRow(user)).mfa_pending_secret).toBeFalsy();
+    } finally {
+      process.env.TOKEN_ENCRYPTION_KEYS = keys;
+    }
+  });
+
+  it('does not confirm a pending secret stored unencrypted', async () => {
+    const user = await createUser(context, 'plaintext@example.com');
+    await db.from('users').update({ mfa_pending_secret: 'JBSWY3DPEHPK3PXP' }).eq('id', user.id);
+
+    const res = await request(app)
+      .post('/api/auth/mfa/enable')
+      .set(as(user))
+      .send({ code: generateCode('JBSWY3DPEHPK3PXP') });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('mfa_enrolment_not_started');
+  });
+
+  it('asks for a second factor at login once enabled', async () => {
+    const user = await createUser(context, 'login@example.com');
+    const { secret, recoveryCodes } = await enrol(user);
+    expect(recoveryCodes).toHaveLength(10);
+
+    const first = await login(user);
+    expect(first.body.mfaRequired).toBe(true);
+    expect(first.body.token).toBeUndefined();
+
+    const wrong = await request(app).post('/api/auth/login/mfa').send({ mfaToken: first.body.mfaToken, code: '000000' });
+    expect(wrong.status).toBe(400);
+
+    const code = nextCode(secret);
+    const second = await request(app).post('/api/auth/login/mfa').send({ mfaToken: first.body.mfaToken, code });
+    expect(second.status).toBe(200);
+    expect(second.body.token).toBeTruthy();
+
+    // Codes and challenges work once
+    const again = await login(user);
+    const reused = await request(app).post('/api/auth/login/mfa').send({ mfaToken: again.body.mfaToken, code });
+    expect(reused.status).toBe(400);
+    const replayed = await request(app).post('/api/auth/login/mfa').send({ mfaToken: first.body.mfaToken, recoveryCode: recoveryCodes[0] });
+    expect(replayed.status).toBe(401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const user = await createUser(context, 'recovery@example.com');
+    const { recoveryCodes } = await enrol(user);
+
+    const useCode = async () => {
+      const challenge = await login(user);
+      return request(app).post('/api/auth/login/mfa').send({ mfaToken: challenge.body.mfaToken, recoveryCode: recoveryCodes[0] });
+    };
+
+    const first = await useCode();
+    expect(first.status).toBe(200);
+    expect(first.body.remainingRecoveryCodes).toBe(9);
+    expect((await useCode()).status).toBe(400);
+  });
+
+  // Each check below starts from the same row, as requests running at once would
+  it('accepts a code sent twice at once only once', async () => {
+    const user = await createUser(context, 'parallel@example.com');
+    const { secret, recoveryCodes } = await enrol(user);
+    const row = await userRow(user);
+
+    const codes = await Promise.allSettled([
+      verifySecondFactor(row, { code: nextCode(secret) }),
+      verifySecondFactor(row, { code: nextCode(secret) })
+    ]);
+    const recovery = await Promise.allSettled([
+      verifySecondFactor(row, { recoveryCode: recoveryCodes[0] }),
+      verifySecondFactor(row, { recoveryCode: recoveryCodes[1] })
+    ]);
+
+    expect(codes.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(codes.find(result => result.status === 'rejected').reason.code).toBe('mfa_code_invalid');
+    // Both recovery codes were valid, but only one write can remove its code
+    expect(recovery.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect((await userRow(user)).mfa_recovery_codes).toHaveLength(9);
+  });
+
+  it('counts every wrong guess made at once towards the lockout', async () => {
+    const user = await createUser(context, 'guesses@example.com');
+    await enrol(user);
+    const row = await userRow(user);
+
+    await Promise.allSettled(Array.from({ length: 5 }, () => verifySecondFactor(row, { code: '000000' })));
+
+    expect((await userRow(user)).mfa_locked_until).toBeTruthy();
+    await expect(verifySecondFactor(await userRow(user), { code: '000000' })).rejects.toMatchObject({ status: 429 });
+  });
+
+  it('keeps members without 2FA out of workspaces that require it', async () => {
+    const owner = await createUser(context, 'owner@example.com');
+    const member = await createUser(context, 'member@example.com');
+    const workspace = await createWorkspace(context, owner, [[member, 'editor']], { require_mfa: true });
+
+    const res = await request(app).get('/api/content').set(as(member, workspace));
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('mfa_required');
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+
+describe('social account OAuth flow', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let owner;
+  let attacker;
+
+  // Start a connect flow; returns the callback path and the nonce cookie
+  async function connect(user, platform = 'linkedin') {
+    const res = await request(app).get(`/api/social/connect/${platform}`).set(as(user));
+    expect(res.status).toBe(200);
+
+    const url = new URL(res.body.data.authUrl);
+    const cookie = res.headers['set-cookie'].find(value => value.startsWith(`oauth_nonce_${platform}=`));
+
+    return { callback: `${url.pathname}${url.search}`, cookie: cookie.split(';')[0] };
+  }
+
+  async function accountsOf(user) {
+    const { data } = await db.from('social_accounts').select('*').eq('user_id', user.id);
+    return data;
+  }
+
+  beforeAll(async () => {
+    owner = await createUser(context, 'owner@example.com');
+    attacker = await createUser(context, 'attacker@example.com');
+  });
+
+  it('sets an HttpOnly nonce cookie scoped to the callback', async () => {
+    const res = await request(app).get('/api/social/connect/linkedin').set(as(owner));
+    const cookie = res.headers['set-cookie'].find(value => value.startsWith('oauth_nonce_linkedin='));
+
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/Path=\/api\/social\/callback\/linkedin/);
+  });
+
+  it('connects the account in the browser that started the flow', async () => {
+    const { callback, cookie } = await connect(owner);
+
+    const res = await request(app).get(callback).set('Cookie', cookie);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toMatch(/connected=linkedin/);
+    expect(await accountsOf(owner)).toHaveLength(1);
+  });
+
+  it('rejects a callback from a browser without the nonce', async () => {
+    const { callback } = await connect(attacker, 'twitter');
+
+    const res = await request(app).get(callback);
+
+    expect(res.headers.location).toMatch(/error=oauth_state_wrong_browser/);
+    expect(await accountsOf(attacker)).toHaveLength(0);
+  });
+
+  it('rejects a callback with another flow\'s nonce', async () => {
+    const { callback } = await connect(attacker, 'youtube');
+    const { cookie } = await connect(owner, 'youtube');
+
+    const res = await request(app).get(callback).set('Cookie', cookie);
+
+    expect(res.headers.location).toMatch(/error=oauth_state_wrong_browser/);
+    expect(await accountsOf(attacker)).toHaveLength(0);
+  });
+
+  it('does not spend the state on a rejected callback, and rejects replays', async () => {
+    const { callback, cookie } = await connect(owner, 'tiktok');
+
+    await request(app).get(callback);
+    const first = await request(app).get(callback).set('Cookie', cookie);
+    const replay = await request(app).get(callback).set('Cookie', cookie);
+
+    expect(first.headers.location).toMatch(/connected=tiktok/);
+    expect(replay.headers.location).toMatch(/error=oauth_state_replayed/);
+  });
+
+  it('rejects a tampered state', async () => {
+    const { callback, cookie } = await connect(owner, 'instagram');
+
+    const res = await request(app).get(callback.replace(/state=[^&]+/, 'state=forged.state')).set('Cookie', cookie);
+
+    expect(res.headers.location).toMatch(/error=oauth_state_invalid/);
+  });
+});
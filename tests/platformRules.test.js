@@ -0,0 +1,64 @@
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+
+describe('platform rules', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let user;
+
+  const validate = (body) => request(app).post('/api/content/validate').set(as(user)).send(body);
+  const create = (body) => request(app).post('/api/content').set(as(user)).send({ title: 'Post', contentType: 'post', ...body });
+  const codesOf = (issues) => issues.map(issue => issue.code);
+
+  beforeAll(async () => {
+    user = await createUser(context, 'rules@example.com');
+  });
+
+  it('counts Twitter captions the way Twitter does', async () => {
+    const link = `https://example.com/${'a'.repeat(200)}`;
+
+    const withLink = await validate({ platform: 'twitter', contentType: 'post', caption: `Read this ${link}` });
+    const withEmoji = await validate({ platform: 'twitter', contentType: 'post', caption: '🚀'.repeat(141) });
+
+    expect(withLink.status).toBe(200);
+    expect(withLink.body.data.valid).toBe(true);
+    expect(withEmoji.body.data.valid).toBe(false);
+    expect(codesOf(withEmoji.body.data.errors)).toEqual(['caption_too_long']);
+  });
+
+  it('checks hashtags, mentions and media against the platform and content type', async () => {
+    const hashtags = Array.from({ length: 31 }, (_, i) => `tag${i}`);
+    const mentions = Array.from({ length: 21 }, (_, i) => `@friend${i}`).join(' ');
+
+    const instagram = await validate({ platform: 'instagram', contentType: 'post', caption: `Hi ${mentions}`, hashtags, media: [{ kind: 'image', width: 1000, height: 3000 }] });
+    const tiktok = await validate({ platform: 'tiktok', contentType: 'video', media: [{ kind: 'video', duration: 700 }] });
+
+    expect(codesOf(instagram.body.data.errors)).toEqual(expect.arrayContaining(['too_many_hashtags', 'too_many_mentions', 'aspect_ratio_not_supported']));
+    expect(codesOf(tiktok.body.data.errors)).toEqual(['video_too_long']);
+  });
+
+  it('refuses to create scheduled content that breaks the rules', async () => {
+    const res = await create({ title: 'Too long', platform: 'twitter', caption: 'x'.repeat(281), status: 'scheduled', scheduledDate: '2030-01-01T10:00:00Z' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('platform_limits');
+    expect(codesOf(res.body.errors)).toEqual(['caption_too_long']);
+    const { data } = await db.from('content_items').select('id').eq('title', 'Too long');
+    expect(data).toHaveLength(0);
+  });
+
+  it('lets drafts break the rules but not be scheduled', async () => {
+    const draft = (await create({ platform: 'instagram', caption: 'No photo yet' })).body.data;
+
+    const res = await request(app)
+      .put(`/api/content/${draft.id}`)
+      .set(as(user))
+      .send({ status: 'scheduled', scheduled_date: '2030-01-01T10:00:00Z' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('platform_limits');
+    expect(codesOf(res.body.errors)).toEqual(['media_required']);
+    const { data: item } = await db.from('content_items').select('status').eq('id', draft.id).single();
+    expect(item.status).toBe('draft');
+  });
+});
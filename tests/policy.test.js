@@ -0,0 +1,108 @@
+const request = require('supertest');
+const { buildApp, createUser, createWorkspace, as } = require('./helpers');
+
+describe('permission policy', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let owner;
+  let viewer;
+  let outsider;
+  let admin;
+  let workspace;
+  let item;
+  let client;
+
+  beforeAll(async () => {
+    owner = await createUser(context, 'owner@example.com');
+    viewer = await createUser(context, 'viewer@example.com');
+    outsider = await createUser(context, 'outsider@example.com', { role: 'agency' });
+    admin = await createUser(context, 'admin@example.com', { role: 'admin' });
+    workspace = await createWorkspace(context, owner, [[viewer, 'viewer']]);
+
+    ({ data: item } = await db
+      .from('content_items')
+      .insert({ title: 'Team post', platform: 'linkedin', content_type: 'post', creator_id: owner.id, workspace_id: workspace.id })
+      .select('*')
+      .single());
+    ({ data: client } = await db
+      .from('clients')
+      .insert({ name: 'Acme', creator_id: owner.id, workspace_id: workspace.id })
+      .select('*')
+      .single());
+
+    await db.from('social_accounts').insert({
+      user_id: owner.id,
+      client_id: client.id,
+      platform: 'linkedin',
+      account_id: 'acme-page',
+      username: 'acme',
+      access_token: 'token'
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.POLICY_EXPLAIN;
+  });
+
+  it('denies reads and hides resources the user cannot read from other actions', async () => {
+    expect((await request(app).get(`/api/content/${item.id}`).set(as(outsider))).status).toBe(403);
+
+    const res = await request(app).put(`/api/content/${item.id}`).set(as(outsider)).send({ title: 'Renamed' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Content not found');
+  });
+
+  it('denies actions the workspace role does not allow', async () => {
+    expect((await request(app).get(`/api/content/${item.id}`).set(as(viewer))).status).toBe(200);
+
+    const res = await request(app).put(`/api/content/${item.id}`).set(as(viewer)).send({ title: 'Renamed' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Access denied');
+    expect(res.body.explanation).toBeUndefined();
+  });
+
+  it('explains denials on request when explanations are enabled', async () => {
+    process.env.POLICY_EXPLAIN = 'true';
+
+    const res = await request(app)
+      .put(`/api/content/${item.id}`)
+      .set(as(viewer))
+      .set('X-Explain-Permissions', 'true')
+      .send({ title: 'Renamed' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.explanation.action).toBe('content:update');
+    expect(res.body.explanation.trace.length).toBeGreaterThan(0);
+  });
+
+  it('explains decisions through the API', async () => {
+    const explain = (user, body) => request(app).post('/api/permissions/explain').set(as(user)).send(body);
+
+    expect((await explain(viewer, { action: 'content:update', resourceId: item.id })).status).toBe(403);
+    expect((await explain(viewer, { action: 'content:update', resourceId: item.id, userId: owner.id })).status).toBe(403);
+
+    const res = await explain(admin, { action: 'content:update', resourceId: item.id, userId: viewer.id });
+    expect(res.status).toBe(200);
+    expect(res.body.data.allowed).toBe(false);
+    expect(res.body.data.userId).toBe(viewer.id);
+
+    const allowed = await explain(admin, { action: 'content:update', resourceId: item.id, userId: owner.id });
+    expect(allowed.body.data.allowed).toBe(true);
+
+    expect((await explain(admin, { action: 'content:fly' })).status).toBe(400);
+  });
+
+  it('checks access to the client before listing its social accounts', async () => {
+    const accounts = (user) => request(app).get('/api/social/accounts').query({ clientId: client.id }).set(as(user));
+
+    const denied = await accounts(outsider);
+    expect(denied.status).toBe(403);
+    expect(denied.body.data).toBeUndefined();
+
+    const res = await accounts(owner);
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(account => account.username)).toEqual(['acme']);
+  });
+});
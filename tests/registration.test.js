@@ -0,0 +1,52 @@
+const request = require('supertest');
+const { PASSWORD, buildApp, createUser, as } = require('./helpers');
+
+describe('registration', () => {
+  const context = buildApp();
+  const { app, db } = context;
+
+  const register = (email, changes = {}) => request(app)
+    .post('/api/auth/register')
+    .send({ email, password: PASSWORD, firstName: 'Test', lastName: 'User', ...changes });
+
+  async function userRow(email) {
+    const { data } = await db.from('users').select('*').eq('email', email).maybeSingle();
+    return data;
+  }
+
+  it('creates creator accounts by default', async () => {
+    const res = await register('creator@example.com');
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe('creator');
+  });
+
+  it('lets agencies sign up as agencies', async () => {
+    const res = await register('agency@example.com', { role: 'agency' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe('agency');
+  });
+
+  it('refuses sign-ups as admin or client', async () => {
+    for (const role of ['admin', 'client']) {
+      const res = await register(`${role}@example.com`, { role });
+
+      expect(res.status).toBe(400);
+      expect(await userRow(`${role}@example.com`)).toBeNull();
+    }
+  });
+
+  it('only lets admins grant the admin role', async () => {
+    const user = await createUser(context, 'promote@example.com');
+    const admin = await createUser(context, 'admin@example.com', { role: 'admin' });
+
+    const own = await request(app).put(`/api/users/${user.id}`).set(as(user)).send({ role: 'admin' });
+    expect(own.status).toBe(403);
+    expect((await userRow(user.email)).role).toBe('creator');
+
+    const granted = await request(app).put(`/api/users/${user.id}`).set(as(admin)).send({ role: 'admin' });
+    expect(granted.status).toBe(200);
+    expect(granted.body.data.role).toBe('admin');
+  });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+
+describe('content revisions', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let author;
+  let stranger;
+  let item;
+
+  const versions = (user = author) => request(app).get(`/api/content/${item.id}/versions`).set(as(user));
+  const restore = (target, version) => request(app).post(`/api/content/${target.id}/versions/${version}/restore`).set(as(author)).send({});
+
+  // Creates an item with a first and a second version of its copy
+  async function editedItem(fields, changes) {
+    const created = await request(app).post('/api/content').set(as(author)).send({ title: 'Teaser', contentType: 'post', ...fields });
+    await request(app).put(`/api/content/${created.body.data.id}`).set(as(author)).send(changes);
+    return created.body.data;
+  }
+
+  async function itemRow(id) {
+    const { data } = await db.from('content_items').select('*').eq('id', id).single();
+    return data;
+  }
+
+  beforeAll(async () => {
+    author = await createUser(context, 'author@example.com');
+    stranger = await createUser(context, 'stranger@example.com');
+
+    const created = await request(app)
+      .post('/api/content')
+      .set(as(author))
+      .send({ title: 'Launch', platform: 'linkedin', contentType: 'post', caption: 'First take', hashtags: ['launch'] });
+    item = created.body.data;
+
+    await request(app)
+      .put(`/api/content/${item.id}`)
+      .set(as(author))
+      .send({ caption: 'Second take', hashtags: ['launch', 'news'], reason: 'Punchier copy' });
+  });
+
+  it('saves a version on create and on each change to the copy', async () => {
+    // Changes outside the copy don't make a version
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await request(app).put(`/api/content/${item.id}`).set(as(author)).send({ scheduled_date: later });
+
+    const res = await versions();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(revision => revision.version)).toEqual([2, 1]);
+    expect(res.body.data[0].reason).toBe('Punchier copy');
+    expect(res.body.data[0].changed_fields).toEqual(['caption', 'hashtags']);
+  });
+
+  it('diffs versions field by field', async () => {
+    const res = await request(app).get(`/api/content/${item.id}/versions/diff`).set(as(author));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.from).toBe(1);
+    expect(res.body.data.to).toBe(2);
+    expect(res.body.data.changes).toEqual([
+      { field: 'caption', from: 'First take', to: 'Second take' },
+      { field: 'hashtags', from: ['launch'], to: ['launch', 'news'], added: ['news'], removed: [] }
+    ]);
+  });
+
+  it('restores an earlier version as a new one', async () => {
+    const res = await request(app).post(`/api/content/${item.id}/versions/1/restore`).set(as(author)).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.caption).toBe('First take');
+
+    const latest = (await versions()).body.data[0];
+    expect(latest.version).toBe(3);
+    expect(latest.restored_from).toBe(1);
+
+    const again = await request(app).post(`/api/content/${item.id}/versions/1/restore`).set(as(author)).send({});
+    expect(again.status).toBe(409);
+    expect(again.body.code).toBe('nothing_to_restore');
+  });
+
+  it('returns 404 for versions that do not exist', async () => {
+    const res = await request(app).get(`/api/content/${item.id}/versions/99`).set(as(author));
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('revision_not_found');
+  });
+
+  it('keeps the history private to those who can read the item', async () => {
+    expect((await versions(stranger)).status).toBe(403);
+    expect((await request(app).post(`/api/content/${item.id}/versions/2/restore`).set(as(stranger)).send({})).status).toBe(404);
+  });
+
+  it('detaches restored series items from their series', async () => {
+    const { data: series } = await db.from('content_series').insert({ creator_id: author.id, title: 'Weekly tips' }).select('*').single();
+    const episode = await editedItem({ platform: 'linkedin', caption: 'Tip one' }, { caption: 'Tip one, revised' });
+    await db.from('content_items').update({ series_id: series.id, series_occurrence: '2030-01-01', series_detached: false }).eq('id', episode.id);
+
+    expect((await restore(episode, 1)).status).toBe(200);
+    expect((await itemRow(episode.id)).series_detached).toBe(true);
+  });
+
+  it('keeps the overrides of restored campaign variants', async () => {
+    const { data: campaign } = await db.from('content_campaigns').insert({ creator_id: author.id, title: 'Spring' }).select('*').single();
+    const variant = await editedItem({ platform: 'linkedin', caption: 'Spring is here' }, { caption: 'Spring is here!' });
+    await db.from('content_items').update({ campaign_id: campaign.id, overridden_fields: [] }).eq('id', variant.id);
+
+    expect((await restore(variant, 1)).status).toBe(200);
+    expect((await itemRow(variant.id)).overridden_fields).toEqual(['caption']);
+
+    // A version from before the item became a variant may be for another platform
+    const { data: first } = await db.from('content_revisions').select('*').eq('content_item_id', variant.id).eq('version', 1).single();
+    await db.from('content_revisions').update({ snapshot: { ...first.snapshot, platform: 'twitter' } }).eq('id', first.id);
+    const res = await restore(variant, 1);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Platform change not allowed');
+    expect((await itemRow(variant.id)).platform).toBe('linkedin');
+  });
+
+  it('checks scheduled items against the platform rules', async () => {
+    const post = await editedItem({ platform: 'twitter', caption: 'Short' }, { caption: 'x'.repeat(300) });
+    await request(app).put(`/api/content/${post.id}`).set(as(author)).send({ caption: 'Short again' });
+    await db.from('content_items').update({ status: 'scheduled', scheduled_date: '2030-01-01T10:00:00Z' }).eq('id', post.id);
+
+    const res = await restore(post, 2);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('platform_limits');
+    expect((await itemRow(post.id)).caption).toBe('Short again');
+  });
+});
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+const { publishDueContent } = require('../src/services/scheduler');
+const { getAdapter } = require('../src/services/platforms');
+
+describe('scheduled publishing', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let alice;
+  let bob;
+  let aliceAccount;
+  let bobAccount;
+
+  const past = () => new Date(Date.now() - 60 * 1000).toISOString();
+
+  async function connectAccount(user, accountId) {
+    const { data: account } = await db
+      .from('social_accounts')
+      .insert({ user_id: user.id, platform: 'linkedin', account_id: accountId, account_name: accountId, access_token: 'token' })
+      .select('*')
+      .single();
+    return account;
+  }
+
+  async function scheduledItem(user, changes = {}) {
+    const { data: item } = await db
+      .from('content_items')
+      .insert({
+        title: 'Launch day',
+        platform: 'linkedin',
+        content_type: 'post',
+        caption: 'We are live',
+        creator_id: user.id,
+        status: 'scheduled',
+        scheduled_date: past(),
+        ...changes
+      })
+      .select('*')
+      .single();
+    return item;
+  }
+
+  async function reload(item) {
+    const { data } = await db.from('content_items').select('*').eq('id', item.id).single();
+    return data;
+  }
+
+  // Make content item updates that set `column` fail, like a dropped connection would
+  function failUpdatesOf(column) {
+    const from = db.from.bind(db);
+    return jest.spyOn(db, 'from').mockImplementation((table) => {
+      const query = from(table);
+      const update = query.update.bind(query);
+      query.update = (values) => (table === 'content_items' && column in values
+        ? { eq: async () => ({ data: null, error: new Error('connection lost') }) }
+        : update(values));
+      return query;
+    });
+  }
+
+  async function notificationsFor(item) {
+    const { data } = await db.from('notifications').select('*').eq('data->>content_item_id', item.id);
+    return data;
+  }
+
+  beforeAll(async () => {
+    alice = await createUser(context, 'alice@example.com');
+    bob = await createUser(context, 'bob@example.com');
+    aliceAccount = await connectAccount(alice, 'alice-page');
+    bobAccount = await connectAccount(bob, 'bob-page');
+  });
+
+  beforeEach(() => {
+    getAdapter('linkedin').reset();
+  });
+
+  it('publishes due items to the creator\'s account', async () => {
+    const item = await scheduledItem(alice);
+
+    const summary = await publishDueContent();
+
+    expect(summary.published).toBe(1);
+    const published = await reload(item);
+    expect(published.status).toBe('published');
+    expect(published.social_account_id).toBe(aliceAccount.id);
+    expect(published.platform_post_id).toBeTruthy();
+  });
+
+  it('retries a failed attempt later', async () => {
+    const item = await scheduledItem(alice);
+    getAdapter('linkedin').failNext('publishPost');
+
+    const summary = await publishDueContent();
+
+    expect(summary.retrying).toBe(1);
+    const retrying = await reload(item);
+    expect(retrying.status).toBe('scheduled');
+    expect(retrying.publish_attempts).toBe(1);
+    expect(new Date(retrying.next_publish_attempt_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('counts items it could not mark published as failed', async () => {
+    const item = await scheduledItem(alice);
+    const spy = failUpdatesOf('platform_post_id');
+
+    const summary = await publishDueContent();
+    spy.mockRestore();
+
+    expect(summary).toEqual({ published: 0, retrying: 0, failed: 1 });
+    expect((await reload(item)).status).toBe('scheduled');
+    expect(await notificationsFor(item)).toHaveLength(0);
+    await db.from('content_items').delete().eq('id', item.id);
+  });
+
+  it('counts failed attempts whose retry could not be saved as failed', async () => {
+    const item = await scheduledItem(alice);
+    getAdapter('linkedin').failNext('publishPost');
+    const spy = failUpdatesOf('publish_error');
+
+    const summary = await publishDueContent();
+    spy.mockRestore();
+
+    expect(summary).toEqual({ published: 0, retrying: 0, failed: 1 });
+    expect((await reload(item)).next_publish_attempt_at).toBeFalsy();
+  });
+
+  it('never publishes to an account that isn\'t the creator\'s', async () => {
+    const item = await scheduledItem(bob, { social_account_id: aliceAccount.id });
+
+    await publishDueContent();
+
+    const published = await reload(item);
+    expect(published.status).toBe('published');
+    expect(published.social_account_id).toBe(bobAccount.id);
+  });
+
+  it('ignores publishing fields in content updates', async () => {
+    const { data: draft } = await db
+      .from('content_items')
+      .insert({ title: 'Draft', platform: 'linkedin', content_type: 'post', creator_id: bob.id })
+      .select('*')
+      .single();
+
+    const res = await request(app)
+      .put(`/api/content/${draft.id}`)
+      .set(as(bob))
+      .send({
+        title: 'Draft v2',
+        social_account_id: aliceAccount.id,
+        platform_post_id: 'forged',
+        platform_post_url: 'https://forged.example.com',
+        performance_data: { views: 1000000 },
+        published_date: past(),
+        publish_attempts: 3,
+        publish_error: 'forged',
+        next_publish_attempt_at: past()
+      });
+
+    expect(res.status).toBe(200);
+    const updated = await reload(draft);
+    expect(updated.title).toBe('Draft v2');
+    expect(updated.social_account_id).toBeFalsy();
+    expect(updated.platform_post_id).toBeFalsy();
+    expect(updated.platform_post_url).toBeFalsy();
+    expect(updated.performance_data).toBeFalsy();
+    expect(updated.published_date).toBeFalsy();
+    expect(updated.publish_attempts).toBe(0);
+    expect(updated.publish_error).toBeFalsy();
+    expect(updated.next_publish_attempt_at).toBeFalsy();
+  });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const { PASSWORD, buildApp, createUser, as } = require('./helpers');
+
+describe('sessions and refresh tokens', () => {
+  const context = buildApp();
+  const { app } = context;
+  let user;
+
+  const login = () => request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+  const me = (token) => request(app).get('/api/auth/me').set(as({ token }));
+
+  beforeAll(async () => {
+    user = await createUser(context, 'sessions@example.com');
+  });
+
+  it('signs in with an access token and a refresh token', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expect(res.body.refreshToken).toBeTruthy();
+    expect((await me(res.body.token)).status).toBe(200);
+  });
+
+  it('rotates the refresh token on every refresh', async () => {
+    const { refreshToken } = (await login()).body;
+
+    const res = await refresh(refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect((await me(res.body.token)).status).toBe(200);
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
+  it('signs the session out when a used refresh token comes back', async () => {
+    const { refreshToken } = (await login()).body;
+    const rotated = (await refresh(refreshToken)).body;
+
+    const reuse = await refresh(refreshToken);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.code).toBe('refresh_token_reused');
+
+    // The whole session is gone: its newest refresh and access tokens too
+    const next = await refresh(rotated.refreshToken);
+    expect(next.status).toBe(401);
+    expect(next.body.code).toBe('session_revoked');
+    expect((await me(rotated.token)).status).toBe(401);
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const res = await refresh('not-a-token');
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('refresh_token_invalid');
+  });
+
+  it('denies the access token and refresh token on logout', async () => {
+    const { token, refreshToken } = (await login()).body;
+
+    expect((await request(app).post('/api/auth/logout').set(as({ token }))).status).toBe(200);
+
+    expect((await me(token)).status).toBe(401);
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+
+  it('lists sessions and revokes the others', async () => {
+    const current = (await login()).body;
+    const other = (await login()).body;
+
+    const list = await request(app).get('/api/auth/sessions').set(as(current));
+    expect(list.status).toBe(200);
+    expect(list.body.data.filter(session => session.current)).toHaveLength(1);
+
+    for (const session of list.body.data.filter(entry => !entry.current)) {
+      const res = await request(app).delete(`/api/auth/sessions/${session.id}`).set(as(current));
+      expect(res.status).toBe(200);
+    }
+
+    expect((await me(other.token)).status).toBe(401);
+    expect((await me(current.token)).status).toBe(200);
+
+    const after = await request(app).get('/api/auth/sessions').set(as(current));
+    expect(after.body.data).toHaveLength(1);
+  });
+});
@@ -0,0 +1,6 @@
+// Environment every test file starts with
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.FRONTEND_URL = 'http://frontend.test';
+process.env.PLATFORM_DRIVER = 'mock';
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
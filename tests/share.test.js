@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { buildApp, createUser, createWorkspace, as } = require('./helpers');
+
+describe('share links', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let editor;
+  let viewer;
+  let outsider;
+  let workspace;
+  let file;
+
+  const tokenOf = (link) => link.url.split('/share/')[1];
+  const preview = (link, password) => {
+    const req = request(app).get(`/api/share/${tokenOf(link)}`);
+    return password ? req.set('X-Share-Password', password) : req;
+  };
+  const shareFile = (user, body = {}) => request(app)
+    .post(`/api/files/${file.id}/share-links`)
+    .set(as(user, workspace))
+    .send(body);
+
+  beforeAll(async () => {
+    const owner = await createUser(context, 'owner@example.com');
+    editor = await createUser(context, 'editor@example.com');
+    viewer = await createUser(context, 'viewer@example.com');
+    outsider = await createUser(context, 'outsider@example.com');
+    workspace = await createWorkspace(context, owner, [[editor, 'editor'], [viewer, 'viewer']]);
+
+    const res = await request(app)
+      .post('/api/files/upload')
+      .set(as(editor, workspace))
+      .attach('files', Buffer.from('image'), { filename: 'draft.jpg', contentType: 'image/jpeg' });
+    file = res.body.data[0];
+    await db.from('media_files').update({ metadata: { ...file.metadata, width: 800, height: 600 } }).eq('id', file.id);
+  });
+
+  it('lets people who can edit the file share it', async () => {
+    expect((await shareFile(viewer)).status).toBe(403);
+    expect((await request(app).post(`/api/files/${file.id}/share-links`).set(as(outsider)).send({})).status).toBe(404);
+
+    const res = await shareFile(editor);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.url).toMatch(/^http:\/\/frontend\.test\/share\//);
+    expect(res.body.data.status).toBe('active');
+    expect(res.body.data).not.toHaveProperty('token_hash');
+  });
+
+  it('refuses expiry dates in the past or too far ahead', async () => {
+    const past = await shareFile(editor, { expiresAt: '2000-01-01T00:00:00Z' });
+    const farAhead = await shareFile(editor, { expiresAt: new Date(Date.now() + 40 * 24 * 60 * 60 * 1000).toISOString() });
+
+    expect(past.status).toBe(400);
+    expect(past.body.code).toBe('invalid_expiry');
+    expect(farAhead.body.code).toBe('invalid_expiry');
+  });
+
+  it('previews the file without signing in and counts visitors', async () => {
+    const link = (await shareFile(editor)).body.data;
+
+    const res = await preview(link).set('User-Agent', 'first');
+    await preview(link).set('User-Agent', 'second');
+    await preview(link).set('User-Agent', 'second');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(res.body.data.file).toMatchObject({ name: 'draft.jpg', fileType: 'image', width: 800, height: 600 });
+
+    const list = await request(app).get(`/api/files/${file.id}/share-links`).set(as(editor, workspace));
+    const listed = list.body.data.find(entry => entry.id === link.id);
+    expect(listed.view_count).toBe(3);
+    expect(listed.unique_visitors).toBe(2);
+    expect((await request(app).get(`/api/files/${file.id}/share-links`).set(as(viewer, workspace))).status).toBe(403);
+  });
+
+  it('asks for the password and locks the link after wrong guesses', async () => {
+    const link = (await shareFile(editor, { password: 'secret1' })).body.data;
+    expect(link.has_password).toBe(true);
+    expect(link).not.toHaveProperty('password_hash');
+
+    expect((await preview(link)).body.code).toBe('password_required');
+    expect((await preview(link, 'secret1')).status).toBe(200);
+
+    for (let i = 0; i < 4; i++) {
+      await preview(link, 'wrong');
+    }
+    expect((await preview(link, 'wrong')).body.code).toBe('wrong_password');
+
+    const locked = await preview(link, 'secret1');
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('share_link_locked');
+  });
+
+  it('stops working once revoked or expired', async () => {
+    const revoked = (await shareFile(editor)).body.data;
+    const expired = (await shareFile(editor)).body.data;
+
+    expect((await request(app).delete(`/api/files/${file.id}/share-links/${revoked.id}`).set(as(viewer, workspace))).status).toBe(403);
+    const res = await request(app).delete(`/api/files/${file.id}/share-links/${revoked.id}`).set(as(editor, workspace));
+    expect(res.body.data.status).toBe('revoked');
+    await db.from('share_links').update({ expires_at: new Date(Date.now() - 1000).toISOString() }).eq('id', expired.id);
+
+    expect((await preview(revoked)).status).toBe(410);
+    expect((await preview(revoked)).body.code).toBe('share_link_revoked');
+    expect((await preview(expired)).body.code).toBe('share_link_expired');
+    expect((await request(app).get('/api/share/unknown-token')).body.code).toBe('share_link_not_found');
+  });
+
+  it('previews content without internal details', async () => {
+    const item = (await request(app)
+      .post('/api/content')
+      .set(as(editor, workspace))
+      .send({ title: 'Launch', platform: 'instagram', contentType: 'post', caption: 'Hello world', hashtags: ['launch'] })).body.data;
+    await db.from('media_files').update({ content_item_id: item.id }).eq('id', file.id);
+    await db.from('content_comments').insert({ content_item_id: item.id, user_id: editor.id, comment: 'Internal note' });
+    const link = (await request(app).post(`/api/content/${item.id}/share-links`).set(as(editor, workspace)).send({})).body.data;
+
+    const res = await preview(link);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.content).toMatchObject({ title: 'Launch', caption: 'Hello world', hashtags: ['launch'] });
+    expect(res.body.data.content.media).toHaveLength(1);
+    const body = JSON.stringify(res.body);
+    for (const secret of [workspace.id, editor.id, item.id, file.id, 'Internal note']) {
+      expect(body).not.toContain(secret);
+    }
+  });
+
+  it('stops working when its creator loses access to the item', async () => {
+    const link = (await shareFile(editor)).body.data;
+    expect((await preview(link)).status).toBe(200);
+
+    await db.from('workspace_members').delete().eq('user_id', editor.id);
+
+    const res = await preview(link);
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('share_link_not_found');
+  });
+});
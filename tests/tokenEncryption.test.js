@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+const { reencryptSocialTokens, reencryptMfaSecrets } = require('../src/scripts/reencryptTokens');
+const { decryptToken, encryptToken } = require('../src/utils/tokenCipher');
+const logger = require('../src/utils/logger');
+
+const TEST_KEYS = process.env.TOKEN_ENCRYPTION_KEYS;
+const NEXT_KEY = `next:${Buffer.alloc(32, 9).toString('base64')}`;
+
+describe('social token encryption', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let user;
+
+  async function connect(platform) {
+    const res = await request(app).get(`/api/social/connect/${platform}`).set(as(user));
+    const url = new URL(res.body.data.authUrl);
+    const cookie = res.headers['set-cookie'].find(value => value.startsWith(`oauth_nonce_${platform}=`));
+    await request(app).get(`${url.pathname}${url.search}`).set('Cookie', cookie.split(';')[0]);
+  }
+
+  async function accountRow(id) {
+    const { data } = await db.from('social_accounts').select('*').eq('id', id).single();
+    return data;
+  }
+
+  beforeAll(async () => {
+    user = await createUser(context, 'tokens@example.com');
+  });
+
+  afterEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = TEST_KEYS;
+  });
+
+  it('stores connected accounts\' tokens encrypted and never returns them', async () => {
+    await connect('linkedin');
+    const { data: [account] } = await db.from('social_accounts').select('*').eq('user_id', user.id);
+
+    expect(account.access_token).toMatch(/^enc:v1:test:/);
+    expect(decryptToken(account.access_token)).toBeTruthy();
+
+    const res = await request(app).get('/api/social/accounts').set(as(user));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    const body = JSON.stringify(res.body);
+    expect(body).not.toContain('access_token');
+    expect(body).not.toContain('refresh_token');
+    expect(body).not.toContain('enc:v1');
+  });
+
+  it('re-encrypts plaintext and old-key tokens with the active key', async () => {
+    const { data: account } = await db
+      .from('social_accounts')
+      .insert({ user_id: user.id, platform: 'twitter', account_id: 'legacy', account_name: 'legacy', access_token: 'plain-access', refresh_token: 'plain-refresh' })
+      .select('*')
+      .single();
+
+    const dryRun = await reencryptSocialTokens({ dryRun: true });
+    expect(dryRun.updated).toBe(1);
+    expect((await accountRow(account.id)).access_token).toBe('plain-access');
+
+    expect((await reencryptSocialTokens()).updated).toBe(1);
+    expect((await accountRow(account.id)).access_token).toMatch(/^enc:v1:test:/);
+
+    // Rotate: the new key goes first, the old one stays until the script has run
+    process.env.TOKEN_ENCRYPTION_KEYS = `${NEXT_KEY},${TEST_KEYS}`;
+    const rotated = await reencryptSocialTokens();
+    expect(rotated).toMatchObject({ updated: 2, failed: 0 });
+
+    process.env.TOKEN_ENCRYPTION_KEYS = NEXT_KEY;
+    const row = await accountRow(account.id);
+    expect(row.access_token).toMatch(/^enc:v1:next:/);
+    expect(decryptToken(row.access_token)).toBe('plain-access');
+    expect(decryptToken(row.refresh_token)).toBe('plain-refresh');
+  });
+
+  it('re-encrypts two-factor secrets on rotation', async () => {
+    await db.from('users').update({ mfa_secret: encryptToken('JBSWY3DPEHPK3PXP') }).eq('id', user.id);
+
+    process.env.TOKEN_ENCRYPTION_KEYS = `${NEXT_KEY},${TEST_KEYS}`;
+    expect(await reencryptMfaSecrets()).toMatchObject({ updated: 1, failed: 0 });
+
+    process.env.TOKEN_ENCRYPTION_KEYS = NEXT_KEY;
+    const { data: row } = await db.from('users').select('mfa_secret').eq('id', user.id).single();
+    expect(decryptToken(row.mfa_secret)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('keeps tokens out of the logs', () => {
+    // Run entries through the logger's formats, as every transport receives them
+    const format = (message, meta = {}) => logger.format.transform({ level: 'info', message, ...meta })[Symbol.for('message')];
+
+    const lines = [
+      format('Token refreshed', { access_token: 'secret-access', account: { refreshToken: 'secret-refresh' } }),
+      format('Request failed: https://api.example.com/oauth?refresh_token=secret-query with Bearer secret-bearer'),
+      format(`Stored ${encryptToken('secret-stored')}`)
+    ].join('\n');
+
+    expect(lines).toContain('Token refreshed');
+    for (const secret of ['secret-access', 'secret-refresh', 'secret-query', 'secret-bearer', 'enc:v1']) {
+      expect(lines).not.toContain(secret);
+    }
+  });
+});
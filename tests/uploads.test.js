@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+const { removeExpiredUploads } = require('../src/services/resumableUploads');
+
+describe('resumable uploads', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let user;
+  let other;
+
+  const file = crypto.randomBytes(3000);
+  const metadata = (name) => `filename ${Buffer.from(name).toString('base64')},filetype ${Buffer.from('image/png').toString('base64')}`;
+  const checksum = (data) => `sha256 ${crypto.createHash('sha256').update(data).digest('base64')}`;
+
+  async function create(name = 'photo.png', length = file.length) {
+    const res = await request(app)
+      .post('/api/files/uploads')
+      .set(as(user))
+      .set({ 'Tus-Resumable': '1.0.0', 'Upload-Length': String(length), 'Upload-Metadata': metadata(name) });
+    expect(res.status).toBe(201);
+    return res.headers.location;
+  }
+
+  const patch = (location, offset, data, headers = {}) => request(app)
+    .patch(location)
+    .set(as(user))
+    .set({ 'Tus-Resumable': '1.0.0', 'Upload-Offset': String(offset), 'Content-Type': 'application/offset+octet-stream', ...headers })
+    .send(data);
+
+  const offsetOf = async (location) => Number((await request(app).head(location).set(as(user))).headers['upload-offset']);
+
+  async function uploadRow(location) {
+    const { data } = await db.from('file_uploads').select('*').eq('id', location.split('/').pop()).single();
+    return data;
+  }
+
+  beforeAll(async () => {
+    user = await createUser(context, 'uploader@example.com');
+    other = await createUser(context, 'other@example.com');
+  });
+
+  it('assembles a file sent in chunks', async () => {
+    const location = await create();
+
+    expect((await patch(location, 0, file.subarray(0, 1000), { 'Upload-Checksum': checksum(file.subarray(0, 1000)) })).status).toBe(204);
+    expect(await offsetOf(location)).toBe(1000);
+
+    const last = await patch(location, 1000, file.subarray(1000));
+    expect(last.status).toBe(204);
+    expect(last.headers['upload-offset']).toBe(String(file.length));
+
+    const status = await request(app).get(location).set(as(user));
+    expect(status.body.data.status).toBe('completed');
+
+    const { data: media } = await db.from('media_files').select('*').eq('id', status.body.data.mediaFile.id).single();
+    expect(media.file_size).toBe(file.length);
+    const { data: stored } = await db.storage.from('media-files').download(media.storage_path);
+    expect(Buffer.from(await stored.arrayBuffer()).equals(file)).toBe(true);
+  });
+
+  it('refuses corrupted chunks and chunks at the wrong offset', async () => {
+    const location = await create();
+
+    const corrupted = await patch(location, 0, file.subarray(0, 1000), { 'Upload-Checksum': checksum(Buffer.from('other')) });
+    expect(corrupted.status).toBe(460);
+
+    const skipped = await patch(location, 1000, file.subarray(1000, 2000));
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.code).toBe('offset_mismatch');
+    expect(await offsetOf(location)).toBe(0);
+  });
+
+  it('only lets the uploader see or continue an upload', async () => {
+    const location = await create();
+
+    expect((await request(app).head(location).set(as(other))).status).toBe(404);
+    expect((await request(app).patch(location).set(as(other)).set({
+      'Upload-Offset': '0',
+      'Content-Type': 'application/offset+octet-stream'
+    }).send(file.subarray(0, 10))).status).toBe(404);
+  });
+
+  it('removes expired uploads with their chunks', async () => {
+    const location = await create();
+    await patch(location, 0, file.subarray(0, 1000));
+    const { parts } = await uploadRow(location);
+
+    const removed = await removeExpiredUploads({ now: new Date(Date.now() + 48 * 60 * 60 * 1000) });
+
+    expect(removed).toBeGreaterThanOrEqual(1);
+    expect(await uploadRow(location)).toBeNull();
+    const { error } = await db.storage.from('media-files').download(parts[0].path);
+    expect(error).toBeTruthy();
+  });
+
+  it('hands uploads stuck in assembly back to the uploader', async () => {
+    const location = await create();
+    await patch(location, 0, file.subarray(0, 1000));
+    const stuckSince = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+    await db.from('file_uploads').update({ status: 'assembling', updated_at: stuckSince }).eq('id', (await uploadRow(location)).id);
+
+    await removeExpiredUploads();
+
+    expect((await uploadRow(location)).status).toBe('uploading');
+    expect((await patch(location, 1000, file.subarray(1000))).status).toBe(204);
+    expect((await uploadRow(location)).status).toBe('completed');
+  });
+
+  it('removes uploads stuck in assembly once they expire', async () => {
+    const location = await create();
+    await patch(location, 0, file.subarray(0, 1000));
+    await db.from('file_uploads').update({ status: 'assembling' }).eq('id', (await uploadRow(location)).id);
+
+    await removeExpiredUploads({ now: new Date(Date.now() + 48 * 60 * 60 * 1000) });
+
+    expect(await uploadRow(location)).toBeNull();
+  });
+});
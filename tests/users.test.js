@@ -0,0 +1,46 @@
+const request = require('supertest');
+const { buildApp, createUser, as } = require('./helpers');
+
+describe('users', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let admin;
+  let creator;
+
+  beforeAll(async () => {
+    admin = await createUser(context, 'admin@example.com', { role: 'admin' });
+    creator = await createUser(context, 'creator@example.com');
+  });
+
+  it('shows user statistics to admins', async () => {
+    const res = await request(app).get('/api/users/stats').set(as(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totalUsers).toBe(2);
+    expect(res.body.data.roleDistribution).toMatchObject({ admin: 1, creator: 1 });
+  });
+
+  it('keeps user statistics from everyone else', async () => {
+    const res = await request(app).get('/api/users/stats').set(as(creator));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('asks for a changed email address to be verified again', async () => {
+    const user = await createUser(context, 'old@example.com', { email_verified_at: new Date().toISOString() });
+    await db.from('auth_tokens').update({ used_at: new Date().toISOString() }).eq('user_id', user.id);
+
+    const unchanged = await request(app).put(`/api/users/${user.id}`).set(as(user)).send({ email: 'OLD@example.com', firstName: 'Renamed' });
+    expect(unchanged.body.data.email_verified_at).toBeTruthy();
+
+    const res = await request(app).put(`/api/users/${user.id}`).set(as(user)).send({ email: 'New@Example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.email).toBe('new@example.com');
+    expect(res.body.data.email_verified_at).toBeNull();
+
+    const { data: tokens } = await db.from('auth_tokens').select('*')
+      .eq('user_id', user.id).eq('purpose', 'email_verification').is('used_at', null);
+    expect(tokens).toHaveLength(1);
+  });
+});
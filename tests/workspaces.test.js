@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { buildApp, createUser, createWorkspace, as } = require('./helpers');
+
+describe('workspaces', () => {
+  const context = buildApp();
+  const { app, db } = context;
+  let owner;
+  let viewer;
+  let outsider;
+  let workspace;
+
+  async function addFile(user, changes) {
+    await db.from('media_files').insert({
+      filename: 'file.png',
+      original_name: 'file.png',
+      file_type: 'image',
+      file_size: 1024,
+      uploaded_by: user.id,
+      ...changes
+    });
+  }
+
+  beforeAll(async () => {
+    owner = await createUser(context, 'owner@example.com');
+    viewer = await createUser(context, 'viewer@example.com');
+    outsider = await createUser(context, 'outsider@example.com');
+    workspace = await createWorkspace(context, owner, [[viewer, 'viewer']]);
+  });
+
+  it('lists the workspaces the user belongs to', async () => {
+    const res = await request(app).get('/api/workspaces').set(as(viewer));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => entry.id)).toEqual([workspace.id]);
+  });
+
+  it('scopes content to the selected workspace', async () => {
+    const created = await request(app)
+      .post('/api/content')
+      .set(as(owner, workspace))
+      .send({ title: 'Team post', platform: 'linkedin', contentType: 'post' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.workspace_id).toBe(workspace.id);
+
+    const inWorkspace = await request(app).get('/api/content').set(as(viewer, workspace));
+    expect(inWorkspace.status).toBe(200);
+    expect(inWorkspace.body.data.map(item => item.id)).toEqual([created.body.data.id]);
+
+    const personal = await request(app).get('/api/content').set(as(viewer));
+    expect(personal.body.data).toHaveLength(0);
+  });
+
+  it('lets viewers read but not write', async () => {
+    const res = await request(app)
+      .post('/api/content')
+      .set(as(viewer, workspace))
+      .send({ title: 'Viewer post', platform: 'linkedin', contentType: 'post' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('keeps non-members out', async () => {
+    expect((await request(app).get('/api/content').set(as(outsider, workspace))).status).toBe(403);
+    expect((await request(app).get(`/api/workspaces/${workspace.id}`).set(as(outsider))).status).toBe(403);
+  });
+
+  it('reports file statistics for the workspace', async () => {
+    await addFile(owner, { workspace_id: workspace.id, file_size: 2048 });
+    await addFile(owner, { workspace_id: workspace.id, file_type: 'video', file_size: 4096 });
+    await addFile(owner, {});
+
+    const res = await request(app).get('/api/files/stats').set(as(viewer, workspace));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totalFiles).toBe(2);
+    expect(res.body.data.totalSize).toBe(6144);
+    expect(res.body.data.byType.video.count).toBe(1);
+  });
+});